@@ -0,0 +1,144 @@
+/**
+ * evaluate-trajectory.mjs
+ *
+ * 추정 궤적을 정답 궤적과 비교 (ATE / RPE), 브라우저 없이 Node에서 실행
+ *
+ * 사용법:
+ *   npm run eval:trajectory -- <추정.tum.txt> <정답.tum.txt> [옵션]
+ *
+ * 옵션:
+ *   --align sim3|se3|none   정렬 방식 (기본 sim3)
+ *   --max-diff <s>          짝으로 인정하는 최대 시각 차이 (기본 0.02)
+ *   --offset <s>            추정 궤적 시각에 더할 값 (기본 0)
+ *   --delta <n>             RPE 구간 길이 (기본 1)
+ *   --delta-unit s|frames   RPE 구간 단위 (기본 s)
+ *   --plane xz|xy|yz        궤적 그래프 평면 (기본 xz, 앱 월드 기준 위에서 본 모습)
+ *   --plots <dir>           SVG 그래프 저장 (trajectory / ate / rpe-translation / rpe-rotation)
+ *   --json <file>           결과 요약 JSON 저장 (빌드별 비교용)
+ *   --max-ate <m>           ATE RMSE가 이보다 크면 종료 코드 1
+ *   --max-rpe <m>           RPE 이동 RMSE가 이보다 크면 (또는 RPE 구간이 없으면) 종료 코드 1
+ */
+
+import fs from 'fs';
+import path from 'path';
+import {
+    parseTUM,
+    evaluateTrajectory,
+    formatReport,
+    summarize,
+    renderTrajectoryPlot,
+    renderATEPlot,
+    renderRPEPlot
+} from '../src/js/TrajectoryEvaluation.js';
+
+const USAGE = 'npm run eval:trajectory -- <추정.tum.txt> <정답.tum.txt> ' +
+    '[--align sim3|se3|none] [--max-diff s] [--offset s] [--delta n] [--delta-unit s|frames] ' +
+    '[--plane xz|xy|yz] [--plots dir] [--json file] [--max-ate m] [--max-rpe m]';
+
+const NUMBER_OPTIONS = ['max-diff', 'offset', 'delta', 'max-ate', 'max-rpe'];
+
+function parseArgs(argv) {
+    const files = [];
+    const flags = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            files.push(arg);
+            continue;
+        }
+
+        const name = arg.slice(2);
+        const value = argv[++i];
+        if (value === undefined) throw new Error(`--${name} 값이 없습니다`);
+        if (NUMBER_OPTIONS.includes(name)) {
+            const number = Number(value);
+            if (!Number.isFinite(number)) throw new Error(`--${name} 값이 숫자가 아닙니다: ${value}`);
+            flags[name] = number;
+        } else {
+            flags[name] = value;
+        }
+    }
+
+    return { files, flags };
+}
+
+function main() {
+    let args;
+    try {
+        args = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        console.error(USAGE);
+        return 2;
+    }
+
+    const { files, flags } = args;
+    if (files.length !== 2) {
+        console.error(USAGE);
+        return 2;
+    }
+
+    const [estimatedFile, groundTruthFile] = files;
+    const estimated = parseTUM(fs.readFileSync(estimatedFile, 'utf8'));
+    const groundTruth = parseTUM(fs.readFileSync(groundTruthFile, 'utf8'));
+
+    const options = {};
+    if (flags.align !== undefined) options.align = flags.align;
+    if (flags['max-diff'] !== undefined) options.maxDifference = flags['max-diff'];
+    if (flags.offset !== undefined) options.timeOffset = flags.offset;
+    if (flags.delta !== undefined) options.delta = flags.delta;
+    if (flags['delta-unit'] !== undefined) options.deltaUnit = flags['delta-unit'];
+
+    const result = evaluateTrajectory(estimated, groundTruth, options);
+    console.log(formatReport(result, {
+        estimatedCount: estimated.length,
+        groundTruthCount: groundTruth.length
+    }));
+
+    if (flags.plots) {
+        fs.mkdirSync(flags.plots, { recursive: true });
+        const plots = {
+            'trajectory.svg': renderTrajectoryPlot(result, flags.plane || 'xz'),
+            'ate.svg': renderATEPlot(result),
+            'rpe-translation.svg': renderRPEPlot(result, 'translation'),
+            'rpe-rotation.svg': renderRPEPlot(result, 'rotation')
+        };
+        Object.entries(plots).forEach(([name, svg]) => {
+            fs.writeFileSync(path.join(flags.plots, name), svg);
+        });
+        console.log(`그래프 저장: ${flags.plots}`);
+    }
+
+    if (flags.json) {
+        const summary = {
+            estimated: path.basename(estimatedFile),
+            groundTruth: path.basename(groundTruthFile),
+            ...summarize(result)
+        };
+        fs.writeFileSync(flags.json, JSON.stringify(summary, null, 2) + '\n');
+        console.log(`요약 저장: ${flags.json}`);
+    }
+
+    // 회귀 판정 (CI 등)
+    let failed = false;
+    if (flags['max-ate'] !== undefined && result.ate.stats.rmse > flags['max-ate']) {
+        console.error(`ATE RMSE ${result.ate.stats.rmse.toFixed(4)} m > ${flags['max-ate']} m`);
+        failed = true;
+    }
+    if (flags['max-rpe'] !== undefined && result.rpe.segments.length === 0) {
+        console.error('RPE 구간이 없어 판정할 수 없습니다 (--delta를 줄이세요)');
+        failed = true;
+    } else if (flags['max-rpe'] !== undefined && result.rpe.translation.rmse > flags['max-rpe']) {
+        console.error(`RPE 이동 RMSE ${result.rpe.translation.rmse.toFixed(4)} m > ${flags['max-rpe']} m`);
+        failed = true;
+    }
+    return failed ? 1 : 0;
+}
+
+try {
+    process.exitCode = main();
+} catch (error) {
+    console.error(error.message);
+    process.exitCode = 2;
+}
@@ -1,12 +1,13 @@
+import { FrameSource, frameRGBA } from './FrameSource.js';
+
 class AREngine {
     constructor() {
         this.module = null;
         this.tracker = null;
         this.isInitialized = false;
 
-        // 캐시용 캔버스 (매 프레임 생성 방지)
-        this.canvas = null;
-        this.ctx = null;
+        // 비디오 엘리먼트를 직접 받았을 때 쓰는 프레임 캡처 (매 프레임 캔버스 생성 방지)
+        this.frameSource = null;
     }
 
     async init() {
@@ -16,11 +17,14 @@ class AREngine {
             // WebAssembly 모듈을 동적으로 로드
             await this.loadWasmScript('/wasm/ar-engine.js');
 
-            if (!window.createARModule) {
+            if (!globalThis.createARModule) {
                 throw new Error('createARModule is not defined');
             }
 
-            this.module = await window.createARModule();
+            // 워커에서는 스크립트 위치가 워커 번들 기준이므로 .wasm 경로를 명시
+            this.module = await globalThis.createARModule({
+                locateFile: (path) => `/wasm/${path}`
+            });
 
             // ARTracker 인스턴스 생성 (SLAM 시스템 포함)
             this.tracker = new this.module.ARTracker();
@@ -37,7 +41,14 @@ class AREngine {
 
     loadWasmScript(src) {
         return new Promise((resolve, reject) => {
-            if (window.createARModule) {
+            if (globalThis.createARModule) {
+                resolve();
+                return;
+            }
+
+            // 워커 (tracking.worker.js)
+            if (typeof document === 'undefined') {
+                importScripts(src);
                 resolve();
                 return;
             }
@@ -51,29 +62,23 @@ class AREngine {
         });
     }
 
-    processFrame(videoElement) {
+    /**
+     * 프레임 처리
+     * @param {Object|HTMLVideoElement} source FrameSource 프레임 또는 비디오 엘리먼트
+     */
+    processFrame(source) {
         if (!this.isInitialized || !this.tracker) {
             return false;
         }
 
         try {
-            const width = videoElement.videoWidth;
-            const height = videoElement.videoHeight;
-
-            if (width === 0 || height === 0) return false;
+            const frame = typeof HTMLVideoElement !== 'undefined' && source instanceof HTMLVideoElement
+                ? this.captureVideo(source)
+                : source;
+            if (!frame) return false;
 
-            // 캔버스 재사용
-            if (!this.canvas || this.canvas.width !== width || this.canvas.height !== height) {
-                this.canvas = document.createElement('canvas');
-                this.canvas.width = width;
-                this.canvas.height = height;
-                this.ctx = this.canvas.getContext('2d');
-            }
-
-            this.ctx.drawImage(videoElement, 0, 0);
-            const imageData = this.ctx.getImageData(0, 0, width, height);
-
-            const success = this.tracker.processFrame(width, height, imageData.data);
+            const { width, height, data } = frameRGBA(frame);
+            const success = this.tracker.processFrame(width, height, data);
 
             return success;
         } catch (error) {
@@ -82,6 +87,14 @@ class AREngine {
         }
     }
 
+    captureVideo(video) {
+        if (!this.frameSource || this.frameSource.video !== video) {
+            if (this.frameSource) this.frameSource.destroy();
+            this.frameSource = new FrameSource(video);
+        }
+        return this.frameSource.capture();
+    }
+
     getViewMatrix() {
         if (!this.tracker) return null;
 
@@ -157,8 +170,10 @@ class AREngine {
             this.tracker = null;
         }
         this.isInitialized = false;
-        this.canvas = null;
-        this.ctx = null;
+        if (this.frameSource) {
+            this.frameSource.destroy();
+            this.frameSource = null;
+        }
         console.log('[SLAM] AR 엔진 종료');
     }
 }
@@ -0,0 +1,72 @@
+/**
+ * AREvents.js
+ *
+ * ARApp이 발행하는 이벤트 이름과 데이터 형식
+ *
+ * ```js
+ * window.arApp.on('videoChanged', ({ object, entry }) => {
+ *     console.log('새 영상:', entry.id);
+ * });
+ * ```
+ */
+
+export const AR_EVENTS = Object.freeze([
+    'ready',
+    'loadingProgress',
+    'trackingModeChanged',
+    'trackingStateChanged',
+    'metricScaleChanged',
+    'videoChanged',
+    'objectPlaced',
+    'error',
+    'frame'
+]);
+
+/**
+ * @typedef {'NOT_AVAILABLE'|'INITIALIZING'|'TRACKING'|'LIMITED'|'LOST'|'RELOCALIZING'} TrackingState
+ *
+ * @typedef {Object} ARReadyEvent 초기화 완료 + 첫 배치 후
+ * @property {ARApp} app
+ *
+ * @typedef {Object} ARLoadingProgressEvent 초기화 진행률
+ * @property {number} percent 0~100
+ * @property {string} message 표시 문구
+ *
+ * @typedef {Object} ARTrackingModeChangedEvent
+ * @property {'sensor'|'slam'|'hybrid'} mode 새 추적 모드
+ * @property {'sensor'|'slam'|'hybrid'} previous 이전 추적 모드
+ *
+ * @typedef {Object} ARTrackingStateChangedEvent 추적 상태 전환 (TrackingState.js)
+ * @property {TrackingState} state 새 상태
+ * @property {TrackingState} previous 이전 상태 (이유만 바뀌면 state와 같음)
+ * @property {string|null} reason 'insufficientFeatures' | 'excessiveMotion' | 'tooDark' | 'sensorsUnavailable'
+ * @property {'sensor'|'slam'|'hybrid'} mode 현재 추적 모드
+ * @property {boolean} tracking 포즈를 얻고 있는지 (TRACKING 또는 LIMITED)
+ *
+ * @typedef {Object} ARMetricScaleChangedEvent VO 미터 스케일 갱신 (ScaleEstimator.js)
+ * @property {number} scale VO 1단위당 m (카메라 이동량에 곱함)
+ * @property {number} previous 이전 스케일
+ * @property {number} confidence 0~1
+ *
+ * @typedef {Object} ARVideoChangedEvent 오브젝트의 영상 교체
+ * @property {ARVideoObject} object 새 오브젝트
+ * @property {ARVideoObject} previous 교체된 오브젝트 (정리됨 또는 페이드아웃 중)
+ * @property {Object} entry 새 영상의 매니페스트 항목
+ * @property {string} transition 'crossfade' | 'fade' | 'cut'
+ *
+ * @typedef {Object} ARObjectPlacedEvent 새 오브젝트 배치
+ * @property {ARVideoObject} object
+ * @property {Object} entry 매니페스트 항목
+ * @property {boolean} restored 세션 복원으로 배치되었는지
+ *
+ * @typedef {Object} ARErrorEvent
+ * @property {Error} error
+ * @property {string} context 발생 위치 (예: 'init', 'plugin:name.update')
+ *
+ * @typedef {Object} ARFrameEvent 매 렌더 프레임 (렌더 직전)
+ * @property {number} time performance.now() 기준 시각 (ms)
+ * @property {number} delta 이전 프레임과의 간격 (ms)
+ * @property {number} frame 프레임 번호
+ */
+
+export default AR_EVENTS;
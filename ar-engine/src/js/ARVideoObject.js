@@ -0,0 +1,400 @@
+/**
+ * ARVideoObject.js
+ *
+ * 영상 평면 하나를 구성하는 객체 묶음
+ *
+ * 영상 엘리먼트 + VideoTexture + 머티리얼 + 메시를 함께 관리한다.
+ * 머티리얼은 영상의 알파 방식에 따라 고른다 (AlphaVideoSource 참고):
+ * 알파 채널 영상(native / stacked)은 AlphaVideoMaterial, 그 외에는 크로마키.
+ *
+ * 사운드는 attachAudio()로 Web Audio에 연결하면 메시에 붙은 PositionalAudio로 재생되어
+ * 캐릭터와의 거리/방향에 따라 볼륨과 좌우 위치가 바뀐다.
+ * 여러 캐릭터를 동시에 배치할 수 있도록 오브젝트마다 자신의 영상과
+ * 배치 모드, 핀치 기준 스케일, 비틀기 회전값을 가진다.
+ */
+
+import * as THREE from 'three';
+import { createChromaKeyMaterial } from './ChromaKeyMaterial.js';
+import { createAlphaVideoMaterial } from './AlphaVideoMaterial.js';
+import { resolveAlphaSource } from './AlphaVideoSource.js';
+
+// 평면 높이 (가로는 영상 비율에 맞춤)
+const PLANE_HEIGHT = 2.0;
+
+// 선택 하이라이트 유지 시간 (ms) - 사진에 테두리가 남지 않도록 잠깐만 표시
+const HIGHLIGHT_DURATION = 800;
+
+// 튕겨서 치울 때 날아가며 사라지는 시간 (ms)
+const DISMISS_DURATION = 400;
+
+let nextObjectId = 1;
+
+/**
+ * ARVideoObject 클래스
+ */
+export class ARVideoObject {
+    /**
+     * @param {Object} entry 콘텐츠 매니페스트 항목
+     * @param {Object} chromaKey 적용할 크로마키 설정 (보정값 병합 후, 크로마키 방식일 때만 사용)
+     */
+    constructor(entry, chromaKey) {
+        this.id = nextObjectId++;
+        this.entry = entry;
+
+        // 알파 방식 및 실제 재생할 영상 ('chroma' | 'native' | 'stacked')
+        const { mode, src } = resolveAlphaSource(entry);
+        this.alphaMode = mode;
+        this.src = src;
+
+        // 배치 상태
+        this.placementMode = 'hud';   // 'hud' | 'world'
+        this.baseScale = 1.0;         // 핀치 기준 스케일
+        this.rotation = 0;            // 비틀기 회전 (rad, 화면 시계방향 +)
+        this.highlightStart = -Infinity;
+
+        // 불투명도 페이드 / 치우기 이동 애니메이션 상태
+        this.fade = null;             // { from, to, start, duration }
+        this.drift = null;            // { last, velocity }
+
+        // 사운드 상태
+        this.sound = null;            // THREE.PositionalAudio | THREE.Audio (Web Audio 연결 시)
+        this.muted = !entry.audio.enabled;  // 오브젝트별 음소거
+        this.globalMuted = false;     // 전역 음소거 (직접 재생 경로에서만 사용)
+
+        this.video = this.createVideo(entry);
+        this.texture = this.createTexture(this.video);
+
+        const material = this.alphaMode === 'chroma' ?
+            createChromaKeyMaterial(this.texture, chromaKey, entry.crop) :
+            createAlphaVideoMaterial(this.texture, this.alphaMode, entry.crop);
+        // 투명 평면끼리 투명 영역이 서로를 가리지 않도록 깊이 기록 끔
+        // (그리기 순서는 ARApp.updateRenderOrder에서 거리순으로 지정)
+        material.depthWrite = false;
+
+        // 평면 지오메트리 (기본 1:1 비율, 영상 로드 후 조정)
+        const geometry = new THREE.PlaneGeometry(PLANE_HEIGHT, PLANE_HEIGHT);
+        this.mesh = new THREE.Mesh(geometry, material);
+        this.mesh.userData.arObject = this;
+
+        if (entry.crop.top > 0 || entry.crop.bottom > 0) {
+            console.log('[ARObject] 검은 줄 크롭 적용:', entry.crop);
+        }
+
+        // 영상 메타데이터 로드 후 비율 조정
+        this.video.addEventListener('loadedmetadata', () => this.fitToVideo());
+    }
+
+    /**
+     * 비디오 엘리먼트 생성 및 로드
+     */
+    createVideo(entry) {
+        const video = document.createElement('video');
+        video.loop = entry.loop;
+        video.muted = !entry.audio.enabled;
+        video.playsInline = true;
+        video.setAttribute('playsinline', '');
+        video.setAttribute('webkit-playsinline', '');
+        video.crossOrigin = 'anonymous';
+        video.preload = 'auto';
+        video.src = this.src;
+
+        // 사운드가 있는 영상의 경우 볼륨 설정
+        if (!video.muted) {
+            video.volume = entry.audio.volume;
+            console.log(`[ARObject] 사운드 활성화 (볼륨: ${Math.round(entry.audio.volume * 100)}%)`);
+        }
+
+        // 비디오 로드 및 재생
+        video.load();
+
+        video.addEventListener('loadeddata', () => {
+            console.log('[ARObject] 비디오 로드 완료, 재생 시작:', entry.id, `(${this.alphaMode})`);
+            video.play().catch(e => {
+                console.warn('[ARObject] 자동재생 실패:', e.message);
+            });
+        }, { once: true });
+
+        return video;
+    }
+
+    /**
+     * VideoTexture 생성
+     */
+    createTexture(video) {
+        const texture = new THREE.VideoTexture(video);
+        texture.colorSpace = THREE.SRGBColorSpace;
+        texture.minFilter = THREE.LinearFilter;
+        texture.magFilter = THREE.LinearFilter;
+        return texture;
+    }
+
+    /**
+     * 영상 비율에 맞게 평면 크기 조정
+     */
+    fitToVideo() {
+        if (!this.mesh) return;
+
+        // stacked 영상은 위/아래 절반이 한 장면 → 실제 높이는 절반
+        const videoHeight = this.alphaMode === 'stacked' ?
+            this.video.videoHeight / 2 :
+            this.video.videoHeight;
+        let aspect = this.video.videoWidth / videoHeight;
+
+        // 크롭 등으로 가로가 눌려 보이는 영상은 매니페스트 값으로 보정
+        if (this.entry.aspectCorrection !== 1.0) {
+            aspect = aspect * this.entry.aspectCorrection;
+            console.log('[ARObject] 영상 비율 보정:', this.entry.aspectCorrection, '→', aspect);
+        }
+
+        const width = PLANE_HEIGHT * aspect;
+        this.mesh.geometry.dispose();
+        this.mesh.geometry = new THREE.PlaneGeometry(width, PLANE_HEIGHT);
+        console.log('[ARObject] 영상 크기:', this.video.videoWidth, 'x', this.video.videoHeight, '| 비율:', aspect.toFixed(2));
+    }
+
+    /**
+     * 균일 스케일 설정 (핀치 기준값도 갱신)
+     */
+    setScale(scale) {
+        this.baseScale = scale;
+        this.mesh.scale.set(scale, scale, scale);
+    }
+
+    /**
+     * 비틀기 회전 설정
+     * - HUD: 시선 축(카메라 Z축) 기준으로 바로 적용
+     * - 공간 고정: 매 프레임 빌보드 회전에 Y축 오프셋으로 더해짐 (ARApp.animate)
+     *
+     * @param {number} angle 회전 (rad, 화면 시계방향 +)
+     */
+    setRotation(angle) {
+        this.rotation = Math.atan2(Math.sin(angle), Math.cos(angle));
+        if (this.placementMode === 'hud') {
+            this.mesh.rotation.set(0, 0, -this.rotation);
+        }
+    }
+
+    /**
+     * 영상 사운드를 Web Audio로 연결
+     * - audio.spatial: 메시에 PositionalAudio를 붙여 거리/방향에 따라 볼륨·패닝 변화
+     * - 그 외: 위치와 무관한 THREE.Audio (전역 음소거는 리스너 마스터 볼륨으로 동일하게 처리)
+     *
+     * @param {THREE.AudioListener} listener 카메라에 붙은 리스너
+     */
+    attachAudio(listener) {
+        const audio = this.entry.audio;
+        if (!audio.enabled || !listener || this.sound) return;
+
+        try {
+            if (audio.spatial) {
+                const sound = new THREE.PositionalAudio(listener);
+                sound.setDistanceModel(audio.distanceModel);
+                sound.setRefDistance(audio.refDistance);
+                sound.setRolloffFactor(audio.rolloffFactor);
+                sound.setMaxDistance(audio.maxDistance);
+                this.sound = sound;
+            } else {
+                this.sound = new THREE.Audio(listener);
+            }
+            this.sound.setMediaElementSource(this.video);
+            this.mesh.add(this.sound);
+        } catch (e) {
+            // 이미 다른 노드에 연결된 엘리먼트 등 → 직접 재생으로 폴백
+            console.warn('[ARObject] Web Audio 연결 실패 (직접 재생):', e.message);
+            this.sound = null;
+        }
+
+        this.updateVolume();
+        if (this.sound) {
+            console.log('[ARObject] 사운드 연결:', audio.spatial ? `공간 (${audio.distanceModel}, rolloff ${audio.rolloffFactor})` : '일반', `#${this.id}`);
+        }
+    }
+
+    /**
+     * 음소거 설정 (해제 시 매니페스트 볼륨 적용)
+     */
+    setMuted(muted) {
+        this.muted = muted;
+        this.updateVolume();
+
+        // 음소거 해제는 사용자 제스처 안에서 호출되므로 멈춰 있던 영상도 재생 가능
+        if (!muted && this.video.paused) {
+            this.video.play().catch(e => console.warn('[ARObject] 재생 실패:', e.message));
+        }
+        console.log('[ARObject] 음소거:', muted, `#${this.id}`);
+    }
+
+    /**
+     * 전역 음소거 반영
+     * Web Audio 경로는 AudioListener 마스터 볼륨이 처리하므로 직접 재생 경로에만 영향
+     */
+    setGlobalMuted(muted) {
+        this.globalMuted = muted;
+        this.updateVolume();
+    }
+
+    /**
+     * 현재 음소거/페이드 상태를 출력 볼륨에 반영
+     */
+    updateVolume() {
+        if (!this.video) return;
+
+        const gain = this.muted ? 0 : this.entry.audio.volume * this.opacity;
+
+        if (this.sound) {
+            // 엘리먼트는 최대 볼륨으로 두고 게인 노드로 조절
+            this.video.muted = false;
+            this.video.volume = 1.0;
+            this.sound.setVolume(gain);
+            return;
+        }
+
+        this.video.muted = this.muted || this.globalMuted;
+        if (!this.video.muted) {
+            this.video.volume = gain;
+        }
+    }
+
+    /**
+     * 영상 첫 프레임이 준비되면 콜백 호출 (로드 실패 시에도 호출)
+     */
+    whenReady(callback) {
+        if (this.video.readyState >= HTMLMediaElement.HAVE_CURRENT_DATA) {
+            callback();
+            return;
+        }
+
+        const done = () => {
+            this.video?.removeEventListener('loadeddata', done);
+            this.video?.removeEventListener('error', done);
+            callback();
+        };
+        this.video.addEventListener('loadeddata', done);
+        this.video.addEventListener('error', done);
+    }
+
+    /**
+     * 현재 불투명도 (셰이더 유니폼)
+     */
+    get opacity() {
+        return this.mesh.material.uniforms.opacity.value;
+    }
+
+    /**
+     * 불투명도 즉시 설정 (진행 중인 페이드 취소)
+     */
+    setOpacity(value) {
+        this.fade = null;
+        this.mesh.material.uniforms.opacity.value = value;
+        this.updateVolume();
+    }
+
+    /**
+     * 불투명도 페이드 시작
+     *
+     * @param {number} to 목표 불투명도 (0~1)
+     * @param {number} duration 페이드 시간 (ms)
+     * @param {number} delay 시작 지연 (ms)
+     */
+    fadeTo(to, duration, delay = 0) {
+        if (duration <= 0 && delay <= 0) {
+            this.setOpacity(to);
+            return;
+        }
+        this.fade = {
+            from: this.opacity,
+            to,
+            start: performance.now() + delay,
+            duration: Math.max(1, duration)
+        };
+    }
+
+    /**
+     * 완전히 사라졌는지 (페이드아웃 완료 → ARApp이 정리)
+     */
+    get isHidden() {
+        return !this.fade && this.opacity <= 0;
+    }
+
+    /**
+     * 치우기 애니메이션 시작 (튕긴 방향으로 날아가며 사라짐)
+     * 끝나면 isHidden이 true가 되며, 정리는 ARApp이 한다.
+     *
+     * @param {THREE.Vector3} velocity 부모 좌표계 기준 이동 속도 (단위/초)
+     */
+    startDismiss(velocity) {
+        this.drift = { last: performance.now(), velocity: velocity.clone() };
+        this.fadeTo(0, DISMISS_DURATION);
+    }
+
+    /**
+     * 선택 표시 (잠깐 테두리 하이라이트 후 사라짐)
+     */
+    flashHighlight() {
+        this.highlightStart = performance.now();
+    }
+
+    /**
+     * 프레임 갱신: 비디오 프레임을 텍스처에 반영, 하이라이트 페이드
+     * @param {number} now performance.now() 기준 시각 (ms)
+     */
+    update(now = performance.now()) {
+        this.texture.needsUpdate = true;
+
+        const t = (now - this.highlightStart) / HIGHLIGHT_DURATION;
+        this.mesh.material.uniforms.highlight.value = THREE.MathUtils.clamp(1 - t, 0, 1);
+
+        if (this.drift) {
+            this.mesh.position.addScaledVector(this.drift.velocity, (now - this.drift.last) / 1000);
+            this.drift.last = now;
+        }
+
+        if (this.fade) {
+            this.updateFade(now);
+        }
+    }
+
+    /**
+     * 페이드 진행 (사운드가 있으면 볼륨도 함께 조절)
+     */
+    updateFade(now) {
+        const { from, to, start, duration } = this.fade;
+        const t = THREE.MathUtils.clamp((now - start) / duration, 0, 1);
+        const opacity = from + (to - from) * t;
+
+        this.mesh.material.uniforms.opacity.value = opacity;
+        this.updateVolume();
+
+        if (t >= 1) {
+            this.fade = null;
+        }
+    }
+
+    /**
+     * 정리
+     */
+    dispose() {
+        if (this.sound) {
+            this.sound.disconnect();
+            this.sound.removeFromParent();
+            this.sound = null;
+        }
+        if (this.mesh) {
+            this.mesh.removeFromParent();
+            this.mesh.geometry.dispose();
+            this.mesh.material.dispose();
+            this.mesh = null;
+        }
+        if (this.texture) {
+            this.texture.dispose();
+            this.texture = null;
+        }
+        if (this.video) {
+            this.video.pause();
+            this.video.src = '';
+            this.video = null;
+        }
+    }
+}
+
+export default ARVideoObject;
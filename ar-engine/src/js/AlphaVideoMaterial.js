@@ -0,0 +1,85 @@
+/**
+ * AlphaVideoMaterial.js
+ *
+ * 알파 채널이 있는 영상용 셰이더 머티리얼 (크로마키 대신 사용)
+ *
+ * - native:  텍스처의 알파 채널을 그대로 사용 (VP9 알파 WebM)
+ * - stacked: 위쪽 절반의 색상 + 아래쪽 절반 매트의 밝기를 알파로 사용
+ *
+ * 크롭 / 선택 하이라이트 / 불투명도 유니폼은 ChromaKeyMaterial과 같은 이름을 써서
+ * ARVideoObject가 두 머티리얼을 구분 없이 다룰 수 있게 한다.
+ */
+
+import * as THREE from 'three';
+
+const vertexShader = `
+    varying vec2 vUv;
+    void main() {
+        vUv = uv;
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+`;
+
+const fragmentShader = `
+    uniform sampler2D videoTexture;
+    uniform float cropTop;
+    uniform float cropBottom;
+    uniform float highlight;
+    uniform float opacity;
+    varying vec2 vUv;
+
+    void main() {
+        // UV 좌표 조정 (상단/하단 크롭)
+        float cropRange = 1.0 - cropTop - cropBottom;
+        float v = cropBottom + vUv.y * cropRange;
+
+    #ifdef STACKED
+        // 텍스처 v=1이 영상 상단 → 위쪽 절반(0.5~1) = 색상, 아래쪽 절반(0~0.5) = 알파 매트
+        vec3 color = texture2D(videoTexture, vec2(vUv.x, 0.5 + v * 0.5)).rgb;
+        vec3 matte = texture2D(videoTexture, vec2(vUv.x, v * 0.5)).rgb;
+        float alpha = dot(matte, vec3(0.2126, 0.7152, 0.0722));
+    #else
+        vec4 texColor = texture2D(videoTexture, vec2(vUv.x, v));
+        vec3 color = texColor.rgb;
+        float alpha = texColor.a;
+    #endif
+
+        gl_FragColor = vec4(color, alpha);
+
+        // 선택 하이라이트: 평면 가장자리에 테두리
+        if (highlight > 0.0) {
+            vec2 edge = min(vUv, 1.0 - vUv);
+            float border = 1.0 - step(0.012, min(edge.x, edge.y));
+            gl_FragColor = mix(gl_FragColor, vec4(0.3, 0.65, 1.0, 1.0), border * highlight);
+        }
+
+        gl_FragColor.a *= opacity;
+    }
+`;
+
+/**
+ * 알파 영상 머티리얼 생성
+ *
+ * @param {THREE.Texture} texture 영상 텍스처
+ * @param {'native'|'stacked'} mode 알파 방식
+ * @param {Object} crop { top, bottom } 크롭 비율 (stacked는 각 절반 안에서 적용)
+ * @returns {THREE.ShaderMaterial}
+ */
+export function createAlphaVideoMaterial(texture, mode, crop = {}) {
+    return new THREE.ShaderMaterial({
+        uniforms: {
+            videoTexture: { value: texture },
+            cropTop: { value: crop.top || 0 },
+            cropBottom: { value: crop.bottom || 0 },
+            highlight: { value: 0.0 },
+            opacity: { value: 1.0 },
+        },
+        defines: mode === 'stacked' ? { STACKED: '' } : {},
+        vertexShader,
+        fragmentShader,
+        transparent: true,
+        side: THREE.DoubleSide,
+    });
+}
+
+export default createAlphaVideoMaterial;
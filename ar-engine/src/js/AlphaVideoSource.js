@@ -0,0 +1,92 @@
+/**
+ * AlphaVideoSource.js
+ *
+ * 영상의 투명도 처리 방식 결정
+ *
+ * - native:  VP9 알파 WebM (브라우저가 알파 채널을 직접 디코딩, Chrome/Firefox/Android)
+ * - stacked: 위쪽 절반 = 색상, 아래쪽 절반 = 알파 매트인 MP4 (iOS Safari 포함 어디서나)
+ * - chroma:  초록 배경 크로마키 (폴백)
+ *
+ * 매니페스트 항목의 alpha 설정 또는 파일 이름으로 방식을 고른다.
+ * ```json
+ * "alpha": { "mode": "auto", "webm": "greetgang.alpha.webm", "stacked": "greetgang.stacked.mp4" }
+ * ```
+ * 파일 이름 규칙: `*.alpha.webm` → native, `*.stacked.mp4` / `*_stacked.mp4` → stacked
+ *
+ * mode가 auto(기본)이면 native(지원 시) → stacked → chroma 순으로 사용 가능한 것을 고른다.
+ */
+
+export const ALPHA_MODES = ['auto', 'chroma', 'native', 'stacked'];
+
+const NATIVE_PATTERN = /[._-]alpha\.webm$/i;
+const STACKED_PATTERN = /[._-]stacked\.(mp4|mov|webm)$/i;
+
+let vp9AlphaSupport = null;
+
+/**
+ * VP9 알파 WebM 디코딩 지원 여부
+ * Safari(iOS의 모든 브라우저 포함)는 VP9를 재생하더라도 알파 채널을 버리므로 제외한다.
+ */
+export function supportsVP9Alpha() {
+    if (vp9AlphaSupport !== null) return vp9AlphaSupport;
+
+    const ua = navigator.userAgent;
+    const isIOS = /iPad|iPhone|iPod/.test(ua);
+    const isSafari = /Safari/.test(ua) && !/Chrome|Chromium|CriOS|FxiOS|Edg|Firefox/.test(ua);
+
+    const video = document.createElement('video');
+    const canPlay = video.canPlayType('video/webm; codecs="vp9"') !== '' ||
+        video.canPlayType('video/webm; codecs="vp09.00.10.08"') !== '';
+
+    vp9AlphaSupport = canPlay && !isIOS && !isSafari;
+    console.log('[Alpha] VP9 알파 지원:', vp9AlphaSupport);
+    return vp9AlphaSupport;
+}
+
+/**
+ * 파일 이름으로 알파 방식 추정
+ * @returns {'native'|'stacked'|'chroma'}
+ */
+export function detectAlphaModeFromSrc(src) {
+    if (NATIVE_PATTERN.test(src)) return 'native';
+    if (STACKED_PATTERN.test(src)) return 'stacked';
+    return 'chroma';
+}
+
+/**
+ * 매니페스트 항목에서 실제로 재생할 영상과 알파 방식 결정
+ *
+ * @param {Object} entry 콘텐츠 매니페스트 항목
+ * @returns {{ mode: 'chroma'|'native'|'stacked', src: string }}
+ */
+export function resolveAlphaSource(entry) {
+    const alpha = entry.alpha || {};
+    const mode = ALPHA_MODES.includes(alpha.mode) ? alpha.mode : 'auto';
+    const srcMode = detectAlphaModeFromSrc(entry.src);
+
+    const nativeSrc = alpha.webm || (srcMode === 'native' ? entry.src : null);
+    const stackedSrc = alpha.stacked || (srcMode === 'stacked' ? entry.src : null);
+
+    if (mode === 'chroma') {
+        return { mode: 'chroma', src: entry.src };
+    }
+
+    if (mode === 'stacked') {
+        return { mode: 'stacked', src: stackedSrc || entry.src };
+    }
+
+    // auto / native: 지원되면 VP9 알파 → 없으면 stacked → 크로마키
+    if (nativeSrc && supportsVP9Alpha()) {
+        return { mode: 'native', src: nativeSrc };
+    }
+    if (stackedSrc) {
+        return { mode: 'stacked', src: stackedSrc };
+    }
+
+    if (mode === 'native' || srcMode === 'native') {
+        console.warn('[Alpha] VP9 알파 미지원 & stacked 영상 없음 - 크로마키로 폴백:', entry.id);
+    }
+    return { mode: 'chroma', src: entry.src };
+}
+
+export default resolveAlphaSource;
@@ -0,0 +1,281 @@
+/**
+ * AnchorManager.js
+ *
+ * 앵커: 현실 공간의 한 지점에 콘텐츠를 붙여두는 기준
+ *
+ * 월드 좌표계는 포즈 리셋(ARApp.resetPose)이나 재위치 인식(추적을 잃었다 다시 찾음),
+ * 미터 스케일 갱신 때 통째로 바뀔 수 있다. 콘텐츠를 씬에 직접 두면 예전 좌표에 그대로 남아 엉뚱한 곳에 보이므로,
+ * 앵커의 Object3D에 붙여두고 월드가 바뀌면 앵커를 새 좌표로 다시 표현한다.
+ *
+ * - 월드 앵커: 월드 좌표 포즈. applyWorldTransform으로 리셋/재위치 인식/스케일 갱신 시 다시 표현
+ * - 평면/이미지 앵커: attach로 감지된 평면·이미지 타깃에 붙임. 타깃 포즈가 갱신될 때마다 따라간다
+ *   (감지기는 updateTarget / loseTarget으로 알린다. 예: 이미지 추적 플러그인)
+ *
+ * 앵커 이벤트 (EventEmitter):
+ * - 'updated': { anchor, reason }  reason: 'reset' | 'relocalization' | 'scale' | 'tracking' | 'plane' | 'image'
+ * - 'lost':    { anchor, reason }  reason: 'tracking' | 'plane' | 'image'
+ *
+ * 사용법:
+ * ```js
+ * const anchor = arApp.createAnchor({ position: { x: 0, y: 0, z: -1 } });
+ * anchor.object.add(mesh);                 // 앵커 기준 로컬 좌표로 배치
+ * anchor.on('lost', () => { mesh.visible = false; });
+ * anchor.on('updated', () => { mesh.visible = true; });
+ *
+ * // 감지기 쪽
+ * anchors.attach(anchor.id, 'image', 'poster-1', posterPose);
+ * anchors.updateTarget('image', 'poster-1', newPosterPose);
+ * ```
+ */
+
+import * as THREE from 'three';
+import { EventEmitter } from './EventEmitter.js';
+
+export const ANCHOR_EVENTS = Object.freeze(['updated', 'lost']);
+
+export const ANCHOR_TARGET_TYPES = Object.freeze(['plane', 'image']);
+
+/**
+ * 포즈 → Matrix4
+ * @param {THREE.Matrix4|THREE.Object3D|Object} pose Matrix4, Object3D (월드 행렬) 또는
+ *        { position: {x,y,z}, quaternion: {x,y,z,w} } (둘 다 생략 가능)
+ */
+export function poseToMatrix(pose = {}, out = new THREE.Matrix4()) {
+    if (pose.isMatrix4) return out.copy(pose);
+    if (pose.isObject3D) {
+        pose.updateWorldMatrix(true, false);
+        return out.copy(pose.matrixWorld);
+    }
+
+    const p = pose.position || {};
+    const q = pose.quaternion || {};
+    return out.compose(
+        new THREE.Vector3(p.x || 0, p.y || 0, p.z || 0),
+        new THREE.Quaternion(q.x || 0, q.y || 0, q.z || 0, q.w ?? 1),
+        new THREE.Vector3(1, 1, 1)
+    );
+}
+
+/**
+ * Anchor 클래스
+ */
+export class Anchor extends EventEmitter {
+    constructor(id, pose) {
+        super(ANCHOR_EVENTS);
+
+        this.id = id;
+        this.pose = poseToMatrix(pose);       // 월드 좌표 포즈
+        this.state = 'tracking';              // 'tracking' | 'lost'
+        this.attachment = null;               // { type, targetId, offset: 타깃 기준 앵커 포즈 }
+
+        // 콘텐츠를 붙일 Object3D (행렬은 앵커가 직접 관리)
+        this.object = new THREE.Group();
+        this.object.name = `anchor-${id}`;
+        this.object.matrixAutoUpdate = false;
+        this.syncObject();
+    }
+
+    get tracking() {
+        return this.state === 'tracking';
+    }
+
+    getPosition() {
+        return new THREE.Vector3().setFromMatrixPosition(this.pose);
+    }
+
+    getQuaternion() {
+        return new THREE.Quaternion().setFromRotationMatrix(this.pose);
+    }
+
+    syncObject() {
+        this.object.matrix.copy(this.pose);
+        this.object.matrixWorldNeedsUpdate = true;
+    }
+
+    /**
+     * 포즈 갱신 + 'updated'
+     */
+    setPose(pose, reason) {
+        this.pose.copy(pose);
+        this.state = 'tracking';
+        this.syncObject();
+        this.emit('updated', { anchor: this, reason });
+    }
+
+    /**
+     * 추적 끊김 + 'lost' (마지막 포즈는 유지)
+     */
+    markLost(reason) {
+        if (this.state === 'lost') return;
+        this.state = 'lost';
+        this.emit('lost', { anchor: this, reason });
+    }
+}
+
+/**
+ * AnchorManager 클래스
+ */
+export class AnchorManager {
+    /**
+     * @param {THREE.Object3D} scene 앵커 Object3D를 추가할 부모
+     */
+    constructor(scene) {
+        this.scene = scene;
+        this.anchors = new Map();    // id → Anchor
+        this.nextId = 1;
+    }
+
+    /**
+     * 앵커 생성
+     * @param {THREE.Matrix4|THREE.Object3D|Object} pose 월드 좌표 포즈 (poseToMatrix 형식)
+     * @returns {Anchor} anchor.id, anchor.object (콘텐츠를 붙일 Object3D)
+     */
+    createAnchor(pose) {
+        const anchor = new Anchor(`anchor-${this.nextId++}`, pose);
+        this.anchors.set(anchor.id, anchor);
+        this.scene.add(anchor.object);
+        return anchor;
+    }
+
+    getAnchor(id) {
+        return this.anchors.get(id) || null;
+    }
+
+    /**
+     * 앵커 제거 (붙어 있던 콘텐츠도 씬에서 빠진다)
+     */
+    removeAnchor(id) {
+        const anchor = this.anchors.get(id);
+        if (!anchor) return false;
+
+        anchor.object.removeFromParent();
+        anchor.removeAllListeners();
+        this.anchors.delete(id);
+        return true;
+    }
+
+    /**
+     * 모든 앵커 제거
+     */
+    clear() {
+        [...this.anchors.keys()].forEach(id => this.removeAnchor(id));
+    }
+
+    /**
+     * 월드 좌표계가 바뀜: 모든 앵커를 새 좌표로 다시 표현
+     * 타깃에 붙은 앵커도 같이 옮기고, 다음 타깃 갱신에서 다시 맞춘다
+     *
+     * @param {THREE.Matrix4} transform 이전 월드 → 새 월드 (미터 스케일 갱신이면 균일 스케일 포함)
+     * @param {'reset'|'relocalization'|'scale'} reason
+     */
+    applyWorldTransform(transform, reason) {
+        // 스케일은 앵커 위치에만 (앵커 자체 크기는 그대로)
+        const rotation = new THREE.Matrix4().extractRotation(transform);
+        this.anchors.forEach((anchor) => {
+            const position = new THREE.Vector3().setFromMatrixPosition(anchor.pose).applyMatrix4(transform);
+            const pose = anchor.pose.clone().premultiply(rotation).setPosition(position);
+            if (anchor.attachment && anchor.state === 'lost') {
+                // 타깃이 안 보이는 앵커는 좌표만 옮기고 lost 상태 유지
+                anchor.pose.copy(pose);
+                anchor.syncObject();
+                return;
+            }
+            anchor.setPose(pose, reason);
+        });
+    }
+
+    /**
+     * 추적을 잃음: 월드 앵커는 'lost' (타깃 앵커는 타깃 감지기가 판단)
+     */
+    markTrackingLost() {
+        this.anchors.forEach((anchor) => {
+            if (!anchor.attachment) anchor.markLost('tracking');
+        });
+    }
+
+    /**
+     * 추적을 다시 찾음: lost였던 월드 앵커에 'updated'
+     * (재위치 인식으로 월드가 바뀌었으면 applyWorldTransform에서 이미 갱신됨)
+     */
+    markTrackingRestored() {
+        this.anchors.forEach((anchor) => {
+            if (!anchor.attachment && anchor.state === 'lost') {
+                anchor.setPose(anchor.pose, 'tracking');
+            }
+        });
+    }
+
+    /**
+     * 앵커를 감지된 평면/이미지 타깃에 붙임 (지금 자리를 타깃 기준으로 유지)
+     *
+     * @param {string} id 앵커 id
+     * @param {'plane'|'image'} type
+     * @param {string} targetId 감지기가 정한 타깃 id
+     * @param {THREE.Matrix4|Object} targetPose 타깃의 현재 월드 포즈
+     */
+    attach(id, type, targetId, targetPose) {
+        const anchor = this.anchors.get(id);
+        if (!anchor) {
+            console.warn('[Anchor] 없는 앵커:', id);
+            return false;
+        }
+        if (!ANCHOR_TARGET_TYPES.includes(type)) {
+            console.warn('[Anchor] 알 수 없는 타깃 종류:', type);
+            return false;
+        }
+
+        const offset = poseToMatrix(targetPose).invert().multiply(anchor.pose);
+        anchor.attachment = { type, targetId, offset };
+        return true;
+    }
+
+    /**
+     * 타깃에서 떼어 월드 앵커로 (지금 자리 유지)
+     */
+    detach(id) {
+        const anchor = this.anchors.get(id);
+        if (!anchor || !anchor.attachment) return false;
+        anchor.attachment = null;
+        return true;
+    }
+
+    /**
+     * 감지기: 타깃 포즈 갱신 → 붙은 앵커가 따라간다
+     */
+    updateTarget(type, targetId, targetPose) {
+        const matrix = poseToMatrix(targetPose);
+        this.forEachAttached(type, targetId, (anchor) => {
+            anchor.setPose(matrix.clone().multiply(anchor.attachment.offset), type);
+        });
+    }
+
+    /**
+     * 감지기: 타깃이 더 이상 보이지 않음 → 붙은 앵커 'lost'
+     */
+    loseTarget(type, targetId) {
+        this.forEachAttached(type, targetId, anchor => anchor.markLost(type));
+    }
+
+    forEachAttached(type, targetId, callback) {
+        this.anchors.forEach((anchor) => {
+            const attachment = anchor.attachment;
+            if (attachment && attachment.type === type && attachment.targetId === targetId) {
+                callback(anchor);
+            }
+        });
+    }
+
+    /**
+     * 디버그 정보
+     */
+    getDebugInfo() {
+        const anchors = [...this.anchors.values()];
+        return {
+            count: anchors.length,
+            lost: anchors.filter(anchor => anchor.state === 'lost').length,
+            attached: anchors.filter(anchor => anchor.attachment).length
+        };
+    }
+}
+
+export default AnchorManager;
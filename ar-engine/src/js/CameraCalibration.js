@@ -0,0 +1,887 @@
+/**
+ * CameraCalibration.js
+ *
+ * 체커보드 기반 카메라 내부 파라미터 보정 (OpenCV 없이 순수 JS)
+ *
+ * 1. detectCheckerboard: 그레이스케일 이미지에서 체커보드 내부 코너(X 코너) 격자 검출
+ *    - 헤시안 행렬식으로 안장점 후보 → 주변 원에서 밝고 어두움이 정확히 4번 바뀌는 점만 남김
+ *    - 그래디언트 직교 조건으로 서브픽셀 보정 (OpenCV cornerSubPix와 같은 방식)
+ *    - 이웃 간격으로 격자를 키워서 cols × rows가 정확히 채워질 때만 성공
+ * 2. calibrateCamera: 여러 캡처로 fx, fy, cx, cy, 방사 왜곡 k1, k2 추정 (Zhang 방식)
+ *    - 캡처마다 호모그래피 → 주점을 화면 중앙으로 두고 초점 거리 초기값 → 캡처별 보드 자세 초기값
+ *    - Levenberg-Marquardt로 재투영 오차 최소화, RMS 재투영 오차(px) 보고
+ *
+ * 보드 좌표는 칸 크기를 1로 둔다 (내부 파라미터는 칸 크기와 무관).
+ * 격자의 방향(어느 코너가 0번인지)은 캡처마다 달라도 된다. 캡처마다 보드 자세를 따로 추정하기 때문.
+ *
+ * 사용법:
+ * ```js
+ * const pattern = { cols: 9, rows: 6 };   // 내부 코너 수
+ * const corners = detectCheckerboard(frame.gray, frame.width, frame.height, pattern);
+ * if (corners) views.push({ corners });
+ *
+ * const result = calibrateCamera(views, { width: frame.width, height: frame.height }, pattern);
+ * // { fx, fy, cx, cy, k1, k2, width, height, rms, viewErrors, views }
+ * ```
+ */
+
+export const DEFAULT_PATTERN = Object.freeze({ cols: 9, rows: 6 });
+
+// 보정에 필요한 최소 캡처 수
+export const MIN_CALIBRATION_VIEWS = 3;
+
+const RING_SAMPLES = 16;
+const MIN_CONTRAST = 40;           // X 코너 주변 밝기 차 하한 (0~255)
+const GRID_TOLERANCE = 0.35;       // 격자 예측 위치 허용 오차 (코너 간격 대비)
+const SEED_ATTEMPTS = 5;
+
+// ==================== 체커보드 검출 ====================
+
+/**
+ * 체커보드 내부 코너 검출
+ *
+ * @param {Uint8Array} gray 그레이스케일 (width * height)
+ * @param {number} width
+ * @param {number} height
+ * @param {{cols: number, rows: number}} pattern 내부 코너 수
+ * @returns {Array<{x: number, y: number}>|null} cols * rows개 (행 우선 순서), 못 찾으면 null
+ */
+export function detectCheckerboard(gray, width, height, pattern = DEFAULT_PATTERN) {
+    const { cols, rows } = pattern;
+    const radius = Math.max(3, Math.round(Math.max(width, height) / 160));
+
+    const image = blur(blur(gray, width, height), width, height);
+    const candidates = findXCorners(image, width, height, radius, cols * rows * 4);
+    if (candidates.length < cols * rows) return null;
+
+    const corners = [];
+    candidates.forEach((point) => {
+        const refined = refineCorner(image, width, height, point.x, point.y, radius);
+        if (refined) corners.push(refined);
+    });
+
+    return assembleGrid(corners, cols, rows);
+}
+
+/**
+ * [1 4 6 4 1] / 16 가우시안 블러 (가로, 세로)
+ */
+function blur(src, width, height) {
+    const tmp = new Float32Array(width * height);
+    const out = new Float32Array(width * height);
+    const k = [1 / 16, 4 / 16, 6 / 16, 4 / 16, 1 / 16];
+
+    for (let y = 0; y < height; y++) {
+        const row = y * width;
+        for (let x = 0; x < width; x++) {
+            let sum = 0;
+            for (let i = -2; i <= 2; i++) {
+                const xi = Math.min(width - 1, Math.max(0, x + i));
+                sum += k[i + 2] * src[row + xi];
+            }
+            tmp[row + x] = sum;
+        }
+    }
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            let sum = 0;
+            for (let i = -2; i <= 2; i++) {
+                const yi = Math.min(height - 1, Math.max(0, y + i));
+                sum += k[i + 2] * tmp[yi * width + x];
+            }
+            out[y * width + x] = sum;
+        }
+    }
+    return out;
+}
+
+/**
+ * X 코너 후보: 안장점 응답(-det H)의 지역 최대 중 주변 원 검사를 통과한 점
+ */
+function findXCorners(image, width, height, radius, maxCount) {
+    const step = Math.max(1, Math.round(radius / 3));
+    const response = new Float32Array(width * height);
+    let maxResponse = 0;
+
+    for (let y = step; y < height - step; y++) {
+        for (let x = step; x < width - step; x++) {
+            const i = y * width + x;
+            const c = image[i];
+            const dx = step;
+            const dy = step * width;
+            const ixx = image[i + dx] - 2 * c + image[i - dx];
+            const iyy = image[i + dy] - 2 * c + image[i - dy];
+            const ixy = (image[i + dx + dy] - image[i + dx - dy] - image[i - dx + dy] + image[i - dx - dy]) / 4;
+            const det = ixx * iyy - ixy * ixy;
+            if (det < 0) {
+                response[i] = -det;
+                if (-det > maxResponse) maxResponse = -det;
+            }
+        }
+    }
+    if (maxResponse === 0) return [];
+
+    const threshold = maxResponse * 0.02;
+    const margin = radius + 2;
+    const points = [];
+
+    for (let y = margin; y < height - margin; y++) {
+        for (let x = margin; x < width - margin; x++) {
+            const value = response[y * width + x];
+            if (value < threshold || !isLocalMax(response, width, x, y, radius, value)) continue;
+            if (!isXCorner(image, width, x, y, radius)) continue;
+            points.push({ x, y, score: value });
+        }
+    }
+
+    points.sort((a, b) => b.score - a.score);
+    return points.slice(0, maxCount);
+}
+
+function isLocalMax(response, width, x, y, radius, value) {
+    for (let dy = -radius; dy <= radius; dy++) {
+        const row = (y + dy) * width;
+        for (let dx = -radius; dx <= radius; dx++) {
+            if (dx === 0 && dy === 0) continue;
+            const other = response[row + x + dx];
+            // 같은 값이면 먼저 나온 쪽만 남김
+            if (other > value || (other === value && (dy < 0 || (dy === 0 && dx < 0)))) return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * 주변 원에서 밝음/어두움이 정확히 4번 바뀌고 대비가 충분한지 (X 코너)
+ * 보드 바깥 테두리의 L 코너나 일반 모서리는 2번만 바뀐다
+ */
+function isXCorner(image, width, x, y, radius) {
+    const samples = new Float32Array(RING_SAMPLES);
+    let min = Infinity;
+    let max = -Infinity;
+
+    for (let i = 0; i < RING_SAMPLES; i++) {
+        const angle = (i / RING_SAMPLES) * Math.PI * 2;
+        const sx = Math.round(x + radius * Math.cos(angle));
+        const sy = Math.round(y + radius * Math.sin(angle));
+        const value = image[sy * width + sx];
+        samples[i] = value;
+        if (value < min) min = value;
+        if (value > max) max = value;
+    }
+    if (max - min < MIN_CONTRAST) return false;
+
+    const mid = (min + max) / 2;
+    const bright = i => samples[i % RING_SAMPLES] > mid;
+
+    // 바뀌는 지점부터 세어야 구간 길이가 잘리지 않는다
+    let start = 0;
+    while (start < RING_SAMPLES && bright(start) === bright(start + RING_SAMPLES - 1)) start++;
+    if (start === RING_SAMPLES) return false;
+
+    let transitions = 0;
+    let run = 0;
+    let shortest = RING_SAMPLES;
+    for (let i = start; i < start + RING_SAMPLES; i++) {
+        run++;
+        if (bright(i) !== bright(i + 1)) {
+            transitions++;
+            shortest = Math.min(shortest, run);
+            run = 0;
+        }
+    }
+    // 한 칸짜리 구간은 잡음으로 본다
+    return transitions === 4 && shortest >= 2;
+}
+
+/**
+ * 서브픽셀 코너 보정
+ * 코너 q에서 주변 점 p로 가는 벡터는 p의 그래디언트와 직교한다: Σ g gᵀ (p - q) = 0
+ */
+function refineCorner(image, width, height, x0, y0, radius) {
+    let qx = x0;
+    let qy = y0;
+    const sigma2 = 2 * (radius / 2) * (radius / 2);
+
+    for (let iter = 0; iter < 10; iter++) {
+        const cx = Math.round(qx);
+        const cy = Math.round(qy);
+        if (cx - radius < 1 || cy - radius < 1 || cx + radius > width - 2 || cy + radius > height - 2) return null;
+
+        let a = 0;
+        let b = 0;
+        let c = 0;
+        let bx = 0;
+        let by = 0;
+        for (let dy = -radius; dy <= radius; dy++) {
+            for (let dx = -radius; dx <= radius; dx++) {
+                const px = cx + dx;
+                const py = cy + dy;
+                const i = py * width + px;
+                const gx = (image[i + 1] - image[i - 1]) / 2;
+                const gy = (image[i + width] - image[i - width]) / 2;
+                const w = Math.exp(-(dx * dx + dy * dy) / sigma2);
+
+                const gxx = gx * gx * w;
+                const gxy = gx * gy * w;
+                const gyy = gy * gy * w;
+                a += gxx;
+                b += gxy;
+                c += gyy;
+                bx += gxx * px + gxy * py;
+                by += gxy * px + gyy * py;
+            }
+        }
+
+        const det = a * c - b * b;
+        if (Math.abs(det) < 1e-9) break;
+        const nx = (c * bx - b * by) / det;
+        const ny = (a * by - b * bx) / det;
+        if (Math.abs(nx - x0) > radius || Math.abs(ny - y0) > radius) return null;
+
+        const moved = Math.hypot(nx - qx, ny - qy);
+        qx = nx;
+        qy = ny;
+        if (moved < 0.01) break;
+    }
+    return { x: qx, y: qy };
+}
+
+/**
+ * 코너 후보들을 cols × rows 격자로 정렬 (행 우선)
+ */
+function assembleGrid(points, cols, rows) {
+    if (points.length < cols * rows) return null;
+
+    // 후보 중심에 가까운 점부터 씨앗으로 시도
+    const mx = points.reduce((s, p) => s + p.x, 0) / points.length;
+    const my = points.reduce((s, p) => s + p.y, 0) / points.length;
+    const seeds = points
+        .map((p, i) => ({ i, d: Math.hypot(p.x - mx, p.y - my) }))
+        .sort((a, b) => a.d - b.d)
+        .slice(0, SEED_ATTEMPTS);
+
+    for (const seed of seeds) {
+        const cells = growGrid(points, seed.i, Math.max(cols, rows));
+        const ordered = cells && orderGrid(points, cells, cols, rows);
+        if (ordered) return ordered;
+    }
+    return null;
+}
+
+function nearest(points, index, count) {
+    const p = points[index];
+    return points
+        .map((q, i) => ({ i, d: Math.hypot(q.x - p.x, q.y - p.y) }))
+        .filter(item => item.i !== index)
+        .sort((a, b) => a.d - b.d)
+        .slice(0, count)
+        .map(item => item.i);
+}
+
+/**
+ * 씨앗과 가장 가까운 두 이웃(서로 다른 방향)으로 격자 축을 정하고 상하좌우로 키운다
+ * @returns {Map<string, number>|null} "i,j" → 점 번호
+ */
+function growGrid(points, seed, maxSpan) {
+    const near = nearest(points, seed, 6);
+    if (near.length < 2) return null;
+
+    const p0 = points[seed];
+    const a = near[0];
+    const ux = points[a].x - p0.x;
+    const uy = points[a].y - p0.y;
+    const b = near.slice(1).find((j) => {
+        const vx = points[j].x - p0.x;
+        const vy = points[j].y - p0.y;
+        const cos = Math.abs(ux * vx + uy * vy) / (Math.hypot(ux, uy) * Math.hypot(vx, vy));
+        return cos < 0.5;
+    });
+    if (b === undefined) return null;
+
+    const cells = new Map([['0,0', seed], ['1,0', a], ['0,1', b]]);
+    const used = new Set([seed, a, b]);
+    const queue = [[0, 0], [1, 0], [0, 1]];
+    let minI = 0;
+    let maxI = 1;
+    let minJ = 0;
+    let maxJ = 1;
+
+    while (queue.length > 0) {
+        const [i, j] = queue.shift();
+        for (const [di, dj] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+            const key = `${i + di},${j + dj}`;
+            if (cells.has(key)) continue;
+
+            const prediction = predictCell(points, cells, i, j, di, dj);
+            if (!prediction) continue;
+
+            let best = -1;
+            let bestDistance = prediction.step * GRID_TOLERANCE;
+            points.forEach((q, k) => {
+                if (used.has(k)) return;
+                const d = Math.hypot(q.x - prediction.x, q.y - prediction.y);
+                if (d < bestDistance) {
+                    best = k;
+                    bestDistance = d;
+                }
+            });
+            if (best < 0) continue;
+
+            cells.set(key, best);
+            used.add(best);
+            queue.push([i + di, j + dj]);
+            minI = Math.min(minI, i + di);
+            maxI = Math.max(maxI, i + di);
+            minJ = Math.min(minJ, j + dj);
+            maxJ = Math.max(maxJ, j + dj);
+
+            // 보드보다 커지면 배경의 잘못된 후보까지 이어진 것
+            if (maxI - minI + 1 > maxSpan || maxJ - minJ + 1 > maxSpan) return null;
+        }
+    }
+    return cells;
+}
+
+/**
+ * (i, j) 칸에서 (di, dj) 방향 이웃 위치 예측
+ * 반대편 이웃이 있으면 직선 연장, 없으면 옆 칸의 같은 방향 간격을 빌린다
+ */
+function predictCell(points, cells, i, j, di, dj) {
+    const p = points[cells.get(`${i},${j}`)];
+    const back = cells.get(`${i - di},${j - dj}`);
+    if (back !== undefined) {
+        const q = points[back];
+        return { x: 2 * p.x - q.x, y: 2 * p.y - q.y, step: Math.hypot(p.x - q.x, p.y - q.y) };
+    }
+
+    for (const [oi, oj] of [[dj, di], [-dj, -di]]) {
+        const from = cells.get(`${i + oi},${j + oj}`);
+        const to = cells.get(`${i + oi + di},${j + oj + dj}`);
+        if (from === undefined || to === undefined) continue;
+        const dx = points[to].x - points[from].x;
+        const dy = points[to].y - points[from].y;
+        return { x: p.x + dx, y: p.y + dy, step: Math.hypot(dx, dy) };
+    }
+    return null;
+}
+
+/**
+ * 격자가 정확히 cols × rows인지 확인하고 행 우선 순서로
+ */
+function orderGrid(points, cells, cols, rows) {
+    if (cells.size !== cols * rows) return null;
+
+    let minI = Infinity;
+    let maxI = -Infinity;
+    let minJ = Infinity;
+    let maxJ = -Infinity;
+    cells.forEach((_, key) => {
+        const [i, j] = key.split(',').map(Number);
+        minI = Math.min(minI, i);
+        maxI = Math.max(maxI, i);
+        minJ = Math.min(minJ, j);
+        maxJ = Math.max(maxJ, j);
+    });
+
+    const spanI = maxI - minI + 1;
+    const spanJ = maxJ - minJ + 1;
+    let transpose;
+    if (spanI === cols && spanJ === rows) transpose = false;
+    else if (spanI === rows && spanJ === cols) transpose = true;
+    else return null;
+
+    const ordered = new Array(cols * rows);
+    cells.forEach((index, key) => {
+        const [i, j] = key.split(',').map(Number);
+        const col = transpose ? j - minJ : i - minI;
+        const row = transpose ? i - minI : j - minJ;
+        ordered[row * cols + col] = { x: points[index].x, y: points[index].y };
+    });
+    return ordered;
+}
+
+// ==================== 보정 ====================
+
+/**
+ * 여러 캡처로 내부 파라미터 추정
+ *
+ * @param {Array<{corners: Array<{x: number, y: number}>}>} views detectCheckerboard 결과들
+ * @param {{width: number, height: number}} imageSize 검출한 이미지 크기
+ * @param {{cols: number, rows: number}} pattern
+ * @returns {Object} { fx, fy, cx, cy, k1, k2, width, height, rms, viewErrors, views }
+ */
+export function calibrateCamera(views, imageSize, pattern = DEFAULT_PATTERN) {
+    if (views.length < MIN_CALIBRATION_VIEWS) {
+        throw new Error(`캡처가 부족합니다 (최소 ${MIN_CALIBRATION_VIEWS}장)`);
+    }
+
+    const { width, height } = imageSize;
+    const model = [];
+    for (let row = 0; row < pattern.rows; row++) {
+        for (let col = 0; col < pattern.cols; col++) {
+            model.push({ x: col, y: row });
+        }
+    }
+
+    // 1. 캡처별 호모그래피 (보드 평면 → 이미지)
+    const homographies = views.map(view => computeHomography(model, view.corners));
+
+    // 2. 주점을 중앙으로 두고 초점 거리 초기값
+    const cx = width / 2;
+    const cy = height / 2;
+    const { fx, fy } = initialFocalLength(homographies, cx, cy, width);
+
+    // 3. 캡처별 보드 자세 초기값
+    const params = [fx, fy, cx, cy, 0, 0];
+    homographies.forEach((H) => {
+        params.push(...initialExtrinsics(H, fx, fy, cx, cy));
+    });
+
+    // 4. 재투영 오차 최소화
+    const refined = levenbergMarquardt(Float64Array.from(params), views, model);
+    const p = refined.params;
+
+    const viewErrors = views.map((view, v) => {
+        const r = viewResiduals(p, v, model, view.corners);
+        let sum = 0;
+        for (let k = 0; k < r.length; k++) sum += r[k] * r[k];
+        return Math.sqrt(sum / model.length);
+    });
+    const total = viewErrors.reduce((s, e) => s + e * e * model.length, 0);
+    const rms = Math.sqrt(total / (model.length * views.length));
+
+    const result = {
+        fx: p[0], fy: p[1], cx: p[2], cy: p[3], k1: p[4], k2: p[5],
+        width, height, rms, viewErrors, views: views.length
+    };
+
+    if (!(result.fx > 0 && result.fy > 0) || result.cx < 0 || result.cx > width ||
+        result.cy < 0 || result.cy > height || !Number.isFinite(rms)) {
+        throw new Error('보정 결과가 올바르지 않습니다. 보드를 여러 각도로 기울여 다시 캡처해 주세요');
+    }
+    return result;
+}
+
+/**
+ * 정규화 DLT 호모그래피 (3x3, 행 우선, H[8] = 1)
+ */
+function computeHomography(src, dst) {
+    const ts = normalizingTransform(src);
+    const td = normalizingTransform(dst);
+    const ata = new Float64Array(81);
+    const row = new Float64Array(9);
+
+    const accumulate = () => {
+        for (let a = 0; a < 9; a++) {
+            if (row[a] === 0) continue;
+            for (let b = 0; b < 9; b++) ata[a * 9 + b] += row[a] * row[b];
+        }
+    };
+
+    for (let k = 0; k < src.length; k++) {
+        const x = ts.s * (src[k].x - ts.mx);
+        const y = ts.s * (src[k].y - ts.my);
+        const u = td.s * (dst[k].x - td.mx);
+        const v = td.s * (dst[k].y - td.my);
+
+        row.set([-x, -y, -1, 0, 0, 0, u * x, u * y, u]);
+        accumulate();
+        row.set([0, 0, 0, -x, -y, -1, v * x, v * y, v]);
+        accumulate();
+    }
+
+    const hn = smallestEigenvector(ata, 9);
+
+    // H = Td⁻¹ · Hn · Ts
+    const Ts = [ts.s, 0, -ts.s * ts.mx, 0, ts.s, -ts.s * ts.my, 0, 0, 1];
+    const TdInv = [1 / td.s, 0, td.mx, 0, 1 / td.s, td.my, 0, 0, 1];
+    const H = multiply3(TdInv, multiply3(Array.from(hn), Ts));
+    const scale = H[8];
+    return H.map(value => value / scale);
+}
+
+/**
+ * 평균 0, 평균 거리 √2가 되도록 하는 변환
+ */
+function normalizingTransform(points) {
+    const mx = points.reduce((s, p) => s + p.x, 0) / points.length;
+    const my = points.reduce((s, p) => s + p.y, 0) / points.length;
+    const mean = points.reduce((s, p) => s + Math.hypot(p.x - mx, p.y - my), 0) / points.length;
+    return { mx, my, s: mean > 0 ? Math.SQRT2 / mean : 1 };
+}
+
+/**
+ * 주점을 알고 비틀림이 없다고 보고 1/fx², 1/fy² 최소제곱 (OpenCV initIntrinsicParams2D와 같은 방식)
+ * h1ᵀ B h2 = 0, h1ᵀ B h1 = h2ᵀ B h2  (B = diag(1/fx², 1/fy², 1))
+ */
+function initialFocalLength(homographies, cx, cy, width) {
+    let a11 = 0;
+    let a12 = 0;
+    let a22 = 0;
+    let b1 = 0;
+    let b2 = 0;
+
+    const addEquation = (p, q, r) => {
+        a11 += p * p;
+        a12 += p * q;
+        a22 += q * q;
+        b1 += p * r;
+        b2 += q * r;
+    };
+
+    homographies.forEach((H) => {
+        // 주점을 원점으로 옮긴 호모그래피
+        const h = [
+            H[0] - cx * H[6], H[1] - cx * H[7],
+            H[3] - cy * H[6], H[4] - cy * H[7],
+            H[6], H[7]
+        ];
+        const [h11, h12, h21, h22, h31, h32] = h;
+        addEquation(h11 * h12, h21 * h22, -h31 * h32);
+        addEquation(h11 * h11 - h12 * h12, h21 * h21 - h22 * h22, -(h31 * h31 - h32 * h32));
+    });
+
+    const det = a11 * a22 - a12 * a12;
+    const invFx2 = (a22 * b1 - a12 * b2) / det;
+    const invFy2 = (a11 * b2 - a12 * b1) / det;
+    let fx = Math.sqrt(Math.abs(1 / invFx2));
+    let fy = Math.sqrt(Math.abs(1 / invFy2));
+
+    // 캡처가 모두 정면이면 풀리지 않으므로 60도 시야각으로
+    if (!Number.isFinite(fx) || !Number.isFinite(fy) || fx <= 0 || fy <= 0) {
+        fx = fy = width / (2 * Math.tan(Math.PI / 6));
+    }
+    return { fx, fy };
+}
+
+/**
+ * 호모그래피와 내부 파라미터로 보드 자세 [rx, ry, rz, tx, ty, tz]
+ */
+function initialExtrinsics(H, fx, fy, cx, cy) {
+    const column = (c) => {
+        const x = H[c];
+        const y = H[3 + c];
+        const z = H[6 + c];
+        return [(x - cx * z) / fx, (y - cy * z) / fy, z];
+    };
+    const h1 = column(0);
+    const h2 = column(1);
+    const h3 = column(2);
+
+    let lambda = 2 / (norm3(h1) + norm3(h2));
+    if (h3[2] * lambda < 0) lambda = -lambda;   // 보드는 카메라 앞쪽
+
+    const r1 = normalize3(h1.map(v => v * lambda));
+    const r2raw = h2.map(v => v * lambda);
+    const d = dot3(r1, r2raw);
+    const r2 = normalize3(r2raw.map((v, i) => v - d * r1[i]));
+    const r3 = cross3(r1, r2);
+    const t = h3.map(v => v * lambda);
+
+    const R = [
+        r1[0], r2[0], r3[0],
+        r1[1], r2[1], r3[1],
+        r1[2], r2[2], r3[2]
+    ];
+    return [...rotationToVector(R), ...t];
+}
+
+/**
+ * 캡처 v의 재투영 잔차 [du0, dv0, du1, dv1, ...]
+ * 파라미터: [fx, fy, cx, cy, k1, k2, (rx, ry, rz, tx, ty, tz) × 캡처 수]
+ */
+function viewResiduals(p, v, model, corners, out = new Float64Array(model.length * 2)) {
+    const [fx, fy, cx, cy, k1, k2] = p;
+    const o = 6 + v * 6;
+    const R = vectorToRotation(p[o], p[o + 1], p[o + 2]);
+    const tx = p[o + 3];
+    const ty = p[o + 4];
+    const tz = p[o + 5];
+
+    for (let k = 0; k < model.length; k++) {
+        const X = model[k].x;
+        const Y = model[k].y;
+        const x = R[0] * X + R[1] * Y + tx;
+        const y = R[3] * X + R[4] * Y + ty;
+        const z = R[6] * X + R[7] * Y + tz;
+
+        const xn = x / z;
+        const yn = y / z;
+        const r2 = xn * xn + yn * yn;
+        const distortion = 1 + k1 * r2 + k2 * r2 * r2;
+
+        out[k * 2] = fx * xn * distortion + cx - corners[k].x;
+        out[k * 2 + 1] = fy * yn * distortion + cy - corners[k].y;
+    }
+    return out;
+}
+
+/**
+ * Levenberg-Marquardt (수치 야코비안, 캡처별 블록만 계산)
+ */
+function levenbergMarquardt(params, views, model, maxIterations = 50) {
+    const count = params.length;
+    const residualCount = model.length * 2;
+
+    const totalCost = (p) => {
+        let cost = 0;
+        views.forEach((view, v) => {
+            const r = viewResiduals(p, v, model, view.corners);
+            for (let k = 0; k < r.length; k++) cost += r[k] * r[k];
+        });
+        return cost;
+    };
+
+    let cost = totalCost(params);
+    let damping = 1e-3;
+    const r1 = new Float64Array(residualCount);
+
+    for (let iter = 0; iter < maxIterations; iter++) {
+        const JtJ = new Float64Array(count * count);
+        const Jtr = new Float64Array(count);
+
+        views.forEach((view, v) => {
+            const r0 = viewResiduals(params, v, model, view.corners);
+            const indices = [0, 1, 2, 3, 4, 5];
+            for (let i = 0; i < 6; i++) indices.push(6 + v * 6 + i);
+
+            const columns = indices.map((index) => {
+                const h = 1e-6 * Math.max(1, Math.abs(params[index]));
+                const saved = params[index];
+                params[index] = saved + h;
+                viewResiduals(params, v, model, view.corners, r1);
+                params[index] = saved;
+
+                const column = new Float64Array(residualCount);
+                for (let k = 0; k < residualCount; k++) column[k] = (r1[k] - r0[k]) / h;
+                return column;
+            });
+
+            for (let a = 0; a < indices.length; a++) {
+                const ca = columns[a];
+                let g = 0;
+                for (let k = 0; k < residualCount; k++) g += ca[k] * r0[k];
+                Jtr[indices[a]] += g;
+
+                for (let b = a; b < indices.length; b++) {
+                    const cb = columns[b];
+                    let s = 0;
+                    for (let k = 0; k < residualCount; k++) s += ca[k] * cb[k];
+                    JtJ[indices[a] * count + indices[b]] += s;
+                    if (a !== b) JtJ[indices[b] * count + indices[a]] += s;
+                }
+            }
+        });
+
+        // 감쇠를 키워 가며 비용이 줄어드는 스텝 찾기
+        let improved = false;
+        for (let attempt = 0; attempt < 10; attempt++) {
+            const A = Float64Array.from(JtJ);
+            for (let i = 0; i < count; i++) {
+                A[i * count + i] += damping * Math.max(JtJ[i * count + i], 1e-12);
+            }
+            const delta = solveLinear(A, Jtr.map(g => -g), count);
+            if (!delta) {
+                damping *= 10;
+                continue;
+            }
+
+            const candidate = params.map((value, i) => value + delta[i]);
+            const candidateCost = totalCost(candidate);
+            if (candidateCost < cost) {
+                const decrease = (cost - candidateCost) / cost;
+                params = candidate;
+                cost = candidateCost;
+                damping = Math.max(damping / 10, 1e-12);
+                improved = decrease > 1e-10;
+                break;
+            }
+            damping *= 10;
+        }
+        if (!improved) break;
+    }
+
+    return { params, cost };
+}
+
+// ==================== 선형대수 ====================
+
+/**
+ * 대칭 행렬의 가장 작은 고유값에 해당하는 고유벡터 (Jacobi 방법)
+ */
+function smallestEigenvector(matrix, n) {
+    const a = Float64Array.from(matrix);
+    const v = new Float64Array(n * n);
+    for (let i = 0; i < n; i++) v[i * n + i] = 1;
+
+    let norm = 0;
+    for (let i = 0; i < n * n; i++) norm += a[i] * a[i];
+
+    for (let sweep = 0; sweep < 100; sweep++) {
+        let off = 0;
+        for (let p = 0; p < n; p++) {
+            for (let q = p + 1; q < n; q++) off += a[p * n + q] * a[p * n + q];
+        }
+        if (off <= norm * 1e-30) break;
+
+        for (let p = 0; p < n - 1; p++) {
+            for (let q = p + 1; q < n; q++) {
+                const apq = a[p * n + q];
+                if (apq === 0) continue;
+
+                const theta = (a[q * n + q] - a[p * n + p]) / (2 * apq);
+                const t = (theta >= 0 ? 1 : -1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+                const c = 1 / Math.sqrt(t * t + 1);
+                const s = t * c;
+
+                for (let k = 0; k < n; k++) {
+                    const akp = a[k * n + p];
+                    const akq = a[k * n + q];
+                    a[k * n + p] = c * akp - s * akq;
+                    a[k * n + q] = s * akp + c * akq;
+                }
+                for (let k = 0; k < n; k++) {
+                    const apk = a[p * n + k];
+                    const aqk = a[q * n + k];
+                    a[p * n + k] = c * apk - s * aqk;
+                    a[q * n + k] = s * apk + c * aqk;
+                }
+                for (let k = 0; k < n; k++) {
+                    const vkp = v[k * n + p];
+                    const vkq = v[k * n + q];
+                    v[k * n + p] = c * vkp - s * vkq;
+                    v[k * n + q] = s * vkp + c * vkq;
+                }
+            }
+        }
+    }
+
+    let smallest = 0;
+    for (let i = 1; i < n; i++) {
+        if (a[i * n + i] < a[smallest * n + smallest]) smallest = i;
+    }
+    const out = new Float64Array(n);
+    for (let k = 0; k < n; k++) out[k] = v[k * n + smallest];
+    return out;
+}
+
+/**
+ * A x = b (부분 피벗 가우스 소거, 특이하면 null)
+ */
+function solveLinear(A, b, n) {
+    const m = Float64Array.from(A);
+    const x = Float64Array.from(b);
+
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < n; row++) {
+            if (Math.abs(m[row * n + col]) > Math.abs(m[pivot * n + col])) pivot = row;
+        }
+        if (Math.abs(m[pivot * n + col]) < 1e-300) return null;
+
+        if (pivot !== col) {
+            for (let k = 0; k < n; k++) {
+                const tmp = m[col * n + k];
+                m[col * n + k] = m[pivot * n + k];
+                m[pivot * n + k] = tmp;
+            }
+            const tmp = x[col];
+            x[col] = x[pivot];
+            x[pivot] = tmp;
+        }
+
+        for (let row = col + 1; row < n; row++) {
+            const factor = m[row * n + col] / m[col * n + col];
+            if (factor === 0) continue;
+            for (let k = col; k < n; k++) m[row * n + k] -= factor * m[col * n + k];
+            x[row] -= factor * x[col];
+        }
+    }
+
+    for (let row = n - 1; row >= 0; row--) {
+        let sum = x[row];
+        for (let k = row + 1; k < n; k++) sum -= m[row * n + k] * x[k];
+        x[row] = sum / m[row * n + row];
+    }
+    return x;
+}
+
+function multiply3(a, b) {
+    const out = new Array(9);
+    for (let r = 0; r < 3; r++) {
+        for (let c = 0; c < 3; c++) {
+            out[r * 3 + c] = a[r * 3] * b[c] + a[r * 3 + 1] * b[3 + c] + a[r * 3 + 2] * b[6 + c];
+        }
+    }
+    return out;
+}
+
+function dot3(a, b) {
+    return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+function norm3(a) {
+    return Math.sqrt(dot3(a, a));
+}
+
+function normalize3(a) {
+    const n = norm3(a) || 1;
+    return [a[0] / n, a[1] / n, a[2] / n];
+}
+
+function cross3(a, b) {
+    return [
+        a[1] * b[2] - a[2] * b[1],
+        a[2] * b[0] - a[0] * b[2],
+        a[0] * b[1] - a[1] * b[0]
+    ];
+}
+
+/**
+ * 회전 행렬 (3x3, 행 우선) → 회전 벡터 (Rodrigues)
+ */
+function rotationToVector(R) {
+    const cos = Math.min(1, Math.max(-1, (R[0] + R[4] + R[8] - 1) / 2));
+    const angle = Math.acos(cos);
+    if (angle < 1e-9) return [0, 0, 0];
+
+    if (Math.PI - angle < 1e-6) {
+        // 180도 근처: (R + I) / 2 = axis axisᵀ
+        const xx = Math.sqrt(Math.max(0, (R[0] + 1) / 2));
+        const yy = Math.sqrt(Math.max(0, (R[4] + 1) / 2));
+        const zz = Math.sqrt(Math.max(0, (R[8] + 1) / 2));
+        const axis = xx >= yy && xx >= zz
+            ? [xx, R[1] / (2 * xx), R[2] / (2 * xx)]
+            : yy >= zz
+                ? [R[1] / (2 * yy), yy, R[5] / (2 * yy)]
+                : [R[2] / (2 * zz), R[5] / (2 * zz), zz];
+        return normalize3(axis).map(v => v * angle);
+    }
+
+    const k = angle / (2 * Math.sin(angle));
+    return [(R[7] - R[5]) * k, (R[2] - R[6]) * k, (R[3] - R[1]) * k];
+}
+
+/**
+ * 회전 벡터 → 회전 행렬 (3x3, 행 우선)
+ */
+function vectorToRotation(rx, ry, rz) {
+    const angle = Math.sqrt(rx * rx + ry * ry + rz * rz);
+    if (angle < 1e-12) return [1, 0, 0, 0, 1, 0, 0, 0, 1];
+
+    const x = rx / angle;
+    const y = ry / angle;
+    const z = rz / angle;
+    const c = Math.cos(angle);
+    const s = Math.sin(angle);
+    const C = 1 - c;
+
+    return [
+        c + x * x * C, x * y * C - z * s, x * z * C + y * s,
+        y * x * C + z * s, c + y * y * C, y * z * C - x * s,
+        z * x * C - y * s, z * y * C + x * s, c + z * z * C
+    ];
+}
+
+export default calibrateCamera;
@@ -0,0 +1,454 @@
+/**
+ * CameraCalibrationWizard.js
+ *
+ * 카메라 내부 파라미터 보정 마법사 (운영자용)
+ *
+ * - 인쇄한 체커보드를 카메라에 비추면 검출된 코너를 화면에 표시
+ * - 보드가 잡히고 이전 캡처와 충분히 다른 자세면 자동으로 캡처
+ * - 캡처가 모이면 fx, fy, cx, cy, k1, k2와 재투영 오차(RMS)를 계산해 보여주고
+ *   "적용"을 누르면 onApply로 결과를 넘긴다 (저장/추적기 반영은 호출자가)
+ */
+
+import {
+    detectCheckerboard,
+    calibrateCamera,
+    DEFAULT_PATTERN,
+    MIN_CALIBRATION_VIEWS
+} from './CameraCalibration.js';
+import { FrameSource } from './FrameSource.js';
+
+// 검출용 처리 해상도 (가로 최대)
+const DETECT_WIDTH = 960;
+// 검출 주기 (ms)
+const DETECT_INTERVAL = 200;
+// 자동 캡처 사이 최소 간격 (ms)
+const CAPTURE_INTERVAL = 1000;
+// 권장 / 최대 캡처 수
+const RECOMMENDED_VIEWS = 10;
+const MAX_VIEWS = 25;
+// 이전 캡처와 다른 자세로 보는 기준
+const MIN_CENTER_SHIFT = 0.08;   // 중심 이동 (이미지 대각선 비율)
+const MIN_AREA_CHANGE = 0.25;    // 면적 변화 (log 비율)
+const MIN_TILT_CHANGE = 0.1;     // 마주 보는 변 길이 비율 변화
+
+/**
+ * 캡처 자세 요약: 격자 네 모서리로 중심, 면적, 기울기
+ * (격자 방향이 캡처마다 달라도 같은 값이 나오도록 순서에 무관한 값만 쓴다)
+ */
+function describeView(corners, pattern) {
+    const { cols, rows } = pattern;
+    const quad = [
+        corners[0],
+        corners[cols - 1],
+        corners[rows * cols - 1],
+        corners[(rows - 1) * cols]
+    ];
+
+    let area = 0;
+    for (let i = 0; i < 4; i++) {
+        const a = quad[i];
+        const b = quad[(i + 1) % 4];
+        area += a.x * b.y - b.x * a.y;
+    }
+
+    const side = (i) => Math.hypot(quad[(i + 1) % 4].x - quad[i].x, quad[(i + 1) % 4].y - quad[i].y);
+    const ratio = (a, b) => Math.max(a, b) / Math.max(1e-6, Math.min(a, b));
+
+    return {
+        x: quad.reduce((sum, p) => sum + p.x, 0) / 4,
+        y: quad.reduce((sum, p) => sum + p.y, 0) / 4,
+        area: Math.abs(area) / 2,
+        tilt: Math.max(ratio(side(0), side(2)), ratio(side(1), side(3)))
+    };
+}
+
+/**
+ * CameraCalibrationWizard 클래스
+ */
+export class CameraCalibrationWizard {
+    /**
+     * @param {Object} options
+     * @param {{cols: number, rows: number}} options.pattern 체커보드 내부 코너 수
+     */
+    constructor(options = {}) {
+        this.pattern = options.pattern || DEFAULT_PATTERN;
+
+        this.active = false;
+        this.video = null;
+        this.cameraLabel = '';
+        this.frameSource = null;
+        this.timer = null;
+
+        // 캡처
+        this.views = [];                // [{ corners, pose }]
+        this.imageSize = null;          // 검출 해상도 { width, height }
+        this.lastCorners = null;        // 마지막 검출 결과 (오버레이용)
+        this.lastCaptureTime = -Infinity;
+        this.result = null;
+        this.error = null;              // 마지막 계산 실패 메시지
+        this.computing = false;
+
+        // UI
+        this.panel = null;
+        this.overlay = null;
+        this.overlayCtx = null;
+        this.message = null;
+        this.buttons = {};
+
+        // 콜백
+        this.onApply = null;            // (intrinsics) => void
+        this.onClose = null;
+    }
+
+    /**
+     * 보정 시작
+     * @param {HTMLVideoElement} video 카메라 비디오
+     * @param {Object} options { cameraLabel: MediaStreamTrack.label }
+     */
+    start(video, options = {}) {
+        if (this.active) this.close();
+
+        this.active = true;
+        this.video = video;
+        this.cameraLabel = options.cameraLabel || '';
+        this.frameSource = new FrameSource(video, {
+            scale: Math.min(1, DETECT_WIDTH / (video.videoWidth || DETECT_WIDTH))
+        });
+        this.reset();
+
+        this.createPanel();
+        this.timer = setInterval(() => this.detect(), DETECT_INTERVAL);
+
+        console.log('[CamCalib] 보정 시작:', `${this.pattern.cols}x${this.pattern.rows}`, this.cameraLabel);
+    }
+
+    /**
+     * 캡처 초기화
+     */
+    reset() {
+        this.views = [];
+        this.imageSize = null;
+        this.lastCorners = null;
+        this.lastCaptureTime = -Infinity;
+        this.result = null;
+        this.error = null;
+        this.syncPanel();
+    }
+
+    /**
+     * 현재 프레임에서 체커보드 검출 + 자동 캡처
+     */
+    detect() {
+        if (!this.active || this.computing || this.result) return;
+
+        const frame = this.frameSource.capture();
+        if (!frame) return;
+
+        // 해상도가 바뀌면 (카메라 전환 등) 이전 캡처는 쓸 수 없다
+        if (this.imageSize && (this.imageSize.width !== frame.width || this.imageSize.height !== frame.height)) {
+            console.log('[CamCalib] 해상도 변경 - 캡처 초기화');
+            this.reset();
+        }
+        this.imageSize = { width: frame.width, height: frame.height };
+
+        this.lastCorners = detectCheckerboard(frame.gray, frame.width, frame.height, this.pattern);
+        if (this.lastCorners && this.shouldCapture(this.lastCorners, frame.timestamp)) {
+            this.views.push({
+                corners: this.lastCorners,
+                pose: describeView(this.lastCorners, this.pattern)
+            });
+            this.lastCaptureTime = frame.timestamp;
+            console.log('[CamCalib] 캡처:', this.views.length);
+        }
+
+        this.drawOverlay();
+        this.syncPanel();
+    }
+
+    /**
+     * 이전 캡처들과 충분히 다른 자세인지
+     */
+    shouldCapture(corners, timestamp) {
+        if (this.views.length >= MAX_VIEWS) return false;
+        if (timestamp - this.lastCaptureTime < CAPTURE_INTERVAL) return false;
+
+        const pose = describeView(corners, this.pattern);
+        const diagonal = Math.hypot(this.imageSize.width, this.imageSize.height);
+
+        return this.views.every(view => (
+            Math.hypot(pose.x - view.pose.x, pose.y - view.pose.y) > MIN_CENTER_SHIFT * diagonal ||
+            Math.abs(Math.log(pose.area / view.pose.area)) > MIN_AREA_CHANGE ||
+            Math.abs(pose.tilt - view.pose.tilt) > MIN_TILT_CHANGE
+        ));
+    }
+
+    /**
+     * 모인 캡처로 내부 파라미터 계산
+     */
+    compute() {
+        if (this.computing || this.views.length < MIN_CALIBRATION_VIEWS) return;
+
+        this.computing = true;
+        this.error = null;
+        this.syncPanel();
+
+        // 계산 중 표시가 먼저 그려지도록 다음 틱에
+        setTimeout(() => {
+            try {
+                const result = calibrateCamera(this.views, this.imageSize, this.pattern);
+                this.result = {
+                    fx: result.fx,
+                    fy: result.fy,
+                    cx: result.cx,
+                    cy: result.cy,
+                    k1: result.k1,
+                    k2: result.k2,
+                    width: result.width,
+                    height: result.height,
+                    rms: result.rms,
+                    views: result.views,
+                    cameraLabel: this.cameraLabel,
+                    calibratedAt: Date.now()
+                };
+                console.log('[CamCalib] 보정 결과:', this.result);
+            } catch (e) {
+                console.warn('[CamCalib] 보정 실패:', e.message);
+                this.error = e.message;
+            }
+            this.computing = false;
+            this.lastCorners = null;
+            this.drawOverlay();
+            this.syncPanel();
+        }, 50);
+    }
+
+    /**
+     * 결과 적용 후 종료
+     */
+    apply() {
+        if (!this.result) return;
+        const result = this.result;
+        if (this.onApply) this.onApply(result);
+        this.close();
+    }
+
+    /**
+     * 결과를 버리고 다시 캡처
+     */
+    retry() {
+        this.reset();
+        this.drawOverlay();
+    }
+
+    /**
+     * 보정 종료
+     */
+    close() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        if (this.frameSource) {
+            this.frameSource.destroy();
+            this.frameSource = null;
+        }
+        if (this.panel) {
+            this.panel.remove();
+            this.panel = null;
+        }
+        if (this.overlay) {
+            this.overlay.remove();
+            this.overlay = null;
+            this.overlayCtx = null;
+        }
+        this.message = null;
+        this.buttons = {};
+        this.views = [];
+        this.result = null;
+
+        this.active = false;
+        this.video = null;
+
+        console.log('[CamCalib] 보정 종료');
+        if (this.onClose) this.onClose();
+    }
+
+    /**
+     * 검출된 코너 표시 (비디오와 같은 object-fit: cover 배치)
+     */
+    drawOverlay() {
+        if (!this.overlay) return;
+
+        const viewWidth = window.innerWidth;
+        const viewHeight = window.innerHeight;
+        if (this.overlay.width !== viewWidth || this.overlay.height !== viewHeight) {
+            this.overlay.width = viewWidth;
+            this.overlay.height = viewHeight;
+        }
+
+        const ctx = this.overlayCtx;
+        ctx.clearRect(0, 0, viewWidth, viewHeight);
+
+        const corners = this.lastCorners;
+        if (!corners || !this.imageSize) return;
+
+        const { width, height } = this.imageSize;
+        const scale = Math.max(viewWidth / width, viewHeight / height);
+        const offsetX = (viewWidth - width * scale) / 2;
+        const offsetY = (viewHeight - height * scale) / 2;
+        const toScreen = p => [offsetX + p.x * scale, offsetY + p.y * scale];
+
+        // 행마다 색을 바꿔 격자 방향을 보여준다
+        const { cols, rows } = this.pattern;
+        ctx.lineWidth = 2;
+        for (let row = 0; row < rows; row++) {
+            ctx.strokeStyle = `hsl(${(row * 360) / rows}, 90%, 55%)`;
+            ctx.beginPath();
+            for (let col = 0; col < cols; col++) {
+                const [x, y] = toScreen(corners[row * cols + col]);
+                if (col === 0) ctx.moveTo(x, y);
+                else ctx.lineTo(x, y);
+            }
+            ctx.stroke();
+
+            ctx.fillStyle = ctx.strokeStyle;
+            for (let col = 0; col < cols; col++) {
+                const [x, y] = toScreen(corners[row * cols + col]);
+                ctx.beginPath();
+                ctx.arc(x, y, 3, 0, Math.PI * 2);
+                ctx.fill();
+            }
+        }
+    }
+
+    /**
+     * 안내 패널 + 코너 오버레이 생성
+     */
+    createPanel() {
+        const overlay = document.createElement('canvas');
+        overlay.id = 'camera-calibration-overlay';
+        overlay.style.cssText = `
+            position: fixed;
+            inset: 0;
+            width: 100%;
+            height: 100%;
+            pointer-events: none;
+            z-index: 9999;
+        `;
+        document.body.appendChild(overlay);
+        this.overlay = overlay;
+        this.overlayCtx = overlay.getContext('2d');
+
+        const panel = document.createElement('div');
+        panel.id = 'camera-calibration-panel';
+        panel.style.cssText = `
+            position: fixed;
+            left: 50%;
+            bottom: 110px;
+            transform: translateX(-50%);
+            width: min(320px, calc(100% - 40px));
+            background: rgba(0, 0, 0, 0.8);
+            color: #fff;
+            padding: 12px 16px;
+            border-radius: 10px;
+            font-size: 13px;
+            z-index: 10000;
+        `;
+
+        this.message = document.createElement('div');
+        this.message.style.cssText = 'line-height: 1.5; white-space: pre-line; font-variant-numeric: tabular-nums;';
+        panel.appendChild(this.message);
+
+        // 버튼 (상황에 따라 일부만 표시)
+        const buttons = document.createElement('div');
+        buttons.style.cssText = 'display: flex; gap: 8px; margin-top: 10px;';
+        [
+            ['compute', '계산', () => this.compute()],
+            ['apply', '적용', () => this.apply()],
+            ['retry', '다시', () => this.retry()],
+            ['close', '닫기', () => this.close()]
+        ].forEach(([key, text, handler]) => {
+            const btn = document.createElement('button');
+            btn.textContent = text;
+            btn.style.cssText = `
+                flex: 1;
+                padding: 8px 0;
+                border: none;
+                border-radius: 6px;
+                background: #4da6ff;
+                color: #000;
+                font-weight: bold;
+            `;
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                handler();
+            });
+            buttons.appendChild(btn);
+            this.buttons[key] = btn;
+        });
+        panel.appendChild(buttons);
+
+        // 패널 조작이 터치 영역 제스처로 전달되지 않도록
+        ['touchstart', 'mousedown', 'wheel'].forEach((type) => {
+            panel.addEventListener(type, (e) => e.stopPropagation());
+        });
+
+        document.body.appendChild(panel);
+        this.panel = panel;
+    }
+
+    /**
+     * 안내 문구 변경
+     */
+    setMessage(text) {
+        if (this.message) this.message.textContent = text;
+    }
+
+    /**
+     * 패널 표시를 현재 상태와 동기화
+     */
+    syncPanel() {
+        if (!this.panel) return;
+
+        const show = (key, visible) => {
+            this.buttons[key].style.display = visible ? '' : 'none';
+        };
+        const count = this.views.length;
+
+        if (this.result) {
+            const r = this.result;
+            this.setMessage([
+                `보정 완료 (${r.width}x${r.height}, 캡처 ${r.views}장)`,
+                `fx ${r.fx.toFixed(1)}  fy ${r.fy.toFixed(1)}`,
+                `cx ${r.cx.toFixed(1)}  cy ${r.cy.toFixed(1)}`,
+                `k1 ${r.k1.toFixed(4)}  k2 ${r.k2.toFixed(4)}`,
+                `재투영 오차 ${r.rms.toFixed(3)} px${r.rms > 1 ? ' (높음 - 다시 권장)' : ''}`
+            ].join('\n'));
+            show('compute', false);
+            show('apply', true);
+            show('retry', true);
+            return;
+        }
+
+        show('compute', true);
+        show('apply', false);
+        show('retry', count > 0);
+        this.buttons.compute.disabled = this.computing || count < MIN_CALIBRATION_VIEWS;
+        this.buttons.compute.style.opacity = this.buttons.compute.disabled ? '0.5' : '1';
+
+        if (this.computing) {
+            this.setMessage(`계산 중... (캡처 ${count}장)`);
+            return;
+        }
+
+        const { cols, rows } = this.pattern;
+        const status = this.lastCorners ? '보드 검출됨' : '보드를 찾는 중';
+        this.setMessage([
+            `체커보드(내부 코너 ${cols}x${rows})를 여러 위치와 각도로 비춰 주세요`,
+            `${status} · 캡처 ${count}장 (권장 ${RECOMMENDED_VIEWS}장 이상)`,
+            this.error ? `보정 실패: ${this.error}` : ''
+        ].join('\n').trim());
+    }
+}
+
+export default CameraCalibrationWizard;
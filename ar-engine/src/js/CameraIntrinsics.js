@@ -0,0 +1,173 @@
+/**
+ * CameraIntrinsics.js
+ *
+ * 카메라 내부 파라미터(intrinsics) 공통 처리
+ *
+ * 보정 결과는 보정한 해상도(width, height)와 함께 보관하고,
+ * 추적기 처리 해상도나 화면 크기에 맞춰 그때그때 스케일한다.
+ * 현장에서 보정한 값은 기기/카메라 키(CameraProfiles.getCameraKey)별로 저장해
+ * 내장 프로필보다 우선 적용한다.
+ *
+ * 형식:
+ * ```js
+ * {
+ *     fx: 1020.5, fy: 1018.2,   // 초점 거리 (px, width × height 기준)
+ *     cx: 478.1, cy: 271.9,     // 주점 (px)
+ *     k1: 0.08, k2: -0.21,      // 방사 왜곡 계수
+ *     width: 960, height: 540,  // 보정 해상도
+ *     rms: 0.42,                // 재투영 오차 (px)
+ *     views: 12,                // 사용한 캡처 수
+ *     cameraLabel: '...',       // MediaStreamTrack.label
+ *     calibratedAt: 1700000000000
+ * }
+ * ```
+ */
+
+const STORAGE_KEY = 'gangjin-ar.intrinsics';
+
+// 카메라 키 없이 보정값 한 개만 저장하던 예전 형식 (다음 loadCalibration에서 카메라 키로 옮긴다)
+const LEGACY_ENTRY = '_legacy';
+
+// 가로세로 비율이 이 이상 다르면 다른 카메라 모드로 본다
+const ASPECT_TOLERANCE = 0.01;
+
+/**
+ * 시야각으로 추정한 내부 파라미터 (보정값이 없을 때)
+ * @param {number} width
+ * @param {number} height
+ * @param {number} fovDegrees 가로 시야각
+ */
+export function intrinsicsFromFov(width, height, fovDegrees = 60) {
+    const fx = width / (2 * Math.tan((fovDegrees * Math.PI) / 360));
+    return { fx, fy: fx, cx: width / 2, cy: height / 2, k1: 0, k2: 0, width, height };
+}
+
+/**
+ * 내부 파라미터를 다른 해상도로 스케일
+ * 가로세로 비율이 다르면 (잘림/회전) 그대로 쓸 수 없으므로 null
+ *
+ * @param {Object} intrinsics 보정 결과
+ * @param {number} width 대상 해상도
+ * @param {number} height
+ * @returns {Object|null} 같은 형식 (width, height는 대상 해상도)
+ */
+export function scaleIntrinsics(intrinsics, width, height) {
+    if (!intrinsics || !intrinsics.width || !intrinsics.height) return null;
+
+    const sourceAspect = intrinsics.width / intrinsics.height;
+    const targetAspect = width / height;
+    if (Math.abs(sourceAspect - targetAspect) / targetAspect > ASPECT_TOLERANCE) {
+        return null;
+    }
+
+    const sx = width / intrinsics.width;
+    const sy = height / intrinsics.height;
+    return {
+        ...intrinsics,
+        fx: intrinsics.fx * sx,
+        fy: intrinsics.fy * sy,
+        cx: intrinsics.cx * sx,
+        cy: intrinsics.cy * sy,
+        width,
+        height
+    };
+}
+
+/**
+ * 영상 방향(가로/세로)이 다르면 90도 회전한 내부 파라미터로
+ * 폰을 세로로 들면 브라우저는 센서 영상을 시계 방향으로 90도 돌려서 준다
+ * (후면 카메라 기준. 주점 방향만 조금 틀릴 수 있다)
+ */
+export function orientIntrinsics(intrinsics, width, height) {
+    const portrait = height > width;
+    const sourcePortrait = intrinsics.height > intrinsics.width;
+    if (portrait === sourcePortrait) return intrinsics;
+
+    return {
+        ...intrinsics,
+        fx: intrinsics.fy,
+        fy: intrinsics.fx,
+        cx: intrinsics.height - intrinsics.cy,
+        cy: intrinsics.cx,
+        width: intrinsics.height,
+        height: intrinsics.width
+    };
+}
+
+/**
+ * 방향을 맞춘 뒤 대상 해상도로 스케일 (비율이 다르면 null)
+ */
+export function fitIntrinsics(intrinsics, width, height) {
+    if (!intrinsics || !intrinsics.width || !intrinsics.height) return null;
+    return scaleIntrinsics(orientIntrinsics(intrinsics, width, height), width, height);
+}
+
+/**
+ * 저장된 보정 결과 전체 (카메라 키 → 보정 결과)
+ */
+function readStorage() {
+    try {
+        const raw = localStorage.getItem(STORAGE_KEY);
+        const saved = raw ? JSON.parse(raw) : {};
+        if (!saved || typeof saved !== 'object') return {};
+        // 키 없이 한 개만 저장하던 형식: 카메라 키를 알 때 옮기도록 따로 둔다
+        return 'fx' in saved ? { [LEGACY_ENTRY]: saved } : saved;
+    } catch (e) {
+        console.warn('[Intrinsics] 저장된 보정값 읽기 실패:', e.message);
+        return {};
+    }
+}
+
+function writeStorage(saved) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(saved));
+    } catch (e) {
+        console.warn('[Intrinsics] 보정값 저장 실패:', e.message);
+    }
+}
+
+/**
+ * 저장된 보정 결과 (없으면 null)
+ * 예전 형식의 보정값이 같은 카메라(cameraLabel)에서 한 것이면 이 키로 옮겨 저장한다
+ *
+ * @param {string} key 카메라 키
+ * @param {string} label 카메라 라벨 (MediaStreamTrack.label, 예전 형식 옮기기용)
+ */
+export function loadCalibration(key, label) {
+    const saved = readStorage();
+    if (saved[key]) return saved[key];
+
+    const legacy = saved[LEGACY_ENTRY];
+    if (!legacy || label === undefined) return null;
+    if (legacy.cameraLabel && legacy.cameraLabel.trim() !== label.trim()) return null;
+
+    delete saved[LEGACY_ENTRY];
+    saved[key] = legacy;
+    writeStorage(saved);
+    console.log('[Intrinsics] 예전 형식 보정값을 카메라 키로 옮김:', key);
+    return legacy;
+}
+
+/**
+ * 보정 결과 저장 (null이면 삭제)
+ * @param {string} key 카메라 키
+ * @param {Object|null} intrinsics
+ */
+export function saveCalibration(key, intrinsics) {
+    const saved = readStorage();
+    if (intrinsics) {
+        saved[key] = intrinsics;
+    } else {
+        delete saved[key];
+    }
+    writeStorage(saved);
+}
+
+export default {
+    intrinsicsFromFov,
+    scaleIntrinsics,
+    orientIntrinsics,
+    fitIntrinsics,
+    loadCalibration,
+    saveCalibration
+};
@@ -8,9 +8,21 @@
  * - Wasm(OpenCV)의 카메라 좌표계: Y-down, Z-forward (컴퓨터 비전)
  * - Three.js/WebGL 좌표계: Y-up, Z-backward (OpenGL)
  * - 이 차이를 보정하여 폰 움직임과 가상 카메라가 1:1 일치하도록 함
+ *
+ * 월드 좌표계 (useRelativePose):
+ * - 첫 추적 프레임의 카메라를 기준으로 하되, 축은 중력에 맞춘다
+ *   Y = devicemotion accelerationIncludingGravity로 잰 중력의 반대 (위),
+ *   -Z = 첫 카메라가 바라보던 수평 방향 (처음 방위)
+ * - 첫 카메라는 (0, cameraHeight, 0)에 놓여 y = 0이 바닥이 된다
+ *   (높이는 setCameraHeight로 지정하거나 손에 든 높이 추정값)
+ * - 추적 전(센서 모드, VO 초기화 전)에도 카메라를 같은 위치에 두어 첫 추적 포즈에서 튀지 않게 한다
  */
 
 import * as THREE from 'three';
+import { deviceOrientationToQuaternion } from './SensorFusion.js';
+import { createPoseFilter } from './PoseFilters.js';
+import { PosePredictor } from './PosePredictor.js';
+import { CameraTrajectory } from './CameraTrajectory.js';
 
 /**
  * 좌표계 변환 상수
@@ -23,6 +35,33 @@ const CV_TO_GL = new THREE.Matrix4().set(
     0,  0,  0, 1
 );
 
+const SCREEN_Z_AXIS = new THREE.Vector3(0, 0, 1);
+
+// 카메라 높이 추정값 (m): 서서 화면을 보며 폰을 든 높이
+export const DEFAULT_CAMERA_HEIGHT = 1.4;
+
+// 중력 추정 저주파 필터 (accelerationIncludingGravity)
+const GRAVITY_FILTER = 0.9;
+
+// 추적을 다시 찾았을 때 이보다 크게 튀면 추적기의 월드가 바뀐 것으로 본다 (재위치 인식)
+const RELOCALIZATION_DISTANCE = 0.3;   // 월드 단위 (미터 스케일 적용 후 m)
+const RELOCALIZATION_ANGLE = 20;       // 도
+
+/**
+ * 추적 끊김 전후 같은 카메라 포즈의 차이가 재위치 인식으로 월드가 바뀐 만큼인지
+ * @param {THREE.Matrix4} transform 끊기기 전 월드 → 다시 추적된 월드
+ */
+function isRelocalization(transform) {
+    const distance = new THREE.Vector3().setFromMatrixPosition(transform).length();
+    const angle = THREE.MathUtils.radToDeg(
+        new THREE.Quaternion().setFromRotationMatrix(transform).angleTo(new THREE.Quaternion())
+    );
+    if (distance <= RELOCALIZATION_DISTANCE && angle <= RELOCALIZATION_ANGLE) return false;
+
+    console.log('[CameraPose] 재위치 인식: 월드 재정렬', distance.toFixed(3), angle.toFixed(1) + '°');
+    return true;
+}
+
 /**
  * CameraPoseManager 클래스
  */
@@ -47,20 +86,51 @@ export class CameraPoseManager {
         // 보정 행렬 (캘리브레이션용)
         this.calibrationMatrix = new THREE.Matrix4();
 
+        // 미터 스케일 (VO 1단위당 m, ScaleEstimator가 추정)
+        this.metricScale = 1;
+        this.visualPose = new THREE.Matrix4();   // 스케일 적용 전 상대 포즈 (스케일 추정용)
+
         // 초기 포즈 저장 (상대 좌표 계산용)
         this.initialPose = null;
         this.useRelativePose = true;  // 상대 좌표 사용 여부
 
-        // 스무딩
-        this.smoothingEnabled = true;
-        this.smoothingFactor = 0.3;  // 0 = 스무딩 없음, 1 = 완전 고정
+        // 중력 정렬 월드 (첫 카메라 좌표계 → 월드, 첫 포즈에서 정함)
+        this.gravity = null;              // 카메라 좌표계 위쪽 방향 (저주파 accelerationIncludingGravity)
+        this.gravityAligned = true;       // false면 첫 카메라 축 그대로
+        this.worldFrame = new THREE.Matrix4();
+        this.cameraHeight = DEFAULT_CAMERA_HEIGHT;
+        this.cameraHeightSource = 'estimate';   // 'estimate' | 'user'
+
+        // 카메라 내부 파라미터 (syncCameraIntrinsics, 없으면 camera.fov 그대로)
+        this.intrinsics = null;
+        this.defaultFov = camera.fov;
+
+        // 포즈 필터 (떨림 제거, PoseFilters.js)
+        this.poseFilter = createPoseFilter('oneEuro');
         this.lastPose = new THREE.Matrix4();
         this.hasLastPose = false;
 
+        // 표시 시각 예측 (updateDisplayPose, PosePredictor.js)
+        this.posePredictor = new PosePredictor();
+        this.predicting = false;     // camera.matrix가 예측 포즈인지
+
+        // 추적된 포즈 기록 (필터 전, CameraTrajectory.js)
+        this.trajectory = new CameraTrajectory();
+
+        // 월드 좌표계 변경 감지 (앵커 다시 표현용)
+        // 리셋/추적 끊김 직전 카메라 포즈와 다시 추적된 첫 포즈를 비교한다
+        this.poseBeforeReset = null;
+        this.poseBeforeLost = null;
+
+        // 콜백: (transform: 이전 월드 → 새 월드, reason: 'reset' | 'relocalization' | 'scale') => void
+        this.onWorldFrameChange = null;
+
         // 상태
         this.isTracking = false;
         this.frameCount = 0;
 
+        this.placeAtOrigin();
+
         console.log('[CameraPose] 초기화 완료');
     }
 
@@ -69,8 +139,27 @@ export class CameraPoseManager {
      *
      * @param {Float32Array|number[]} viewMatrixData 16개 요소의 column-major 행렬
      * @param {boolean} isColumnMajor true면 column-major (WebGL 기본), false면 row-major
+     * @param {number} time 영상 프레임 캡처 시각 (ms, 표시 시각 예측 기준)
      */
-    applyViewMatrix(viewMatrixData, isColumnMajor = true) {
+    applyViewMatrix(viewMatrixData, isColumnMajor = true, time = performance.now()) {
+        if (!this.viewMatrixToPose(viewMatrixData, isColumnMajor)) {
+            return false;
+        }
+
+        this.commitPose(true, time);
+        return true;
+    }
+
+    /**
+     * View Matrix → 카메라 포즈 (좌표계 변환 + 상대 좌표 + 캘리브레이션)
+     * 카메라에는 적용하지 않는다 (하이브리드 모드에서 센서와 퓨전할 때 사용)
+     *
+     * @param {Float32Array|number[]} viewMatrixData 16개 요소
+     * @param {boolean} isColumnMajor
+     * @param {THREE.Matrix4} target 결과 행렬 (기본: this.poseMatrix)
+     * @returns {boolean} 성공 여부
+     */
+    viewMatrixToPose(viewMatrixData, isColumnMajor = true, target = this.poseMatrix) {
         if (!viewMatrixData || viewMatrixData.length !== 16) {
             console.warn('[CameraPose] 유효하지 않은 행렬 데이터');
             return false;
@@ -87,42 +176,280 @@ export class CameraPoseManager {
 
         // View Matrix → Pose Matrix (카메라 월드 위치/방향)
         // Pose = View^(-1)
-        this.poseMatrix.copy(this.viewMatrix).invert();
+        target.copy(this.viewMatrix).invert();
 
         // OpenCV → OpenGL 좌표계 변환
-        this.poseMatrix.premultiply(this.cvToGl);
+        target.premultiply(this.cvToGl);
 
         // 초기 포즈 저장 (첫 프레임)
         if (!this.initialPose && this.useRelativePose) {
-            this.initialPose = this.poseMatrix.clone();
+            this.initialPose = target.clone();
+            this.updateWorldFrame();
             console.log('[CameraPose] 초기 포즈 저장됨');
         }
 
         // 상대 좌표 계산 (초기 위치를 원점으로)
         if (this.initialPose && this.useRelativePose) {
             const initialInverse = this.initialPose.clone().invert();
-            this.poseMatrix.premultiply(initialInverse);
+            target.premultiply(initialInverse);
+        }
+
+        // VO 단위 → 미터
+        this.visualPose.copy(target);
+        if (this.metricScale !== 1) {
+            target.elements[12] *= this.metricScale;
+            target.elements[13] *= this.metricScale;
+            target.elements[14] *= this.metricScale;
+        }
+
+        // 첫 카메라 기준 → 중력 정렬 월드 (바닥 y = 0)
+        if (this.initialPose && this.useRelativePose) {
+            target.premultiply(this.worldFrame);
         }
 
         // 캘리브레이션 행렬 적용
-        this.poseMatrix.multiply(this.calibrationMatrix);
+        target.multiply(this.calibrationMatrix);
+
+        return true;
+    }
+
+    /**
+     * devicemotion 이벤트로 중력 방향 갱신 (카메라 좌표계)
+     */
+    updateGravity(event) {
+        const accel = event.accelerationIncludingGravity;
+        if (!accel || accel.x === null) return;
+
+        // 기기 좌표계 → 카메라 좌표계 (화면 방향만큼 Z축 회전)
+        // 정지 상태에서 accelerationIncludingGravity는 위쪽을 가리킨다
+        const up = new THREE.Vector3(accel.x || 0, accel.y || 0, accel.z || 0);
+        const screenOrientation = window.orientation || 0;
+        if (screenOrientation) {
+            up.applyAxisAngle(SCREEN_Z_AXIS, THREE.MathUtils.degToRad(screenOrientation));
+        }
+
+        if (!this.gravity) {
+            this.gravity = up;
+        } else {
+            this.gravity.lerp(up, 1 - GRAVITY_FILTER);
+        }
+    }
+
+    /**
+     * 첫 카메라 좌표계 → 중력 정렬 월드 변환 계산 (첫 포즈 저장 시)
+     * 중력을 아직 모르면 첫 카메라가 수평이었다고 보고 높이만 올린다
+     */
+    updateWorldFrame() {
+        const rotation = new THREE.Matrix4();
+        const up = this.gravity ? this.gravity.clone() : null;
+
+        if (this.gravityAligned && up && up.lengthSq() > 1e-6) {
+            up.normalize();
+
+            // 처음 방위: 카메라 앞(-Z)의 수평 성분, 거의 수직으로 내려다보면 기기 위쪽(+Y)
+            let forward = new THREE.Vector3(0, 0, -1).projectOnPlane(up);
+            if (forward.lengthSq() < 1e-4) {
+                forward = new THREE.Vector3(0, 1, 0).projectOnPlane(up);
+            }
+            forward.normalize();
+            const right = forward.clone().cross(up);
+
+            // 월드 축을 카메라 좌표로 쓴 행렬(월드 → 카메라)의 역 = 전치
+            rotation.makeBasis(right, up, forward.negate()).transpose();
+        }
 
-        // 스무딩 적용
-        if (this.smoothingEnabled && this.hasLastPose) {
-            this.applySmoothingToMatrix(this.poseMatrix, this.lastPose, this.smoothingFactor);
+        this.worldFrame.copy(rotation);
+        this.worldFrame.elements[13] = this.cameraHeight;
+    }
+
+    /**
+     * 첫 카메라의 바닥 위 높이 설정 (m, 월드 y = 0이 바닥이 되도록)
+     * 추적 중이면 바로 반영된다 (월드 전체가 위아래로 이동)
+     *
+     * @param {number} height 높이 (m)
+     * @param {'user'|'estimate'} source 직접 지정 / 추정값
+     */
+    setCameraHeight(height, source = 'user') {
+        if (!Number.isFinite(height) || height < 0) {
+            console.warn('[CameraPose] 잘못된 카메라 높이:', height);
+            return;
+        }
+        // 직접 지정한 높이는 추정값으로 덮어쓰지 않는다
+        if (source === 'estimate' && this.cameraHeightSource === 'user') return;
+
+        this.cameraHeight = height;
+        this.cameraHeightSource = source;
+        this.worldFrame.elements[13] = height;
+        if (!this.hasLastPose) {
+            this.camera.position.y = height;
+            this.camera.updateMatrix();
+            this.camera.matrixWorldNeedsUpdate = true;
         }
+        console.log('[CameraPose] 카메라 높이:', height, `(${source})`);
+    }
 
-        // Three.js 카메라에 적용
+    /**
+     * 중력 정렬 사용 설정 (다음 리셋부터 반영)
+     */
+    setGravityAligned(enabled) {
+        this.gravityAligned = enabled;
+    }
+
+    /**
+     * 미터 스케일 설정 (다음 VO 포즈부터 이동량에 곱함)
+     * @param {number} scale VO 1단위당 m
+     */
+    setMetricScale(scale) {
+        this.metricScale = scale;
+    }
+
+    /**
+     * 추적 중 미터 스케일 갱신: 지금까지의 월드도 새 스케일로 옮긴다
+     * VO 이동량만 바뀌므로 첫 카메라 위치를 중심으로 월드 전체가 같은 비율로 커지거나 줄어든 셈
+     *
+     * @param {number} scale VO 1단위당 m
+     * @param {THREE.Vector3} center 확대/축소 중심 (기본: 첫 카메라 위치, 하이브리드는 퓨전 월드 기준으로 넘김)
+     */
+    rescaleWorld(scale, center = new THREE.Vector3().setFromMatrixPosition(this.worldFrame)) {
+        const ratio = scale / this.metricScale;
+        this.metricScale = scale;
+        if (!this.hasLastPose || ratio === 1) return;
+
+        const transform = new THREE.Matrix4().makeTranslation(center.x, center.y, center.z)
+            .multiply(new THREE.Matrix4().makeScale(ratio, ratio, ratio))
+            .multiply(new THREE.Matrix4().makeTranslation(-center.x, -center.y, -center.z));
+
+        // 방금 적용한 포즈는 이전 스케일이므로 같이 옮긴다 (회전은 그대로)
+        const position = new THREE.Vector3().setFromMatrixPosition(this.lastPose).applyMatrix4(transform);
+        this.lastPose.setPosition(position);
+        this.poseMatrix.copy(this.lastPose);
+        this.camera.matrix.copy(this.lastPose);
+        this.camera.matrixWorldNeedsUpdate = true;
+
+        this.applyWorldChange(transform, 'scale');
+    }
+
+    /**
+     * 퓨전된 포즈 적용 (하이브리드 모드, 매 렌더 프레임)
+     *
+     * @param {THREE.Vector3} position 카메라 위치
+     * @param {THREE.Quaternion} quaternion 카메라 방향
+     * @param {boolean} tracking 영상 추적이 유효한지 (false면 센서만으로 예측 중)
+     * @param {number} time 포즈가 나타내는 시각 (ms, 최신 센서 방향 시각)
+     */
+    applyFusedPose(position, quaternion, tracking = true, time = performance.now()) {
+        this.poseMatrix.compose(position, quaternion, new THREE.Vector3(1, 1, 1));
+        // 재위치 인식은 퓨전된 포즈가 아니라 VO 포즈로 판단한다 (checkRelocalization)
+        this.commitPose(tracking, time, false);
+    }
+
+    /**
+     * this.poseMatrix를 필터링 후 카메라에 적용
+     * @param {boolean} tracking
+     * @param {number} time 포즈가 나타내는 시각 (ms)
+     * @param {boolean} relocalization 추적 끊김 뒤 재위치 인식 판단을 여기서 할지
+     */
+    commitPose(tracking = true, time = performance.now(), relocalization = true) {
+        if (tracking) this.checkWorldFrameChange(relocalization);
+
+        // 필터 적용 (위치와 회전을 따로)
+        const position = new THREE.Vector3();
+        const quaternion = new THREE.Quaternion();
+        const scale = new THREE.Vector3();
+        this.poseMatrix.decompose(position, quaternion, scale);
+        if (tracking) this.trajectory.add(time, position, quaternion);
+        this.poseFilter.filter(position, quaternion, time);
+        this.poseMatrix.compose(position, quaternion, scale);
+        this.posePredictor.addPose(position, quaternion, time);
+
+        // Three.js 카메라에 적용 (렌더 직전 updateDisplayPose가 표시 시각으로 옮긴다)
         this.camera.matrix.copy(this.poseMatrix);
         this.camera.matrixWorldNeedsUpdate = true;
+        this.predicting = false;
 
         // 상태 업데이트
         this.lastPose.copy(this.poseMatrix);
         this.hasLastPose = true;
-        this.isTracking = true;
+        this.isTracking = tracking;
         this.frameCount++;
+    }
 
-        return true;
+    /**
+     * 리셋/추적 끊김 뒤 첫 추적 포즈: 같은 카메라의 이전 월드 포즈와 비교해
+     * 월드가 바뀌었으면 onWorldFrameChange로 알린다 (카메라가 그 사이 움직이지 않았다고 본다)
+     */
+    checkWorldFrameChange(relocalization = true) {
+        if (this.poseBeforeReset) {
+            const transform = this.poseMatrix.clone().multiply(this.poseBeforeReset.clone().invert());
+            this.poseBeforeReset = null;
+            this.poseBeforeLost = null;
+            this.applyWorldChange(transform, 'reset');
+            return;
+        }
+
+        if (relocalization && this.poseBeforeLost) {
+            const transform = this.poseMatrix.clone().multiply(this.poseBeforeLost.clone().invert());
+            this.poseBeforeLost = null;
+            if (isRelocalization(transform)) {
+                this.applyWorldChange(transform, 'relocalization');
+            }
+        }
+    }
+
+    /**
+     * 하이브리드: 추적 끊김 뒤 첫 VO 포즈(퓨전 월드 기준)로 재위치 인식 판단
+     * 끊긴 동안에도 센서가 카메라 회전을 따라가므로 끊긴 시점이 아니라 마지막 카메라 포즈와 비교한다
+     * 월드가 바뀌었으면 호출한 쪽이 퓨전 정렬을 다시 잡고 applyWorldChange로 알린다
+     *
+     * @param {THREE.Matrix4} pose 지금 퓨전 정렬로 옮긴 VO 카메라 포즈
+     * @returns {boolean} 월드가 바뀌었는지
+     */
+    checkRelocalization(pose) {
+        if (!this.poseBeforeLost) return false;
+        this.poseBeforeLost = null;
+        return isRelocalization(pose.clone().multiply(this.lastPose.clone().invert()));
+    }
+
+    /**
+     * 월드 좌표계 변경: 기록된 궤적을 새 월드로 옮기고 onWorldFrameChange로 알림
+     * @param {THREE.Matrix4} transform 이전 월드 → 새 월드 (강체 변환, 'scale'이면 균일 스케일 포함)
+     * @param {'reset'|'relocalization'|'scale'} reason
+     */
+    applyWorldChange(transform, reason) {
+        this.poseFilter.reset();     // 새 월드 포즈로 바로 (이전 월드에서 미끄러져 오지 않게)
+        this.posePredictor.reset();  // 이전 월드 포즈로 속도를 외삽하지 않게
+        this.trajectory.applyTransform(transform);
+        if (this.onWorldFrameChange) this.onWorldFrameChange(transform, reason);
+    }
+
+    /**
+     * 렌더 직전: 마지막 포즈를 예상 표시 시각까지 외삽해 카메라에 적용
+     * 예측할 포즈가 없으면 (추적 끊김, 센서 모드) 카메라를 그대로 둔다
+     *
+     * @param {number} displayTime 예상 표시 시각 (포즈와 같은 시계, ms)
+     */
+    updateDisplayPose(displayTime) {
+        const prediction = this.posePredictor.predict(displayTime);
+        if (!prediction) {
+            // 예측하던 중이었으면 마지막 실제 포즈로 되돌림
+            if (this.predicting) {
+                this.camera.matrix.copy(this.poseMatrix);
+                this.camera.matrixWorldNeedsUpdate = true;
+                this.predicting = false;
+            }
+            return;
+        }
+
+        this.camera.matrix.compose(prediction.position, prediction.quaternion, new THREE.Vector3(1, 1, 1));
+        this.camera.matrixWorldNeedsUpdate = true;
+        this.predicting = true;
+    }
+
+    /**
+     * 포즈 예측 설정 (PosePredictor 옵션: enabled, maxHorizonMs, horizonOffsetMs, translation)
+     */
+    setPrediction(options) {
+        this.posePredictor.setOptions(options);
     }
 
     /**
@@ -164,27 +491,16 @@ export class CameraPoseManager {
         // 초기 포즈 처리
         if (!this.initialPose && this.useRelativePose) {
             this.initialPose = this.poseMatrix.clone();
+            this.updateWorldFrame();
         }
 
         if (this.initialPose && this.useRelativePose) {
             const initialInverse = this.initialPose.clone().invert();
             this.poseMatrix.premultiply(initialInverse);
+            this.poseMatrix.premultiply(this.worldFrame);
         }
 
-        // 스무딩
-        if (this.smoothingEnabled && this.hasLastPose) {
-            this.applySmoothingToMatrix(this.poseMatrix, this.lastPose, this.smoothingFactor);
-        }
-
-        // 카메라 적용
-        this.camera.matrix.copy(this.poseMatrix);
-        this.camera.matrixWorldNeedsUpdate = true;
-
-        this.lastPose.copy(this.poseMatrix);
-        this.hasLastPose = true;
-        this.isTracking = true;
-        this.frameCount++;
-
+        this.commitPose();
         return true;
     }
 
@@ -197,32 +513,11 @@ export class CameraPoseManager {
      * @param {number} screenOrientation 화면 방향 (0, 90, -90, 180)
      */
     applyDeviceOrientation(alpha, beta, gamma, screenOrientation = 0) {
-        // 도 → 라디안
-        const alphaRad = THREE.MathUtils.degToRad(alpha);
-        const betaRad = THREE.MathUtils.degToRad(beta);
-        const gammaRad = THREE.MathUtils.degToRad(gamma);
-        const screenRad = THREE.MathUtils.degToRad(screenOrientation);
-
-        // 디바이스 방향 → Three.js 카메라 방향 변환
-        // ZXY 오일러 순서 사용 (디바이스 센서 기준)
-        const euler = new THREE.Euler();
-        euler.set(betaRad, alphaRad, -gammaRad, 'YXZ');
-
-        const quaternion = new THREE.Quaternion();
-        quaternion.setFromEuler(euler);
-
-        // 화면 방향 보정
-        const screenQuat = new THREE.Quaternion();
-        screenQuat.setFromAxisAngle(new THREE.Vector3(0, 0, 1), -screenRad);
-        quaternion.multiply(screenQuat);
-
-        // 디바이스가 세로 방향일 때 -90도 X축 회전 보정
-        const worldQuat = new THREE.Quaternion();
-        worldQuat.setFromAxisAngle(new THREE.Vector3(1, 0, 0), -Math.PI / 2);
-        quaternion.premultiply(worldQuat);
+        const quaternion = deviceOrientationToQuaternion(alpha, beta, gamma, screenOrientation);
 
         // 카메라에 적용 (회전만, 위치는 유지)
         this.camera.quaternion.copy(quaternion);
+        this.predicting = false;
 
         // matrixAutoUpdate가 꺼져 있으면 수동으로 행렬 업데이트
         if (!this.camera.matrixAutoUpdate) {
@@ -230,31 +525,9 @@ export class CameraPoseManager {
         }
     }
 
-    /**
-     * 행렬 스무딩 (떨림 방지)
-     */
-    applySmoothingToMatrix(target, previous, factor) {
-        // 위치 스무딩
-        const pos = new THREE.Vector3();
-        const prevPos = new THREE.Vector3();
-        pos.setFromMatrixPosition(target);
-        prevPos.setFromMatrixPosition(previous);
-        pos.lerp(prevPos, factor);
-
-        // 회전 스무딩 (쿼터니언 SLERP)
-        const quat = new THREE.Quaternion();
-        const prevQuat = new THREE.Quaternion();
-        quat.setFromRotationMatrix(target);
-        prevQuat.setFromRotationMatrix(previous);
-        quat.slerp(prevQuat, factor);
-
-        // 스무딩된 값으로 행렬 재구성
-        const scale = new THREE.Vector3(1, 1, 1);
-        target.compose(pos, quat, scale);
-    }
-
     /**
      * 카메라 파라미터를 Three.js에 동기화
+     * 이후 화면 크기가 바뀌면 updateProjection으로 다시 맞춘다
      *
      * @param {number} fx 초점 거리 X (픽셀)
      * @param {number} fy 초점 거리 Y (픽셀)
@@ -264,19 +537,58 @@ export class CameraPoseManager {
      * @param {number} height 이미지 높이
      */
     syncCameraIntrinsics(fx, fy, cx, cy, width, height) {
-        // FOV 계산: fov = 2 * atan(height / (2 * fy))
-        const fovY = 2 * Math.atan(height / (2 * fy)) * (180 / Math.PI);
-
-        this.camera.fov = fovY;
-        this.camera.aspect = width / height;
-        this.camera.updateProjectionMatrix();
+        this.intrinsics = { fx, fy, cx, cy, width, height };
+        this.updateProjection();
 
         console.log('[CameraPose] 카메라 파라미터 동기화:', {
-            fov: fovY.toFixed(1),
-            aspect: (width / height).toFixed(2)
+            fov: this.camera.fov.toFixed(1),
+            aspect: this.camera.aspect.toFixed(2)
         });
     }
 
+    /**
+     * 보정값을 버리고 기본 시야각으로 되돌림
+     */
+    clearCameraIntrinsics() {
+        this.intrinsics = null;
+        this.camera.fov = this.defaultFov;
+        this.updateProjection();
+    }
+
+    /**
+     * 화면 크기에 맞춰 투영 행렬 갱신
+     *
+     * 비디오는 object-fit: cover로 화면을 채우므로 보이는 영역은 이미지의 가운데 일부다.
+     * 보이는 영역 기준으로 시야각을 잡고, 주점이 이미지 중심에서 벗어난 만큼
+     * 투영 중심도 옮긴다.
+     *
+     * @param {number} viewWidth 화면 너비
+     * @param {number} viewHeight 화면 높이
+     */
+    updateProjection(viewWidth = window.innerWidth, viewHeight = window.innerHeight) {
+        this.camera.aspect = viewWidth / viewHeight;
+
+        if (!this.intrinsics) {
+            this.camera.updateProjectionMatrix();
+            return;
+        }
+
+        const { fy, cx, cy, width, height } = this.intrinsics;
+        const scale = Math.max(viewWidth / width, viewHeight / height);
+        const visibleWidth = viewWidth / scale;
+        const visibleHeight = viewHeight / scale;
+
+        // fov = 2 * atan(보이는 높이 / (2 * fy))
+        this.camera.fov = 2 * Math.atan(visibleHeight / (2 * fy)) * (180 / Math.PI);
+        this.camera.updateProjectionMatrix();
+
+        // 주점 오프셋 (NDC, 영상 y는 아래로 증가)
+        const projection = this.camera.projectionMatrix;
+        projection.elements[8] = -2 * (cx - width / 2) / visibleWidth;
+        projection.elements[9] = 2 * (cy - height / 2) / visibleHeight;
+        this.camera.projectionMatrixInverse.copy(projection).invert();
+    }
+
     /**
      * 캘리브레이션 설정
      */
@@ -300,11 +612,27 @@ export class CameraPoseManager {
     }
 
     /**
-     * 스무딩 설정
+     * 포즈 필터 교체 (실행 중 가능)
+     * @param {'none'|'oneEuro'|'spring'} type
+     * @param {Object} params 필터 파라미터 (PoseFilters.POSE_FILTER_TYPES)
+     */
+    setPoseFilter(type, params = {}) {
+        this.poseFilter = createPoseFilter(type, params);
+        console.log('[CameraPose] 포즈 필터:', type, this.poseFilter.params);
+    }
+
+    /**
+     * 현재 필터의 파라미터만 변경
      */
-    setSmoothing(enabled, factor = 0.3) {
-        this.smoothingEnabled = enabled;
-        this.smoothingFactor = Math.max(0, Math.min(1, factor));
+    setPoseFilterParams(params) {
+        this.poseFilter.setParams(params);
+    }
+
+    /**
+     * 스무딩 설정 (이전 API: 켜면 One Euro, 끄면 필터 없음)
+     */
+    setSmoothing(enabled) {
+        this.setPoseFilter(enabled ? 'oneEuro' : 'none');
     }
 
     /**
@@ -317,22 +645,65 @@ export class CameraPoseManager {
         }
     }
 
+    /**
+     * 추적 실패 표시 (마지막 포즈는 유지)
+     * 하이브리드 모드에서 센서가 다시 카메라를 움직일 수 있도록 한다
+     * 하이브리드는 센서 포즈가 isTracking을 계속 갱신하므로 다시 추적될 때까지 한 번만 처리한다
+     */
+    markLost() {
+        if (this.poseBeforeLost) return;
+        if (this.isTracking && this.hasLastPose) {
+            this.poseBeforeLost = this.lastPose.clone();
+        }
+        this.isTracking = false;
+        this.posePredictor.reset();
+    }
+
     /**
      * 리셋 (초기 포즈 재설정)
+     * 다음 추적 포즈에서 새 월드가 정해지면 onWorldFrameChange('reset')
+     *
+     * @param {Object} options { reexpress: false면 콘텐츠를 새 월드로 옮기지 않음
+     *        (시계 기준이 바뀌거나 마지막 포즈가 지금 카메라와 무관할 때) }
      */
-    reset() {
+    reset({ reexpress = true } = {}) {
+        if (!reexpress) {
+            this.poseBeforeReset = null;
+        } else if (this.hasLastPose) {
+            this.poseBeforeReset = this.lastPose.clone();
+        }
+        this.poseBeforeLost = null;
         this.initialPose = null;
         this.hasLastPose = false;
+        this.poseFilter.reset();
+        this.posePredictor.reset();
+        this.predicting = false;
         this.isTracking = false;
         this.frameCount = 0;
 
-        // 카메라 원점으로 리셋
-        this.camera.matrix.identity();
-        this.camera.matrixWorldNeedsUpdate = true;
+        this.placeAtOrigin();
 
         console.log('[CameraPose] 리셋됨');
     }
 
+    /**
+     * 추적 전 카메라 위치: 첫 추적 포즈와 같은 (0, cameraHeight, 0)
+     * @returns {THREE.Vector3}
+     */
+    getOrigin() {
+        return new THREE.Vector3(0, this.cameraHeight, 0);
+    }
+
+    /**
+     * 카메라를 추적 전 위치로 (방향은 초기화, 센서 모드는 이후 방향만 바뀜)
+     */
+    placeAtOrigin() {
+        this.camera.position.copy(this.getOrigin());
+        this.camera.quaternion.identity();
+        this.camera.updateMatrix();
+        this.camera.matrixWorldNeedsUpdate = true;
+    }
+
     /**
      * 현재 카메라 위치/방향 반환
      */
@@ -365,7 +736,16 @@ export class CameraPoseManager {
             position: { x: pos.x.toFixed(3), y: pos.y.toFixed(3), z: pos.z.toFixed(3) },
             direction: { x: dir.x.toFixed(3), y: dir.y.toFixed(3), z: dir.z.toFixed(3) },
             isTracking: this.isTracking,
-            frameCount: this.frameCount
+            frameCount: this.frameCount,
+            metricScale: this.metricScale,
+            world: {
+                gravityAligned: this.gravityAligned && !!this.gravity,
+                cameraHeight: this.cameraHeight,
+                heightSource: this.cameraHeightSource
+            },
+            filter: { type: this.poseFilter.type, params: this.poseFilter.params },
+            prediction: this.posePredictor.getDebugInfo(),
+            trajectory: { poses: this.trajectory.length }
         };
     }
 }
@@ -406,17 +786,36 @@ export class ARObjectPlacer {
      * 카메라 앞 특정 거리에 배치
      */
     placeInFrontOfCamera(object, distance = 1) {
+        // SLAM 모드에서는 camera.matrix를 직접 쓰므로 position/quaternion 대신 월드 행렬 사용
+        const camPos = new THREE.Vector3();
+        const camQuat = new THREE.Quaternion();
+        this.camera.getWorldPosition(camPos);
+        this.camera.getWorldQuaternion(camQuat);
+
         const dir = new THREE.Vector3(0, 0, -1);
-        dir.applyQuaternion(this.camera.quaternion);
+        dir.applyQuaternion(camQuat);
 
-        const pos = this.camera.position.clone();
-        pos.add(dir.multiplyScalar(distance));
+        const pos = camPos.add(dir.multiplyScalar(distance));
 
         object.position.copy(pos);
         this.scene.add(object);
         return object;
     }
 
+    /**
+     * Y축 기준 빌보드 (객체가 항상 카메라를 바라보도록 회전)
+     * 평면은 기울지 않고 세워진 상태를 유지한다
+     * @param {number} yawOffset 바라보는 방향에서 추가로 돌릴 Y축 각도 (rad)
+     */
+    billboardY(object, yawOffset = 0) {
+        const camPos = new THREE.Vector3();
+        this.camera.getWorldPosition(camPos);
+
+        const dx = camPos.x - object.position.x;
+        const dz = camPos.z - object.position.z;
+        object.rotation.set(0, Math.atan2(dx, dz) + yawOffset, 0);
+    }
+
     /**
      * 빨간 큐브 생성 헬퍼
      */
@@ -0,0 +1,181 @@
+/**
+ * CameraProfiles.js
+ *
+ * 기기/카메라별 내부 파라미터 프로필
+ *
+ * 체커보드 보정(CameraCalibrationWizard) 없이도 알려진 기기에서는 시야각 추정(60도)보다
+ * 정확한 초점 거리를 쓰도록, 기종과 카메라 이름으로 내장 프로필을 찾는다.
+ *
+ * 카메라 키:
+ * - platform: PermissionManager.detectDevice 결과로 'ios' | 'android' | 'desktop'
+ * - model:    user agent (Chrome은 Client Hints)에서 읽은 기종 (iOS는 'iPhone'/'iPad'만 알 수 있음)
+ * - label:    MediaStreamTrack.label (MediaDeviceInfo.label과 같음)
+ *
+ * 우선순위: 현장 보정값(CameraIntrinsics.saveCalibration, 카메라 키별) → 내장 프로필 → 시야각 추정
+ * 결과는 getUserMedia가 실제로 준 해상도(방향 포함) 기준이며, 추적기는 처리 해상도로 다시 스케일한다.
+ *
+ * 프로필 형식 (셋 중 하나로 화각 지정):
+ * ```js
+ * {
+ *     id: 'pixel-6-8-back',
+ *     platform: 'android',
+ *     model: /^Pixel [6-8]/,              // 생략 시 모든 기종
+ *     label: /camera2 0, facing back/,    // 생략 시 모든 카메라
+ *     focal35: 25,                        // 35mm 환산 초점 거리 (mm)
+ *     fov: 69.4,                          // 또는 센서 긴 변 방향 시야각 (도)
+ *     intrinsics: { fx, fy, cx, cy, width, height }   // 또는 보정 결과 그대로
+ * }
+ * ```
+ * focal35 / fov는 센서 긴 변이 영상 긴 변에 그대로 담긴다고 본다 (16:9, 4:3 모드 모두 위아래만 잘림).
+ */
+
+import { detectDevice } from './PermissionManager.js';
+import { fitIntrinsics, loadCalibration } from './CameraIntrinsics.js';
+
+// 35mm 환산의 기준 대각선 (mm)과 4:3 센서 긴 변 비율
+const FULL_FRAME_DIAGONAL = 43.27;
+const LONG_SIDE_RATIO = 0.8;
+
+/**
+ * 내장 프로필 (제조사 공칭 환산 초점 거리 기준 근사값, 위에서부터 먼저 맞는 것 사용)
+ */
+const BUILTIN_PROFILES = [
+    // iOS: 기종을 알 수 없으므로 카메라 이름으로만 (영문/한국어 라벨)
+    { id: 'ios-ultra-wide', platform: 'ios', label: /ultra wide|초광각/i, focal35: 13 },
+    { id: 'ios-telephoto', platform: 'ios', label: /telephoto|망원/i, focal35: 52 },
+    { id: 'ios-front', platform: 'ios', label: /front|전면/i, focal35: 23 },
+    { id: 'ios-back', platform: 'ios', label: /back|후면/i, focal35: 26 },
+
+    // Galaxy S22 ~ S24
+    { id: 'galaxy-s22-s24-back', platform: 'android', model: /^SM-S9[0-2]\d/, label: /camera2 0, facing back/, focal35: 24 },
+    { id: 'galaxy-s22-s24-front', platform: 'android', model: /^SM-S9[0-2]\d/, label: /facing front/, focal35: 26 },
+
+    // Galaxy S21
+    { id: 'galaxy-s21-back', platform: 'android', model: /^SM-G99[1-8]/, label: /camera2 0, facing back/, focal35: 26 },
+    { id: 'galaxy-s21-front', platform: 'android', model: /^SM-G99[1-8]/, label: /facing front/, focal35: 26 },
+
+    // Pixel 6 ~ 8
+    { id: 'pixel-6-8-back', platform: 'android', model: /^Pixel [6-8]/, label: /camera2 0, facing back/, focal35: 25 },
+    { id: 'pixel-6-8-front', platform: 'android', model: /^Pixel [6-8]/, label: /facing front/, focal35: 21 }
+];
+
+// registerCameraProfiles로 추가한 프로필 (내장보다 먼저 확인)
+const customProfiles = [];
+
+/**
+ * 프로필 추가 (현장 기기 등, 내장 프로필보다 우선)
+ * @param {Array<Object>} profiles 프로필 형식
+ */
+export function registerCameraProfiles(profiles) {
+    customProfiles.unshift(...profiles);
+}
+
+/**
+ * user agent에서 기종 읽기 (알 수 없으면 '')
+ * Chrome의 축소된 UA는 기종이 'K'로만 나오므로 readDeviceModel로 Client Hints를 먼저 쓴다
+ */
+export function parseDeviceModel(userAgent) {
+    const apple = userAgent.match(/\b(iPhone|iPad|iPod)\b/);
+    if (apple) return apple[1];
+
+    const android = userAgent.match(/Android [^;)]*;\s*(?:[a-z]{2}[-_][a-z]{2};\s*)?([^;)]+?)(?:\s+Build\/[^;)]*)?\s*[;)]/i);
+    if (android && android[1] !== 'K') return android[1].trim();
+    return '';
+}
+
+/**
+ * 기종 읽기 (Chrome Client Hints → user agent)
+ * @returns {Promise<string>}
+ */
+export async function readDeviceModel() {
+    const uaData = navigator.userAgentData;
+    if (uaData && typeof uaData.getHighEntropyValues === 'function') {
+        try {
+            const { model } = await uaData.getHighEntropyValues(['model']);
+            if (model) return model;
+        } catch (e) {
+            // 허용되지 않으면 user agent로
+        }
+    }
+    return parseDeviceModel(navigator.userAgent);
+}
+
+/**
+ * 카메라 키 만들기
+ * @param {Object} options { device: detectDevice 결과, model, label }
+ * @returns {{platform: string, model: string, label: string, id: string}}
+ */
+export function getCameraKey(options = {}) {
+    const device = options.device || detectDevice();
+    const platform = device.isIOS ? 'ios' : device.isAndroid ? 'android' : 'desktop';
+    const model = options.model ?? parseDeviceModel(navigator.userAgent);
+    const label = (options.label || '').trim();
+
+    return { platform, model, label, id: `${platform}|${model}|${label}` };
+}
+
+/**
+ * 카메라 키에 맞는 프로필 (없으면 null)
+ */
+export function findCameraProfile(key) {
+    return [...customProfiles, ...BUILTIN_PROFILES].find(profile => (
+        profile.platform === key.platform &&
+        (!profile.model || profile.model.test(key.model)) &&
+        (!profile.label || profile.label.test(key.label))
+    )) || null;
+}
+
+/**
+ * 프로필 → 주어진 해상도의 내부 파라미터 (비율이 맞지 않는 보정 결과면 null)
+ */
+export function profileIntrinsics(profile, width, height) {
+    if (profile.intrinsics) {
+        return fitIntrinsics(profile.intrinsics, width, height);
+    }
+
+    const fov = profile.fov ??
+        2 * Math.atan((FULL_FRAME_DIAGONAL * LONG_SIDE_RATIO) / (2 * profile.focal35)) * (180 / Math.PI);
+    const f = Math.max(width, height) / (2 * Math.tan((fov * Math.PI) / 360));
+    return { fx: f, fy: f, cx: width / 2, cy: height / 2, k1: 0, k2: 0, width, height };
+}
+
+/**
+ * 카메라 키 + 실제 해상도로 내부 파라미터 결정
+ *
+ * @param {Object} key getCameraKey 결과
+ * @param {number} width getUserMedia가 준 영상 크기 (videoWidth)
+ * @param {number} height
+ * @returns {{intrinsics: Object|null, source: 'calibration'|'profile'|'fov', profileId: string|null}}
+ *          intrinsics가 null이면 시야각 추정 (VisualOdometry.autoConfigureCamera)
+ */
+export function resolveCameraIntrinsics(key, width, height) {
+    const calibration = loadCalibration(key.id, key.label);
+    if (calibration) {
+        const intrinsics = fitIntrinsics(calibration, width, height);
+        if (intrinsics) {
+            return { intrinsics, source: 'calibration', profileId: null };
+        }
+        console.log('[CamProfile] 보정 해상도와 비율이 달라 보정값 사용 안 함:',
+            `${calibration.width}x${calibration.height}`, '→', `${width}x${height}`);
+    }
+
+    const profile = findCameraProfile(key);
+    if (profile) {
+        const intrinsics = profileIntrinsics(profile, width, height);
+        if (intrinsics) {
+            return { intrinsics, source: 'profile', profileId: profile.id };
+        }
+    }
+
+    return { intrinsics: null, source: 'fov', profileId: null };
+}
+
+export default {
+    registerCameraProfiles,
+    parseDeviceModel,
+    readDeviceModel,
+    getCameraKey,
+    findCameraProfile,
+    profileIntrinsics,
+    resolveCameraIntrinsics
+};
@@ -0,0 +1,139 @@
+/**
+ * CameraTrajectory.js
+ *
+ * 카메라 궤적 기록 + TUM / KITTI 내보내기
+ *
+ * CameraPoseManager가 추적된 포즈(필터 전, 월드 좌표)를 시각과 함께 기록한다.
+ * 기록은 maxPoses개까지만 두고 오래된 것부터 버린다.
+ * 일정 거리/각도 이상 움직일 때마다 키프레임으로 표시한다 (TrajectoryView가 마커로 그림).
+ *
+ * 내보내기 형식 (드리프트 평가 도구용, 예: evo):
+ * - TUM:   한 줄에 `timestamp tx ty tz qx qy qz qw` (timestamp는 초)
+ * - KITTI: 한 줄에 3x4 [R|t] 행렬을 행 우선으로 12개 (시각 없음, 포즈 순서가 프레임 번호)
+ *
+ * 좌표계는 앱의 월드(중력 정렬, Y 위, 바닥 y = 0)와 Three.js 카메라 축(X 오른쪽, Y 위, -Z 앞)이다.
+ * 포즈 리셋/재위치 인식으로 월드가 바뀌면 applyTransform으로 기록 전체를 새 월드로 옮긴다.
+ */
+
+import * as THREE from 'three';
+
+const DEFAULTS = {
+    maxPoses: 18000,             // 30Hz 기준 10분
+    keyframeDistance: 0.1,       // 키프레임 간격 (월드 단위)
+    keyframeAngle: 10            // 키프레임 간격 (도)
+};
+
+/**
+ * CameraTrajectory 클래스
+ */
+export class CameraTrajectory {
+    constructor(options = {}) {
+        this.options = { ...DEFAULTS, ...options };
+        this.poses = [];             // { t, position, quaternion, keyframe }
+        this.lastKeyframe = null;
+        this.version = 0;            // 기록이 바뀔 때마다 증가 (그리는 쪽 갱신 판단용)
+    }
+
+    get length() {
+        return this.poses.length;
+    }
+
+    /**
+     * 포즈 추가 (같은 시각이거나 이전 시각이면 무시)
+     * @param {number} time 포즈 시각 (ms)
+     * @param {THREE.Vector3} position
+     * @param {THREE.Quaternion} quaternion
+     */
+    add(time, position, quaternion) {
+        const last = this.poses[this.poses.length - 1];
+        if (last && time <= last.t) return;
+
+        const keyframe = this.isKeyframe(position, quaternion);
+        const pose = { t: time, position: position.clone(), quaternion: quaternion.clone(), keyframe };
+        if (keyframe) this.lastKeyframe = pose;
+
+        this.poses.push(pose);
+        if (this.poses.length > this.options.maxPoses) {
+            this.poses.shift();
+        }
+        this.version++;
+    }
+
+    isKeyframe(position, quaternion) {
+        const key = this.lastKeyframe;
+        if (!key) return true;
+        return key.position.distanceTo(position) > this.options.keyframeDistance ||
+            THREE.MathUtils.radToDeg(key.quaternion.angleTo(quaternion)) > this.options.keyframeAngle;
+    }
+
+    /**
+     * 월드 좌표계가 바뀜: 기록 전체를 새 월드로
+     * @param {THREE.Matrix4} transform 이전 월드 → 새 월드 (미터 스케일 갱신이면 균일 스케일 포함)
+     */
+    applyTransform(transform) {
+        // 스케일은 위치에만 (방향은 회전 성분만)
+        const rotation = new THREE.Quaternion().setFromRotationMatrix(new THREE.Matrix4().extractRotation(transform));
+        this.poses.forEach((pose) => {
+            pose.position.applyMatrix4(transform);
+            pose.quaternion.premultiply(rotation);
+        });
+        this.version++;
+    }
+
+    clear() {
+        this.poses = [];
+        this.lastKeyframe = null;
+        this.version++;
+    }
+
+    /**
+     * TUM 형식 (`timestamp tx ty tz qx qy qz qw`)
+     * @param {number} timeOffset 시각에 더할 값 (ms, 예: performance.timeOrigin → 유닉스 시각)
+     */
+    toTUM(timeOffset = 0) {
+        const lines = ['# timestamp tx ty tz qx qy qz qw'];
+        this.poses.forEach(({ t, position: p, quaternion: q }) => {
+            lines.push([
+                ((t + timeOffset) / 1000).toFixed(6),
+                p.x.toFixed(6), p.y.toFixed(6), p.z.toFixed(6),
+                q.x.toFixed(6), q.y.toFixed(6), q.z.toFixed(6), q.w.toFixed(6)
+            ].join(' '));
+        });
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * KITTI 형식 (3x4 [R|t] 행 우선, 한 줄에 12개)
+     */
+    toKITTI() {
+        const matrix = new THREE.Matrix4();
+        const one = new THREE.Vector3(1, 1, 1);
+        const lines = this.poses.map(({ position, quaternion }) => {
+            const e = matrix.compose(position, quaternion, one).elements;   // column-major
+            return [
+                e[0], e[4], e[8], e[12],
+                e[1], e[5], e[9], e[13],
+                e[2], e[6], e[10], e[14]
+            ].map(v => v.toExponential(6)).join(' ');
+        });
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * 텍스트를 파일로 다운로드
+     */
+    static download(text, filename) {
+        const blob = new Blob([text], { type: 'text/plain' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
+
+export default CameraTrajectory;
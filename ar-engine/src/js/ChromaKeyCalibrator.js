@@ -0,0 +1,385 @@
+/**
+ * ChromaKeyCalibrator.js
+ *
+ * 현장 조명에 맞춘 크로마키 보정 도구
+ *
+ * - 영상 평면을 탭하면 해당 위치의 VideoTexture 색상을 키 색상으로 샘플링
+ * - 화면 슬라이더로 similarity / smoothness / spill 실시간 조절
+ * - 결과를 영상별로 localStorage에 저장 → 다음 배치 때 재사용
+ */
+
+import * as THREE from 'three';
+import { applyChromaKey, readChromaKey } from './ChromaKeyMaterial.js';
+
+const STORAGE_KEY = 'gangjin-ar.chroma';
+
+// 샘플링용 축소 캔버스 크기 (가로 기준)
+const SAMPLE_WIDTH = 256;
+// 샘플링 영역 반경 (px, 축소 캔버스 기준)
+const SAMPLE_RADIUS = 2;
+
+/**
+ * 슬라이더 정의
+ */
+const SLIDERS = [
+    { key: 'similarity', label: '허용 범위', min: 0, max: 1, step: 0.005 },
+    { key: 'smoothness', label: '경계 부드러움', min: 0, max: 0.5, step: 0.005 },
+    { key: 'spill', label: '스필 억제', min: 0, max: 0.5, step: 0.005 }
+];
+
+/**
+ * ChromaKeyCalibrator 클래스
+ */
+export class ChromaKeyCalibrator {
+    constructor() {
+        // 영상 ID → 저장된 크로마키 설정
+        this.saved = this.readStorage();
+
+        // 보정 대상
+        this.active = false;
+        this.entryId = null;
+        this.material = null;
+        this.video = null;
+        this.crop = { top: 0, bottom: 0 };
+        this.defaults = null;           // 매니페스트 기본값
+        this.originalSettings = null;   // 보정 시작 시점 값 (취소용)
+
+        // 샘플링 캔버스
+        this.sampleCanvas = null;
+        this.sampleCtx = null;
+
+        // UI
+        this.panel = null;
+        this.inputs = {};
+        this.swatch = null;
+
+        // 콜백
+        this.onClose = null;
+    }
+
+    /**
+     * localStorage에서 저장된 보정값 읽기
+     */
+    readStorage() {
+        try {
+            const raw = localStorage.getItem(STORAGE_KEY);
+            return raw ? JSON.parse(raw) : {};
+        } catch (e) {
+            console.warn('[Chroma] 저장된 보정값 읽기 실패:', e.message);
+            return {};
+        }
+    }
+
+    writeStorage() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.saved));
+        } catch (e) {
+            console.warn('[Chroma] 보정값 저장 실패:', e.message);
+        }
+    }
+
+    /**
+     * 영상의 저장된 보정값 (없으면 null)
+     * @param {string} entryId 매니페스트 항목 ID
+     */
+    load(entryId) {
+        return this.saved[entryId] || null;
+    }
+
+    /**
+     * 영상의 보정값 저장
+     */
+    save(entryId, settings) {
+        this.saved[entryId] = { ...settings };
+        this.writeStorage();
+        console.log('[Chroma] 보정값 저장:', entryId, settings);
+    }
+
+    /**
+     * 영상의 보정값 삭제 (매니페스트 기본값으로 복귀)
+     */
+    clear(entryId) {
+        delete this.saved[entryId];
+        this.writeStorage();
+    }
+
+    /**
+     * 전체 보정값 (세션 저장용)
+     */
+    exportAll() {
+        return JSON.parse(JSON.stringify(this.saved));
+    }
+
+    /**
+     * 세션에 저장된 보정값 복원 (이미 저장된 영상의 값은 유지)
+     * @param {Object} saved 영상 ID → 크로마키 설정
+     */
+    importMissing(saved) {
+        if (!saved) return;
+
+        let changed = false;
+        Object.entries(saved).forEach(([entryId, settings]) => {
+            if (!this.saved[entryId]) {
+                this.saved[entryId] = { ...settings };
+                changed = true;
+            }
+        });
+        if (changed) this.writeStorage();
+    }
+
+    /**
+     * 보정 모드 시작
+     *
+     * @param {Object} target { entryId, material, video, crop, defaults }
+     */
+    start({ entryId, material, video, crop, defaults }) {
+        if (this.active) this.close();
+
+        this.active = true;
+        this.entryId = entryId;
+        this.material = material;
+        this.video = video;
+        this.crop = { top: 0, bottom: 0, ...crop };
+        this.defaults = defaults || {};
+        this.originalSettings = readChromaKey(material);
+
+        this.createPanel();
+        this.syncPanel();
+
+        console.log('[Chroma] 보정 모드 시작:', entryId);
+    }
+
+    /**
+     * 영상 평면의 UV 좌표에서 키 색상 샘플링
+     *
+     * @param {THREE.Vector2} uv Raycaster 교차점의 UV
+     * @returns {boolean} 샘플링 성공 여부
+     */
+    sampleAt(uv) {
+        if (!this.active || !this.video || this.video.videoWidth === 0) return false;
+
+        const color = this.sampleVideoColor(uv);
+        if (!color) return false;
+
+        const keyColor = '#' + color.getHexString(THREE.LinearSRGBColorSpace);
+        applyChromaKey(this.material, { ...readChromaKey(this.material), keyColor });
+        this.syncPanel();
+
+        console.log('[Chroma] 키 색상 샘플링:', keyColor);
+        return true;
+    }
+
+    /**
+     * 비디오 프레임에서 UV 위치 주변 평균 색상 계산
+     */
+    sampleVideoColor(uv) {
+        const video = this.video;
+        const w = SAMPLE_WIDTH;
+        const h = Math.max(1, Math.round(SAMPLE_WIDTH * video.videoHeight / video.videoWidth));
+
+        if (!this.sampleCanvas) {
+            this.sampleCanvas = document.createElement('canvas');
+            this.sampleCtx = this.sampleCanvas.getContext('2d', { willReadFrequently: true });
+        }
+        if (this.sampleCanvas.width !== w || this.sampleCanvas.height !== h) {
+            this.sampleCanvas.width = w;
+            this.sampleCanvas.height = h;
+        }
+
+        this.sampleCtx.drawImage(video, 0, 0, w, h);
+
+        // 셰이더와 동일한 크롭 보정 (텍스처 v=1이 영상 상단)
+        const v = this.crop.bottom + uv.y * (1 - this.crop.top - this.crop.bottom);
+        const px = Math.round(THREE.MathUtils.clamp(uv.x, 0, 1) * (w - 1));
+        const py = Math.round(THREE.MathUtils.clamp(1 - v, 0, 1) * (h - 1));
+
+        const x0 = Math.max(0, px - SAMPLE_RADIUS);
+        const y0 = Math.max(0, py - SAMPLE_RADIUS);
+        const sw = Math.min(w, px + SAMPLE_RADIUS + 1) - x0;
+        const sh = Math.min(h, py + SAMPLE_RADIUS + 1) - y0;
+
+        let data;
+        try {
+            data = this.sampleCtx.getImageData(x0, y0, sw, sh).data;
+        } catch (e) {
+            // crossOrigin 미설정 영상은 캔버스가 오염되어 읽을 수 없음
+            console.warn('[Chroma] 픽셀 읽기 실패:', e.message);
+            return null;
+        }
+
+        let r = 0, g = 0, b = 0;
+        const count = data.length / 4;
+        for (let i = 0; i < data.length; i += 4) {
+            r += data[i];
+            g += data[i + 1];
+            b += data[i + 2];
+        }
+
+        // 캔버스 픽셀과 셰이더의 영상 텍셀은 둘 다 sRGB 값 그대로 → 변환 없이 유니폼에 넣는다
+        return new THREE.Color().setRGB(
+            r / count / 255,
+            g / count / 255,
+            b / count / 255,
+            THREE.LinearSRGBColorSpace
+        );
+    }
+
+    /**
+     * 현재 값 저장 후 종료
+     */
+    commit() {
+        if (!this.active) return;
+        this.save(this.entryId, readChromaKey(this.material));
+        this.close();
+    }
+
+    /**
+     * 변경 취소 후 종료
+     */
+    cancel() {
+        if (!this.active) return;
+        applyChromaKey(this.material, this.originalSettings);
+        this.close();
+    }
+
+    /**
+     * 보정값 삭제 (매니페스트 기본값 복원)
+     */
+    resetToDefault() {
+        if (!this.active) return;
+        this.clear(this.entryId);
+        applyChromaKey(this.material, this.defaults);
+        this.syncPanel();
+    }
+
+    /**
+     * 보정 모드 종료
+     */
+    close() {
+        if (this.panel) {
+            this.panel.remove();
+            this.panel = null;
+        }
+        this.inputs = {};
+        this.swatch = null;
+
+        this.active = false;
+        this.material = null;
+        this.video = null;
+
+        console.log('[Chroma] 보정 모드 종료');
+        if (this.onClose) this.onClose();
+    }
+
+    /**
+     * 슬라이더 패널 생성
+     */
+    createPanel() {
+        const panel = document.createElement('div');
+        panel.id = 'chroma-calibration-panel';
+        panel.style.cssText = `
+            position: fixed;
+            left: 50%;
+            bottom: 110px;
+            transform: translateX(-50%);
+            width: min(320px, calc(100% - 40px));
+            background: rgba(0, 0, 0, 0.8);
+            color: #fff;
+            padding: 12px 16px;
+            border-radius: 10px;
+            font-size: 13px;
+            z-index: 10000;
+        `;
+
+        // 안내 + 키 색상 미리보기
+        const header = document.createElement('div');
+        header.style.cssText = 'display: flex; align-items: center; gap: 8px; margin-bottom: 8px;';
+        this.swatch = document.createElement('span');
+        this.swatch.style.cssText = 'width: 20px; height: 20px; border-radius: 4px; border: 1px solid #fff;';
+        const hint = document.createElement('span');
+        hint.textContent = '영상의 배경을 탭해 키 색상 선택';
+        header.append(this.swatch, hint);
+        panel.appendChild(header);
+
+        // 슬라이더
+        SLIDERS.forEach(({ key, label, min, max, step }) => {
+            const row = document.createElement('label');
+            row.style.cssText = 'display: flex; align-items: center; gap: 8px; margin: 4px 0;';
+
+            const name = document.createElement('span');
+            name.textContent = label;
+            name.style.cssText = 'width: 90px;';
+
+            const input = document.createElement('input');
+            input.type = 'range';
+            input.min = min;
+            input.max = max;
+            input.step = step;
+            input.style.cssText = 'flex: 1;';
+            input.addEventListener('input', () => {
+                this.material.uniforms[key].value = parseFloat(input.value);
+                this.syncPanel();
+            });
+
+            const value = document.createElement('span');
+            value.style.cssText = 'width: 40px; text-align: right;';
+
+            row.append(name, input, value);
+            panel.appendChild(row);
+            this.inputs[key] = { input, value };
+        });
+
+        // 버튼
+        const buttons = document.createElement('div');
+        buttons.style.cssText = 'display: flex; gap: 8px; margin-top: 10px;';
+        [
+            ['저장', () => this.commit()],
+            ['기본값', () => this.resetToDefault()],
+            ['취소', () => this.cancel()]
+        ].forEach(([text, handler]) => {
+            const btn = document.createElement('button');
+            btn.textContent = text;
+            btn.style.cssText = `
+                flex: 1;
+                padding: 8px 0;
+                border: none;
+                border-radius: 6px;
+                background: #4da6ff;
+                color: #000;
+                font-weight: bold;
+            `;
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                handler();
+            });
+            buttons.appendChild(btn);
+        });
+        panel.appendChild(buttons);
+
+        // 패널 조작이 터치 영역 제스처로 전달되지 않도록
+        ['touchstart', 'mousedown', 'wheel'].forEach((type) => {
+            panel.addEventListener(type, (e) => e.stopPropagation());
+        });
+
+        document.body.appendChild(panel);
+        this.panel = panel;
+    }
+
+    /**
+     * 패널 표시를 머티리얼 유니폼 값과 동기화
+     */
+    syncPanel() {
+        if (!this.panel || !this.material) return;
+
+        const settings = readChromaKey(this.material);
+        this.swatch.style.background = settings.keyColor;
+
+        SLIDERS.forEach(({ key }) => {
+            const { input, value } = this.inputs[key];
+            input.value = settings[key];
+            value.textContent = settings[key].toFixed(3);
+        });
+    }
+}
+
+export default ChromaKeyCalibrator;
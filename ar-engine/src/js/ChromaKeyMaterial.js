@@ -0,0 +1,148 @@
+/**
+ * ChromaKeyMaterial.js
+ *
+ * 크로마키(초록 배경) 제거 셰이더 머티리얼
+ *
+ * - 색차(UV) 공간에서 키 색상과의 거리로 알파 계산
+ * - 스필 억제(despill): 키 색상에 가까운 경계 픽셀의 채도를 낮춰 초록 번짐 제거
+ * - 상단/하단 크롭: 영상의 검은 줄 제거
+ * - 선택 하이라이트: 선택된 오브젝트의 테두리 표시
+ * - 전체 불투명도: 치우기(튕기기) 페이드아웃
+ */
+
+import * as THREE from 'three';
+
+/**
+ * 크로마키 기본값
+ */
+export const DEFAULT_CHROMA_KEY = {
+    keyColor: '#00ff00',  // 초록
+    similarity: 0.4,      // 색상 허용 범위
+    smoothness: 0.1,      // 경계 부드러움
+    spill: 0.0            // 스필 억제 범위 (0 = 사용 안 함)
+};
+
+const vertexShader = `
+    varying vec2 vUv;
+    void main() {
+        vUv = uv;
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+`;
+
+const fragmentShader = `
+    uniform sampler2D videoTexture;
+    uniform vec3 keyColor;
+    uniform float similarity;
+    uniform float smoothness;
+    uniform float spill;
+    uniform float cropTop;
+    uniform float cropBottom;
+    uniform float highlight;
+    uniform float opacity;
+    varying vec2 vUv;
+
+    vec2 RGBtoUV(vec3 rgb) {
+        return vec2(
+            rgb.r * -0.169 + rgb.g * -0.331 + rgb.b * 0.5 + 0.5,
+            rgb.r * 0.5 + rgb.g * -0.419 + rgb.b * -0.081 + 0.5
+        );
+    }
+
+    void main() {
+        // UV 좌표 조정 (상단/하단 크롭)
+        vec2 croppedUV = vUv;
+        float cropRange = 1.0 - cropTop - cropBottom;
+        croppedUV.y = cropBottom + vUv.y * cropRange;
+
+        vec4 texColor = texture2D(videoTexture, croppedUV);
+
+        vec2 chromaVec = RGBtoUV(texColor.rgb) - RGBtoUV(keyColor);
+        float chromaDist = sqrt(dot(chromaVec, chromaVec));
+
+        float alpha = smoothstep(similarity, similarity + smoothness, chromaDist);
+
+        // 스필 억제: 키 색상에 가까울수록 회색 쪽으로 채도 감소
+        vec3 color = texColor.rgb;
+        if (spill > 0.0) {
+            float spillVal = pow(clamp((chromaDist - similarity) / spill, 0.0, 1.0), 1.5);
+            float luma = dot(color, vec3(0.2126, 0.7152, 0.0722));
+            color = mix(vec3(luma), color, spillVal);
+        }
+
+        gl_FragColor = vec4(color, texColor.a * alpha);
+
+        // 선택 하이라이트: 평면 가장자리에 테두리
+        if (highlight > 0.0) {
+            vec2 edge = min(vUv, 1.0 - vUv);
+            float border = 1.0 - step(0.012, min(edge.x, edge.y));
+            gl_FragColor = mix(gl_FragColor, vec4(0.3, 0.65, 1.0, 1.0), border * highlight);
+        }
+
+        gl_FragColor.a *= opacity;
+    }
+`;
+
+/**
+ * 크로마키 머티리얼 생성
+ *
+ * @param {THREE.Texture} texture 영상 텍스처
+ * @param {Object} chromaKey { keyColor, similarity, smoothness, spill }
+ * @param {Object} crop { top, bottom } 크롭 비율
+ * @returns {THREE.ShaderMaterial}
+ */
+export function createChromaKeyMaterial(texture, chromaKey = {}, crop = {}) {
+    const material = new THREE.ShaderMaterial({
+        uniforms: {
+            videoTexture: { value: texture },
+            keyColor: { value: new THREE.Color() },
+            similarity: { value: DEFAULT_CHROMA_KEY.similarity },
+            smoothness: { value: DEFAULT_CHROMA_KEY.smoothness },
+            spill: { value: DEFAULT_CHROMA_KEY.spill },
+            cropTop: { value: crop.top || 0 },
+            cropBottom: { value: crop.bottom || 0 },
+            highlight: { value: 0.0 },
+            opacity: { value: 1.0 },
+        },
+        vertexShader,
+        fragmentShader,
+        transparent: true,
+        side: THREE.DoubleSide,
+    });
+
+    applyChromaKey(material, chromaKey);
+    return material;
+}
+
+/**
+ * 기존 머티리얼에 크로마키 설정 적용 (생략된 값은 기본값)
+ *
+ * @param {THREE.ShaderMaterial} material createChromaKeyMaterial로 만든 머티리얼
+ * @param {Object} chromaKey { keyColor, similarity, smoothness, spill }
+ */
+export function applyChromaKey(material, chromaKey = {}) {
+    const settings = { ...DEFAULT_CHROMA_KEY, ...chromaKey };
+    const u = material.uniforms;
+
+    // 영상 텍스처는 셰이더에 sRGB 값 그대로 들어오므로 키 색상도 변환 없이 같은 값으로
+    // (Color.set은 sRGB → 리니어로 바꿔 버린다)
+    u.keyColor.value.setStyle(settings.keyColor, THREE.LinearSRGBColorSpace);
+    u.similarity.value = settings.similarity;
+    u.smoothness.value = settings.smoothness;
+    u.spill.value = settings.spill;
+}
+
+/**
+ * 머티리얼의 현재 크로마키 설정 읽기 (저장용)
+ */
+export function readChromaKey(material) {
+    const u = material.uniforms;
+    return {
+        keyColor: '#' + u.keyColor.value.getHexString(THREE.LinearSRGBColorSpace),
+        similarity: u.similarity.value,
+        smoothness: u.smoothness.value,
+        spill: u.spill.value
+    };
+}
+
+export default createChromaKeyMaterial;
@@ -0,0 +1,205 @@
+/**
+ * ContentManifest.js
+ *
+ * HUD 영상 콘텐츠 매니페스트 로더
+ *
+ * 영상마다 다른 설정(크로마키 색상, 크롭, 비율 보정, 사운드 등)을
+ * 코드가 아닌 JSON 파일(content-manifest.json)로 관리한다.
+ * 새 영상을 추가할 때는 매니페스트에 항목만 추가하면 된다.
+ *
+ * 매니페스트 형식:
+ * ```json
+ * {
+ *   "version": 1,
+ *   "defaultVideo": "greetgang",
+ *   "videos": [
+ *     {
+ *       "id": "greetgang",
+ *       "label": "01",
+ *       "src": "greetgang.mp4",
+ *       "chromaKey": { "keyColor": "#00ff00", "similarity": 0.4, "smoothness": 0.1, "spill": 0.0 },
+ *       "alpha": { "mode": "auto", "webm": null, "stacked": null },
+ *       "crop": { "top": 0, "bottom": 0 },
+ *       "aspectCorrection": 1.0,
+ *       "audio": {
+ *         "enabled": false, "volume": 0.8,
+ *         "spatial": true, "distanceModel": "inverse", "refDistance": 1.5, "rolloffFactor": 1, "maxDistance": 20
+ *       },
+ *       "loop": true,
+ *       "introMessage": null
+ *     }
+ *   ],
+ *   "playlist": { "items": ["greetgang"], "transition": "crossfade" }
+ * }
+ * ```
+ *
+ * alpha 섹션(선택)은 AlphaVideoSource가, playlist 섹션(선택)은 VideoPlaylist가 해석한다.
+ */
+
+export const DEFAULT_MANIFEST_URL = 'content-manifest.json';
+
+/**
+ * 영상 항목 기본값 (매니페스트에서 생략된 필드에 사용)
+ */
+const DEFAULT_ENTRY = {
+    id: null,
+    label: null,
+    src: null,
+    chromaKey: {
+        keyColor: '#00ff00',  // 초록
+        similarity: 0.4,      // 색상 허용 범위
+        smoothness: 0.1,      // 경계 부드러움
+        spill: 0.0            // 스필 억제 범위 (0 = 사용 안 함)
+    },
+    alpha: {
+        mode: 'auto',         // 'auto' | 'chroma' | 'native' | 'stacked'
+        webm: null,           // VP9 알파 WebM 경로
+        stacked: null         // 색상 위 / 알파 아래 MP4 경로
+    },
+    crop: {
+        top: 0,               // 상단 크롭 비율
+        bottom: 0             // 하단 크롭 비율
+    },
+    aspectCorrection: 1.0,    // 가로 비율 보정 배수
+    audio: {
+        enabled: false,
+        volume: 0.8,
+        spatial: true,            // 캐릭터 위치 기준 공간 음향 (PositionalAudio)
+        distanceModel: 'inverse', // 'linear' | 'inverse' | 'exponential'
+        refDistance: 1.5,         // 이 거리까지는 원래 볼륨 (m)
+        rolloffFactor: 1.0,       // 거리에 따른 감쇠 정도
+        maxDistance: 20           // linear 모델에서 소리가 사라지는 거리 (m)
+    },
+    loop: true,
+    introMessage: null        // 배치 시 표시할 안내 문구
+};
+
+/**
+ * 파일 경로에서 항목 ID 추출 ('videos/singgang2.mp4' → 'singgang2')
+ */
+function idFromSrc(src) {
+    const file = src.split('/').pop();
+    return file.replace(/\.[^.]+$/, '');
+}
+
+/**
+ * ContentManifest 클래스
+ */
+export class ContentManifest {
+    constructor() {
+        this.version = 0;
+        this.defaultId = null;
+        this.entries = new Map();  // id → 정규화된 항목
+        this.playlist = null;      // playlist 섹션 원본 (VideoPlaylist.setData로 전달)
+        this.loaded = false;
+    }
+
+    /**
+     * 매니페스트 JSON 로드
+     * 실패해도 예외를 던지지 않고 기본값으로 동작한다
+     *
+     * @param {string} url 매니페스트 URL
+     * @returns {Promise<boolean>} 로드 성공 여부
+     */
+    async load(url = DEFAULT_MANIFEST_URL) {
+        try {
+            const response = await fetch(url, { cache: 'no-cache' });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            const json = await response.json();
+            this.setData(json);
+            this.loaded = true;
+
+            console.log('[Manifest] 로드 완료:', this.entries.size, '개 영상');
+            return true;
+
+        } catch (error) {
+            console.warn('[Manifest] 로드 실패 (기본 설정 사용):', error.message);
+            this.loaded = false;
+            return false;
+        }
+    }
+
+    /**
+     * 매니페스트 데이터 적용
+     * @param {Object} json 매니페스트 객체
+     */
+    setData(json) {
+        if (!json || !Array.isArray(json.videos)) {
+            throw new Error('videos 배열이 없는 매니페스트');
+        }
+
+        this.version = json.version || 1;
+        this.entries.clear();
+
+        json.videos.forEach((video) => {
+            if (!video || !video.src) {
+                console.warn('[Manifest] src 없는 항목 무시:', video);
+                return;
+            }
+            const entry = this.normalizeEntry(video);
+            this.entries.set(entry.id, entry);
+        });
+
+        this.playlist = json.playlist || null;
+
+        this.defaultId = this.entries.has(json.defaultVideo) ?
+            json.defaultVideo :
+            (this.entries.keys().next().value || null);
+    }
+
+    /**
+     * 누락된 필드를 기본값으로 채운 항목 반환
+     */
+    normalizeEntry(video) {
+        return {
+            ...DEFAULT_ENTRY,
+            ...video,
+            id: video.id || idFromSrc(video.src),
+            label: video.label || video.id || idFromSrc(video.src),
+            chromaKey: { ...DEFAULT_ENTRY.chromaKey, ...video.chromaKey },
+            alpha: { ...DEFAULT_ENTRY.alpha, ...video.alpha },
+            crop: { ...DEFAULT_ENTRY.crop, ...video.crop },
+            audio: { ...DEFAULT_ENTRY.audio, ...video.audio }
+        };
+    }
+
+    /**
+     * ID 또는 영상 경로로 항목 조회
+     * 매니페스트에 없는 영상이면 기본 설정을 가진 임시 항목을 반환
+     *
+     * @param {string} idOrSrc 항목 ID 또는 영상 경로
+     * @returns {Object|null}
+     */
+    getEntry(idOrSrc) {
+        if (!idOrSrc) return this.getDefaultEntry();
+
+        if (this.entries.has(idOrSrc)) {
+            return this.entries.get(idOrSrc);
+        }
+
+        for (const entry of this.entries.values()) {
+            if (entry.src === idOrSrc) return entry;
+        }
+
+        return this.normalizeEntry({ src: idOrSrc });
+    }
+
+    /**
+     * 기본 영상 항목
+     */
+    getDefaultEntry() {
+        return this.defaultId ? this.entries.get(this.defaultId) : null;
+    }
+
+    /**
+     * 전체 항목 (매니페스트 순서)
+     */
+    getEntries() {
+        return Array.from(this.entries.values());
+    }
+}
+
+export default ContentManifest;
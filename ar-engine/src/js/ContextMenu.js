@@ -0,0 +1,171 @@
+/**
+ * ContextMenu.js
+ *
+ * 길게 누르기(데스크탑: 우클릭)로 여는 오브젝트 메뉴
+ *
+ * 항목은 { label, onSelect } 또는 하위 메뉴 { label, items } 형태로 전달한다.
+ * 하위 메뉴를 열면 같은 자리에서 목록이 바뀌고 맨 위에 '← 뒤로' 항목이 붙는다.
+ * 메뉴 밖을 터치/클릭하면 닫힌다.
+ */
+
+/**
+ * @typedef {Object} ContextMenuItem
+ * @property {string} label 표시 문구
+ * @property {Function} [onSelect] 선택 시 호출 (하위 메뉴가 없을 때)
+ * @property {ContextMenuItem[]} [items] 하위 메뉴
+ * @property {boolean} [danger] 삭제 등 위험 항목 강조
+ */
+
+/**
+ * ContextMenu 클래스
+ */
+export class ContextMenu {
+    constructor() {
+        this.element = null;
+        this.x = 0;
+        this.y = 0;
+        this.stack = [];  // 열린 메뉴 목록 (하위 메뉴 진입 시 push)
+
+        // 메뉴 밖 터치/클릭 시 닫기
+        // (버블 단계에서 처리 → touch-area 제스처 핸들러가 먼저 isOpen을 확인할 수 있음)
+        this.onOutside = (e) => {
+            if (this.element && !this.element.contains(e.target)) {
+                this.close();
+            }
+        };
+    }
+
+    get isOpen() {
+        return !!this.element;
+    }
+
+    /**
+     * 화면 좌표에 메뉴 열기
+     *
+     * @param {number} x clientX
+     * @param {number} y clientY
+     * @param {ContextMenuItem[]} items 메뉴 항목
+     */
+    open(x, y, items) {
+        this.close();
+
+        this.x = x;
+        this.y = y;
+        this.stack = [items];
+
+        const menu = document.createElement('div');
+        menu.id = 'ar-context-menu';
+        menu.style.cssText = `
+            position: fixed;
+            min-width: 160px;
+            background: rgba(0, 0, 0, 0.85);
+            color: #fff;
+            padding: 6px 0;
+            border-radius: 10px;
+            font-size: 15px;
+            z-index: 10000;
+            box-shadow: 0 4px 15px rgba(0, 0, 0, 0.6);
+        `;
+
+        // 메뉴 조작이 touch-area 제스처로 전달되지 않도록
+        ['touchstart', 'mousedown', 'wheel', 'contextmenu'].forEach((type) => {
+            menu.addEventListener(type, (e) => {
+                e.stopPropagation();
+                if (type === 'contextmenu') e.preventDefault();
+            });
+        });
+
+        document.body.appendChild(menu);
+        this.element = menu;
+        this.render();
+
+        document.addEventListener('touchstart', this.onOutside);
+        document.addEventListener('mousedown', this.onOutside);
+    }
+
+    /**
+     * 현재 메뉴 목록 그리기
+     */
+    render() {
+        const menu = this.element;
+        const items = this.stack[this.stack.length - 1];
+        menu.innerHTML = '';
+
+        if (this.stack.length > 1) {
+            menu.appendChild(this.createButton('← 뒤로', () => {
+                this.stack.pop();
+                this.render();
+            }));
+        }
+
+        items.forEach((item) => {
+            const btn = this.createButton(item.label, () => {
+                if (item.items) {
+                    this.stack.push(item.items);
+                    this.render();
+                    return;
+                }
+                this.close();
+                if (item.onSelect) item.onSelect();
+            });
+            if (item.danger) btn.style.color = '#ff6b6b';
+            menu.appendChild(btn);
+        });
+
+        this.position();
+    }
+
+    /**
+     * 메뉴 버튼 생성
+     */
+    createButton(label, handler) {
+        const btn = document.createElement('button');
+        btn.textContent = label;
+        btn.style.cssText = `
+            display: block;
+            width: 100%;
+            padding: 10px 18px;
+            border: none;
+            background: none;
+            color: inherit;
+            font-size: inherit;
+            text-align: left;
+        `;
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            handler();
+        });
+        return btn;
+    }
+
+    /**
+     * 누른 위치에 표시하되 화면 밖으로 나가지 않도록 조정
+     */
+    position() {
+        const menu = this.element;
+        const margin = 8;
+        const { width, height } = menu.getBoundingClientRect();
+
+        const left = Math.min(this.x, window.innerWidth - width - margin);
+        const top = Math.min(this.y, window.innerHeight - height - margin);
+
+        menu.style.left = `${Math.max(margin, left)}px`;
+        menu.style.top = `${Math.max(margin, top)}px`;
+    }
+
+    /**
+     * 메뉴 닫기
+     */
+    close() {
+        if (!this.element) return;
+
+        document.removeEventListener('touchstart', this.onOutside);
+        document.removeEventListener('mousedown', this.onOutside);
+
+        this.element.remove();
+        this.element = null;
+        this.stack = [];
+    }
+}
+
+export default ContextMenu;
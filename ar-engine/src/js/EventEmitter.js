@@ -0,0 +1,97 @@
+/**
+ * EventEmitter.js
+ *
+ * 간단한 이벤트 발행/구독
+ *
+ * 생성 시 이벤트 이름 목록을 넘기면 목록에 없는 이벤트의 구독/발행을 경고한다
+ * (오타로 조용히 동작하지 않는 구독을 막기 위함).
+ * 리스너에서 발생한 예외는 다른 리스너와 발행자에게 전파하지 않고 로그만 남긴다.
+ */
+
+/**
+ * EventEmitter 클래스
+ */
+export class EventEmitter {
+    /**
+     * @param {string[]|null} eventNames 허용할 이벤트 이름 (null이면 제한 없음)
+     */
+    constructor(eventNames = null) {
+        this.listeners = new Map();  // 이벤트 이름 → Set<listener>
+        this.eventNames = eventNames ? new Set(eventNames) : null;
+    }
+
+    /**
+     * 이벤트 구독
+     * @param {string} name 이벤트 이름
+     * @param {Function} listener (payload) => void
+     * @returns {Function} 구독 해제 함수
+     */
+    on(name, listener) {
+        this.checkEventName(name);
+
+        if (!this.listeners.has(name)) {
+            this.listeners.set(name, new Set());
+        }
+        this.listeners.get(name).add(listener);
+
+        return () => this.off(name, listener);
+    }
+
+    /**
+     * 한 번만 받는 구독
+     */
+    once(name, listener) {
+        const off = this.on(name, (payload) => {
+            off();
+            listener(payload);
+        });
+        return off;
+    }
+
+    /**
+     * 구독 해제
+     */
+    off(name, listener) {
+        const set = this.listeners.get(name);
+        if (set) set.delete(listener);
+    }
+
+    /**
+     * 이벤트 발행
+     * @param {string} name 이벤트 이름
+     * @param {Object} payload 리스너에 전달할 데이터
+     */
+    emit(name, payload = {}) {
+        this.checkEventName(name);
+
+        const set = this.listeners.get(name);
+        if (!set || set.size === 0) return;
+
+        // 리스너 안에서 구독을 해제해도 순회가 깨지지 않도록 복사
+        [...set].forEach((listener) => {
+            try {
+                listener(payload);
+            } catch (e) {
+                console.error(`[Event] '${name}' 리스너 오류:`, e);
+            }
+        });
+    }
+
+    /**
+     * 이벤트 이름 검사
+     */
+    checkEventName(name) {
+        if (this.eventNames && !this.eventNames.has(name)) {
+            console.warn('[Event] 알 수 없는 이벤트:', name);
+        }
+    }
+
+    /**
+     * 모든 구독 해제
+     */
+    removeAllListeners() {
+        this.listeners.clear();
+    }
+}
+
+export default EventEmitter;
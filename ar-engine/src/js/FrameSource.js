@@ -0,0 +1,333 @@
+/**
+ * FrameSource.js
+ *
+ * 카메라 프레임 공유 파이프라인
+ *
+ * 새 카메라 프레임이 들어왔을 때 한 번만 요청된 스케일로 캔버스에 그리고, 구독자 모두에게 같은 프레임을 넘긴다.
+ * SLAM / Visual Odometry / 특징점 검출이 각자 캔버스를 만들어 복사하지 않도록 한다.
+ *
+ * RGBA(ImageData)와 그레이스케일은 처음 접근할 때 한 번만 읽어온다.
+ * 워커로 넘기는 추적기는 toImageBitmap()만 쓰므로 메인 스레드에서 픽셀을 읽지 않는다.
+ *
+ * 프레임 형식 (모든 추적기가 받는 공통 형식):
+ * ```js
+ * {
+ *     id: 42,                 // 캡처 순번 (0부터)
+ *     timestamp: 1234.5,      // 캡처 시각 (performance.now(), ms)
+ *     mediaTime: 12.34,       // 비디오 currentTime (초)
+ *     width: 640,             // 처리 해상도
+ *     height: 360,
+ *     scale: 0.5,             // 처리 해상도 / 원본 해상도
+ *     sourceWidth: 1280,      // 원본 비디오 해상도
+ *     sourceHeight: 720,
+ *     imageData: ImageData,   // RGBA (지연 생성)
+ *     gray: Uint8Array,       // width * height, 밝기 (BT.601, 지연 생성)
+ *     toImageBitmap()         // Promise<ImageBitmap> (워커 전송용)
+ * }
+ * ```
+ *
+ * 캔버스와 버퍼는 다음 캡처에서 재사용되므로 픽셀은 구독자 콜백 안에서 읽고,
+ * 보관하려면 복사해야 한다. (이전 프레임의 imageData/gray에 접근하면 null)
+ *
+ * 사용법:
+ * ```js
+ * const frames = new FrameSource(video, { scale: 0.5 });
+ * const unsubscribe = frames.subscribe((frame) => vo.processFrame(frame));
+ *
+ * // 렌더 루프에서
+ * frames.update();
+ *
+ * // 세션 재생: 카메라 대신 기록된 이미지를 프레임으로 전달
+ * frames.setExternal(true);
+ * frames.pushFrame(image, { id, timestamp, sourceWidth, sourceHeight });
+ * ```
+ */
+
+/**
+ * FrameSource 클래스
+ */
+export class FrameSource {
+    /**
+     * @param {HTMLVideoElement} video 카메라 비디오
+     * @param {Object} options
+     * @param {number} options.scale 처리 스케일 (0~1, 기본 1)
+     */
+    constructor(video, options = {}) {
+        this.video = video;
+        this.scale = options.scale || 1.0;
+
+        this.canvas = null;
+        this.ctx = null;
+        this.gray = null;
+
+        this.listeners = new Set();
+        this.frameId = 0;
+        this.lastFrame = null;
+        this.lastMediaTime = -1;
+        this.external = false;          // true면 비디오를 캡처하지 않고 pushFrame으로만 받는다
+
+        // requestVideoFrameCallback 지원 시 실제 새 프레임 도착을 기준으로 캡처
+        this.hasNewFrame = true;
+        this.videoFrameHandle = null;
+        this.watchVideoFrames();
+    }
+
+    /**
+     * 새 비디오 프레임 도착 감시 (지원 브라우저만)
+     */
+    watchVideoFrames() {
+        if (!this.video || typeof this.video.requestVideoFrameCallback !== 'function') return;
+
+        const onFrame = () => {
+            this.hasNewFrame = true;
+            this.videoFrameHandle = this.video.requestVideoFrameCallback(onFrame);
+        };
+        this.videoFrameHandle = this.video.requestVideoFrameCallback(onFrame);
+    }
+
+    /**
+     * 처리 스케일 변경 (다음 캡처부터 적용)
+     * @param {number} scale 0~1
+     */
+    setScale(scale) {
+        this.scale = Math.min(1, Math.max(0.05, scale));
+        this.hasNewFrame = true;
+    }
+
+    /**
+     * 외부 프레임 모드 전환 (세션 재생 중에는 카메라 캡처를 멈춘다)
+     * @param {boolean} external
+     */
+    setExternal(external) {
+        this.external = external;
+        this.hasNewFrame = true;
+    }
+
+    /**
+     * 프레임 구독
+     * @param {(frame: Object) => void} listener
+     * @returns {Function} 구독 해제 함수
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * 렌더 루프에서 호출: 새 프레임이 있고 구독자가 있으면 캡처 후 전달
+     * @returns {Object|null} 전달한 프레임
+     */
+    update() {
+        if (this.listeners.size === 0 || this.external) return null;
+
+        const frame = this.capture();
+        if (!frame) return null;
+
+        this.dispatch(frame);
+        return frame;
+    }
+
+    /**
+     * 외부 이미지를 프레임으로 전달 (세션 재생용)
+     * 이미지 크기를 그대로 처리 해상도로 쓰고, 번호와 시각은 호출자가 정한다
+     *
+     * @param {CanvasImageSource} image ImageBitmap 등
+     * @param {Object} info { id, timestamp, mediaTime, sourceWidth, sourceHeight }
+     * @returns {Object} 전달한 프레임
+     */
+    pushFrame(image, info = {}) {
+        const width = image.width;
+        const height = image.height;
+        const sourceWidth = info.sourceWidth || width;
+        const sourceHeight = info.sourceHeight || height;
+
+        this.ensureCanvas(width, height);
+        this.ctx.drawImage(image, 0, 0, width, height);
+
+        this.lastFrame = this.createFrame({
+            id: info.id ?? this.frameId++,
+            timestamp: info.timestamp ?? performance.now(),
+            mediaTime: info.mediaTime ?? 0,
+            width,
+            height,
+            scale: width / sourceWidth,
+            sourceWidth,
+            sourceHeight
+        });
+        this.dispatch(this.lastFrame);
+        return this.lastFrame;
+    }
+
+    /**
+     * 구독자에게 프레임 전달
+     */
+    dispatch(frame) {
+        [...this.listeners].forEach((listener) => {
+            try {
+                listener(frame);
+            } catch (e) {
+                console.error('[Frame] 구독자 오류:', e);
+            }
+        });
+    }
+
+    /**
+     * 새 프레임 캡처 (같은 프레임이면 null)
+     * @returns {Object|null}
+     */
+    capture() {
+        const video = this.video;
+        if (!video || video.readyState < 2 || video.videoWidth === 0) return null;
+        if (!this.isNewFrame()) return null;
+
+        const sourceWidth = video.videoWidth;
+        const sourceHeight = video.videoHeight;
+        const width = Math.max(1, Math.floor(sourceWidth * this.scale));
+        const height = Math.max(1, Math.floor(sourceHeight * this.scale));
+
+        this.ensureCanvas(width, height);
+        this.ctx.drawImage(video, 0, 0, width, height);
+
+        this.lastFrame = this.createFrame({
+            id: this.frameId++,
+            timestamp: performance.now(),
+            mediaTime: video.currentTime,
+            width,
+            height,
+            scale: width / sourceWidth,
+            sourceWidth,
+            sourceHeight
+        });
+        return this.lastFrame;
+    }
+
+    /**
+     * 캔버스에 그려진 현재 프레임을 공통 프레임 형식으로 감싸기
+     */
+    createFrame(info) {
+        const source = this;
+        let imageData = null;
+        let gray = null;
+        const isCurrent = () => source.lastFrame === frame && source.ctx !== null;
+
+        const frame = {
+            ...info,
+            get imageData() {
+                if (!imageData && isCurrent()) {
+                    imageData = source.ctx.getImageData(0, 0, info.width, info.height);
+                }
+                return imageData;
+            },
+            get gray() {
+                if (!gray && isCurrent()) {
+                    gray = toGrayscale(frame.imageData, source.grayBuffer(info.width * info.height));
+                }
+                return gray;
+            },
+            toImageBitmap() {
+                return createImageBitmap(source.canvas);
+            }
+        };
+        return frame;
+    }
+
+    /**
+     * 마지막 캡처 이후 비디오 프레임이 바뀌었는지
+     */
+    isNewFrame() {
+        if (this.videoFrameHandle !== null) {
+            if (!this.hasNewFrame) return false;
+            this.hasNewFrame = false;
+            return true;
+        }
+
+        // 폴백: currentTime 변화로 판단
+        const mediaTime = this.video.currentTime;
+        if (mediaTime === this.lastMediaTime && !this.hasNewFrame) return false;
+        this.lastMediaTime = mediaTime;
+        this.hasNewFrame = false;
+        return true;
+    }
+
+    ensureCanvas(width, height) {
+        if (!this.canvas) {
+            this.canvas = document.createElement('canvas');
+            this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
+        }
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+    }
+
+    grayBuffer(size) {
+        if (!this.gray || this.gray.length !== size) {
+            this.gray = new Uint8Array(size);
+        }
+        return this.gray;
+    }
+
+    /**
+     * 정리
+     */
+    destroy() {
+        if (this.videoFrameHandle !== null && this.video.cancelVideoFrameCallback) {
+            this.video.cancelVideoFrameCallback(this.videoFrameHandle);
+        }
+        this.videoFrameHandle = null;
+        this.listeners.clear();
+        this.canvas = null;
+        this.ctx = null;
+        this.gray = null;
+        this.lastFrame = null;
+    }
+}
+
+/**
+ * RGBA → 그레이스케일
+ * @param {ImageData} imageData
+ * @param {Uint8Array} out 결과 버퍼 (없으면 새로 만듦)
+ * @returns {Uint8Array}
+ */
+export function toGrayscale(imageData, out = null) {
+    const { width, height, data } = imageData;
+    const size = width * height;
+    const gray = out && out.length === size ? out : new Uint8Array(size);
+
+    for (let i = 0, p = 0; i < size; i++, p += 4) {
+        // 0.299 R + 0.587 G + 0.114 B (정수 근사)
+        gray[i] = (data[p] * 77 + data[p + 1] * 150 + data[p + 2] * 29) >> 8;
+    }
+    return gray;
+}
+
+/**
+ * 그레이스케일 평균 밝기 (추적 상태의 '너무 어두움' 판단용)
+ * @param {Uint8Array} gray
+ * @param {number} step 샘플 간격 (픽셀)
+ * @returns {number} 0~255
+ */
+export function meanBrightness(gray, step = 16) {
+    if (!gray || gray.length === 0) return 0;
+
+    let sum = 0;
+    let count = 0;
+    for (let i = 0; i < gray.length; i += step) {
+        sum += gray[i];
+        count++;
+    }
+    return sum / count;
+}
+
+/**
+ * 프레임 또는 ImageData에서 RGBA 데이터 꺼내기
+ * 추적기가 기존 ImageData 호출과 FrameSource 프레임을 모두 받을 수 있도록
+ *
+ * @param {Object|ImageData} frame
+ * @returns {{width: number, height: number, data: Uint8ClampedArray}}
+ */
+export function frameRGBA(frame) {
+    return frame.imageData || frame;
+}
+
+export default FrameSource;
@@ -0,0 +1,355 @@
+/**
+ * GestureController.js
+ *
+ * 터치/마우스 입력을 제스처로 해석하는 모듈
+ *
+ * 지원 제스처:
+ * - 탭 / 더블탭          (마우스: 클릭 / 더블클릭)
+ * - 한 손가락 드래그      (마우스: 드래그)
+ * - 두 손가락 핀치 + 비틀기 (마우스: 휠 = 크기, Shift+휠 = 회전)
+ * - 길게 누르기           (마우스: 우클릭)
+ * - 빠르게 튕기기 (flick) (마우스: 빠르게 드래그 후 놓기)
+ *
+ * 해석된 제스처는 생성자에 넘긴 handlers 콜백으로 전달된다.
+ * 제스처를 어떤 오브젝트에 적용할지는 호출하는 쪽(ARApp)이 결정한다.
+ */
+
+// 탭으로 간주할 최대 이동 거리 (px)
+const TAP_SLOP = 10;
+// 더블탭 간격 (ms)
+const DOUBLE_TAP_MS = 300;
+// 길게 누르기 판정 시간 (ms)
+const LONG_PRESS_MS = 550;
+// 튕기기 판정 최소 속도 (px/ms)
+const FLICK_MIN_SPEED = 1.2;
+// 속도 계산에 사용할 최근 이동 구간 (ms)
+const VELOCITY_WINDOW_MS = 80;
+// Shift+휠 한 칸당 회전 (rad)
+const WHEEL_ROTATE_STEP = Math.PI / 12;
+
+/**
+ * @typedef {Object} GestureHandlers
+ * @property {(x: number, y: number, pointerType: 'touch'|'mouse') => boolean|void} [onPointerDown] false를 반환하면 이후 제스처를 무시
+ * @property {(x: number, y: number) => void} [onTap]
+ * @property {(x: number, y: number) => void} [onDoubleTap]
+ * @property {(x: number, y: number) => void} [onDragStart]
+ * @property {(dx: number, dy: number) => void} [onDragMove] 시작점 기준 누적 이동량
+ * @property {() => void} [onDragEnd]
+ * @property {() => void} [onTransformStart] 두 손가락 시작
+ * @property {(t: {scale: number, rotation: number}) => void} [onTransform] 시작 대비 배율 / 회전(rad, 화면 시계방향 +)
+ * @property {() => void} [onTransformEnd]
+ * @property {(factor: number) => void} [onWheelScale]
+ * @property {(delta: number) => void} [onWheelRotate]
+ * @property {(x: number, y: number) => void} [onLongPress]
+ * @property {(f: {x: number, y: number, vx: number, vy: number}) => void} [onFlick] 속도 px/ms
+ */
+
+/**
+ * GestureController 클래스
+ */
+export class GestureController {
+    /**
+     * @param {HTMLElement} element 입력을 받을 엘리먼트
+     * @param {GestureHandlers} handlers 제스처 콜백
+     */
+    constructor(element, handlers = {}) {
+        this.element = element;
+        this.handlers = handlers;
+        this.enabled = true;
+
+        // 포인터 상태
+        this.mode = 'idle';           // 'idle' | 'drag' | 'transform' | 'ignored'
+        this.startX = 0;
+        this.startY = 0;
+        this.moved = false;
+        this.samples = [];            // 속도 계산용 {x, y, t}
+        this.lastTapTime = 0;
+        this.longPressTimer = null;
+        this.longPressFired = false;
+
+        // 두 손가락 상태
+        this.startDist = 0;
+        this.startAngle = 0;
+
+        // 마우스 상태
+        this.mouseDown = false;
+
+        this.listeners = [];
+        this.bind();
+    }
+
+    /**
+     * 이벤트 리스너 등록
+     */
+    bind() {
+        const on = (type, fn, options) => {
+            this.element.addEventListener(type, fn, options);
+            this.listeners.push([type, fn, options]);
+        };
+
+        // === 터치 (모바일) ===
+        on('touchstart', (e) => this.onTouchStart(e), { passive: false });
+        on('touchmove', (e) => this.onTouchMove(e), { passive: false });
+        on('touchend', (e) => this.onTouchEnd(e));
+        on('touchcancel', (e) => this.onTouchEnd(e));
+
+        // === 마우스 (데스크탑) ===
+        on('mousedown', (e) => this.onMouseDown(e));
+        on('mousemove', (e) => this.onMouseMove(e));
+        on('mouseup', (e) => this.onMouseUp(e));
+        on('mouseleave', () => this.onMouseLeave());
+        on('dblclick', (e) => this.emit('onDoubleTap', e.clientX, e.clientY));
+        on('contextmenu', (e) => {
+            // 우클릭 = 길게 누르기
+            e.preventDefault();
+            this.emit('onLongPress', e.clientX, e.clientY);
+        });
+        on('wheel', (e) => this.onWheel(e), { passive: false });
+    }
+
+    emit(name, ...args) {
+        if (!this.enabled) return undefined;
+        const handler = this.handlers[name];
+        return handler ? handler(...args) : undefined;
+    }
+
+    // ==================== 터치 ====================
+
+    onTouchStart(e) {
+        e.preventDefault();
+        if (!this.enabled) return;
+
+        if (e.touches.length === 1) {
+            const t = e.touches[0];
+            if (this.emit('onPointerDown', t.clientX, t.clientY, 'touch') === false) {
+                this.mode = 'ignored';
+                return;
+            }
+            this.beginDrag(t.clientX, t.clientY);
+            this.startLongPress(t.clientX, t.clientY);
+        } else if (e.touches.length === 2 && this.mode !== 'ignored') {
+            this.cancelLongPress();
+            if (this.mode === 'drag') this.emit('onDragEnd');
+            this.beginTransform(e.touches);
+        }
+    }
+
+    onTouchMove(e) {
+        e.preventDefault();
+        if (!this.enabled) return;
+
+        if (this.mode === 'drag' && e.touches.length === 1) {
+            const t = e.touches[0];
+            this.moveDrag(t.clientX, t.clientY);
+        } else if (this.mode === 'transform' && e.touches.length === 2) {
+            const dist = this.getDistance(e.touches);
+            const angle = this.getAngle(e.touches);
+            this.emit('onTransform', {
+                scale: dist / this.startDist,
+                rotation: this.normalizeAngle(angle - this.startAngle)
+            });
+        }
+    }
+
+    onTouchEnd(e) {
+        if (e.touches.length === 0) {
+            if (this.mode === 'drag') {
+                const t = e.changedTouches[0];
+                this.endDrag(t ? t.clientX : this.startX, t ? t.clientY : this.startY, true);
+            } else if (this.mode === 'transform') {
+                this.emit('onTransformEnd');
+            }
+            this.cancelLongPress();
+            this.mode = 'idle';
+        } else if (e.touches.length === 1 && this.mode === 'transform') {
+            // 두 손가락 → 한 손가락: 드래그로 전환 (탭/튕기기 판정은 하지 않음)
+            this.emit('onTransformEnd');
+            this.beginDrag(e.touches[0].clientX, e.touches[0].clientY);
+            this.moved = true;
+        }
+    }
+
+    // ==================== 마우스 ====================
+
+    onMouseDown(e) {
+        if (!this.enabled || e.button !== 0) return;
+        if (this.emit('onPointerDown', e.clientX, e.clientY, 'mouse') === false) return;
+
+        this.mouseDown = true;
+        this.beginDrag(e.clientX, e.clientY);
+    }
+
+    onMouseMove(e) {
+        if (!this.mouseDown || this.mode !== 'drag') return;
+        this.moveDrag(e.clientX, e.clientY);
+    }
+
+    onMouseUp(e) {
+        if (!this.mouseDown) return;
+        this.mouseDown = false;
+        if (this.mode === 'drag') {
+            // 마우스 탭/더블탭은 click/dblclick 이벤트가 처리
+            this.endDrag(e.clientX, e.clientY, false);
+        }
+        this.mode = 'idle';
+    }
+
+    onMouseLeave() {
+        if (this.mouseDown && this.mode === 'drag') {
+            this.emit('onDragEnd');
+        }
+        this.mouseDown = false;
+        this.mode = 'idle';
+    }
+
+    onWheel(e) {
+        if (!this.enabled) return;
+        e.preventDefault();
+
+        if (e.shiftKey || e.altKey) {
+            // Shift/Alt + 휠: 회전 (비틀기 대체)
+            // 일부 브라우저는 Shift+휠을 가로 스크롤(deltaX)로 바꿔 보낸다
+            const delta = e.deltaY || e.deltaX;
+            if (delta === 0) return;
+            this.emit('onWheelRotate', delta > 0 ? WHEEL_ROTATE_STEP : -WHEEL_ROTATE_STEP);
+        } else {
+            // 휠: 크기 조절 (핀치 대체)
+            this.emit('onWheelScale', e.deltaY > 0 ? 0.9 : 1.1);
+        }
+    }
+
+    // ==================== 드래그 ====================
+
+    beginDrag(x, y) {
+        this.mode = 'drag';
+        this.startX = x;
+        this.startY = y;
+        this.moved = false;
+        this.longPressFired = false;
+        this.samples = [{ x, y, t: performance.now() }];
+        this.emit('onDragStart', x, y);
+    }
+
+    moveDrag(x, y) {
+        const dx = x - this.startX;
+        const dy = y - this.startY;
+
+        if (!this.moved && Math.hypot(dx, dy) > TAP_SLOP) {
+            this.moved = true;
+            this.cancelLongPress();
+        }
+        if (this.longPressFired) return;
+
+        const now = performance.now();
+        this.samples.push({ x, y, t: now });
+        while (this.samples.length > 2 && now - this.samples[0].t > VELOCITY_WINDOW_MS) {
+            this.samples.shift();
+        }
+
+        this.emit('onDragMove', dx, dy);
+    }
+
+    /**
+     * @param {boolean} detectTap 탭/더블탭 판정 여부 (터치만)
+     */
+    endDrag(x, y, detectTap) {
+        if (this.longPressFired) {
+            this.longPressFired = false;
+            return;
+        }
+
+        this.emit('onDragEnd');
+
+        if (!this.moved) {
+            if (!detectTap) return;
+
+            const now = performance.now();
+            if (now - this.lastTapTime < DOUBLE_TAP_MS) {
+                this.lastTapTime = 0;
+                this.emit('onDoubleTap', x, y);
+            } else {
+                this.lastTapTime = now;
+                this.emit('onTap', x, y);
+            }
+            return;
+        }
+
+        // 튕기기 판정: 최근 구간 평균 속도
+        const first = this.samples[0];
+        const dt = performance.now() - first.t;
+        if (dt > 0 && dt <= VELOCITY_WINDOW_MS * 2) {
+            const vx = (x - first.x) / dt;
+            const vy = (y - first.y) / dt;
+            if (Math.hypot(vx, vy) >= FLICK_MIN_SPEED) {
+                this.emit('onFlick', { x, y, vx, vy });
+            }
+        }
+    }
+
+    // ==================== 길게 누르기 ====================
+
+    startLongPress(x, y) {
+        this.cancelLongPress();
+        this.longPressTimer = setTimeout(() => {
+            this.longPressTimer = null;
+            if (this.mode !== 'drag' || this.moved) return;
+            this.longPressFired = true;
+            this.emit('onLongPress', x, y);
+        }, LONG_PRESS_MS);
+    }
+
+    cancelLongPress() {
+        if (this.longPressTimer) {
+            clearTimeout(this.longPressTimer);
+            this.longPressTimer = null;
+        }
+    }
+
+    // ==================== 두 손가락 ====================
+
+    beginTransform(touches) {
+        this.mode = 'transform';
+        this.startDist = this.getDistance(touches);
+        this.startAngle = this.getAngle(touches);
+        this.emit('onTransformStart');
+    }
+
+    /**
+     * 두 터치 포인트 사이 거리 계산
+     */
+    getDistance(touches) {
+        const dx = touches[0].clientX - touches[1].clientX;
+        const dy = touches[0].clientY - touches[1].clientY;
+        return Math.sqrt(dx * dx + dy * dy);
+    }
+
+    /**
+     * 두 터치 포인트를 잇는 선의 각도 (화면 좌표, 시계방향 +)
+     */
+    getAngle(touches) {
+        return Math.atan2(
+            touches[1].clientY - touches[0].clientY,
+            touches[1].clientX - touches[0].clientX
+        );
+    }
+
+    /**
+     * 각도를 -π ~ π 범위로 정규화
+     */
+    normalizeAngle(angle) {
+        return Math.atan2(Math.sin(angle), Math.cos(angle));
+    }
+
+    /**
+     * 정리
+     */
+    destroy() {
+        this.cancelLongPress();
+        this.listeners.forEach(([type, fn, options]) => {
+            this.element.removeEventListener(type, fn, options);
+        });
+        this.listeners = [];
+    }
+}
+
+export default GestureController;
@@ -7,6 +7,48 @@
  * iOS에서는 반드시 사용자 제스처(버튼 클릭) 내에서 권한 요청이 이루어져야 함
  */
 
+/**
+ * 디바이스 및 브라우저 감지
+ * (권한 요청 없이 쓸 수 있어 카메라 프로필 조회 등에서도 사용)
+ */
+export function detectDevice() {
+    const ua = navigator.userAgent;
+
+    const isIOS = /iPad|iPhone|iPod/.test(ua) && !window.MSStream;
+    const isAndroid = /Android/.test(ua);
+    const isSafari = /Safari/.test(ua) && !/Chrome/.test(ua) && !/CriOS/.test(ua);
+    const isChrome = /Chrome/.test(ua) || /CriOS/.test(ua);
+
+    // iOS 버전 감지
+    let iosVersion = 0;
+    if (isIOS) {
+        const match = ua.match(/OS (\d+)_/);
+        if (match) iosVersion = parseInt(match[1], 10);
+    }
+
+    // iOS 13+ Safari에서 DeviceOrientation 권한 요청 필요
+    const needsMotionPermission = isIOS && iosVersion >= 13 &&
+        typeof DeviceMotionEvent !== 'undefined' &&
+        typeof DeviceMotionEvent.requestPermission === 'function';
+
+    const needsOrientationPermission = isIOS && iosVersion >= 13 &&
+        typeof DeviceOrientationEvent !== 'undefined' &&
+        typeof DeviceOrientationEvent.requestPermission === 'function';
+
+    return {
+        isIOS,
+        isAndroid,
+        isSafari,
+        isChrome,
+        iosVersion,
+        isMobile: isIOS || isAndroid,
+        needsMotionPermission,
+        needsOrientationPermission,
+        // iOS에서 권한 요청이 필요한지 (사용자 제스처 필요)
+        needsUserGesture: needsMotionPermission || needsOrientationPermission
+    };
+}
+
 export class PermissionManager {
     constructor() {
         // 권한 상태
@@ -32,41 +74,7 @@ export class PermissionManager {
      * 디바이스 및 브라우저 감지
      */
     detectDevice() {
-        const ua = navigator.userAgent;
-
-        const isIOS = /iPad|iPhone|iPod/.test(ua) && !window.MSStream;
-        const isAndroid = /Android/.test(ua);
-        const isSafari = /Safari/.test(ua) && !/Chrome/.test(ua) && !/CriOS/.test(ua);
-        const isChrome = /Chrome/.test(ua) || /CriOS/.test(ua);
-
-        // iOS 버전 감지
-        let iosVersion = 0;
-        if (isIOS) {
-            const match = ua.match(/OS (\d+)_/);
-            if (match) iosVersion = parseInt(match[1], 10);
-        }
-
-        // iOS 13+ Safari에서 DeviceOrientation 권한 요청 필요
-        const needsMotionPermission = isIOS && iosVersion >= 13 &&
-            typeof DeviceMotionEvent !== 'undefined' &&
-            typeof DeviceMotionEvent.requestPermission === 'function';
-
-        const needsOrientationPermission = isIOS && iosVersion >= 13 &&
-            typeof DeviceOrientationEvent !== 'undefined' &&
-            typeof DeviceOrientationEvent.requestPermission === 'function';
-
-        return {
-            isIOS,
-            isAndroid,
-            isSafari,
-            isChrome,
-            iosVersion,
-            isMobile: isIOS || isAndroid,
-            needsMotionPermission,
-            needsOrientationPermission,
-            // iOS에서 권한 요청이 필요한지 (사용자 제스처 필요)
-            needsUserGesture: needsMotionPermission || needsOrientationPermission
-        };
+        return detectDevice();
     }
 
     /**
@@ -0,0 +1,146 @@
+/**
+ * PluginRegistry.js
+ *
+ * ARApp 플러그인 관리
+ *
+ * main.js나 index.html을 고치지 않고 기능을 추가할 수 있도록
+ * 플러그인에 생명주기 콜백과 씬/카메라/포즈 매니저 접근을 제공한다.
+ *
+ * 플러그인 형식:
+ * ```js
+ * const plugin = {
+ *     name: 'my-plugin',
+ *     init(context) {},            // 씬 준비 후 한 번 (이미 준비됐으면 등록 즉시)
+ *     update(frame, context) {},   // 매 프레임 렌더 직전
+ *     destroy(context) {}          // 등록 해제 또는 앱 종료 시
+ * };
+ * window.arApp.registerPlugin(plugin);
+ * ```
+ *
+ * context: { app, THREE, scene, camera, renderer, frameSource, cameraPoseManager, objectPlacer, anchors }
+ * (anchors: AnchorManager. 평면/이미지 감지 플러그인은 anchors.updateTarget / loseTarget으로 알린다)
+ *
+ * 플러그인 콜백의 예외는 앱을 멈추지 않고 onError로 전달된다.
+ * update에서 예외가 나면 해당 플러그인의 update는 더 이상 호출하지 않는다.
+ */
+
+/**
+ * PluginRegistry 클래스
+ */
+export class PluginRegistry {
+    /**
+     * @param {(error: Error, context: string) => void} onError 플러그인 오류 보고
+     */
+    constructor(onError = null) {
+        this.plugins = [];       // { plugin, initialized, failed }
+        this.context = null;     // initAll 이후 설정
+        this.onError = onError;
+    }
+
+    /**
+     * 플러그인 등록
+     * @param {Object} plugin { name, init, update, destroy }
+     * @returns {Function} 등록 해제 함수
+     */
+    register(plugin) {
+        if (!plugin || typeof plugin !== 'object') {
+            throw new TypeError('플러그인은 객체여야 합니다');
+        }
+        if (this.plugins.some(record => record.plugin === plugin)) {
+            console.warn('[Plugin] 이미 등록된 플러그인:', plugin.name);
+            return () => this.unregister(plugin);
+        }
+
+        const record = { plugin, initialized: false, failed: false };
+        this.plugins.push(record);
+        console.log('[Plugin] 등록:', this.nameOf(plugin));
+
+        if (this.context) {
+            this.initRecord(record);
+        }
+
+        return () => this.unregister(plugin);
+    }
+
+    /**
+     * 플러그인 등록 해제 (destroy 호출)
+     */
+    unregister(plugin) {
+        const index = this.plugins.findIndex(record => record.plugin === plugin);
+        if (index === -1) return;
+
+        const [record] = this.plugins.splice(index, 1);
+        if (record.initialized) {
+            this.call(record, 'destroy', this.context);
+        }
+        console.log('[Plugin] 해제:', this.nameOf(plugin));
+    }
+
+    /**
+     * 앱 준비 완료: 대기 중인 플러그인 init
+     * @param {Object} context 플러그인에 전달할 앱 자원
+     */
+    initAll(context) {
+        this.context = context;
+        this.plugins.forEach(record => this.initRecord(record));
+    }
+
+    initRecord(record) {
+        if (record.initialized) return;
+        record.initialized = true;
+        this.call(record, 'init', this.context);
+    }
+
+    /**
+     * 매 프레임 update 호출
+     * @param {Object} frame { time, delta, frame }
+     */
+    update(frame) {
+        if (!this.context) return;
+
+        this.plugins.forEach((record) => {
+            if (!record.initialized || record.failed) return;
+            if (!this.call(record, 'update', frame, this.context)) {
+                record.failed = true;
+            }
+        });
+    }
+
+    /**
+     * 모든 플러그인 destroy
+     */
+    destroyAll() {
+        [...this.plugins].reverse().forEach((record) => {
+            if (record.initialized) {
+                this.call(record, 'destroy', this.context);
+            }
+        });
+        this.plugins = [];
+        this.context = null;
+    }
+
+    /**
+     * 플러그인 콜백 호출 (예외 격리)
+     * @returns {boolean} 성공 여부
+     */
+    call(record, method, ...args) {
+        const fn = record.plugin[method];
+        if (typeof fn !== 'function') return true;
+
+        try {
+            fn.apply(record.plugin, args);
+            return true;
+        } catch (e) {
+            const where = `plugin:${this.nameOf(record.plugin)}.${method}`;
+            console.error(`[Plugin] ${where} 오류:`, e);
+            if (this.onError) this.onError(e, where);
+            return false;
+        }
+    }
+
+    nameOf(plugin) {
+        return plugin.name || '(이름 없음)';
+    }
+}
+
+export default PluginRegistry;
@@ -0,0 +1,261 @@
+/**
+ * PoseFilterPanel.js
+ *
+ * 포즈 필터 디버그 패널 (?posefilter)
+ *
+ * - 필터 종류(없음 / One Euro / 임계 감쇠 스프링)를 실행 중에 바꾸고
+ * - 종류별 파라미터를 슬라이더로 조절
+ * - 표시 시각 예측(PosePredictor)을 켜고 끄거나 예측 구간을 조절
+ * - 마지막 설정은 localStorage에 저장 → 다음 실행 때 그대로 사용
+ */
+
+import { POSE_FILTER_TYPES, defaultPoseFilterParams } from './PoseFilters.js';
+
+const STORAGE_KEY = 'gangjin-ar.pose-filter';
+
+// 표시 시각 예측 슬라이더 (PosePredictor 옵션)
+const PREDICTION_PARAMS = [
+    { key: 'maxHorizonMs', label: '최대 예측 (ms)', min: 0, max: 200, step: 5 },
+    { key: 'horizonOffsetMs', label: '추가 지연 (ms)', min: -50, max: 100, step: 1 }
+];
+
+/**
+ * PoseFilterPanel 클래스
+ */
+export class PoseFilterPanel {
+    /**
+     * @param {CameraPoseManager} cameraPoseManager
+     */
+    constructor(cameraPoseManager) {
+        this.cameraPoseManager = cameraPoseManager;
+
+        this.active = false;
+        this.panel = null;
+        this.select = null;
+        this.sliders = null;
+
+        // 콜백
+        this.onClose = null;
+    }
+
+    /**
+     * 저장된 필터 설정 ({ type, params, prediction } 또는 null)
+     */
+    static load() {
+        try {
+            const raw = localStorage.getItem(STORAGE_KEY);
+            const saved = raw ? JSON.parse(raw) : null;
+            return saved && POSE_FILTER_TYPES[saved.type] ? saved : null;
+        } catch (e) {
+            console.warn('[PoseFilter] 저장된 설정 읽기 실패:', e.message);
+            return null;
+        }
+    }
+
+    static save(settings) {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+        } catch (e) {
+            console.warn('[PoseFilter] 설정 저장 실패:', e.message);
+        }
+    }
+
+    open() {
+        if (this.active) return;
+        this.active = true;
+        this.createPanel();
+        this.syncPanel();
+    }
+
+    close() {
+        if (this.panel) {
+            this.panel.remove();
+            this.panel = null;
+        }
+        this.select = null;
+        this.sliders = null;
+        this.active = false;
+        if (this.onClose) this.onClose();
+    }
+
+    toggle() {
+        if (this.active) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    /**
+     * 필터 종류 변경 (파라미터는 기본값부터)
+     */
+    changeType(type) {
+        this.cameraPoseManager.setPoseFilter(type, defaultPoseFilterParams(type));
+        this.persist();
+        this.syncPanel();
+    }
+
+    /**
+     * 현재 필터 파라미터 하나 변경
+     */
+    changeParam(key, value) {
+        this.cameraPoseManager.setPoseFilterParams({ [key]: value });
+        this.persist();
+    }
+
+    /**
+     * 표시 시각 예측 옵션 변경
+     */
+    changePrediction(options) {
+        this.cameraPoseManager.setPrediction(options);
+        this.persist();
+    }
+
+    persist() {
+        const filter = this.cameraPoseManager.poseFilter;
+        const { enabled, maxHorizonMs, horizonOffsetMs } = this.cameraPoseManager.posePredictor.options;
+        PoseFilterPanel.save({
+            type: filter.type,
+            params: filter.params,
+            prediction: { enabled, maxHorizonMs, horizonOffsetMs }
+        });
+    }
+
+    /**
+     * 패널 생성
+     */
+    createPanel() {
+        const panel = document.createElement('div');
+        panel.id = 'pose-filter-panel';
+        panel.style.cssText = `
+            position: fixed;
+            left: 50%;
+            bottom: 110px;
+            transform: translateX(-50%);
+            width: min(320px, calc(100% - 40px));
+            background: rgba(0, 0, 0, 0.8);
+            color: #fff;
+            padding: 12px 16px;
+            border-radius: 10px;
+            font-size: 13px;
+            z-index: 10000;
+        `;
+
+        // 필터 종류
+        const header = document.createElement('label');
+        header.style.cssText = 'display: flex; align-items: center; gap: 8px; margin-bottom: 8px;';
+        const title = document.createElement('span');
+        title.textContent = '포즈 필터';
+        title.style.cssText = 'width: 90px;';
+        this.select = document.createElement('select');
+        this.select.style.cssText = 'flex: 1;';
+        Object.entries(POSE_FILTER_TYPES).forEach(([type, { label }]) => {
+            const option = document.createElement('option');
+            option.value = type;
+            option.textContent = label;
+            this.select.appendChild(option);
+        });
+        this.select.addEventListener('change', () => this.changeType(this.select.value));
+        header.append(title, this.select);
+        panel.appendChild(header);
+
+        // 종류별 슬라이더 (syncPanel에서 채움)
+        this.sliders = document.createElement('div');
+        panel.appendChild(this.sliders);
+
+        // 표시 시각 예측
+        const options = this.cameraPoseManager.posePredictor.options;
+        const prediction = document.createElement('label');
+        prediction.style.cssText = 'display: flex; align-items: center; gap: 8px; margin: 10px 0 4px;';
+        const enabled = document.createElement('input');
+        enabled.type = 'checkbox';
+        enabled.checked = options.enabled;
+        enabled.addEventListener('change', () => this.changePrediction({ enabled: enabled.checked }));
+        const predictionTitle = document.createElement('span');
+        predictionTitle.textContent = '표시 시각 예측';
+        prediction.append(enabled, predictionTitle);
+        panel.appendChild(prediction);
+
+        PREDICTION_PARAMS.forEach((param) => {
+            panel.appendChild(createSlider(param, options[param.key],
+                value => this.changePrediction({ [param.key]: value })));
+        });
+
+        const close = document.createElement('button');
+        close.textContent = '닫기';
+        close.style.cssText = `
+            width: 100%;
+            margin-top: 10px;
+            padding: 8px 0;
+            border: none;
+            border-radius: 6px;
+            background: #4da6ff;
+            color: #000;
+            font-weight: bold;
+        `;
+        close.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.close();
+        });
+        panel.appendChild(close);
+
+        // 패널 조작이 터치 영역 제스처로 전달되지 않도록
+        ['touchstart', 'mousedown', 'wheel'].forEach((type) => {
+            panel.addEventListener(type, (e) => e.stopPropagation());
+        });
+
+        document.body.appendChild(panel);
+        this.panel = panel;
+    }
+
+    /**
+     * 현재 필터에 맞춰 선택값과 슬라이더 다시 그리기
+     */
+    syncPanel() {
+        if (!this.panel) return;
+
+        const filter = this.cameraPoseManager.poseFilter;
+        this.select.value = filter.type;
+        this.sliders.textContent = '';
+
+        POSE_FILTER_TYPES[filter.type].params.forEach((param) => {
+            this.sliders.appendChild(createSlider(param, filter.params[param.key],
+                value => this.changeParam(param.key, value)));
+        });
+    }
+}
+
+/**
+ * 이름 + 슬라이더 + 현재 값 한 줄
+ */
+function createSlider({ label, min, max, step }, initial, onChange) {
+    const row = document.createElement('label');
+    row.style.cssText = 'display: flex; align-items: center; gap: 8px; margin: 4px 0;';
+
+    const name = document.createElement('span');
+    name.textContent = label;
+    name.style.cssText = 'width: 130px;';
+
+    const input = document.createElement('input');
+    input.type = 'range';
+    input.min = min;
+    input.max = max;
+    input.step = step;
+    input.value = initial;
+    input.style.cssText = 'flex: 1;';
+
+    const value = document.createElement('span');
+    value.style.cssText = 'width: 40px; text-align: right;';
+    value.textContent = initial;
+
+    input.addEventListener('input', () => {
+        const number = parseFloat(input.value);
+        value.textContent = number;
+        onChange(number);
+    });
+
+    row.append(name, input, value);
+    return row;
+}
+
+export default PoseFilterPanel;
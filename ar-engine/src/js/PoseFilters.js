@@ -0,0 +1,250 @@
+/**
+ * PoseFilters.js
+ *
+ * 카메라 포즈 필터 (CameraPoseManager.commitPose에서 카메라에 적용하기 직전)
+ *
+ * 위치는 벡터로, 회전은 쿼터니언(slerp / 회전 벡터)으로 따로 거른다.
+ * - none:    그대로 통과
+ * - oneEuro: One Euro 필터. 느릴 때는 강하게 걸러 떨림을 없애고, 빠를수록 차단 주파수를 올려 지연을 줄인다
+ * - spring:  임계 감쇠 스프링. 튀지 않고(오버슈트 없음) 정해진 빠르기로 따라간다
+ *
+ * 필터 인터페이스:
+ * ```js
+ * const filter = createPoseFilter('oneEuro', { beta: 5 });
+ * filter.filter(position, quaternion, frameTimestamp);      // 제자리에서 거른 값으로 바꿈 (포즈 시각, ms)
+ * filter.setParams({ minCutoff: 0.5 });                     // 실행 중 조절
+ * filter.reset();                                           // 다음 포즈를 그대로 시작값으로
+ * ```
+ */
+
+import * as THREE from 'three';
+
+// 첫 포즈 또는 너무 오래 끊겼다 돌아오면 걸러진 값을 버리고 새로 시작 (ms)
+const MAX_GAP_MS = 500;
+
+/**
+ * 필터 종류 + 조절 가능한 파라미터 (디버그 UI가 슬라이더로 사용)
+ */
+export const POSE_FILTER_TYPES = Object.freeze({
+    none: {
+        label: '없음',
+        params: []
+    },
+    oneEuro: {
+        label: 'One Euro',
+        params: [
+            { key: 'minCutoff', label: '위치 최소 차단 (Hz)', min: 0.05, max: 10, step: 0.05, value: 1.0 },
+            { key: 'beta', label: '위치 속도 계수', min: 0, max: 50, step: 0.5, value: 10 },
+            { key: 'rotationMinCutoff', label: '회전 최소 차단 (Hz)', min: 0.05, max: 10, step: 0.05, value: 1.0 },
+            { key: 'rotationBeta', label: '회전 속도 계수', min: 0, max: 20, step: 0.1, value: 5 },
+            { key: 'derivativeCutoff', label: '속도 차단 (Hz)', min: 0.1, max: 10, step: 0.1, value: 1.0 }
+        ]
+    },
+    spring: {
+        label: '임계 감쇠 스프링',
+        params: [
+            { key: 'frequency', label: '위치 응답 (Hz)', min: 0.5, max: 30, step: 0.5, value: 10 },
+            { key: 'rotationFrequency', label: '회전 응답 (Hz)', min: 0.5, max: 30, step: 0.5, value: 10 }
+        ]
+    }
+});
+
+/**
+ * 필터 종류의 기본 파라미터
+ */
+export function defaultPoseFilterParams(type) {
+    const params = {};
+    (POSE_FILTER_TYPES[type]?.params || []).forEach(({ key, value }) => { params[key] = value; });
+    return params;
+}
+
+/**
+ * 필터 생성
+ * @param {'none'|'oneEuro'|'spring'} type
+ * @param {Object} params 생략한 값은 기본값
+ */
+export function createPoseFilter(type = 'oneEuro', params = {}) {
+    switch (type) {
+        case 'none': return new PassthroughFilter();
+        case 'spring': return new CriticallyDampedFilter(params);
+        case 'oneEuro': return new OneEuroFilter(params);
+        default:
+            console.warn('[PoseFilter] 알 수 없는 필터:', type);
+            return new OneEuroFilter(params);
+    }
+}
+
+/**
+ * 필터 공통 (파라미터 + 시간 간격 관리)
+ */
+class PoseFilter {
+    constructor(type, params) {
+        this.type = type;
+        this.params = { ...defaultPoseFilterParams(type), ...params };
+        this.lastTime = null;
+    }
+
+    setParams(params) {
+        this.params = { ...this.params, ...params };
+    }
+
+    reset() {
+        this.lastTime = null;
+    }
+
+    /**
+     * 이전 호출과의 간격 (초), 처음이거나 오래 끊겼으면 null
+     * 같은 시각(또는 이전 시각)의 포즈가 다시 들어오면 0 (상태를 진행하지 않음)
+     */
+    step(time) {
+        const last = this.lastTime;
+        if (last !== null && time <= last) return 0;
+        this.lastTime = time;
+        if (last === null || time - last > MAX_GAP_MS) return null;
+        return Math.max(time - last, 1) / 1000;
+    }
+}
+
+/**
+ * 통과 (필터 없음)
+ */
+export class PassthroughFilter extends PoseFilter {
+    constructor() {
+        super('none', {});
+    }
+
+    filter() {}
+}
+
+/**
+ * 차단 주파수 cutoff의 1차 저역 통과 계수
+ */
+function smoothingAlpha(cutoff, dt) {
+    const tau = 1 / (2 * Math.PI * cutoff);
+    return 1 / (1 + tau / dt);
+}
+
+/**
+ * One Euro 필터 (Casiez et al. 2012)
+ */
+export class OneEuroFilter extends PoseFilter {
+    constructor(params = {}) {
+        super('oneEuro', params);
+        this.position = new THREE.Vector3();
+        this.velocity = new THREE.Vector3();          // 걸러진 위치 속도 (단위/s)
+        this.quaternion = new THREE.Quaternion();
+        this.angularSpeed = 0;                        // 걸러진 회전 속도 (rad/s)
+    }
+
+    filter(position, quaternion, time) {
+        const dt = this.step(time);
+        if (dt === null) {
+            this.position.copy(position);
+            this.quaternion.copy(quaternion);
+            this.velocity.set(0, 0, 0);
+            this.angularSpeed = 0;
+            return;
+        }
+        if (dt === 0) {
+            position.copy(this.position);
+            quaternion.copy(this.quaternion);
+            return;
+        }
+
+        const p = this.params;
+        const derivativeAlpha = smoothingAlpha(p.derivativeCutoff, dt);
+
+        // 위치: 속도가 빠를수록 차단 주파수를 높인다
+        const instant = position.clone().sub(this.position).divideScalar(dt);
+        this.velocity.lerp(instant, derivativeAlpha);
+        const cutoff = p.minCutoff + p.beta * this.velocity.length();
+        this.position.lerp(position, smoothingAlpha(cutoff, dt));
+
+        // 회전: 같은 방식을 각속도 크기로
+        const angularInstant = this.quaternion.angleTo(quaternion) / dt;
+        this.angularSpeed += derivativeAlpha * (angularInstant - this.angularSpeed);
+        const rotationCutoff = p.rotationMinCutoff + p.rotationBeta * this.angularSpeed;
+        this.quaternion.slerp(quaternion, smoothingAlpha(rotationCutoff, dt));
+
+        position.copy(this.position);
+        quaternion.copy(this.quaternion);
+    }
+}
+
+/**
+ * 임계 감쇠 스프링 한 스텝 (정확해, 큰 dt에서도 안정)
+ * current를 target 쪽으로 옮기고 velocity를 갱신한다 (둘 다 제자리 변경)
+ */
+function springStep(current, velocity, target, omega, dt) {
+    const decay = Math.exp(-omega * dt);
+    const change = current.clone().sub(target);
+    const temp = velocity.clone().addScaledVector(change, omega).multiplyScalar(dt);
+    velocity.addScaledVector(temp, -omega).multiplyScalar(decay);
+    current.copy(target).add(change.add(temp).multiplyScalar(decay));
+}
+
+/**
+ * 임계 감쇠 스프링 필터
+ * 회전은 걸러진 방향 기준의 회전 벡터(축 × 각도) 공간에서 같은 스프링을 쓴다
+ */
+export class CriticallyDampedFilter extends PoseFilter {
+    constructor(params = {}) {
+        super('spring', params);
+        this.position = new THREE.Vector3();
+        this.velocity = new THREE.Vector3();
+        this.quaternion = new THREE.Quaternion();
+        this.angularVelocity = new THREE.Vector3();   // 회전 벡터 속도 (rad/s)
+    }
+
+    filter(position, quaternion, time) {
+        const dt = this.step(time);
+        if (dt === null) {
+            this.position.copy(position);
+            this.quaternion.copy(quaternion);
+            this.velocity.set(0, 0, 0);
+            this.angularVelocity.set(0, 0, 0);
+            return;
+        }
+        if (dt === 0) {
+            position.copy(this.position);
+            quaternion.copy(this.quaternion);
+            return;
+        }
+
+        const p = this.params;
+        springStep(this.position, this.velocity, position, 2 * Math.PI * p.frequency, dt);
+
+        // 걸러진 방향 → 목표 방향까지의 회전 벡터를 목표로, 원점에서 스프링
+        const error = quaternionToRotationVector(
+            quaternion.clone().multiply(this.quaternion.clone().invert())
+        );
+        const offset = new THREE.Vector3();
+        springStep(offset, this.angularVelocity, error, 2 * Math.PI * p.rotationFrequency, dt);
+        this.quaternion.premultiply(rotationVectorToQuaternion(offset)).normalize();
+
+        position.copy(this.position);
+        quaternion.copy(this.quaternion);
+    }
+}
+
+/**
+ * 쿼터니언 → 회전 벡터 (짧은 쪽 회전, q가 음의 w면 부호를 뒤집어 제자리 변경)
+ */
+export function quaternionToRotationVector(q) {
+    if (q.w < 0) q.set(-q.x, -q.y, -q.z, -q.w);
+    const sinHalf = Math.sqrt(q.x * q.x + q.y * q.y + q.z * q.z);
+    if (sinHalf < 1e-9) return new THREE.Vector3(2 * q.x, 2 * q.y, 2 * q.z);
+    const angle = 2 * Math.atan2(sinHalf, q.w);
+    return new THREE.Vector3(q.x, q.y, q.z).multiplyScalar(angle / sinHalf);
+}
+
+/**
+ * 회전 벡터 → 쿼터니언
+ */
+export function rotationVectorToQuaternion(v) {
+    const angle = v.length();
+    if (angle < 1e-9) return new THREE.Quaternion(v.x / 2, v.y / 2, v.z / 2, 1).normalize();
+    return new THREE.Quaternion().setFromAxisAngle(v.clone().divideScalar(angle), angle);
+}
+
+export default createPoseFilter;
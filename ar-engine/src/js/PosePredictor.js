@@ -0,0 +1,255 @@
+/**
+ * PosePredictor.js
+ *
+ * 표시 시각 포즈 예측 (카메라 → 화면 지연 숨기기)
+ *
+ * 카메라에 적용된 포즈는 영상 프레임을 찍은 시각의 것이라, 화면에 나올 때는 이미
+ * 처리 시간 + 렌더 한 프레임만큼 지난 값이다. 빠르게 돌리면 콘텐츠가 배경 영상보다
+ * 늦게 따라와 "미끄러져" 보이므로, 포즈를 예상 표시 시각까지 외삽한다.
+ *
+ * - 표시 시각 = requestAnimationFrame 시각 + 표시 지연 (측정한 프레임 간격 + horizonOffsetMs)
+ * - 예측 구간 = 표시 시각 - 포즈 시각 (maxHorizonMs로 제한)
+ * - 회전: 최근 자이로 각속도 (카메라 좌표계), 자이로가 없거나 오래됐으면 포즈 기록에서 구한 각속도
+ * - 위치: 포즈 기록에서 구한 속도 (translation: false면 외삽 안 함)
+ *
+ * 사용법:
+ * ```js
+ * const predictor = new PosePredictor({ maxHorizonMs: 80 });
+ * window.addEventListener('devicemotion', e => predictor.addMotion(e));
+ * predictor.addPose(position, quaternion, frameTimestamp);   // 카메라에 적용한 포즈마다
+ * // 렌더 루프
+ * predictor.recordFrame(rafTimestamp);
+ * const pose = predictor.predict(rafTimestamp + predictor.displayLatency);
+ * if (pose) camera.matrix.compose(pose.position, pose.quaternion, ONE);
+ * ```
+ */
+
+import * as THREE from 'three';
+import { quaternionToRotationVector, rotationVectorToQuaternion } from './PoseFilters.js';
+
+const SCREEN_Z_AXIS = new THREE.Vector3(0, 0, 1);
+
+const DEFAULTS = {
+    enabled: true,
+    maxHorizonMs: 150,           // 이보다 길게는 외삽하지 않음
+    horizonOffsetMs: 0,          // 표시 지연에 더할 값 (측정할 수 없는 카메라 노출·합성 지연 등, 음수 가능)
+    translation: true,           // 위치도 외삽할지
+    historyMs: 300,              // 포즈 기록 보관 길이
+    velocityWindowMs: 100,       // 포즈 기록에서 속도를 구하는 구간
+    maxPoseAgeMs: 500,           // 이보다 오래된 포즈는 예측하지 않음 (추적 끊김)
+    gyroWindowMs: 50,            // 자이로 각속도 평균 구간
+    maxGyroAgeMs: 100,           // 자이로가 이보다 오래됐으면 포즈 기록 각속도 사용
+    frameSmoothing: 0.9          // 프레임 간격 측정 스무딩
+};
+
+// 탭 전환 등으로 벌어진 프레임 간격은 측정에서 뺀다 (ms)
+const MAX_FRAME_INTERVAL_MS = 100;
+
+/**
+ * PosePredictor 클래스
+ */
+export class PosePredictor {
+    constructor(options = {}) {
+        this.options = { ...DEFAULTS, ...options };
+
+        // 렌더 프레임 간격 (ms, 60Hz 가정에서 시작)
+        this.frameInterval = 1000 / 60;
+        this.lastFrameTime = null;
+
+        // 마지막 예측 (디버그)
+        this.lastPrediction = { horizonMs: 0, poseAgeMs: 0, source: null };
+
+        this.reset();
+    }
+
+    /**
+     * 기록 초기화 (포즈 리셋, 추적 끊김, 시계 기준 변경 시)
+     */
+    reset() {
+        this.poses = [];             // { t, position, quaternion }
+        this.gyro = [];              // { t, x, y, z } (카메라 좌표계, rad/s)
+    }
+
+    /**
+     * 설정 변경 (실행 중 조절)
+     */
+    setOptions(options) {
+        this.options = { ...this.options, ...options };
+    }
+
+    /**
+     * 표시 지연: requestAnimationFrame 시각부터 화면에 나올 때까지 (ms)
+     * 이번 프레임은 다음 수직 동기에 표시되므로 측정한 프레임 간격을 쓴다
+     */
+    get displayLatency() {
+        return this.frameInterval + this.options.horizonOffsetMs;
+    }
+
+    /**
+     * 렌더 프레임 시각 기록 (requestAnimationFrame 타임스탬프)
+     */
+    recordFrame(time) {
+        const last = this.lastFrameTime;
+        this.lastFrameTime = time;
+        if (last === null) return;
+
+        const interval = time - last;
+        if (interval <= 0 || interval > MAX_FRAME_INTERVAL_MS) return;
+        const k = this.options.frameSmoothing;
+        this.frameInterval = k * this.frameInterval + (1 - k) * interval;
+    }
+
+    /**
+     * devicemotion 이벤트 (자이로 각속도를 카메라 좌표계로 기록)
+     */
+    addMotion(event) {
+        const rate = event.rotationRate;
+        if (!rate || rate.alpha === null || rate.alpha === undefined) return;
+
+        const t = event.timeStamp || performance.now();
+        const last = this.gyro[this.gyro.length - 1];
+        if (last && t <= last.t) return;
+
+        // rotationRate: alpha = 기기 Z축, beta = X축, gamma = Y축 (deg/s)
+        const w = new THREE.Vector3(
+            THREE.MathUtils.degToRad(rate.beta || 0),
+            THREE.MathUtils.degToRad(rate.gamma || 0),
+            THREE.MathUtils.degToRad(rate.alpha || 0)
+        );
+
+        // 기기 좌표계 → 카메라 좌표계 (화면 방향만큼 Z축 회전)
+        const screenOrientation = window.orientation || 0;
+        if (screenOrientation) {
+            w.applyAxisAngle(SCREEN_Z_AXIS, THREE.MathUtils.degToRad(screenOrientation));
+        }
+
+        this.gyro.push({ t, x: w.x, y: w.y, z: w.z });
+        const keepFrom = t - Math.max(this.options.gyroWindowMs, this.options.maxGyroAgeMs);
+        while (this.gyro.length > 1 && this.gyro[0].t < keepFrom) {
+            this.gyro.shift();
+        }
+    }
+
+    /**
+     * 카메라에 적용한 포즈 기록
+     *
+     * @param {THREE.Vector3} position
+     * @param {THREE.Quaternion} quaternion
+     * @param {number} time 포즈가 나타내는 시각 (영상 프레임 캡처 시각 등, ms)
+     */
+    addPose(position, quaternion, time) {
+        const last = this.poses[this.poses.length - 1];
+        if (last && time <= last.t) {
+            // 같은 시각의 포즈가 다시 들어옴 (필터만 바뀜): 최신 값으로 교체
+            if (time === last.t) {
+                last.position.copy(position);
+                last.quaternion.copy(quaternion);
+            }
+            return;
+        }
+
+        this.poses.push({ t: time, position: position.clone(), quaternion: quaternion.clone() });
+        while (this.poses.length > 2 && time - this.poses[0].t > this.options.historyMs) {
+            this.poses.shift();
+        }
+    }
+
+    /**
+     * 표시 시각의 포즈 예측
+     *
+     * @param {number} displayTime 예상 표시 시각 (포즈와 같은 시계, ms)
+     * @returns {{position: THREE.Vector3, quaternion: THREE.Quaternion, horizonMs: number}|null}
+     *          예측할 포즈가 없거나 꺼져 있으면 null
+     */
+    predict(displayTime) {
+        const latest = this.poses[this.poses.length - 1];
+        if (!this.options.enabled || !latest) return null;
+
+        const poseAge = displayTime - latest.t;
+        if (poseAge > this.options.maxPoseAgeMs) return null;
+
+        const horizonMs = THREE.MathUtils.clamp(poseAge, 0, this.options.maxHorizonMs);
+        const dt = horizonMs / 1000;
+
+        const position = latest.position.clone();
+        const quaternion = latest.quaternion.clone();
+        const motion = this.historyVelocity();
+
+        // 회전: 카메라 좌표계 각속도 ω → q · exp(ω·dt)
+        let angular = this.gyroVelocity(displayTime);
+        let source = 'gyro';
+        if (!angular) {
+            angular = motion ? motion.angular : null;
+            source = angular ? 'history' : null;
+        }
+        if (angular) {
+            quaternion.multiply(rotationVectorToQuaternion(angular.multiplyScalar(dt))).normalize();
+        }
+
+        if (this.options.translation && motion) {
+            position.addScaledVector(motion.linear, dt);
+        }
+
+        this.lastPrediction = { horizonMs, poseAgeMs: poseAge, source };
+        return { position, quaternion, horizonMs };
+    }
+
+    /**
+     * 최근 자이로 평균 각속도 (rad/s), 없거나 오래됐으면 null
+     */
+    gyroVelocity(displayTime) {
+        const latest = this.gyro[this.gyro.length - 1];
+        if (!latest || displayTime - latest.t > this.options.maxGyroAgeMs) return null;
+
+        const sum = new THREE.Vector3();
+        let count = 0;
+        for (let i = this.gyro.length - 1; i >= 0; i--) {
+            const sample = this.gyro[i];
+            if (latest.t - sample.t > this.options.gyroWindowMs) break;
+            sum.x += sample.x;
+            sum.y += sample.y;
+            sum.z += sample.z;
+            count++;
+        }
+        return sum.divideScalar(count);
+    }
+
+    /**
+     * 포즈 기록에서 구한 속도 { linear (단위/s, 월드), angular (rad/s, 카메라 좌표계) }
+     * 기록이 하나뿐이면 null
+     */
+    historyVelocity() {
+        const poses = this.poses;
+        if (poses.length < 2) return null;
+
+        const latest = poses[poses.length - 1];
+        let from = poses[poses.length - 2];
+        for (let i = poses.length - 2; i >= 0; i--) {
+            if (latest.t - poses[i].t > this.options.velocityWindowMs) break;
+            from = poses[i];
+        }
+
+        const dt = (latest.t - from.t) / 1000;
+        const linear = latest.position.clone().sub(from.position).divideScalar(dt);
+        const delta = from.quaternion.clone().invert().multiply(latest.quaternion);
+        const angular = quaternionToRotationVector(delta).divideScalar(dt);
+        return { linear, angular };
+    }
+
+    /**
+     * 디버그 정보
+     */
+    getDebugInfo() {
+        return {
+            enabled: this.options.enabled,
+            maxHorizonMs: this.options.maxHorizonMs,
+            horizonOffsetMs: this.options.horizonOffsetMs,
+            displayLatencyMs: this.displayLatency.toFixed(1),
+            horizonMs: this.lastPrediction.horizonMs.toFixed(1),
+            poseAgeMs: this.lastPrediction.poseAgeMs.toFixed(1),
+            source: this.lastPrediction.source
+        };
+    }
+}
+
+export default PosePredictor;
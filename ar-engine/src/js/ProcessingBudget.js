@@ -0,0 +1,192 @@
+/**
+ * ProcessingBudget.js
+ *
+ * SLAM/VO 처리 예산 조절
+ *
+ * 렌더 프레임 시간과 VO 처리 시간(processingTimeMs)을 보고
+ * 목표 렌더 FPS를 지키도록 처리 단계를 올리고 내린다.
+ * 단계마다 처리 스케일, 건너뛸 프레임 수, maxFeatures / fastThreshold가 정해져 있다.
+ *
+ * - 렌더가 목표보다 느리거나 VO가 예산보다 오래 걸리면 바로 한 단계 가볍게
+ * - 여유가 여러 번 연속으로 확인되면 한 단계 무겁게 (왕복 진동 방지)
+ *
+ * 사용법:
+ * ```js
+ * const budget = new ProcessingBudget({ targetFps: 30 });
+ * budget.onChange = (level) => { frameSource.setScale(level.scale); tracker.setDetectorParams(...); };
+ *
+ * // 렌더 루프
+ * budget.recordRenderFrame(frame.delta, now);
+ * // 새 카메라 프레임
+ * if (budget.shouldProcess()) tracker.submit(frame);
+ * // VO 결과
+ * budget.recordProcessing(result.processingTimeMs, latencyMs);
+ * ```
+ */
+
+/**
+ * 처리 단계 (0이 가장 정밀, 뒤로 갈수록 가벼움)
+ */
+export const BUDGET_LEVELS = Object.freeze([
+    { scale: 0.5, frameSkip: 0, maxFeatures: 300, fastThreshold: 20 },
+    { scale: 0.4, frameSkip: 0, maxFeatures: 250, fastThreshold: 25 },
+    { scale: 0.35, frameSkip: 1, maxFeatures: 200, fastThreshold: 30 },
+    { scale: 0.3, frameSkip: 1, maxFeatures: 150, fastThreshold: 35 },
+    { scale: 0.25, frameSkip: 2, maxFeatures: 100, fastThreshold: 40 }
+]);
+
+const DEFAULT_OPTIONS = {
+    targetFps: 30,
+    initialLevel: 0,
+    evaluateInterval: 1000,    // 판단 주기 (ms)
+    upgradeWindows: 3,         // 연속으로 여유가 있어야 하는 판단 횟수
+    processingShare: 0.5,      // 렌더 프레임 시간 중 VO에 쓸 수 있는 비율
+    smoothing: 0.9,            // 측정값 지수 이동 평균 계수
+    maxDecisions: 10           // 기록할 최근 결정 수
+};
+
+/**
+ * ProcessingBudget 클래스
+ */
+export class ProcessingBudget {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.levels = BUDGET_LEVELS;
+        this.levelIndex = Math.min(this.options.initialLevel, this.levels.length - 1);
+
+        // 측정값 (지수 이동 평균)
+        this.renderFrameMs = 0;
+        this.processingMs = 0;
+        this.latencyMs = 0;
+
+        this.skipCounter = 0;
+        this.skippedFrames = 0;
+        this.lastEvaluate = 0;
+        this.headroomWindows = 0;
+        this.decisions = [];          // { time, from, to, reason }
+
+        this.onChange = null;         // (level, decision) => void
+    }
+
+    /**
+     * 현재 단계 설정값
+     */
+    get level() {
+        return this.levels[this.levelIndex];
+    }
+
+    /**
+     * VO에 쓸 수 있는 처리 시간 (ms)
+     */
+    get budgetMs() {
+        return (1000 / this.options.targetFps) * this.options.processingShare;
+    }
+
+    /**
+     * 렌더 프레임 기록 (매 rAF)
+     * @param {number} deltaMs 이전 프레임과의 간격
+     * @param {number} now performance.now()
+     */
+    recordRenderFrame(deltaMs, now) {
+        // 탭 전환 등으로 크게 벌어진 간격은 무시
+        if (deltaMs > 0 && deltaMs < 250) {
+            this.renderFrameMs = this.average(this.renderFrameMs, deltaMs);
+        }
+
+        if (!this.lastEvaluate) this.lastEvaluate = now;
+        if (now - this.lastEvaluate >= this.options.evaluateInterval) {
+            this.lastEvaluate = now;
+            this.evaluate(now);
+        }
+    }
+
+    /**
+     * VO 처리 결과 기록
+     * @param {number} processingMs VO processingTimeMs
+     * @param {number} latencyMs 프레임 캡처부터 결과 수신까지 (워커 왕복 포함)
+     */
+    recordProcessing(processingMs, latencyMs = 0) {
+        if (processingMs > 0) this.processingMs = this.average(this.processingMs, processingMs);
+        if (latencyMs > 0) this.latencyMs = this.average(this.latencyMs, latencyMs);
+    }
+
+    average(current, sample) {
+        if (!current) return sample;
+        const k = this.options.smoothing;
+        return current * k + sample * (1 - k);
+    }
+
+    /**
+     * 이번 카메라 프레임을 처리할지 (단계의 frameSkip만큼 건너뜀)
+     */
+    shouldProcess() {
+        if (this.skipCounter > 0) {
+            this.skipCounter--;
+            this.skippedFrames++;
+            return false;
+        }
+        this.skipCounter = this.level.frameSkip;
+        return true;
+    }
+
+    /**
+     * 단계 조정 판단
+     */
+    evaluate(now) {
+        if (!this.renderFrameMs) return;
+
+        const targetFrameMs = 1000 / this.options.targetFps;
+        const renderSlow = this.renderFrameMs > targetFrameMs * 1.1;
+        const processingSlow = this.processingMs > this.budgetMs;
+
+        if (renderSlow || processingSlow) {
+            this.headroomWindows = 0;
+            if (this.levelIndex < this.levels.length - 1) {
+                this.changeLevel(this.levelIndex + 1, renderSlow ? 'renderSlow' : 'processingSlow', now);
+            }
+            return;
+        }
+
+        const hasHeadroom = this.renderFrameMs < targetFrameMs * 1.02 &&
+            this.processingMs < this.budgetMs * 0.6;
+        this.headroomWindows = hasHeadroom ? this.headroomWindows + 1 : 0;
+
+        if (this.headroomWindows >= this.options.upgradeWindows && this.levelIndex > 0) {
+            this.headroomWindows = 0;
+            this.changeLevel(this.levelIndex - 1, 'headroom', now);
+        }
+    }
+
+    changeLevel(index, reason, now) {
+        const decision = { time: now, from: this.levelIndex, to: index, reason };
+        this.levelIndex = index;
+        this.skipCounter = 0;
+
+        this.decisions.push(decision);
+        if (this.decisions.length > this.options.maxDecisions) {
+            this.decisions.shift();
+        }
+
+        console.log('[Budget] 처리 단계', decision.from, '→', decision.to, `(${reason})`, this.level);
+        if (this.onChange) this.onChange(this.level, decision);
+    }
+
+    /**
+     * 디버그 정보
+     */
+    getDebugInfo() {
+        return {
+            level: this.levelIndex,
+            settings: { ...this.level },
+            targetFps: this.options.targetFps,
+            renderFps: this.renderFrameMs ? +(1000 / this.renderFrameMs).toFixed(1) : 0,
+            processingMs: +this.processingMs.toFixed(1),
+            latencyMs: +this.latencyMs.toFixed(1),
+            budgetMs: +this.budgetMs.toFixed(1),
+            skippedFrames: this.skippedFrames,
+            decisions: this.decisions.slice()
+        };
+    }
+}
+
+export default ProcessingBudget;
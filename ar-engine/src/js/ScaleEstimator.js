@@ -0,0 +1,310 @@
+/**
+ * ScaleEstimator.js
+ *
+ * 단안 VO의 미터 스케일 추정 (가속도계 이용)
+ *
+ * 단안 VisualOdometry의 이동량은 임의 단위라서 미터 단위로 만든 콘텐츠(10cm 큐브, 2m 그리드)와
+ * 크기가 맞지 않는다. 짧은 구간(기본 1초)마다 VO 변위와 중력을 뺀 가속도를 두 번 적분한 변위를 비교해
+ * "VO 1단위 = 몇 m"인지 추정하고, 구간이 쌓일수록 값을 다듬는다.
+ *
+ * 구간마다 (τ = 구간 시작부터의 시간):
+ *   scale · Δp_vo(τ) = v0 · τ + D_imu(τ)
+ * 처음 속도 v0를 모르므로 두 변위에서 τ에 비례하는 성분(등속 운동)을 빼고
+ * 남은 가감속 성분끼리 최소제곱으로 맞춘다. 즉 흔들거나 멈췄다 움직이는 동작이 있어야 추정된다.
+ *
+ * 신뢰도(0~1) = 두 성분의 상관계수² × 움직임 크기 × 구간 수 (쌓일수록 1에 가까움)
+ *
+ * 사용법:
+ * ```js
+ * const estimator = new ScaleEstimator();
+ * window.addEventListener('devicemotion', e => estimator.addMotion(e));
+ * // VO 포즈마다 (VO 월드 기준 카메라 위치/방향, Three.js 좌표계)
+ * if (estimator.addVisualPose(position, quaternion, frameTimestamp) && estimator.reliable) {
+ *     cameraPoseManager.rescaleWorld(estimator.scale);   // 지금까지의 월드도 새 스케일로
+ * }
+ * ```
+ */
+
+import * as THREE from 'three';
+
+const SCREEN_Z_AXIS = new THREE.Vector3(0, 0, 1);
+
+const DEFAULTS = {
+    windowMs: 1000,              // 비교 구간 길이
+    minSamples: 8,               // 구간 최소 VO 포즈 수
+    maxGapMs: 200,               // VO 포즈 사이가 이보다 벌어지면 구간을 새로 시작
+    maxImuGapMs: 100,            // 가속도 샘플 사이 최대 간격 (넘으면 구간 버림)
+    integrationStepMs: 5,        // 가속도 적분 간격
+    gravityFilter: 0.9,          // acceleration이 없는 기기에서 중력 추정 저주파 필터
+    forgetting: 0.9,             // 구간마다 이전 누적값을 줄이는 비율 (오래된 구간일수록 덜 반영)
+    minExcitation: 1e-4,         // 구간 가감속 변위 제곱합이 이보다 작으면 무시 (m²)
+    excitationRef: 0.02,         // 누적 가감속 변위 제곱합 기준 (m², 신뢰도 계산)
+    minWindows: 3,               // 신뢰도를 다 주기 위한 최소 구간 수
+    minConfidence: 0.5,          // 이 이상이면 카메라에 적용해도 되는 값 (reliable)
+    minScale: 1e-3,
+    maxScale: 1e3
+};
+
+/**
+ * ScaleEstimator 클래스
+ */
+export class ScaleEstimator {
+    constructor(options = {}) {
+        this.options = { ...DEFAULTS, ...options };
+
+        this.scale = 1;              // VO 1단위당 m
+        this.confidence = 0;         // 0~1
+
+        // 가속도 기록 { t, x, y, z } (카메라 좌표계, m/s²)
+        this.motion = [];
+        this.gravity = null;         // accelerationIncludingGravity 폴백용 중력 추정
+
+        this.reset();
+    }
+
+    /**
+     * 카메라에 적용해도 될 만큼 믿을 만한지
+     */
+    get reliable() {
+        return this.confidence >= this.options.minConfidence;
+    }
+
+    /**
+     * 추정 초기화 (VO 맵이 새로 시작되면 스케일도 달라진다)
+     */
+    reset() {
+        this.samples = [];           // 현재 구간의 VO 포즈 { t, position, quaternion }
+        this.sums = { pp: 0, pd: 0, dd: 0 };
+        this.windows = 0;
+        this.scale = 1;
+        this.confidence = 0;
+    }
+
+    /**
+     * devicemotion 이벤트 (중력을 뺀 가속도를 카메라 좌표계로 기록)
+     */
+    addMotion(event) {
+        const t = event.timeStamp || performance.now();
+        let accel = event.acceleration;
+
+        // 중력 제거 가속도가 없는 기기: 저주파로 중력을 추정해서 뺀다
+        if (!accel || accel.x === null) {
+            const raw = event.accelerationIncludingGravity;
+            if (!raw || raw.x === null) return;
+
+            const k = this.options.gravityFilter;
+            if (!this.gravity) {
+                this.gravity = { x: raw.x, y: raw.y, z: raw.z };
+            } else {
+                this.gravity.x = k * this.gravity.x + (1 - k) * raw.x;
+                this.gravity.y = k * this.gravity.y + (1 - k) * raw.y;
+                this.gravity.z = k * this.gravity.z + (1 - k) * raw.z;
+            }
+            accel = {
+                x: raw.x - this.gravity.x,
+                y: raw.y - this.gravity.y,
+                z: raw.z - this.gravity.z
+            };
+        }
+
+        // 기기 좌표계 → 카메라 좌표계 (화면 방향만큼 Z축 회전)
+        const screenOrientation = window.orientation || 0;
+        const v = new THREE.Vector3(accel.x || 0, accel.y || 0, accel.z || 0);
+        if (screenOrientation) {
+            v.applyAxisAngle(SCREEN_Z_AXIS, THREE.MathUtils.degToRad(screenOrientation));
+        }
+
+        const last = this.motion[this.motion.length - 1];
+        if (last && t <= last.t) return;
+        this.motion.push({ t, x: v.x, y: v.y, z: v.z });
+
+        // 구간 두 개 정도만 보관
+        const keepFrom = t - this.options.windowMs * 2;
+        while (this.motion.length > 2 && this.motion[0].t < keepFrom) {
+            this.motion.shift();
+        }
+    }
+
+    /**
+     * VO 포즈 추가
+     *
+     * @param {THREE.Vector3} position VO 월드 기준 카메라 위치 (스케일 적용 전)
+     * @param {THREE.Quaternion} quaternion VO 월드 기준 카메라 방향
+     * @param {number} timestamp 프레임 캡처 시각 (ms, devicemotion과 같은 기준)
+     * @returns {boolean} 이번 포즈로 추정값이 갱신됐는지
+     */
+    addVisualPose(position, quaternion, timestamp) {
+        const { windowMs, maxGapMs } = this.options;
+        const last = this.samples[this.samples.length - 1];
+
+        if (last && timestamp <= last.t) return false;
+        if (last && timestamp - last.t > maxGapMs) {
+            this.samples = [];
+        }
+        this.samples.push({ t: timestamp, position: position.clone(), quaternion: quaternion.clone() });
+
+        if (timestamp - this.samples[0].t < windowMs) return false;
+
+        const updated = this.processWindow(this.samples);
+
+        // 절반씩 겹치게 다음 구간 시작
+        const nextStart = timestamp - windowMs / 2;
+        this.samples = this.samples.filter(sample => sample.t >= nextStart);
+        return updated;
+    }
+
+    /**
+     * 한 구간 비교
+     */
+    processWindow(samples) {
+        const o = this.options;
+        if (samples.length < o.minSamples) return false;
+
+        const displacement = this.integrateMotion(samples);
+        if (!displacement) return false;
+
+        const t0 = samples[0].t;
+        const origin = samples[0].position;
+        const taus = samples.map(sample => (sample.t - t0) / 1000);
+        const visual = samples.map(sample => sample.position.clone().sub(origin));
+
+        // 등속 성분 (τ에 비례) 제거 후 남은 성분끼리 비교
+        let pp = 0;
+        let pd = 0;
+        let dd = 0;
+        ['x', 'y', 'z'].forEach((axis) => {
+            const rp = removeLinear(taus, visual.map(v => v[axis]));
+            const rd = removeLinear(taus, displacement.map(v => v[axis]));
+            for (let i = 0; i < rp.length; i++) {
+                pp += rp[i] * rp[i];
+                pd += rp[i] * rd[i];
+                dd += rd[i] * rd[i];
+            }
+        });
+
+        // 가감속이 거의 없는 구간은 노이즈만 더하므로 버린다
+        if (dd < o.minExcitation || pp <= 0) return false;
+
+        const sums = this.sums;
+        sums.pp = o.forgetting * sums.pp + pp;
+        sums.pd = o.forgetting * sums.pd + pd;
+        sums.dd = o.forgetting * sums.dd + dd;
+        this.windows++;
+
+        if (sums.pd <= 0) {
+            this.confidence = 0;
+            return true;
+        }
+
+        this.scale = THREE.MathUtils.clamp(sums.pd / sums.pp, o.minScale, o.maxScale);
+
+        const correlation = sums.pd / Math.sqrt(sums.pp * sums.dd);
+        const excitation = 1 - Math.exp(-sums.dd / o.excitationRef);
+        const coverage = Math.min(1, this.windows / o.minWindows);
+        this.confidence = correlation * correlation * excitation * coverage;
+        return true;
+    }
+
+    /**
+     * 구간 동안 가속도를 VO 월드로 돌려 두 번 적분한 변위 (VO 포즈 시각마다, 시작 속도 0)
+     * @returns {Array<THREE.Vector3>|null} 가속도 기록이 구간을 다 덮지 못하면 null
+     */
+    integrateMotion(samples) {
+        const { integrationStepMs, maxImuGapMs } = this.options;
+        const t0 = samples[0].t;
+        const tEnd = samples[samples.length - 1].t;
+
+        const motion = this.motion.filter(m => m.t >= t0 - maxImuGapMs && m.t <= tEnd + maxImuGapMs);
+        if (motion.length < 2 || motion[0].t > t0 || motion[motion.length - 1].t < tEnd) return null;
+        for (let i = 1; i < motion.length; i++) {
+            if (motion[i].t - motion[i - 1].t > maxImuGapMs) return null;
+        }
+
+        // 가속도 샘플마다 그 시각의 VO 카메라 방향으로 월드 좌표 변환
+        const world = motion.map(m => ({
+            t: m.t,
+            a: new THREE.Vector3(m.x, m.y, m.z).applyQuaternion(quaternionAt(samples, m.t))
+        }));
+
+        const velocity = new THREE.Vector3();
+        const position = new THREE.Vector3();
+        const result = [new THREE.Vector3()];
+
+        let index = 0;
+        let prev = accelAt(world, t0, 0).a;
+        let next = 1;
+        for (let t = t0; next < samples.length;) {
+            const stepEnd = Math.min(t + integrationStepMs, samples[next].t);
+            const h = (stepEnd - t) / 1000;
+            const sample = accelAt(world, stepEnd, index);
+            index = sample.index;
+
+            // 사다리꼴 적분
+            position.addScaledVector(velocity, h).addScaledVector(prev, 0.25 * h * h).addScaledVector(sample.a, 0.25 * h * h);
+            velocity.addScaledVector(prev, 0.5 * h).addScaledVector(sample.a, 0.5 * h);
+            prev = sample.a;
+            t = stepEnd;
+
+            if (t >= samples[next].t) {
+                result.push(position.clone());
+                next++;
+            }
+        }
+        return result;
+    }
+
+    /**
+     * 디버그 정보
+     */
+    getDebugInfo() {
+        return {
+            scale: +this.scale.toFixed(4),
+            confidence: +this.confidence.toFixed(3),
+            windows: this.windows
+        };
+    }
+}
+
+/**
+ * τ에 비례하는 성분을 뺀 나머지 (원점을 지나는 직선 회귀의 잔차)
+ */
+function removeLinear(taus, values) {
+    let tt = 0;
+    let tv = 0;
+    for (let i = 0; i < taus.length; i++) {
+        tt += taus[i] * taus[i];
+        tv += taus[i] * values[i];
+    }
+    const slope = tt > 0 ? tv / tt : 0;
+    return values.map((value, i) => value - slope * taus[i]);
+}
+
+/**
+ * VO 포즈 사이를 보간한 카메라 방향
+ */
+function quaternionAt(samples, t) {
+    if (t <= samples[0].t) return samples[0].quaternion;
+    for (let i = 1; i < samples.length; i++) {
+        if (t <= samples[i].t) {
+            const a = samples[i - 1];
+            const b = samples[i];
+            return a.quaternion.clone().slerp(b.quaternion, (t - a.t) / (b.t - a.t));
+        }
+    }
+    return samples[samples.length - 1].quaternion;
+}
+
+/**
+ * 시각 t의 가속도 (선형 보간, index부터 앞으로만 찾음)
+ * @returns {{a: THREE.Vector3, index: number}}
+ */
+function accelAt(world, t, index) {
+    while (index < world.length - 2 && world[index + 1].t < t) index++;
+    const a = world[index];
+    const b = world[index + 1];
+    if (t <= a.t) return { a: a.a, index };
+    if (t >= b.t) return { a: b.a, index };
+    return { a: a.a.clone().lerp(b.a, (t - a.t) / (b.t - a.t)), index };
+}
+
+export default ScaleEstimator;
@@ -12,7 +12,61 @@ import * as THREE from 'three';
  * 필터:
  * - 상보 필터: 자이로 드리프트 보정
  * - 칼만 필터: 노이즈 제거 및 예측
+ *
+ * 하이브리드 VIO (ARApp의 hybrid 모드):
+ * - 센서 방향이 매 렌더 프레임 카메라 회전을 움직이고 (predict)
+ * - VO 포즈가 들어오면 센서 방향과 VO 방향의 차이(드리프트 보정)를 천천히 따라가고,
+ *   위치는 updateFromVO의 칼만 추정을 쓴다
+ * - VO가 잠깐 끊기면 회전은 센서로, 위치는 마지막 VO 속도로 이어간다
+ */
+
+const SCREEN_Z_AXIS = new THREE.Vector3(0, 0, 1);
+const DEVICE_X_AXIS = new THREE.Vector3(1, 0, 0);
+
+/**
+ * DeviceOrientation 각도 → Three.js 카메라 방향
+ * (CameraPoseManager.applyDeviceOrientation과 하이브리드 퓨전이 같은 규약을 쓰도록 공유)
+ *
+ * @param {number} alpha Z축 회전 (deg)
+ * @param {number} beta X축 회전 (deg)
+ * @param {number} gamma Y축 회전 (deg)
+ * @param {number} screenOrientation 화면 방향 (deg)
+ * @param {THREE.Quaternion} out 결과 (없으면 새로 만듦)
+ * @returns {THREE.Quaternion}
  */
+export function deviceOrientationToQuaternion(alpha, beta, gamma, screenOrientation = 0, out = new THREE.Quaternion()) {
+    // 디바이스 방향 → Three.js 카메라 방향 변환
+    // ZXY 오일러 순서 사용 (디바이스 센서 기준)
+    const euler = new THREE.Euler(
+        THREE.MathUtils.degToRad(beta),
+        THREE.MathUtils.degToRad(alpha),
+        -THREE.MathUtils.degToRad(gamma),
+        'YXZ'
+    );
+    out.setFromEuler(euler);
+
+    // 기기 좌표계 (화면이 위를 봄) → 카메라 좌표계 (화면 뒤쪽을 봄): 기기 쪽 -90도 X축 회전
+    // 월드 쪽(premultiply)에 곱하면 제자리에서 돌 때 yaw 대신 roll이 된다
+    const cameraQuat = new THREE.Quaternion().setFromAxisAngle(DEVICE_X_AXIS, -Math.PI / 2);
+    out.multiply(cameraQuat);
+
+    // 화면 방향 보정
+    const screenQuat = new THREE.Quaternion().setFromAxisAngle(
+        SCREEN_Z_AXIS,
+        -THREE.MathUtils.degToRad(screenOrientation)
+    );
+    out.multiply(screenQuat);
+
+    return out;
+}
+
+// 하이브리드 VIO 기본값
+const VIO_DEFAULTS = {
+    driftGain: 0.1,          // VO 한 프레임이 드리프트 보정을 당기는 비율 (0~1)
+    historyMs: 1000,         // VO 프레임 시각의 센서 방향을 찾기 위한 기록 길이
+    bridgeMs: 500,           // VO가 끊겨도 위치 외삽을 이어가는 최대 시간
+    velocitySmoothing: 0.5   // VO 속도 추정 스무딩 (0 = 최신값만)
+};
 
 export class SensorFusion {
     constructor() {
@@ -67,6 +121,22 @@ export class SensorFusion {
         // === Visual Odometry 데이터 ===
         this.voPosition = new THREE.Vector3();
         this.voEnabled = false;
+        this.origin = new THREE.Vector3();    // VO 전 카메라 위치 (setOrigin)
+
+        // === 하이브리드 VIO ===
+        this.vio = {
+            ...VIO_DEFAULTS,
+            deviceQuaternion: new THREE.Quaternion(),   // 센서 기준 카메라 방향 (필터 없음)
+            hasDevice: false,
+            history: [],                                // { time, quaternion }
+            alignment: new THREE.Quaternion(),          // VO 월드 → 센서 월드 (첫 VO 프레임에서 고정)
+            hasAlignment: false,
+            correction: new THREE.Quaternion(),         // 정렬된 VO 방향 = correction × 센서 방향
+            hasCorrection: false,
+            velocity: new THREE.Vector3(),              // VO 위치 변화 속도 (단위/ms)
+            lastPosition: new THREE.Vector3(),
+            lastTime: 0                                 // 마지막 VO 프레임 시각 (0이면 없음)
+        };
 
         // === 저주파 필터 (노이즈 제거) ===
         this.lowPassFilter = {
@@ -187,7 +257,11 @@ export class SensorFusion {
     onDeviceOrientation(event) {
         if (event.alpha === null) return;
 
-        const now = performance.now();
+        // 이벤트 시각 (performance.now와 같은 기준, 세션 재생 시에는 기록된 시각)
+        const now = event.timeStamp || performance.now();
+        this.sensorsAvailable.deviceOrientation = true;
+        this.recordDeviceOrientation(event, now);
+
         this.deltaTime = this.lastTimestamp ? (now - this.lastTimestamp) / 1000 : 0.016;
         this.lastTimestamp = now;
 
@@ -219,6 +293,7 @@ export class SensorFusion {
     onDeviceMotion(event) {
         const accel = event.accelerationIncludingGravity;
         if (!accel || accel.x === null) return;
+        this.sensorsAvailable.deviceMotion = true;
 
         // 저주파 필터 적용
         const lp = this.lowPassFilter;
@@ -378,12 +453,96 @@ export class SensorFusion {
         this.position.z += this.velocity.z * this.deltaTime;
     }
 
+    /**
+     * 센서 방향 기록 (하이브리드 VIO)
+     * 각도 저주파 필터는 0/360 경계에서 튀므로 원시 값으로 계산한다
+     */
+    recordDeviceOrientation(event, now) {
+        const vio = this.vio;
+        const screenOrientation = window.orientation || 0;
+        deviceOrientationToQuaternion(event.alpha, event.beta, event.gamma || 0, screenOrientation, vio.deviceQuaternion);
+        vio.hasDevice = true;
+
+        vio.history.push({ time: now, quaternion: vio.deviceQuaternion.clone() });
+        while (vio.history.length > 2 && now - vio.history[0].time > vio.historyMs) {
+            vio.history.shift();
+        }
+    }
+
+    /**
+     * 주어진 시각의 센서 방향 (기록 중 가장 가까운 값)
+     */
+    deviceQuaternionAt(time) {
+        const history = this.vio.history;
+        if (history.length === 0) return this.vio.deviceQuaternion;
+
+        let best = history[history.length - 1];
+        for (let i = history.length - 1; i >= 0; i--) {
+            if (Math.abs(history[i].time - time) <= Math.abs(best.time - time)) {
+                best = history[i];
+            }
+            if (history[i].time < time) break;
+        }
+        return best.quaternion;
+    }
+
     /**
      * Visual Odometry 데이터 업데이트
+     *
+     * @param {THREE.Vector3} voPosition VO 카메라 위치
+     * @param {THREE.Quaternion} voQuaternion VO 카메라 방향 (주면 센서 드리프트 보정)
+     * @param {Object} options
+     * @param {number} options.timestamp VO 프레임 캡처 시각 (performance.now, ms)
+     * @param {number} options.confidence VO 포즈 신뢰도 (0~1, 보정 강도에 곱함)
      */
-    updateFromVO(voPosition) {
+    updateFromVO(voPosition, voQuaternion = null, options = {}) {
         if (!voPosition) return;
 
+        const time = options.timestamp || performance.now();
+        const confidence = options.confidence ?? 1;
+        const vio = this.vio;
+
+        // VO 월드를 센서 월드에 맞춤: 첫 VO 프레임에서 두 방향이 같도록 고정해
+        // 센서로 보던 화면이 VO 시작 시 돌아가지 않게 한다
+        if (voQuaternion && vio.hasDevice && !vio.hasAlignment) {
+            vio.alignment.copy(this.deviceQuaternionAt(time)).multiply(voQuaternion.clone().invert());
+            vio.hasAlignment = true;
+        }
+        if (vio.hasAlignment) {
+            voPosition = voPosition.clone().applyQuaternion(vio.alignment);
+            if (voQuaternion) voQuaternion = voQuaternion.clone().premultiply(vio.alignment);
+        }
+
+        // 드리프트 보정: VO 프레임 시각의 센서 방향과 비교
+        if (voQuaternion && vio.hasDevice) {
+            const measured = voQuaternion.clone().multiply(this.deviceQuaternionAt(time).clone().invert());
+            if (!vio.hasCorrection) {
+                vio.correction.copy(measured);
+                vio.hasCorrection = true;
+            } else {
+                vio.correction.slerp(measured, vio.driftGain * THREE.MathUtils.clamp(confidence, 0, 1));
+            }
+        }
+
+        // 위치 변화 속도 (예측 + 끊김 구간 외삽용)
+        if (vio.lastTime && time - vio.lastTime > vio.bridgeMs) {
+            // 오래 끊겼다 돌아옴: 속도는 버리고 칼만 보정으로 부드럽게 따라간다
+            vio.velocity.set(0, 0, 0);
+        } else if (vio.lastTime && time > vio.lastTime) {
+            const dt = time - vio.lastTime;
+
+            // 예측 단계: 이전 속도로 추정 위치를 먼저 옮겨 칼만 보정의 지연을 줄인다
+            this.kalman.position.estimate.addScaledVector(vio.velocity, dt);
+
+            const instant = voPosition.clone().sub(vio.lastPosition).divideScalar(dt);
+            vio.velocity.lerp(instant, 1 - vio.velocitySmoothing);
+        } else if (!vio.lastTime) {
+            // 첫 VO 프레임 (또는 리셋 후): 추정 위치를 측정값에서 시작
+            this.kalman.position.estimate.copy(voPosition);
+        }
+        vio.lastPosition.copy(voPosition);
+        vio.lastTime = time;
+
         this.voEnabled = true;
         this.voPosition.copy(voPosition);
 
@@ -402,6 +561,95 @@ export class SensorFusion {
         k.errorCovariance = (1 - kalmanGain) * k.errorCovariance + k.processNoise;
     }
 
+    /**
+     * VO 카메라 포즈 → 퓨전 월드 (updateFromVO와 같은 정렬, 정렬 전이면 그대로)
+     * @param {THREE.Matrix4} pose
+     * @returns {THREE.Matrix4} 새 행렬
+     */
+    alignVisualPose(pose) {
+        const aligned = pose.clone();
+        if (this.vio.hasAlignment) {
+            aligned.premultiply(new THREE.Matrix4().makeRotationFromQuaternion(this.vio.alignment));
+        }
+        return aligned;
+    }
+
+    /**
+     * 하이브리드 VIO: 표시 시각의 카메라 포즈 예측
+     * 회전은 매 호출 최신 센서 방향 × 드리프트 보정, 위치는 VO 칼만 추정 + 속도 외삽
+     *
+     * @param {number} now performance.now()
+     * @returns {{position: THREE.Vector3, quaternion: THREE.Quaternion, visionFresh: boolean, time: number}|null}
+     *          센서 방향이 아직 없으면 null (time은 회전에 쓴 센서 방향의 시각)
+     */
+    predict(now = performance.now()) {
+        const vio = this.vio;
+        if (!vio.hasDevice) return null;
+
+        const quaternion = vio.deviceQuaternion.clone();
+        if (vio.hasCorrection) {
+            quaternion.premultiply(vio.correction);
+        }
+
+        const position = this.kalman.position.estimate.clone();
+        const sinceVO = vio.lastTime ? now - vio.lastTime : Infinity;
+        if (sinceVO <= vio.bridgeMs) {
+            // 끊김 구간이 길어질수록 외삽을 줄여 멈춘다
+            const fade = 1 - sinceVO / vio.bridgeMs;
+            position.addScaledVector(vio.velocity, sinceVO * fade);
+        }
+
+        const latest = vio.history[vio.history.length - 1];
+        return {
+            position,
+            quaternion,
+            visionFresh: sinceVO <= vio.bridgeMs,
+            time: latest ? latest.time : now
+        };
+    }
+
+    /**
+     * 하이브리드 VIO 상태 리셋 (포즈 리셋 시)
+     * 센서 방향 기록은 유지하고 VO와의 관계만 다시 잡는다
+     */
+    resetVIO() {
+        const vio = this.vio;
+        vio.alignment.identity();
+        vio.hasAlignment = false;
+        vio.correction.identity();
+        vio.hasCorrection = false;
+        vio.velocity.set(0, 0, 0);
+        vio.lastTime = 0;
+
+        this.voEnabled = false;
+        this.kalman.position.estimate.copy(this.origin);
+        this.kalman.position.errorCovariance = 1.0;
+    }
+
+    /**
+     * VO 전 카메라 위치 (첫 VO 포즈가 놓일 곳, 예: 바닥 위 눈높이)
+     * VO가 시작되기 전 예측 위치가 여기서 시작해 첫 VO 포즈에서 튀지 않는다
+     * @param {THREE.Vector3} position 월드 좌표
+     */
+    setOrigin(position) {
+        this.origin.copy(position);
+        if (!this.voEnabled) this.kalman.position.estimate.copy(position);
+    }
+
+    /**
+     * VO 위치 단위가 바뀌었을 때 (미터 스케일 갱신) 위치 관련 상태를 같은 비율로
+     * @param {number} ratio 새 스케일 / 이전 스케일
+     * @param {THREE.Vector3} center 확대/축소 중심 (퓨전 월드의 VO 원점)
+     */
+    rescalePosition(ratio, center = new THREE.Vector3()) {
+        const vio = this.vio;
+        const rescale = (position) => position.sub(center).multiplyScalar(ratio).add(center);
+        vio.velocity.multiplyScalar(ratio);
+        rescale(vio.lastPosition);
+        rescale(this.voPosition);
+        rescale(this.kalman.position.estimate);
+    }
+
     /**
      * 최종 회전 반환
      */
@@ -432,7 +680,7 @@ export class SensorFusion {
 
         this.position.set(0, 0, 0);
         this.velocity.set(0, 0, 0);
-        this.kalman.position.estimate.set(0, 0, 0);
+        this.kalman.position.estimate.copy(this.origin);
 
         console.log('[SensorFusion] 캘리브레이션 리셋');
     }
@@ -0,0 +1,561 @@
+/**
+ * SessionPlayer.js
+ *
+ * 기록된 AR 세션 재생 (SessionRecorder 파일)
+ *
+ * 라이브 카메라와 센서 대신 기록된 프레임 / 센서 이벤트 / 제스처를 기록된 순서대로 앱에 넣는다.
+ *
+ * - 재생 시계(time)는 기록 시작부터의 ms. 이벤트를 넘길 때는 시계를 그 이벤트의 시각에 맞추므로
+ *   앱이 보는 시각(ARApp.now())과 이벤트 순서가 렌더 주기 / 재생 속도와 무관하게 같다.
+ * - 다음 프레임 이미지가 아직 디코딩되지 않았으면 그 시각에서 시계를 멈추고 기다린다.
+ * - 추적기:
+ *   - 'recorded': 기록된 추적기 결과를 그대로 전달 (ReplayTracker, Wasm 없이도 재생)
+ *   - 'live':     기록된 프레임을 메인 스레드 추적기로 다시 처리 (결과 순서가 결정적)
+ * - 조작: 재생 / 일시정지 / 한 프레임씩 / 탐색(뒤로 가면 처음부터 다시 진행)
+ *
+ * 사용법:
+ * ```js
+ * const player = await SessionPlayer.load(fileOrUrl, { tracker: 'recorded' });
+ * player.onRestart = (session) => { ... };          // 앱 상태를 기록 시작 시점으로
+ * player.onFrame = (image, event) => { ... };       // ImageBitmap + 프레임 이벤트
+ * player.onSensor = (event) => { ... };             // deviceorientation / devicemotion 형식 객체
+ * player.onGesture = (name, args) => { ... };       // 제스처 핸들러 호출
+ * player.attach(container);
+ * player.restart();
+ * player.play();
+ *
+ * // 렌더 루프
+ * player.update(deltaMs);
+ * ```
+ */
+
+import { SESSION_FORMAT } from './SessionRecorder.js';
+
+// 미리 디코딩해 둘 프레임 수
+const PREFETCH_FRAMES = 20;
+
+// 화면 좌표를 인자로 받는 제스처 (앞에서부터 좌표 인자 수)
+const GESTURE_POSITION_ARGS = {
+    onPointerDown: 2,
+    onDragStart: 2,
+    onDragMove: 2,
+    onDoubleTap: 2,
+    onLongPress: 2
+};
+
+/**
+ * ReplayTracker 클래스
+ * 기록된 추적기 결과를 전달하는 추적기 (TrackingWorker와 같은 인터페이스)
+ */
+export class ReplayTracker {
+    constructor() {
+        this.kind = 'replay';
+        this.ready = true;
+        this.busy = false;
+        this.droppedFrames = 0;
+        this.lastResult = null;
+
+        this.onResult = null;
+        this.onError = null;
+    }
+
+    // 프레임은 처리하지 않는다 (결과는 기록된 시각에 deliver로)
+    submit() {
+        return true;
+    }
+
+    deliver(result, info) {
+        this.lastResult = result;
+        if (this.onResult) this.onResult(result, info);
+    }
+
+    setCameraParams() {}
+    setIntrinsics() {}
+    setDetectorParams() {}
+
+    reset() {
+        this.lastResult = null;
+    }
+
+    destroy() {
+        this.ready = false;
+        this.lastResult = null;
+    }
+}
+
+/**
+ * SessionPlayer 클래스
+ */
+export class SessionPlayer {
+    /**
+     * @param {Object} session SessionRecorder 파일 내용
+     * @param {Object} options { tracker: 'recorded'|'live', speed: 1 }
+     */
+    constructor(session, options = {}) {
+        if (!session || session.format !== SESSION_FORMAT || !Array.isArray(session.events)) {
+            throw new Error('AR 세션 파일이 아닙니다');
+        }
+
+        this.session = session;
+        this.events = session.events;
+        this.duration = session.duration || (this.events.length ? this.events[this.events.length - 1].t : 0);
+        this.trackerMode = options.tracker === 'live' ? 'live' : 'recorded';
+        this.speed = options.speed || 1;
+        this.tracker = new ReplayTracker();
+
+        // 재생 상태
+        this.time = 0;
+        this.index = 0;                // 다음에 넘길 이벤트
+        this.playing = false;
+        this.ended = false;
+        this.seeking = false;
+        this.frameEvent = null;        // 마지막으로 넘긴 프레임 이벤트
+
+        // 프레임 이벤트 → ImageBitmap (또는 디코딩 중인 Promise)
+        this.images = new Map();
+
+        // 표시 (카메라 비디오 자리)
+        this.canvas = null;
+        this.ctx = null;
+        this.panel = null;
+        this.controls = {};
+
+        // 콜백
+        this.onRestart = null;         // (session) => void
+        this.onFrame = null;           // (image, event) => void
+        this.onSensor = null;          // (event) => void
+        this.onGesture = null;         // (name, args) => void
+        this.onClose = null;           // 패널의 종료 버튼
+    }
+
+    /**
+     * 세션 파일 읽기
+     * @param {File|Blob|string|Object} source 파일, URL 또는 이미 읽은 세션 객체
+     * @param {Object} options 생성자 옵션
+     */
+    static async load(source, options = {}) {
+        let session = source;
+        if (typeof source === 'string') {
+            const response = await fetch(source);
+            if (!response.ok) throw new Error(`세션 파일을 불러올 수 없습니다 (${response.status})`);
+            session = await response.json();
+        } else if (typeof Blob !== 'undefined' && source instanceof Blob) {
+            session = JSON.parse(await source.text());
+        }
+
+        const player = new SessionPlayer(session, options);
+        console.log('[Replay] 세션 로드:', `${(player.duration / 1000).toFixed(1)}초`,
+            `이벤트 ${player.events.length}개`, `추적기: ${player.trackerMode}`);
+        return player;
+    }
+
+    /**
+     * 재생 화면 + 조작 패널 붙이기
+     * @param {HTMLElement} container 카메라 비디오가 있는 컨테이너
+     */
+    attach(container) {
+        this.canvas = document.createElement('canvas');
+        this.canvas.id = 'replay-background';
+        this.canvas.style.cssText = `
+            position: absolute;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            object-fit: cover;
+            z-index: 0;
+            pointer-events: none;
+        `;
+        this.ctx = this.canvas.getContext('2d');
+        container.insertBefore(this.canvas, container.firstChild);
+
+        this.createPanel();
+    }
+
+    // ==================== 조작 ====================
+
+    play() {
+        if (this.ended) this.restart();
+        this.playing = true;
+        this.syncPanel();
+    }
+
+    pause() {
+        this.playing = false;
+        this.syncPanel();
+    }
+
+    togglePlay() {
+        if (this.playing) this.pause();
+        else this.play();
+    }
+
+    /**
+     * 처음으로 (앱 상태도 기록 시작 시점으로)
+     */
+    restart() {
+        this.closeImages();
+        this.time = 0;
+        this.index = 0;
+        this.ended = false;
+        this.frameEvent = null;
+        this.tracker.reset();
+
+        if (this.onRestart) this.onRestart(this.session);
+        this.prefetch();
+        this.syncPanel();
+    }
+
+    /**
+     * 다음 프레임까지 진행 (일시정지 상태로)
+     */
+    async step() {
+        this.pause();
+        const next = this.findFrame(this.index);
+        const target = next ? next.t : this.duration;
+        await this.advanceTo(target);
+    }
+
+    /**
+     * 특정 시각으로 이동 (뒤로 가면 처음부터 다시 진행해 같은 상태를 만든다)
+     * @param {number} time 기록 시작부터의 ms
+     */
+    async seek(time) {
+        const wasPlaying = this.playing;
+        this.pause();
+
+        const target = Math.max(0, Math.min(this.duration, time));
+        if (target < this.time) this.restart();
+        await this.advanceTo(target);
+
+        if (wasPlaying && !this.ended) this.play();
+    }
+
+    /**
+     * 렌더 루프에서 호출: 재생 중이면 시계를 진행
+     * @param {number} deltaMs 렌더 프레임 간격
+     */
+    update(deltaMs) {
+        if (!this.playing || this.seeking) return;
+
+        // 탭 전환 등으로 벌어진 간격은 한 프레임만큼만
+        const delta = Math.min(deltaMs, 100) * this.speed;
+        this.dispatchUntil(this.time + delta);
+        this.syncPanel();
+    }
+
+    /**
+     * target 시각까지 진행 (디코딩을 기다리며)
+     */
+    async advanceTo(target) {
+        this.seeking = true;
+        try {
+            while (!this.dispatchUntil(target)) {
+                await this.decode(this.events[this.index]);
+            }
+        } finally {
+            this.seeking = false;
+        }
+        this.syncPanel();
+    }
+
+    /**
+     * target 시각까지의 이벤트 전달
+     * @returns {boolean} 끝까지 진행했는지 (false면 다음 프레임 디코딩 대기 중)
+     */
+    dispatchUntil(target) {
+        while (this.index < this.events.length && this.events[this.index].t <= target) {
+            const event = this.events[this.index];
+
+            if (event.type === 'frame' && !(this.images.get(event) instanceof ImageBitmap)) {
+                // 디코딩이 끝날 때까지 이 프레임 시각에서 멈춤
+                this.time = event.t;
+                this.decode(event);
+                return false;
+            }
+
+            this.time = event.t;
+            this.index++;
+            this.dispatch(event);
+        }
+
+        this.time = Math.min(target, this.duration);
+        if (this.index >= this.events.length && this.time >= this.duration) {
+            this.ended = true;
+            this.playing = false;
+        }
+        this.prefetch();
+        return true;
+    }
+
+    dispatch(event) {
+        switch (event.type) {
+            case 'frame': {
+                const image = this.images.get(event);
+                this.images.delete(event);
+                this.frameEvent = event;
+                this.draw(image);
+                if (this.onFrame) this.onFrame(image, event);
+                image.close();
+                break;
+            }
+
+            case 'orientation':
+                if (this.onSensor) {
+                    this.onSensor({
+                        type: 'deviceorientation',
+                        timeStamp: event.t,
+                        alpha: event.alpha,
+                        beta: event.beta,
+                        gamma: event.gamma,
+                        absolute: event.absolute
+                    });
+                }
+                break;
+
+            case 'motion':
+                if (this.onSensor) {
+                    this.onSensor({
+                        type: 'devicemotion',
+                        timeStamp: event.t,
+                        acceleration: event.acceleration,
+                        accelerationIncludingGravity: event.accelerationIncludingGravity,
+                        rotationRate: event.rotationRate,
+                        interval: event.interval
+                    });
+                }
+                break;
+
+            case 'tracking':
+                if (this.trackerMode === 'recorded') {
+                    this.tracker.deliver(event.result, {
+                        id: event.frameId,
+                        timestamp: event.frameTime ?? event.t,
+                        brightness: event.brightness ?? undefined
+                    });
+                }
+                break;
+
+            case 'gesture':
+                if (this.onGesture) {
+                    this.onGesture(event.name, this.scaleGestureArgs(event.name, event.args));
+                }
+                break;
+        }
+    }
+
+    /**
+     * 기록 당시 화면 크기 기준 좌표 → 현재 화면 좌표
+     */
+    scaleGestureArgs(name, args) {
+        const viewport = this.session.device && this.session.device.viewport;
+        if (!viewport || !viewport.width || !viewport.height) return args;
+
+        const sx = window.innerWidth / viewport.width;
+        const sy = window.innerHeight / viewport.height;
+
+        if (name === 'onFlick' && args[0]) {
+            const { x, y, vx, vy } = args[0];
+            return [{ ...args[0], x: x * sx, y: y * sy, vx: vx * sx, vy: vy * sy }];
+        }
+
+        const count = GESTURE_POSITION_ARGS[name] || 0;
+        return args.map((value, i) => {
+            if (i >= count) return value;
+            return i % 2 === 0 ? value * sx : value * sy;
+        });
+    }
+
+    // ==================== 프레임 이미지 ====================
+
+    findFrame(fromIndex) {
+        for (let i = fromIndex; i < this.events.length; i++) {
+            if (this.events[i].type === 'frame') return this.events[i];
+        }
+        return null;
+    }
+
+    /**
+     * 프레임 이미지 디코딩 (중복 요청은 같은 Promise)
+     */
+    decode(event) {
+        const cached = this.images.get(event);
+        if (cached) return Promise.resolve(cached);
+
+        const promise = fetch(event.image)
+            .then(response => response.blob())
+            .then(blob => createImageBitmap(blob))
+            .then((bitmap) => {
+                // 그 사이 처음으로 돌아갔으면 버림
+                if (this.images.get(event) !== promise) {
+                    bitmap.close();
+                    return null;
+                }
+                this.images.set(event, bitmap);
+                return bitmap;
+            })
+            .catch((e) => {
+                console.warn('[Replay] 프레임 디코딩 실패:', event.id, e.message);
+                // 그 사이 처음으로 돌아갔으면 새 재생의 디코딩/위치를 건드리지 않음
+                if (this.images.get(event) !== promise) return null;
+                this.images.delete(event);
+                // 디코딩할 수 없는 프레임은 건너뜀
+                if (this.events[this.index] === event) this.index++;
+                return null;
+            });
+
+        this.images.set(event, promise);
+        return promise;
+    }
+
+    /**
+     * 다음 프레임들 미리 디코딩
+     */
+    prefetch() {
+        let count = 0;
+        for (let i = this.index; i < this.events.length && count < PREFETCH_FRAMES; i++) {
+            const event = this.events[i];
+            if (event.type !== 'frame') continue;
+            if (!this.images.has(event)) this.decode(event);
+            count++;
+        }
+    }
+
+    closeImages() {
+        this.images.forEach((image) => {
+            if (image instanceof ImageBitmap) image.close();
+        });
+        this.images.clear();
+    }
+
+    draw(image) {
+        if (!this.ctx) return;
+        if (this.canvas.width !== image.width || this.canvas.height !== image.height) {
+            this.canvas.width = image.width;
+            this.canvas.height = image.height;
+        }
+        this.ctx.drawImage(image, 0, 0);
+    }
+
+    // ==================== 조작 패널 ====================
+
+    createPanel() {
+        const panel = document.createElement('div');
+        panel.id = 'replay-panel';
+        panel.style.cssText = `
+            position: fixed;
+            left: 50%;
+            bottom: 20px;
+            transform: translateX(-50%);
+            width: min(420px, calc(100% - 40px));
+            background: rgba(0, 0, 0, 0.8);
+            color: #fff;
+            padding: 10px 14px;
+            border-radius: 10px;
+            font-size: 12px;
+            z-index: 10000;
+            display: flex;
+            align-items: center;
+            gap: 8px;
+        `;
+
+        const button = (text, handler) => {
+            const btn = document.createElement('button');
+            btn.textContent = text;
+            btn.style.cssText = `
+                min-width: 32px;
+                padding: 6px 8px;
+                border: none;
+                border-radius: 6px;
+                background: #4da6ff;
+                color: #000;
+                font-weight: bold;
+            `;
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                handler();
+            });
+            return btn;
+        };
+
+        const restartBtn = button('⏮', () => {
+            this.pause();
+            this.restart();
+        });
+        const playBtn = button('▶', () => this.togglePlay());
+        const stepBtn = button('⏭', () => this.step());
+
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.min = 0;
+        slider.max = Math.ceil(this.duration);
+        slider.step = 1;
+        slider.style.cssText = 'flex: 1;';
+        slider.addEventListener('change', () => this.seek(parseFloat(slider.value)));
+
+        const label = document.createElement('span');
+        label.style.cssText = 'width: 84px; text-align: right; font-variant-numeric: tabular-nums;';
+
+        const closeBtn = button('✕', () => {
+            if (this.onClose) this.onClose();
+        });
+
+        panel.append(restartBtn, playBtn, stepBtn, slider, label, closeBtn);
+
+        // 패널 조작이 터치 영역 제스처로 전달되지 않도록
+        ['touchstart', 'mousedown', 'wheel'].forEach((type) => {
+            panel.addEventListener(type, (e) => e.stopPropagation());
+        });
+
+        document.body.appendChild(panel);
+        this.panel = panel;
+        this.controls = { playBtn, slider, label };
+        this.syncPanel();
+    }
+
+    syncPanel() {
+        if (!this.panel) return;
+
+        const { playBtn, slider, label } = this.controls;
+        playBtn.textContent = this.playing ? '⏸' : '▶';
+        if (document.activeElement !== slider) {
+            slider.value = Math.round(this.time);
+        }
+        label.textContent = `${(this.time / 1000).toFixed(2)} / ${(this.duration / 1000).toFixed(1)}s`;
+    }
+
+    /**
+     * 디버그 정보
+     */
+    getDebugInfo() {
+        return {
+            time: +this.time.toFixed(1),
+            duration: this.duration,
+            playing: this.playing,
+            tracker: this.trackerMode,
+            eventIndex: this.index,
+            frameId: this.frameEvent ? this.frameEvent.id : null
+        };
+    }
+
+    /**
+     * 정리
+     */
+    destroy() {
+        this.playing = false;
+        this.closeImages();
+        this.tracker.destroy();
+        if (this.canvas) {
+            this.canvas.remove();
+            this.canvas = null;
+            this.ctx = null;
+        }
+        if (this.panel) {
+            this.panel.remove();
+            this.panel = null;
+        }
+        this.controls = {};
+    }
+}
+
+export default SessionPlayer;
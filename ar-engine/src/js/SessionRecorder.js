@@ -0,0 +1,315 @@
+/**
+ * SessionRecorder.js
+ *
+ * AR 세션 기록 (오프라인 디버깅용)
+ *
+ * 카메라 프레임(축소 JPEG), deviceorientation / devicemotion 이벤트 전부,
+ * 추적기 결과, 사용자 제스처를 시각과 함께 하나의 JSON 파일로 저장한다.
+ * 기록한 파일은 SessionPlayer로 데스크탑 브라우저에서 그대로 재생할 수 있다.
+ *
+ * 시각(t)은 모두 기록 시작부터의 ms (performance.now 기준)이다.
+ *
+ * 파일 형식:
+ * ```json
+ * {
+ *   "format": "gangjin-ar-session",
+ *   "version": 1,
+ *   "createdAt": "2024-01-01T00:00:00.000Z",
+ *   "duration": 12345.6,
+ *   "device": { "userAgent": "...", "viewport": { "width": 390, "height": 844 }, "devicePixelRatio": 3, "screenOrientation": 0 },
+ *   "camera": { "width": 1280, "height": 720 },
+ *   "trackingMode": "hybrid",
+ *   "settings": { ...SessionStore 형식 (기록 시작 시점의 배치) },
+ *   "frameCount": 300,
+ *   "events": [
+ *     { "t": 0.0, "type": "frame", "id": 12, "width": 480, "height": 270, "sourceWidth": 1280, "sourceHeight": 720, "image": "data:image/jpeg;base64,..." },
+ *     { "t": 3.1, "type": "orientation", "alpha": 10, "beta": 80, "gamma": 0, "absolute": false },
+ *     { "t": 4.0, "type": "motion", "acceleration": {...}, "accelerationIncludingGravity": {...}, "rotationRate": {...}, "interval": 16 },
+ *     { "t": 25.2, "type": "tracking", "frameId": 12, "frameTime": 0.0, "brightness": 120, "result": {...} },
+ *     { "t": 40.0, "type": "gesture", "name": "onDragMove", "args": [3, -2] }
+ *   ]
+ * }
+ * ```
+ *
+ * 사용법:
+ * ```js
+ * const recorder = new SessionRecorder({ maxWidth: 480 });
+ * recorder.start(frameSource, { trackingMode, settings, camera });
+ * recorder.recordSensor(event);             // 센서 이벤트
+ * recorder.recordTracking(result, info);    // 추적기 결과
+ * recorder.recordGesture(name, args);       // 제스처 핸들러 호출
+ * const session = await recorder.stop();
+ * SessionRecorder.download(session);
+ * ```
+ */
+
+export const SESSION_FORMAT = 'gangjin-ar-session';
+export const SESSION_FORMAT_VERSION = 1;
+
+const DEFAULT_OPTIONS = {
+    maxWidth: 480,          // 저장할 프레임 최대 가로 크기 (px)
+    fps: 15,                // 저장할 프레임 최대 빈도
+    quality: 0.7,           // JPEG 품질
+    maxDuration: 120000     // 최대 기록 시간 (ms, 넘으면 onLimit)
+};
+
+/**
+ * DeviceMotion의 벡터 값을 일반 객체로
+ */
+function vector(value, keys) {
+    if (!value) return null;
+    const out = {};
+    keys.forEach((key) => { out[key] = value[key] ?? null; });
+    return out;
+}
+
+/**
+ * 추적 결과를 JSON으로 저장할 수 있게 (TypedArray → 배열)
+ */
+function toPlain(value) {
+    if (ArrayBuffer.isView(value)) return Array.from(value);
+    if (Array.isArray(value)) return value.map(toPlain);
+    if (value && typeof value === 'object') {
+        const out = {};
+        Object.keys(value).forEach((key) => { out[key] = toPlain(value[key]); });
+        return out;
+    }
+    return value;
+}
+
+function blobToDataURL(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+/**
+ * SessionRecorder 클래스
+ */
+export class SessionRecorder {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+
+        this.header = null;
+        this.events = [];
+        this.pending = [];            // 인코딩 중인 프레임
+        this.startTime = 0;
+        this.lastFrameTime = -Infinity;
+        this.recording = false;
+        this.unsubscribe = null;
+
+        // 프레임 축소용 캔버스
+        this.canvas = null;
+        this.ctx = null;
+
+        this.onLimit = null;          // 최대 기록 시간 도달 시 () => void
+    }
+
+    /**
+     * 기록 시작
+     * @param {FrameSource} frameSource 카메라 프레임
+     * @param {Object} header { trackingMode, settings, camera } (파일 머리에 그대로 저장)
+     */
+    start(frameSource, header = {}) {
+        this.header = header;
+        this.events = [];
+        this.pending = [];
+        this.startTime = performance.now();
+        this.lastFrameTime = -Infinity;
+        this.recording = true;
+
+        this.unsubscribe = frameSource.subscribe(frame => this.recordFrame(frame));
+        console.log('[Record] 세션 기록 시작');
+    }
+
+    /**
+     * 기록 시작부터의 시각 (ms)
+     * @param {number} timestamp performance.now 기준 시각
+     */
+    time(timestamp = performance.now()) {
+        return +(timestamp - this.startTime).toFixed(3);
+    }
+
+    get duration() {
+        return this.recording ? this.time() : 0;
+    }
+
+    /**
+     * @returns {boolean} 기록했는지 (최대 기록 시간을 넘으면 false)
+     */
+    push(event) {
+        if (!this.recording) return false;
+        if (event.t > this.options.maxDuration) {
+            if (this.onLimit) this.onLimit();
+            return false;
+        }
+        this.events.push(event);
+        return true;
+    }
+
+    /**
+     * 카메라 프레임 (fps 제한, JPEG 인코딩은 비동기)
+     */
+    recordFrame(frame) {
+        if (!this.recording) return;
+        if (frame.timestamp - this.lastFrameTime < 1000 / this.options.fps) return;
+        this.lastFrameTime = frame.timestamp;
+
+        const scale = Math.min(1, this.options.maxWidth / frame.width);
+        const event = {
+            t: this.time(frame.timestamp),
+            type: 'frame',
+            id: frame.id,
+            width: Math.max(1, Math.round(frame.width * scale)),
+            height: Math.max(1, Math.round(frame.height * scale)),
+            sourceWidth: frame.sourceWidth,
+            sourceHeight: frame.sourceHeight,
+            image: null
+        };
+        if (this.push(event)) {
+            this.pending.push(this.encodeFrame(frame, event));
+        }
+    }
+
+    async encodeFrame(frame, event) {
+        try {
+            const bitmap = await frame.toImageBitmap();
+            if (!this.canvas) {
+                this.canvas = document.createElement('canvas');
+                this.ctx = this.canvas.getContext('2d');
+            }
+            this.canvas.width = event.width;
+            this.canvas.height = event.height;
+            this.ctx.drawImage(bitmap, 0, 0, event.width, event.height);
+            bitmap.close();
+
+            const blob = await new Promise(resolve =>
+                this.canvas.toBlob(resolve, 'image/jpeg', this.options.quality));
+            if (blob) event.image = await blobToDataURL(blob);
+        } catch (e) {
+            console.warn('[Record] 프레임 인코딩 실패:', e.message);
+        }
+    }
+
+    /**
+     * deviceorientation / devicemotion 이벤트
+     */
+    recordSensor(event) {
+        const t = this.time(event.timeStamp || performance.now());
+
+        if (event.type === 'devicemotion') {
+            this.push({
+                t,
+                type: 'motion',
+                acceleration: vector(event.acceleration, ['x', 'y', 'z']),
+                accelerationIncludingGravity: vector(event.accelerationIncludingGravity, ['x', 'y', 'z']),
+                rotationRate: vector(event.rotationRate, ['alpha', 'beta', 'gamma']),
+                interval: event.interval ?? null
+            });
+            return;
+        }
+
+        this.push({
+            t,
+            type: 'orientation',
+            alpha: event.alpha,
+            beta: event.beta,
+            gamma: event.gamma,
+            absolute: !!event.absolute
+        });
+    }
+
+    /**
+     * 추적기 결과 (결과를 받은 시각 + 프레임 캡처 시각)
+     * @param {Object|null} result VisualOdometry.processFrame 결과
+     * @param {Object} info { id, timestamp, brightness }
+     */
+    recordTracking(result, info = {}) {
+        this.push({
+            t: this.time(),
+            type: 'tracking',
+            frameId: info.id ?? null,
+            frameTime: info.timestamp !== undefined ? this.time(info.timestamp) : null,
+            brightness: info.brightness ?? null,
+            result: toPlain(result)
+        });
+    }
+
+    /**
+     * 제스처 핸들러 호출 (GestureController 핸들러 이름 + 인자)
+     */
+    recordGesture(name, args) {
+        this.push({
+            t: this.time(),
+            type: 'gesture',
+            name,
+            args: JSON.parse(JSON.stringify(args))
+        });
+    }
+
+    /**
+     * 기록 종료: 인코딩이 끝나길 기다렸다가 세션 객체 반환
+     * @returns {Promise<Object>} 파일 형식의 세션
+     */
+    async stop() {
+        const duration = this.duration;
+        this.recording = false;
+        if (this.unsubscribe) {
+            this.unsubscribe();
+            this.unsubscribe = null;
+        }
+
+        await Promise.all(this.pending);
+        this.pending = [];
+
+        // 인코딩에 실패한 프레임은 빼고, 시각 순으로 (같은 시각은 기록 순서 유지)
+        const events = this.events
+            .filter(event => event.type !== 'frame' || event.image)
+            .sort((a, b) => a.t - b.t);
+        this.events = [];
+        this.canvas = null;
+        this.ctx = null;
+
+        const session = {
+            format: SESSION_FORMAT,
+            version: SESSION_FORMAT_VERSION,
+            createdAt: new Date().toISOString(),
+            duration,
+            device: {
+                userAgent: navigator.userAgent,
+                viewport: { width: window.innerWidth, height: window.innerHeight },
+                devicePixelRatio: window.devicePixelRatio || 1,
+                screenOrientation: window.orientation || 0
+            },
+            ...this.header,
+            frameCount: events.filter(event => event.type === 'frame').length,
+            events
+        };
+
+        console.log('[Record] 세션 기록 종료:', `${(duration / 1000).toFixed(1)}초`,
+            `프레임 ${session.frameCount}개, 이벤트 ${events.length}개`);
+        return session;
+    }
+
+    /**
+     * 세션을 JSON 파일로 다운로드
+     */
+    static download(session, filename = null) {
+        const stamp = session.createdAt.replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+        const blob = new Blob([JSON.stringify(session)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename || `ar-session-${stamp}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
+
+export default SessionRecorder;
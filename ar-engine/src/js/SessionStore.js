@@ -0,0 +1,114 @@
+/**
+ * SessionStore.js
+ *
+ * AR 세션 배치 상태 저장/복원 (localStorage)
+ *
+ * 새로고침하거나 iOS가 사진 촬영 후 탭을 종료해도
+ * 선택한 영상, 오브젝트별 위치/크기/회전, 추적 모드, 크로마키 보정값이 유지되도록 한다.
+ *
+ * 저장 형식이 바뀌면 SESSION_VERSION을 올린다. 버전이 다른 저장값은 버린다.
+ *
+ * 저장 형식:
+ * ```json
+ * {
+ *   "version": 1,
+ *   "savedAt": 1700000000000,
+ *   "currentVideo": "greetgang.mp4",
+ *   "trackingMode": "sensor",
+ *   "placementMode": "hud",
+ *   "audioMuted": false,
+ *   "objects": [
+ *     { "video": "greetgang.mp4", "placementMode": "hud", "position": [0, 0, -1.5],
+ *       "scale": 1, "rotation": 0, "muted": false, "active": true }
+ *   ],
+ *   "chroma": { "greetgang": { "keyColor": "#00ff00", "similarity": 0.4, "smoothness": 0.1, "spill": 0 } }
+ * }
+ * ```
+ */
+
+const STORAGE_KEY = 'gangjin-ar.session';
+
+export const SESSION_VERSION = 1;
+
+// 연속 변경(드래그 등)을 묶어서 저장하기 위한 지연 (ms)
+const SAVE_DELAY = 500;
+
+/**
+ * SessionStore 클래스
+ */
+export class SessionStore {
+    /**
+     * @param {() => Object} capture 현재 세션 상태를 만들어 반환하는 함수
+     */
+    constructor(capture) {
+        this.capture = capture;
+        this.saveTimer = null;
+    }
+
+    /**
+     * 저장된 세션 읽기
+     * @returns {Object|null} 버전이 맞는 세션 (없거나 오래된 형식이면 null)
+     */
+    load() {
+        let state;
+        try {
+            const raw = localStorage.getItem(STORAGE_KEY);
+            if (!raw) return null;
+            state = JSON.parse(raw);
+        } catch (e) {
+            console.warn('[Session] 저장된 세션 읽기 실패:', e.message);
+            return null;
+        }
+
+        if (!state || state.version !== SESSION_VERSION) {
+            console.log('[Session] 이전 버전 세션 무시:', state && state.version);
+            this.clear();
+            return null;
+        }
+
+        return state;
+    }
+
+    /**
+     * 잠시 후 저장 (연속 호출은 한 번으로 합침)
+     */
+    scheduleSave() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.saveNow(), SAVE_DELAY);
+    }
+
+    /**
+     * 즉시 저장 (페이지 숨김/종료 시)
+     */
+    saveNow() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+
+        const state = {
+            version: SESSION_VERSION,
+            savedAt: Date.now(),
+            ...this.capture()
+        };
+
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+        } catch (e) {
+            console.warn('[Session] 세션 저장 실패:', e.message);
+        }
+    }
+
+    /**
+     * 저장된 세션 삭제
+     */
+    clear() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        try {
+            localStorage.removeItem(STORAGE_KEY);
+        } catch (e) {
+            console.warn('[Session] 세션 삭제 실패:', e.message);
+        }
+    }
+}
+
+export default SessionStore;
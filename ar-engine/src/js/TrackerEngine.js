@@ -0,0 +1,62 @@
+/**
+ * TrackerEngine.js
+ *
+ * VisualOdometry / AREngine을 같은 인터페이스로 감싸기
+ * 워커(tracking.worker.js)와 같은 스레드 폴백(TrackingWorker.js의 LocalTracker)이 함께 사용한다.
+ *
+ * 인터페이스:
+ * - processFrame(frame) → VisualOdometry.processFrame과 같은 필드의 결과 (실패 시 null)
+ * - setCameraParams(fx, fy, cx, cy)
+ * - setIntrinsics(intrinsics)   보정된 내부 파라미터 (처리 해상도에 맞춰 스케일)
+ * - setDetectorParams(fastThreshold, maxFeatures)
+ * - reset()
+ * - destroy()
+ */
+
+import { VisualOdometry } from './VisualOdometry.js';
+import AREngine from './AREngine.js';
+
+/**
+ * 추적 엔진 생성 + 초기화
+ * @param {'vo'|'slam'} engine
+ * @param {Object} config VisualOdometry 설정
+ */
+export async function createTrackerEngine(engine, config = {}) {
+    if (engine === 'slam') {
+        return createSLAMEngine();
+    }
+
+    const vo = new VisualOdometry();
+    await vo.init(config);
+    return vo;
+}
+
+/**
+ * AREngine (Wasm SLAM): 결과를 VisualOdometry와 같은 필드 이름으로 맞춘다
+ */
+async function createSLAMEngine() {
+    const engine = new AREngine();
+    if (!await engine.init()) {
+        throw new Error('AR 엔진 초기화 실패');
+    }
+
+    return {
+        processFrame(frame) {
+            if (!engine.processFrame(frame)) return null;
+            return {
+                viewMatrix: engine.getViewMatrix(),
+                initialized: engine.isSlamInitialized(),
+                tracking: engine.isSlamTracking(),
+                mapPointCount: engine.getMapPointCount(),
+                keyFrameCount: engine.getKeyFrameCount()
+            };
+        },
+        setCameraParams() {},
+        setIntrinsics() {},
+        setDetectorParams() {},
+        reset() {},
+        destroy: () => engine.destroy()
+    };
+}
+
+export default createTrackerEngine;
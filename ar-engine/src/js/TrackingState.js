@@ -0,0 +1,265 @@
+/**
+ * TrackingState.js
+ *
+ * 추적 상태 머신
+ *
+ * 추적 모드, VO 결과(featureCount, pose.confidence), 화면 밝기, 센서 상태를 모아
+ * 하나의 상태와 이유로 정리한다. 상태가 바뀌면 onChange가 호출된다.
+ *
+ * 상태:
+ * - NOT_AVAILABLE: 포즈를 얻을 수단이 없음 (센서 없음 등)
+ * - INITIALIZING:  추적기 로드 중이거나 첫 추적을 기다리는 중
+ * - TRACKING:      정상 추적
+ * - LIMITED:       추적은 되지만 품질이 낮거나 회전만 추적 중 (이유 포함)
+ * - LOST:          추적을 잃음 (이유 포함)
+ * - RELOCALIZING:  추적을 잃은 뒤 특징점은 보이고 위치를 다시 찾는 중
+ *
+ * 사용법:
+ * ```js
+ * const machine = new TrackingStateMachine();
+ * machine.onChange = ({ state, previous, reason }) => { ... };
+ *
+ * // 매 프레임
+ * machine.update({ mode, trackerReady, result, resultTime, brightness, sensorAvailable, sensorTimedOut, rotationRate }, now);
+ * ```
+ */
+
+export const TRACKING_STATES = Object.freeze({
+    NOT_AVAILABLE: 'NOT_AVAILABLE',
+    INITIALIZING: 'INITIALIZING',
+    TRACKING: 'TRACKING',
+    LIMITED: 'LIMITED',
+    LOST: 'LOST',
+    RELOCALIZING: 'RELOCALIZING'
+});
+
+export const TRACKING_REASONS = Object.freeze({
+    INSUFFICIENT_FEATURES: 'insufficientFeatures',
+    EXCESSIVE_MOTION: 'excessiveMotion',
+    TOO_DARK: 'tooDark',
+    SENSORS_UNAVAILABLE: 'sensorsUnavailable'
+});
+
+const { NOT_AVAILABLE, INITIALIZING, TRACKING, LIMITED, LOST, RELOCALIZING } = TRACKING_STATES;
+const { INSUFFICIENT_FEATURES, EXCESSIVE_MOTION, TOO_DARK, SENSORS_UNAVAILABLE } = TRACKING_REASONS;
+
+const DEFAULT_OPTIONS = {
+    minFeatures: 40,           // 이보다 적으면 특징점 부족
+    minConfidence: 0.5,        // VO pose.confidence 하한
+    minBrightness: 35,         // 평균 밝기(0~255) 하한
+    maxRotationRate: 180,      // 자이로 각속도 상한 (deg/s)
+    resultTimeout: 1000        // 이 시간(ms) 동안 VO 결과가 없으면 추적 실패로 본다
+};
+
+/**
+ * 상태/이유별 안내 문구
+ */
+export const TRACKING_GUIDANCE = Object.freeze({
+    ko: {
+        [NOT_AVAILABLE]: '이 기기에서는 위치 추적을 사용할 수 없습니다',
+        [INITIALIZING]: '휴대폰을 천천히 좌우로 움직여 주세요',
+        [TRACKING]: '',
+        [RELOCALIZING]: '이전에 보던 곳을 다시 비춰 주세요',
+        [LOST]: '추적을 놓쳤습니다. 주변을 천천히 비춰 주세요',
+        reasons: {
+            [INSUFFICIENT_FEATURES]: '무늬가 있는 바닥이나 벽을 비춰 주세요',
+            [EXCESSIVE_MOTION]: '조금 더 천천히 움직여 주세요',
+            [TOO_DARK]: '주변이 너무 어둡습니다. 밝은 곳에서 사용해 주세요',
+            [SENSORS_UNAVAILABLE]: '움직임 센서를 사용할 수 없습니다. 센서 권한을 확인해 주세요'
+        }
+    },
+    en: {
+        [NOT_AVAILABLE]: 'Tracking is not available on this device',
+        [INITIALIZING]: 'Move your phone slowly from side to side',
+        [TRACKING]: '',
+        [RELOCALIZING]: 'Point the camera back at where you were looking',
+        [LOST]: 'Tracking lost. Slowly scan your surroundings',
+        reasons: {
+            [INSUFFICIENT_FEATURES]: 'Point the camera at a textured floor or wall',
+            [EXCESSIVE_MOTION]: 'Move a little more slowly',
+            [TOO_DARK]: 'It is too dark here. Try a brighter place',
+            [SENSORS_UNAVAILABLE]: 'Motion sensors are unavailable. Check sensor permissions'
+        }
+    }
+});
+
+/**
+ * 안내 문구 언어 (브라우저 언어가 한국어가 아니면 영어)
+ */
+export function guidanceLanguage() {
+    const lang = (typeof navigator !== 'undefined' && navigator.language) || 'ko';
+    return lang.toLowerCase().startsWith('ko') ? 'ko' : 'en';
+}
+
+/**
+ * 상태 → 사용자 안내 문구 (이유가 있으면 이유별 안내 우선)
+ * @param {string} state TRACKING_STATES 값
+ * @param {string|null} reason TRACKING_REASONS 값
+ * @param {'ko'|'en'} lang
+ * @returns {string} 안내 문구 (정상 추적이면 빈 문자열)
+ */
+export function getTrackingGuidance(state, reason = null, lang = guidanceLanguage()) {
+    const messages = TRACKING_GUIDANCE[lang] || TRACKING_GUIDANCE.ko;
+    if (reason && messages.reasons[reason]) {
+        return messages.reasons[reason];
+    }
+    return messages[state] || '';
+}
+
+/**
+ * 결과의 특징점 수 (AREngine 결과는 맵 포인트 수)
+ */
+function featureCountOf(result) {
+    if (!result) return 0;
+    return result.featureCount ?? result.mapPointCount ?? 0;
+}
+
+/**
+ * TrackingStateMachine 클래스
+ */
+export class TrackingStateMachine {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+
+        this.state = null;            // 첫 update에서 결정 (이때도 onChange 호출)
+        this.reason = null;
+        this.since = 0;               // 현재 상태 진입 시각
+        this.hasTracked = false;      // 리셋 이후 영상 추적에 성공한 적이 있는지
+
+        this.onChange = null;         // ({ state, previous, reason, previousReason }) => void
+    }
+
+    /**
+     * 입력으로 상태 갱신
+     *
+     * @param {Object} input
+     * @param {'sensor'|'slam'|'hybrid'} input.mode 추적 모드
+     * @param {boolean} input.trackerReady 영상 추적기 준비 여부
+     * @param {Object|null} input.result 최근 VO 결과
+     * @param {number} input.resultTime 최근 VO 결과 수신 시각 (ms)
+     * @param {number|null} input.brightness 최근 프레임 평균 밝기 (0~255)
+     * @param {boolean} input.sensorAvailable 방향 센서 값을 받고 있는지
+     * @param {boolean} input.sensorTimedOut 센서 값을 기다리다 포기했는지
+     * @param {number} input.rotationRate 자이로 각속도 크기 (deg/s)
+     * @param {number} now performance.now()
+     * @returns {{state: string, reason: string|null}}
+     */
+    update(input, now = performance.now()) {
+        const { state, reason } = input.mode === 'sensor'
+            ? this.evaluateSensor(input)
+            : this.evaluateVision(input, now);
+
+        this.transition(state, reason, now);
+        return { state: this.state, reason: this.reason };
+    }
+
+    /**
+     * 센서 전용 모드 (회전만 추적)
+     */
+    evaluateSensor(input) {
+        if (!input.sensorAvailable) {
+            return input.sensorTimedOut
+                ? { state: NOT_AVAILABLE, reason: SENSORS_UNAVAILABLE }
+                : { state: INITIALIZING, reason: null };
+        }
+        if (input.rotationRate > this.options.maxRotationRate) {
+            return { state: LIMITED, reason: EXCESSIVE_MOTION };
+        }
+        return { state: TRACKING, reason: null };
+    }
+
+    /**
+     * 영상 추적 모드 (slam / hybrid)
+     */
+    evaluateVision(input, now) {
+        if (!input.trackerReady) {
+            return { state: INITIALIZING, reason: null };
+        }
+
+        const result = input.resultTime && now - input.resultTime <= this.options.resultTimeout
+            ? input.result
+            : null;
+        const problem = this.diagnose(result, input);
+
+        if (result && result.tracking) {
+            this.hasTracked = true;
+            return problem
+                ? { state: LIMITED, reason: problem }
+                : { state: TRACKING, reason: null };
+        }
+
+        // 아직 한 번도 추적하지 못함
+        if (!this.hasTracked) {
+            return { state: INITIALIZING, reason: problem };
+        }
+
+        // 특징점은 보이지만 위치를 못 찾음 → 재탐색 중
+        if (featureCountOf(result) >= this.options.minFeatures && problem !== TOO_DARK) {
+            return { state: RELOCALIZING, reason: problem };
+        }
+
+        // 하이브리드: 영상 추적을 잃어도 센서로 회전은 유지
+        if (input.mode === 'hybrid' && input.sensorAvailable) {
+            return { state: LIMITED, reason: problem || INSUFFICIENT_FEATURES };
+        }
+
+        return { state: LOST, reason: problem || INSUFFICIENT_FEATURES };
+    }
+
+    /**
+     * 추적 품질 저하 원인 (없으면 null)
+     * 밝기 → 움직임 → 특징점 순으로 사용자가 고칠 수 있는 원인을 먼저 본다
+     */
+    diagnose(result, input) {
+        const { minBrightness, maxRotationRate, minFeatures, minConfidence } = this.options;
+
+        if (input.brightness !== null && input.brightness !== undefined && input.brightness < minBrightness) {
+            return TOO_DARK;
+        }
+        if (input.rotationRate > maxRotationRate) {
+            return EXCESSIVE_MOTION;
+        }
+        if (!result) return null;
+
+        if (featureCountOf(result) < minFeatures) {
+            return INSUFFICIENT_FEATURES;
+        }
+        const confidence = result.pose ? result.pose.confidence : 1;
+        if (confidence < minConfidence) {
+            // 특징점은 충분한데 신뢰도가 낮으면 대개 흔들림 때문
+            return EXCESSIVE_MOTION;
+        }
+        return null;
+    }
+
+    transition(state, reason, now) {
+        if (state === this.state && reason === this.reason) return;
+
+        const previous = this.state;
+        const previousReason = this.reason;
+        this.state = state;
+        this.reason = reason;
+        if (state !== previous) this.since = now;
+
+        console.log('[Tracking]', previous, '→', state, reason ? `(${reason})` : '');
+        if (this.onChange) {
+            this.onChange({ state, previous, reason, previousReason });
+        }
+    }
+
+    /**
+     * 추적 중인지 (LIMITED 포함)
+     */
+    get isTracking() {
+        return this.state === TRACKING || this.state === LIMITED;
+    }
+
+    /**
+     * 포즈 리셋 후 첫 추적부터 다시
+     */
+    reset() {
+        this.hasTracked = false;
+    }
+}
+
+export default TrackingStateMachine;
@@ -0,0 +1,263 @@
+/**
+ * TrackingWorker.js
+ *
+ * 영상 추적기 (VisualOdometry / AREngine) 실행 위치 추상화
+ *
+ * - TrackingWorker: 전용 워커(tracking.worker.js)에서 실행. FrameSource 프레임을
+ *   ImageBitmap으로 전송하고 결과를 메시지로 받는다. 워커가 처리 중이면 새 프레임은 버린다.
+ * - LocalTracker:   OffscreenCanvas가 없는 브라우저용 같은 스레드 폴백
+ *
+ * 두 클래스는 같은 인터페이스를 가진다:
+ * ```js
+ * const tracker = createVisualTracker({ engine: 'vo' });
+ * tracker.onResult = (result, frameInfo) => { ... };   // result는 VisualOdometry.processFrame 형식 (실패 시 null)
+ *                                                      // frameInfo: { id, timestamp, brightness }
+ * await tracker.init({ fastThreshold: 20, maxFeatures: 300 });
+ * frameSource.subscribe(frame => tracker.submit(frame));
+ * ```
+ *
+ * 메인 스레드는 결과를 기다리지 않고 마지막으로 받은 포즈로 렌더링한다.
+ */
+
+import { meanBrightness } from './FrameSource.js';
+
+/**
+ * 워커 추적 지원 여부
+ */
+export function supportsWorkerTracking() {
+    return typeof Worker !== 'undefined' &&
+        typeof OffscreenCanvas !== 'undefined' &&
+        typeof createImageBitmap === 'function';
+}
+
+/**
+ * 환경에 맞는 추적기 생성
+ * @param {Object} options { engine: 'vo'|'slam', local: 워커 대신 메인 스레드 (결과 순서가 결정적, 세션 재생용) }
+ * @returns {TrackingWorker|LocalTracker}
+ */
+export function createVisualTracker(options = {}) {
+    if (options.local) {
+        return new LocalTracker(options);
+    }
+    if (supportsWorkerTracking()) {
+        return new TrackingWorker(options);
+    }
+    console.log('[Track] OffscreenCanvas 미지원 - 메인 스레드에서 추적');
+    return new LocalTracker(options);
+}
+
+/**
+ * 프레임에서 워커로 보낼 메타데이터만 추리기
+ */
+function frameInfo(frame) {
+    const { id, timestamp, mediaTime, width, height, scale, sourceWidth, sourceHeight } = frame;
+    return { id, timestamp, mediaTime, width, height, scale, sourceWidth, sourceHeight };
+}
+
+/**
+ * TrackingWorker 클래스
+ */
+export class TrackingWorker {
+    constructor(options = {}) {
+        this.kind = 'worker';
+        this.engine = options.engine || 'vo';
+        this.worker = null;
+        this.ready = false;
+        this.busy = false;             // 워커가 프레임 처리 중 (새 프레임은 버림)
+        this.droppedFrames = 0;
+        this.lastResult = null;
+
+        this.onResult = null;          // (result, frameInfo) => void
+        this.onError = null;           // (error) => void
+
+        this.pendingInit = null;       // { resolve, reject }
+    }
+
+    /**
+     * 워커 시작 + 추적기 초기화
+     * @param {Object} config VisualOdometry 설정
+     */
+    init(config = {}) {
+        this.worker = new Worker(new URL('./tracking.worker.js', import.meta.url));
+        this.worker.onmessage = event => this.handleMessage(event.data);
+        this.worker.onerror = (event) => {
+            event.preventDefault();
+            this.handleMessage({ type: 'error', message: event.message || '워커 오류' });
+        };
+
+        return new Promise((resolve, reject) => {
+            this.pendingInit = { resolve, reject };
+            this.worker.postMessage({ type: 'init', engine: this.engine, config });
+        });
+    }
+
+    handleMessage(message) {
+        switch (message.type) {
+            case 'ready':
+                this.ready = true;
+                console.log('[Track] 워커 추적기 준비 완료:', this.engine);
+                if (this.pendingInit) {
+                    this.pendingInit.resolve();
+                    this.pendingInit = null;
+                }
+                break;
+
+            case 'result':
+                this.busy = false;
+                this.lastResult = message.result;
+                if (this.onResult) {
+                    this.onResult(message.result, {
+                        id: message.frameId,
+                        timestamp: message.timestamp,
+                        brightness: message.brightness
+                    });
+                }
+                break;
+
+            case 'error': {
+                this.busy = false;
+                const error = new Error(message.message);
+                if (this.pendingInit) {
+                    this.pendingInit.reject(error);
+                    this.pendingInit = null;
+                    this.destroy();
+                } else if (this.onError) {
+                    this.onError(error);
+                }
+                break;
+            }
+        }
+    }
+
+    /**
+     * 프레임 제출 (처리 중이면 버림)
+     * @param {Object} frame FrameSource 프레임
+     * @returns {boolean} 제출 여부
+     */
+    submit(frame) {
+        if (!this.ready || !this.worker) return false;
+        if (this.busy) {
+            this.droppedFrames++;
+            return false;
+        }
+
+        this.busy = true;
+        const info = frameInfo(frame);
+        frame.toImageBitmap().then((bitmap) => {
+            if (!this.worker) {
+                bitmap.close();
+                return;
+            }
+            this.worker.postMessage({ type: 'frame', frame: info, bitmap }, [bitmap]);
+        }).catch((e) => {
+            this.busy = false;
+            console.warn('[Track] ImageBitmap 생성 실패:', e.message);
+        });
+        return true;
+    }
+
+    setCameraParams(fx, fy, cx, cy) {
+        if (this.worker) this.worker.postMessage({ type: 'setCameraParams', fx, fy, cx, cy });
+    }
+
+    setIntrinsics(intrinsics) {
+        if (this.worker) this.worker.postMessage({ type: 'setIntrinsics', intrinsics });
+    }
+
+    setDetectorParams(fastThreshold, maxFeatures) {
+        if (this.worker) this.worker.postMessage({ type: 'setDetectorParams', fastThreshold, maxFeatures });
+    }
+
+    reset() {
+        this.lastResult = null;
+        if (this.worker) this.worker.postMessage({ type: 'reset' });
+    }
+
+    destroy() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.ready = false;
+        this.busy = false;
+        this.lastResult = null;
+    }
+}
+
+/**
+ * LocalTracker 클래스 (같은 스레드 폴백)
+ */
+export class LocalTracker {
+    constructor(options = {}) {
+        this.kind = 'local';
+        this.engine = options.engine || 'vo';
+        this.tracker = null;
+        this.ready = false;
+        this.busy = false;
+        this.droppedFrames = 0;
+        this.lastResult = null;
+
+        this.onResult = null;
+        this.onError = null;
+    }
+
+    /**
+     * 추적기 초기화 (Wasm 빌드가 없으면 실패)
+     */
+    async init(config = {}) {
+        const { createTrackerEngine } = await import('./TrackerEngine.js');
+        this.tracker = await createTrackerEngine(this.engine, config);
+
+        this.ready = true;
+        console.log('[Track] 메인 스레드 추적기 준비 완료:', this.engine);
+    }
+
+    submit(frame) {
+        if (!this.ready) return false;
+
+        let result = null;
+        try {
+            result = this.tracker.processFrame(frame);
+        } catch (e) {
+            if (this.onError) this.onError(e);
+        }
+
+        this.lastResult = result;
+        if (this.onResult) {
+            this.onResult(result, {
+                id: frame.id,
+                timestamp: frame.timestamp,
+                brightness: meanBrightness(frame.gray)
+            });
+        }
+        return true;
+    }
+
+    setCameraParams(fx, fy, cx, cy) {
+        if (this.tracker) this.tracker.setCameraParams(fx, fy, cx, cy);
+    }
+
+    setIntrinsics(intrinsics) {
+        if (this.tracker) this.tracker.setIntrinsics(intrinsics);
+    }
+
+    setDetectorParams(fastThreshold, maxFeatures) {
+        if (this.tracker) this.tracker.setDetectorParams(fastThreshold, maxFeatures);
+    }
+
+    reset() {
+        this.lastResult = null;
+        if (this.tracker) this.tracker.reset();
+    }
+
+    destroy() {
+        if (this.tracker) {
+            this.tracker.destroy();
+            this.tracker = null;
+        }
+        this.ready = false;
+        this.lastResult = null;
+    }
+}
+
+export default createVisualTracker;
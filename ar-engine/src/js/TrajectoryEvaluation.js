@@ -0,0 +1,563 @@
+/**
+ * TrajectoryEvaluation.js
+ *
+ * 추적 정확도 평가: 추정 궤적 vs 정답(ground truth) 궤적
+ *
+ * 브라우저 없이 Node에서 돌아간다 (scripts/evaluate-trajectory.mjs, npm run eval:trajectory).
+ * 기록한 데이터셋을 빌드마다 돌려 VisualOdometry / AREngine 추적 품질이 나빠졌는지 확인하는 용도.
+ *
+ * 1. TUM 형식 두 파일 읽기 (`timestamp tx ty tz qx qy qz qw`, CameraTrajectory.toTUM과 같은 형식)
+ * 2. 시각으로 짝 맞추기 (가장 가까운 정답 포즈, maxDifference 이내, 한 번씩만)
+ * 3. 정렬: Horn 방법 (단위 사원수) 닮음 변환 (단안 VO는 축척을 모르므로 기본 'sim3')
+ * 4. ATE (절대 궤적 오차): 정렬 후 위치 차이
+ *    RPE (상대 포즈 오차): delta 간격 구간마다 상대 이동/회전의 차이
+ *    각각 RMSE / 평균 / 중앙값 / 최대
+ * 5. 그래프: 궤적 (위에서 본), 포즈별 ATE, 구간별 RPE를 SVG로
+ *
+ * 사용법:
+ * ```js
+ * const estimated = parseTUM(fs.readFileSync('estimated.tum.txt', 'utf8'));
+ * const groundTruth = parseTUM(fs.readFileSync('groundtruth.txt', 'utf8'));
+ * const result = evaluateTrajectory(estimated, groundTruth, { align: 'sim3', delta: 1 });
+ * console.log(formatReport(result));
+ * fs.writeFileSync('ate.svg', renderATEPlot(result));
+ * ```
+ */
+
+import * as THREE from 'three';
+
+export const ALIGNMENT_TYPES = Object.freeze(['sim3', 'se3', 'none']);
+
+export const DELTA_UNITS = Object.freeze(['s', 'frames']);
+
+const DEFAULTS = {
+    align: 'sim3',               // 'sim3' (회전+이동+축척) | 'se3' (회전+이동) | 'none'
+    maxDifference: 0.02,         // 짝으로 인정하는 최대 시각 차이 (초)
+    timeOffset: 0,               // 추정 궤적 시각에 더할 값 (초, 두 기록의 시계가 다를 때)
+    delta: 1,                    // RPE 구간 길이
+    deltaUnit: 's'               // 's' (초) | 'frames' (짝지은 포즈 개수)
+};
+
+// ==================== TUM 읽기 ====================
+
+/**
+ * TUM 형식 텍스트 → 포즈 배열 (시각 순)
+ * '#'으로 시작하는 줄과 빈 줄은 무시, 공백 또는 쉼표로 구분
+ *
+ * @param {string} text
+ * @returns {{t: number, position: THREE.Vector3, quaternion: THREE.Quaternion}[]} t는 초
+ */
+export function parseTUM(text) {
+    const poses = [];
+
+    text.split(/\r?\n/).forEach((line, index) => {
+        const trimmed = line.trim();
+        if (!trimmed || trimmed.startsWith('#')) return;
+
+        const values = trimmed.split(/[\s,]+/).map(Number);
+        if (values.length < 8 || values.slice(0, 8).some(v => !Number.isFinite(v))) {
+            throw new Error(`TUM 형식이 아닌 줄 (${index + 1}번째): ${trimmed}`);
+        }
+
+        const [t, tx, ty, tz, qx, qy, qz, qw] = values;
+        poses.push({
+            t,
+            position: new THREE.Vector3(tx, ty, tz),
+            quaternion: new THREE.Quaternion(qx, qy, qz, qw).normalize()
+        });
+    });
+
+    return poses.sort((a, b) => a.t - b.t);
+}
+
+// ==================== 시각 짝 맞추기 ====================
+
+/**
+ * 추정 포즈마다 가장 가까운 정답 포즈를 찾아 짝지음 (정답 포즈는 한 번만 쓰임)
+ * 시각 차이가 작은 짝부터 확정한다 (TUM benchmark associate.py와 같은 방식)
+ *
+ * @returns {{estimated, groundTruth, dt: number}[]} 추정 시각 순
+ */
+export function associate(estimated, groundTruth, maxDifference = DEFAULTS.maxDifference, timeOffset = 0) {
+    const candidates = [];
+
+    estimated.forEach((est) => {
+        const t = est.t + timeOffset;
+        const index = lowerBound(groundTruth, t);
+        [index - 1, index].forEach((i) => {
+            const gt = groundTruth[i];
+            if (!gt) return;
+            const dt = Math.abs(gt.t - t);
+            if (dt <= maxDifference) candidates.push({ estimated: est, groundTruth: gt, dt });
+        });
+    });
+
+    candidates.sort((a, b) => a.dt - b.dt);
+
+    const usedEstimated = new Set();
+    const usedGroundTruth = new Set();
+    const matches = candidates.filter((match) => {
+        if (usedEstimated.has(match.estimated) || usedGroundTruth.has(match.groundTruth)) return false;
+        usedEstimated.add(match.estimated);
+        usedGroundTruth.add(match.groundTruth);
+        return true;
+    });
+
+    return matches.sort((a, b) => a.estimated.t - b.estimated.t);
+}
+
+// 시각이 t 이상인 첫 포즈 인덱스
+function lowerBound(poses, t) {
+    let low = 0;
+    let high = poses.length;
+    while (low < high) {
+        const mid = (low + high) >> 1;
+        if (poses[mid].t < t) low = mid + 1;
+        else high = mid;
+    }
+    return low;
+}
+
+// ==================== 정렬 (Horn / Umeyama) ====================
+
+/**
+ * 점 짝 source[i] → target[i]를 가장 잘 맞추는 변환 (최소제곱)
+ * target ≈ scale · R · source + t
+ *
+ * 회전은 Horn의 단위 사원수 방법 (4x4 대칭 행렬의 최대 고유벡터),
+ * 축척은 Umeyama와 같은 식 (source 쪽 분산 기준)
+ *
+ * @param {THREE.Vector3[]} source
+ * @param {THREE.Vector3[]} target
+ * @param {boolean} withScale false면 scale = 1
+ * @returns {{rotation: THREE.Quaternion, translation: THREE.Vector3, scale: number}}
+ */
+export function alignPoints(source, target, withScale = true) {
+    const n = source.length;
+    if (n < 3 || target.length !== n) {
+        throw new Error(`정렬에는 짝지은 점이 3개 이상 필요합니다 (${n}개)`);
+    }
+
+    const sourceMean = new THREE.Vector3();
+    const targetMean = new THREE.Vector3();
+    source.forEach(p => sourceMean.add(p));
+    target.forEach(p => targetMean.add(p));
+    sourceMean.divideScalar(n);
+    targetMean.divideScalar(n);
+
+    // 중심을 뺀 교차 공분산 S[a][b] = Σ source_a · target_b
+    const S = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+    let sourceVariance = 0;
+    const a = new THREE.Vector3();
+    const b = new THREE.Vector3();
+    for (let i = 0; i < n; i++) {
+        a.subVectors(source[i], sourceMean);
+        b.subVectors(target[i], targetMean);
+        const av = [a.x, a.y, a.z];
+        const bv = [b.x, b.y, b.z];
+        for (let r = 0; r < 3; r++) {
+            for (let c = 0; c < 3; c++) S[r][c] += av[r] * bv[c];
+        }
+        sourceVariance += a.lengthSq();
+    }
+
+    const [[Sxx, Sxy, Sxz], [Syx, Syy, Syz], [Szx, Szy, Szz]] = S;
+    const N = [
+        [Sxx + Syy + Szz, Syz - Szy, Szx - Sxz, Sxy - Syx],
+        [Syz - Szy, Sxx - Syy - Szz, Sxy + Syx, Szx + Sxz],
+        [Szx - Sxz, Sxy + Syx, -Sxx + Syy - Szz, Syz + Szy],
+        [Sxy - Syx, Szx + Sxz, Syz + Szy, -Sxx - Syy + Szz]
+    ];
+    const [w, x, y, z] = largestEigenvector(N);
+    const rotation = new THREE.Quaternion(x, y, z, w).normalize();
+
+    // scale = Σ target_i · (R source_i) / Σ |source_i|²
+    let scale = 1;
+    if (withScale) {
+        let dot = 0;
+        for (let i = 0; i < n; i++) {
+            a.subVectors(source[i], sourceMean).applyQuaternion(rotation);
+            b.subVectors(target[i], targetMean);
+            dot += a.dot(b);
+        }
+        if (sourceVariance > 0) scale = dot / sourceVariance;
+    }
+
+    const translation = targetMean.clone().sub(sourceMean.clone().applyQuaternion(rotation).multiplyScalar(scale));
+    return { rotation, translation, scale };
+}
+
+/**
+ * 대칭 행렬의 가장 큰 고유값에 해당하는 고유벡터 (Jacobi 회전)
+ */
+function largestEigenvector(matrix) {
+    const size = matrix.length;
+    const A = matrix.map(row => row.slice());
+    const V = A.map((row, i) => row.map((_, j) => (i === j ? 1 : 0)));
+
+    for (let sweep = 0; sweep < 50; sweep++) {
+        let offDiagonal = 0;
+        for (let p = 0; p < size; p++) {
+            for (let q = p + 1; q < size; q++) offDiagonal += A[p][q] * A[p][q];
+        }
+        if (offDiagonal < 1e-20) break;
+
+        for (let p = 0; p < size; p++) {
+            for (let q = p + 1; q < size; q++) {
+                if (Math.abs(A[p][q]) < 1e-300) continue;
+
+                const theta = (A[q][q] - A[p][p]) / (2 * A[p][q]);
+                const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+                const c = 1 / Math.sqrt(t * t + 1);
+                const s = t * c;
+
+                for (let k = 0; k < size; k++) {
+                    const akp = A[k][p];
+                    const akq = A[k][q];
+                    A[k][p] = c * akp - s * akq;
+                    A[k][q] = s * akp + c * akq;
+                }
+                for (let k = 0; k < size; k++) {
+                    const apk = A[p][k];
+                    const aqk = A[q][k];
+                    A[p][k] = c * apk - s * aqk;
+                    A[q][k] = s * apk + c * aqk;
+                }
+                for (let k = 0; k < size; k++) {
+                    const vkp = V[k][p];
+                    const vkq = V[k][q];
+                    V[k][p] = c * vkp - s * vkq;
+                    V[k][q] = s * vkp + c * vkq;
+                }
+            }
+        }
+    }
+
+    let best = 0;
+    for (let i = 1; i < size; i++) {
+        if (A[i][i] > A[best][best]) best = i;
+    }
+    return V.map(row => row[best]);
+}
+
+// ==================== 오차 ====================
+
+/**
+ * 오차 통계
+ * @param {number[]} values
+ */
+export function computeStats(values) {
+    if (values.length === 0) {
+        return { count: 0, rmse: 0, mean: 0, median: 0, std: 0, min: 0, max: 0 };
+    }
+
+    const sorted = [...values].sort((a, b) => a - b);
+    const count = sorted.length;
+    const mean = sorted.reduce((sum, v) => sum + v, 0) / count;
+    const meanSq = sorted.reduce((sum, v) => sum + v * v, 0) / count;
+    const middle = count >> 1;
+
+    return {
+        count,
+        rmse: Math.sqrt(meanSq),
+        mean,
+        median: count % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2,
+        std: Math.sqrt(Math.max(0, meanSq - mean * mean)),
+        min: sorted[0],
+        max: sorted[count - 1]
+    };
+}
+
+function poseMatrix(pose) {
+    return new THREE.Matrix4().compose(pose.position, pose.quaternion, new THREE.Vector3(1, 1, 1));
+}
+
+/**
+ * 추정 궤적 평가
+ *
+ * @param {Object[]} estimated parseTUM 결과
+ * @param {Object[]} groundTruth parseTUM 결과
+ * @param {Object} options DEFAULTS 참고
+ * @returns {Object} { options, matches, alignment, aligned, ate: { stats, errors }, rpe: { translation, rotation, segments } }
+ */
+export function evaluateTrajectory(estimated, groundTruth, options = {}) {
+    const opts = { ...DEFAULTS, ...options };
+    if (!ALIGNMENT_TYPES.includes(opts.align)) {
+        throw new Error(`알 수 없는 정렬 방식: ${opts.align} (${ALIGNMENT_TYPES.join(' | ')})`);
+    }
+    if (!DELTA_UNITS.includes(opts.deltaUnit)) {
+        throw new Error(`알 수 없는 RPE 구간 단위: ${opts.deltaUnit} (${DELTA_UNITS.join(' | ')})`);
+    }
+    if (opts.deltaUnit === 'frames' ? !(Number.isInteger(opts.delta) && opts.delta > 0) : !(opts.delta > 0)) {
+        throw new Error(`RPE 구간 길이는 ${opts.deltaUnit === 'frames' ? '양의 정수' : '양수'}여야 합니다: ${opts.delta}`);
+    }
+
+    const matches = associate(estimated, groundTruth, opts.maxDifference, opts.timeOffset);
+    if (matches.length < 3) {
+        throw new Error(`시각이 맞는 포즈가 ${matches.length}개뿐입니다 (maxDifference, timeOffset 확인)`);
+    }
+
+    // 정렬 (추정 → 정답 좌표계)
+    const alignment = opts.align === 'none'
+        ? { rotation: new THREE.Quaternion(), translation: new THREE.Vector3(), scale: 1 }
+        : alignPoints(
+            matches.map(m => m.estimated.position),
+            matches.map(m => m.groundTruth.position),
+            opts.align === 'sim3'
+        );
+
+    // 정렬한 추정 포즈 (축척은 위치에만)
+    const aligned = matches.map(({ estimated: est }) => ({
+        t: est.t + opts.timeOffset,
+        position: est.position.clone()
+            .multiplyScalar(alignment.scale)
+            .applyQuaternion(alignment.rotation)
+            .add(alignment.translation),
+        quaternion: alignment.rotation.clone().multiply(est.quaternion)
+    }));
+
+    // ATE: 정렬 후 위치 차이
+    const ateErrors = aligned.map((pose, i) => ({
+        t: matches[i].groundTruth.t,
+        error: pose.position.distanceTo(matches[i].groundTruth.position)
+    }));
+
+    // RPE: i → j (delta 뒤) 상대 포즈끼리 비교
+    const segments = [];
+    const estimatedMatrices = aligned.map(poseMatrix);
+    const groundTruthMatrices = matches.map(m => poseMatrix(m.groundTruth));
+    let j = 0;
+    for (let i = 0; i < matches.length; i++) {
+        if (opts.deltaUnit === 'frames') {
+            j = i + opts.delta;
+        } else {
+            j = Math.max(j, i + 1);
+            while (j < matches.length && matches[j].groundTruth.t - matches[i].groundTruth.t < opts.delta) j++;
+        }
+        if (j >= matches.length) break;
+
+        const estimatedDelta = estimatedMatrices[i].clone().invert().multiply(estimatedMatrices[j]);
+        const groundTruthDelta = groundTruthMatrices[i].clone().invert().multiply(groundTruthMatrices[j]);
+        const error = groundTruthDelta.invert().multiply(estimatedDelta);
+
+        segments.push({
+            t: matches[i].groundTruth.t,
+            duration: matches[j].groundTruth.t - matches[i].groundTruth.t,
+            translation: new THREE.Vector3().setFromMatrixPosition(error).length(),
+            rotation: THREE.MathUtils.radToDeg(
+                new THREE.Quaternion().setFromRotationMatrix(error).angleTo(new THREE.Quaternion())
+            )
+        });
+    }
+
+    return {
+        options: opts,
+        matches,
+        alignment,
+        aligned,
+        ate: {
+            stats: computeStats(ateErrors.map(e => e.error)),
+            errors: ateErrors
+        },
+        rpe: {
+            translation: computeStats(segments.map(s => s.translation)),
+            rotation: computeStats(segments.map(s => s.rotation)),
+            segments
+        }
+    };
+}
+
+// ==================== 결과 출력 ====================
+
+/**
+ * 사람이 읽는 요약
+ */
+export function formatReport(result, { estimatedCount, groundTruthCount } = {}) {
+    const { options, matches, alignment, ate, rpe } = result;
+    const row = (label, stats, unit, digits) => `  ${label}  ` +
+        ['rmse', 'mean', 'median', 'max'].map(key => `${key} ${stats[key].toFixed(digits)}`).join('  ') +
+        ` ${unit} (n=${stats.count})`;
+
+    const axisAngle = 2 * Math.acos(Math.min(1, Math.abs(alignment.rotation.w)));
+    const lines = [
+        `짝지은 포즈: ${matches.length}` +
+            (estimatedCount !== undefined ? ` / 추정 ${estimatedCount}` : '') +
+            (groundTruthCount !== undefined ? ` / 정답 ${groundTruthCount}` : ''),
+        `정렬 (${options.align}): 축척 ${alignment.scale.toFixed(4)}, ` +
+            `회전 ${THREE.MathUtils.radToDeg(axisAngle).toFixed(2)}°, ` +
+            `이동 (${alignment.translation.toArray().map(v => v.toFixed(3)).join(', ')})`,
+        'ATE',
+        row('위치', ate.stats, 'm', 4),
+        `RPE (delta ${options.delta}${options.deltaUnit === 'frames' ? ' frames' : ' s'})`,
+        ...(rpe.segments.length > 0
+            ? [row('이동', rpe.translation, 'm', 4), row('회전', rpe.rotation, 'deg', 3)]
+            : ['  구간 없음 (delta가 궤적보다 깁니다)'])
+    ];
+    return lines.join('\n');
+}
+
+/**
+ * 회귀 추적용 요약 (JSON으로 저장)
+ */
+export function summarize(result) {
+    const { options, matches, alignment, ate, rpe } = result;
+    return {
+        options,
+        matches: matches.length,
+        alignment: {
+            scale: alignment.scale,
+            rotation: alignment.rotation.toArray(),
+            translation: alignment.translation.toArray()
+        },
+        ate: ate.stats,
+        rpe: { translation: rpe.translation, rotation: rpe.rotation }
+    };
+}
+
+// ==================== 그래프 (SVG) ====================
+
+const PLOT_WIDTH = 640;
+const PLOT_HEIGHT = 400;
+const PLOT_MARGIN = { top: 36, right: 20, bottom: 44, left: 64 };
+const GROUND_TRUTH_COLOR = '#888888';
+const ESTIMATED_COLOR = '#4da6ff';
+const ERROR_COLOR = '#ff6b6b';
+
+const PLANE_AXES = { xy: ['x', 'y'], xz: ['x', 'z'], yz: ['y', 'z'] };
+
+/**
+ * 궤적 (정답 vs 정렬한 추정)을 한 평면에 투영
+ * @param {'xz'|'xy'|'yz'} plane 앱 월드는 Y 위라 'xz'가 위에서 본 모습
+ */
+export function renderTrajectoryPlot(result, plane = 'xz') {
+    const axes = PLANE_AXES[plane];
+    if (!axes) throw new Error(`알 수 없는 평면: ${plane}`);
+    const [u, v] = axes;
+
+    return renderLinePlot({
+        title: `궤적 (${plane}, ${result.options.align} 정렬)`,
+        xLabel: `${u} (m)`,
+        yLabel: `${v} (m)`,
+        equalAspect: true,
+        series: [
+            { label: '정답', color: GROUND_TRUTH_COLOR, points: result.matches.map(m => [m.groundTruth.position[u], m.groundTruth.position[v]]) },
+            { label: '추정', color: ESTIMATED_COLOR, points: result.aligned.map(p => [p.position[u], p.position[v]]) }
+        ]
+    });
+}
+
+/**
+ * 포즈별 ATE (시간축)
+ */
+export function renderATEPlot(result) {
+    const t0 = result.matches[0].groundTruth.t;
+    return renderLinePlot({
+        title: `ATE (rmse ${result.ate.stats.rmse.toFixed(4)} m)`,
+        xLabel: '시간 (s)',
+        yLabel: '위치 오차 (m)',
+        series: [
+            { label: 'ATE', color: ERROR_COLOR, points: result.ate.errors.map(e => [e.t - t0, e.error]) }
+        ]
+    });
+}
+
+/**
+ * 구간별 RPE (구간 시작 시각 기준)
+ * @param {'translation'|'rotation'} kind
+ */
+export function renderRPEPlot(result, kind = 'translation') {
+    const t0 = result.matches[0].groundTruth.t;
+    const unit = kind === 'rotation' ? 'deg' : 'm';
+    return renderLinePlot({
+        title: `RPE ${kind === 'rotation' ? '회전' : '이동'} (rmse ${result.rpe[kind].rmse.toFixed(4)} ${unit})`,
+        xLabel: '구간 시작 (s)',
+        yLabel: `${kind === 'rotation' ? '회전' : '이동'} 오차 (${unit})`,
+        series: [
+            { label: 'RPE', color: ERROR_COLOR, points: result.rpe.segments.map(s => [s.t - t0, s[kind]]) }
+        ]
+    });
+}
+
+/**
+ * 꺾은선 그래프 SVG
+ * @param {{title, xLabel, yLabel, equalAspect?, series: {label, color, points: [x, y][]}[]}} plot
+ */
+export function renderLinePlot({ title, xLabel, yLabel, series, equalAspect = false }) {
+    const width = PLOT_WIDTH - PLOT_MARGIN.left - PLOT_MARGIN.right;
+    const height = PLOT_HEIGHT - PLOT_MARGIN.top - PLOT_MARGIN.bottom;
+
+    const all = series.flatMap(s => s.points);
+    let [xMin, xMax] = extent(all.map(p => p[0]));
+    let [yMin, yMax] = extent(all.map(p => p[1]));
+    if (!equalAspect) yMin = Math.min(0, yMin);
+
+    if (equalAspect) {
+        // 가로/세로 같은 축척 (모양이 찌그러지지 않게)
+        const scale = Math.max((xMax - xMin) / width, (yMax - yMin) / height);
+        const xCenter = (xMin + xMax) / 2;
+        const yCenter = (yMin + yMax) / 2;
+        xMin = xCenter - scale * width / 2;
+        xMax = xCenter + scale * width / 2;
+        yMin = yCenter - scale * height / 2;
+        yMax = yCenter + scale * height / 2;
+    }
+
+    const sx = x => PLOT_MARGIN.left + (x - xMin) / (xMax - xMin) * width;
+    const sy = y => PLOT_MARGIN.top + height - (y - yMin) / (yMax - yMin) * height;
+    const f = v => v.toFixed(1);
+
+    const ticks = (min, max) => [0, 0.25, 0.5, 0.75, 1].map(k => min + (max - min) * k);
+    const label = v => Number(v.toPrecision(3)).toString();
+
+    const parts = [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${PLOT_WIDTH}" height="${PLOT_HEIGHT}" font-family="sans-serif" font-size="11">`,
+        `<rect width="${PLOT_WIDTH}" height="${PLOT_HEIGHT}" fill="#ffffff"/>`,
+        `<text x="${PLOT_WIDTH / 2}" y="20" text-anchor="middle" font-size="14">${escapeXML(title)}</text>`,
+        `<rect x="${PLOT_MARGIN.left}" y="${PLOT_MARGIN.top}" width="${width}" height="${height}" fill="none" stroke="#cccccc"/>`
+    ];
+
+    ticks(xMin, xMax).forEach((x) => {
+        parts.push(`<line x1="${f(sx(x))}" y1="${PLOT_MARGIN.top}" x2="${f(sx(x))}" y2="${PLOT_MARGIN.top + height}" stroke="#eeeeee"/>`);
+        parts.push(`<text x="${f(sx(x))}" y="${PLOT_MARGIN.top + height + 16}" text-anchor="middle">${label(x)}</text>`);
+    });
+    ticks(yMin, yMax).forEach((y) => {
+        parts.push(`<line x1="${PLOT_MARGIN.left}" y1="${f(sy(y))}" x2="${PLOT_MARGIN.left + width}" y2="${f(sy(y))}" stroke="#eeeeee"/>`);
+        parts.push(`<text x="${PLOT_MARGIN.left - 6}" y="${f(sy(y) + 4)}" text-anchor="end">${label(y)}</text>`);
+    });
+
+    parts.push(`<text x="${PLOT_MARGIN.left + width / 2}" y="${PLOT_HEIGHT - 8}" text-anchor="middle">${escapeXML(xLabel)}</text>`);
+    parts.push(`<text x="14" y="${PLOT_MARGIN.top + height / 2}" text-anchor="middle" ` +
+        `transform="rotate(-90 14 ${PLOT_MARGIN.top + height / 2})">${escapeXML(yLabel)}</text>`);
+
+    series.forEach((s, index) => {
+        const points = s.points.map(([x, y]) => `${f(sx(x))},${f(sy(y))}`).join(' ');
+        parts.push(`<polyline points="${points}" fill="none" stroke="${s.color}" stroke-width="1.5"/>`);
+
+        // 범례
+        const ly = PLOT_MARGIN.top + 14 + index * 16;
+        const lx = PLOT_MARGIN.left + width - 80;
+        parts.push(`<line x1="${lx}" y1="${ly - 4}" x2="${lx + 20}" y2="${ly - 4}" stroke="${s.color}" stroke-width="2"/>`);
+        parts.push(`<text x="${lx + 26}" y="${ly}">${escapeXML(s.label)}</text>`);
+    });
+
+    parts.push('</svg>');
+    return parts.join('\n') + '\n';
+}
+
+function extent(values) {
+    // 긴 궤적은 인자 개수 제한에 걸리므로 Math.min(...values) 대신 reduce
+    let min = values.reduce((m, v) => Math.min(m, v), Infinity);
+    let max = values.reduce((m, v) => Math.max(m, v), -Infinity);
+    if (!Number.isFinite(min)) return [0, 1];
+    if (max - min < 1e-9) {
+        min -= 0.5;
+        max += 0.5;
+    }
+    return [min, max];
+}
+
+function escapeXML(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+export default evaluateTrajectory;
@@ -0,0 +1,214 @@
+/**
+ * TrajectoryView.js
+ *
+ * 카메라 궤적 시각화 (디버깅용, ?trajectory)
+ *
+ * CameraTrajectory를 선(궤적) + 작은 점(키프레임)으로 그린다.
+ * - 'scene': AR 씬 안에 그대로 (실제 지나온 자리에 선이 남음)
+ * - 'inset': 화면 구석의 위에서 내려다본 작은 창 (현재 카메라 위치/방향 표시)
+ * - 'off':   그리지 않음
+ *
+ * 사용법:
+ * ```js
+ * const view = new TrajectoryView(scene, cameraPoseManager.trajectory);
+ * view.setMode('inset');
+ * // 렌더 루프: 본 렌더 다음에
+ * view.update(camera);
+ * view.renderInset(renderer);
+ * ```
+ */
+
+import * as THREE from 'three';
+
+export const TRAJECTORY_VIEW_MODES = Object.freeze(['off', 'scene', 'inset']);
+
+const LINE_COLOR = 0x4da6ff;
+const KEYFRAME_COLOR = 0xffcc00;
+const INSET_SIZE = 160;          // 작은 창 한 변 (CSS px)
+const INSET_RIGHT = 20;
+const INSET_BOTTOM = 110;        // 카메라 전환 버튼 위
+const INSET_MIN_EXTENT = 1;      // 작은 창이 보여주는 최소 범위 (월드 단위, 한 변)
+
+/**
+ * TrajectoryView 클래스
+ */
+export class TrajectoryView {
+    /**
+     * @param {THREE.Scene} scene AR 씬 ('scene' 모드에서 궤적을 추가)
+     * @param {CameraTrajectory} trajectory
+     */
+    constructor(scene, trajectory) {
+        this.scene = scene;
+        this.trajectory = trajectory;
+        this.mode = 'off';
+        this.version = -1;       // 마지막으로 그린 trajectory.version
+
+        // 궤적 선 + 키프레임 점 (기록 최대 길이만큼 미리 할당)
+        const capacity = trajectory.options.maxPoses;
+        this.group = new THREE.Group();
+        this.group.name = 'camera-trajectory';
+
+        const lineGeometry = new THREE.BufferGeometry();
+        lineGeometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(capacity * 3), 3));
+        this.line = new THREE.Line(lineGeometry, new THREE.LineBasicMaterial({ color: LINE_COLOR }));
+        this.line.frustumCulled = false;
+
+        const keyframeGeometry = new THREE.BufferGeometry();
+        keyframeGeometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(capacity * 3), 3));
+        this.keyframes = new THREE.Points(keyframeGeometry, new THREE.PointsMaterial({
+            color: KEYFRAME_COLOR,
+            size: 6,
+            sizeAttenuation: false
+        }));
+        this.keyframes.frustumCulled = false;
+
+        this.group.add(this.line, this.keyframes);
+
+        // 위에서 내려다보는 작은 창 (궤적만 따로 그림)
+        this.insetScene = new THREE.Scene();
+        this.insetScene.background = new THREE.Color(0x000000);
+        this.insetCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0.1, 100);
+        this.insetCamera.up.set(0, 0, -1);    // 화면 위 = 월드 -Z (처음 바라본 방향)
+
+        // 현재 카메라 위치/방향 표시 (위에서 본 삼각형)
+        const marker = new THREE.BufferGeometry();
+        marker.setAttribute('position', new THREE.BufferAttribute(new Float32Array([
+            0, 0, -1,  -0.5, 0, 0.6,  0.5, 0, 0.6
+        ]), 3));
+        this.cameraMarker = new THREE.Mesh(marker, new THREE.MeshBasicMaterial({
+            color: 0xffffff,
+            side: THREE.DoubleSide
+        }));
+        this.insetScene.add(this.cameraMarker);
+    }
+
+    /**
+     * 표시 방식 변경
+     * @param {'off'|'scene'|'inset'} mode
+     */
+    setMode(mode) {
+        if (!TRAJECTORY_VIEW_MODES.includes(mode)) {
+            console.warn('[Trajectory] 알 수 없는 표시 방식:', mode);
+            return;
+        }
+
+        this.mode = mode;
+        this.group.removeFromParent();
+        if (mode === 'scene') this.scene.add(this.group);
+        if (mode === 'inset') this.insetScene.add(this.group);
+        console.log('[Trajectory] 표시:', mode);
+    }
+
+    /**
+     * 다음 표시 방식 (off → scene → inset → off)
+     */
+    cycleMode() {
+        const index = TRAJECTORY_VIEW_MODES.indexOf(this.mode);
+        this.setMode(TRAJECTORY_VIEW_MODES[(index + 1) % TRAJECTORY_VIEW_MODES.length]);
+        return this.mode;
+    }
+
+    /**
+     * 궤적이 바뀌었으면 버퍼 갱신 + 작은 창 카메라 맞춤
+     * @param {THREE.Camera} camera AR 카메라 (현재 위치/방향 표시)
+     */
+    update(camera) {
+        if (this.mode === 'off') return;
+
+        if (this.version !== this.trajectory.version) {
+            this.version = this.trajectory.version;
+            this.updateGeometry();
+        }
+
+        if (this.mode === 'inset') {
+            this.updateInsetCamera(camera);
+        }
+    }
+
+    updateGeometry() {
+        const poses = this.trajectory.poses;
+        const linePositions = this.line.geometry.attributes.position;
+        const keyPositions = this.keyframes.geometry.attributes.position;
+
+        let keyCount = 0;
+        poses.forEach(({ position: p, keyframe }, i) => {
+            linePositions.setXYZ(i, p.x, p.y, p.z);
+            if (keyframe) keyPositions.setXYZ(keyCount++, p.x, p.y, p.z);
+        });
+
+        linePositions.needsUpdate = true;
+        keyPositions.needsUpdate = true;
+        this.line.geometry.setDrawRange(0, poses.length);
+        this.keyframes.geometry.setDrawRange(0, keyCount);
+    }
+
+    /**
+     * 작은 창: 궤적 전체와 현재 카메라가 들어오도록 위에서 내려다봄
+     */
+    updateInsetCamera(camera) {
+        const position = new THREE.Vector3();
+        const quaternion = new THREE.Quaternion();
+        camera.matrix.decompose(position, quaternion, new THREE.Vector3());
+
+        const box = new THREE.Box3().expandByPoint(position);
+        this.trajectory.poses.forEach(pose => box.expandByPoint(pose.position));
+        const center = box.getCenter(new THREE.Vector3());
+        const size = box.getSize(new THREE.Vector3());
+        const half = Math.max(size.x, size.z, INSET_MIN_EXTENT) * 0.6;
+
+        const inset = this.insetCamera;
+        inset.left = -half;
+        inset.right = half;
+        inset.top = half;
+        inset.bottom = -half;
+        inset.position.set(center.x, box.max.y + 10, center.z);
+        inset.near = 0.1;
+        inset.far = size.y + 20;
+        inset.lookAt(center.x, center.y, center.z);
+        inset.updateProjectionMatrix();
+
+        // 카메라 표시: 바닥 평면에서 바라보는 방향 (yaw만)
+        const forward = new THREE.Vector3(0, 0, -1).applyQuaternion(quaternion);
+        this.cameraMarker.position.copy(position);
+        this.cameraMarker.rotation.set(0, Math.atan2(-forward.x, -forward.z), 0);
+        this.cameraMarker.scale.setScalar(half * 0.08);
+    }
+
+    /**
+     * 작은 창 그리기 (본 렌더 다음에 호출)
+     */
+    renderInset(renderer) {
+        if (this.mode !== 'inset') return;
+
+        const size = renderer.getSize(new THREE.Vector2());
+        const x = size.x - INSET_SIZE - INSET_RIGHT;
+        const y = INSET_BOTTOM;       // WebGL 뷰포트는 아래에서부터
+
+        const autoClear = renderer.autoClear;
+        renderer.autoClear = false;
+        renderer.setScissorTest(true);
+        renderer.setScissor(x, y, INSET_SIZE, INSET_SIZE);
+        renderer.setViewport(x, y, INSET_SIZE, INSET_SIZE);
+        renderer.clear();
+        renderer.render(this.insetScene, this.insetCamera);
+
+        renderer.setScissorTest(false);
+        renderer.setViewport(0, 0, size.x, size.y);
+        renderer.autoClear = autoClear;
+    }
+
+    /**
+     * 정리
+     */
+    dispose() {
+        this.group.removeFromParent();
+        this.line.geometry.dispose();
+        this.line.material.dispose();
+        this.keyframes.geometry.dispose();
+        this.keyframes.material.dispose();
+        this.cameraMarker.geometry.dispose();
+        this.cameraMarker.material.dispose();
+    }
+}
+
+export default TrajectoryView;
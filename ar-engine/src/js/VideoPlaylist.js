@@ -0,0 +1,150 @@
+/**
+ * VideoPlaylist.js
+ *
+ * 영상 재생 목록 (무인 키오스크 운영용)
+ *
+ * 콘텐츠 매니페스트의 playlist 섹션을 읽어 클립 순서와 전환 효과를 관리한다.
+ * 재생 목록의 클립은 기본적으로 한 번만 재생되고(loop: false),
+ * 클립이 끝나면 ARApp이 next()로 다음 클립을 받아 전환한다.
+ *
+ * 매니페스트 형식:
+ * ```json
+ * "playlist": {
+ *   "transition": "crossfade",
+ *   "duration": 800,
+ *   "loop": true,
+ *   "autoStart": false,
+ *   "items": [
+ *     "greetgang",
+ *     { "video": "singgang2", "transition": "fade", "duration": 1200 }
+ *   ]
+ * }
+ * ```
+ *
+ * 전환 효과:
+ * - crossfade: 이전 클립이 사라지는 동안 다음 클립이 겹쳐 나타남
+ * - fade:      이전 클립이 투명해진 뒤 다음 클립이 나타남
+ * - cut:       즉시 교체
+ */
+
+export const TRANSITIONS = ['crossfade', 'fade', 'cut'];
+
+/**
+ * 재생 목록 기본값
+ */
+const DEFAULT_PLAYLIST = {
+    transition: 'crossfade',  // 기본 전환 효과
+    duration: 800,            // 전환 시간 (ms)
+    loop: true,               // 마지막 클립 후 처음으로
+    autoStart: false          // 시작 시 자동 재생 (URL ?playlist 로도 시작)
+};
+
+/**
+ * VideoPlaylist 클래스
+ */
+export class VideoPlaylist {
+    constructor() {
+        this.items = [];          // [{ video, transition, duration, loop }]
+        this.loop = DEFAULT_PLAYLIST.loop;
+        this.autoStart = DEFAULT_PLAYLIST.autoStart;
+        this.index = -1;
+        this.active = false;
+    }
+
+    /**
+     * 매니페스트의 playlist 섹션 적용
+     * @param {Object|null} json playlist 객체 (없으면 빈 목록)
+     */
+    setData(json) {
+        const settings = { ...DEFAULT_PLAYLIST, ...json };
+
+        if (!TRANSITIONS.includes(settings.transition)) {
+            console.warn('[Playlist] 알 수 없는 전환 효과 (crossfade 사용):', settings.transition);
+            settings.transition = DEFAULT_PLAYLIST.transition;
+        }
+
+        this.loop = settings.loop;
+        this.autoStart = settings.autoStart;
+        this.items = (Array.isArray(settings.items) ? settings.items : [])
+            .map(item => this.normalizeItem(item, settings))
+            .filter(Boolean);
+        this.stop();
+
+        if (this.items.length > 0) {
+            console.log('[Playlist] 재생 목록:', this.items.map(item => item.video).join(' → '));
+        }
+    }
+
+    /**
+     * 항목 정규화 (문자열은 영상 ID로 취급)
+     */
+    normalizeItem(item, settings) {
+        const raw = typeof item === 'string' ? { video: item } : item;
+        if (!raw || !raw.video) {
+            console.warn('[Playlist] video 없는 항목 무시:', item);
+            return null;
+        }
+
+        const transition = TRANSITIONS.includes(raw.transition) ? raw.transition : settings.transition;
+
+        return {
+            video: raw.video,
+            transition,
+            duration: raw.duration ?? settings.duration,
+            loop: raw.loop ?? false
+        };
+    }
+
+    get isEmpty() {
+        return this.items.length === 0;
+    }
+
+    /**
+     * 재생 시작
+     * @returns {Object|null} 첫 항목
+     */
+    start(index = 0) {
+        if (this.isEmpty) return null;
+
+        this.active = true;
+        this.index = Math.max(0, Math.min(index, this.items.length - 1));
+        return this.items[this.index];
+    }
+
+    /**
+     * 재생 중지 (현재 클립은 그대로 둔다)
+     */
+    stop() {
+        this.active = false;
+        this.index = -1;
+    }
+
+    /**
+     * 현재 항목
+     */
+    current() {
+        return this.active ? this.items[this.index] : null;
+    }
+
+    /**
+     * 다음 항목으로 이동
+     * @returns {Object|null} 다음 항목 (목록 끝이고 반복하지 않으면 null → 재생 종료)
+     */
+    next() {
+        if (!this.active) return null;
+
+        let index = this.index + 1;
+        if (index >= this.items.length) {
+            if (!this.loop) {
+                this.stop();
+                return null;
+            }
+            index = 0;
+        }
+
+        this.index = index;
+        return this.items[index];
+    }
+}
+
+export default VideoPlaylist;
@@ -11,13 +11,16 @@
  * const vo = new VisualOdometry();
  * await vo.init();
  *
- * // 프레임 처리
- * const result = vo.processFrame(imageData);
+ * // 프레임 처리 (FrameSource 프레임 또는 ImageData)
+ * const result = vo.processFrame(frame);
  * console.log('특징점:', result.featureCount);
  * console.log('View Matrix:', result.viewMatrix);
  * ```
  */
 
+import { FrameSource, frameRGBA } from './FrameSource.js';
+import { fitIntrinsics } from './CameraIntrinsics.js';
+
 let wasmModule = null;
 let wasmLoaded = false;
 
@@ -28,18 +31,25 @@ async function loadWasmModule() {
     if (wasmLoaded) return wasmModule;
 
     try {
-        // 스크립트 동적 로드
+        // 스크립트 동적 로드 (워커에서는 importScripts)
         if (typeof createVOModule === 'undefined') {
-            await new Promise((resolve, reject) => {
-                const script = document.createElement('script');
-                script.src = '/wasm/visual-odometry.js';
-                script.onload = resolve;
-                script.onerror = reject;
-                document.head.appendChild(script);
-            });
+            if (typeof document === 'undefined') {
+                importScripts('/wasm/visual-odometry.js');
+            } else {
+                await new Promise((resolve, reject) => {
+                    const script = document.createElement('script');
+                    script.src = '/wasm/visual-odometry.js';
+                    script.onload = resolve;
+                    script.onerror = reject;
+                    document.head.appendChild(script);
+                });
+            }
         }
 
-        wasmModule = await createVOModule();
+        // 워커에서는 스크립트 위치가 워커 번들 기준이므로 .wasm 경로를 명시
+        wasmModule = await createVOModule({
+            locateFile: (path) => `/wasm/${path}`
+        });
         wasmLoaded = true;
         console.log('[VO] WebAssembly 모듈 로드 완료');
         return wasmModule;
@@ -57,8 +67,10 @@ export class VisualOdometry {
     constructor() {
         this.vo = null;
         this.initialized = false;
-        this.canvas = null;
-        this.ctx = null;
+        this.frameSource = null;     // processVideo용
+        this.frameSize = null;       // 카메라 파라미터를 맞춘 해상도
+        this.cameraParams = null;    // 마지막으로 설정한 { fx, fy, cx, cy }
+        this.intrinsics = null;      // 보정된 내부 파라미터 (CameraIntrinsics 형식)
 
         // 설정
         this.config = {
@@ -109,9 +121,27 @@ export class VisualOdometry {
      */
     setCameraParams(fx, fy, cx, cy) {
         if (!this.vo) return;
+        this.cameraParams = { fx, fy, cx, cy };
         this.vo.setCameraParams(fx, fy, cx, cy);
     }
 
+    /**
+     * 특징점 검출 설정 변경 (처리 예산 조절용)
+     * @param {number} fastThreshold FAST 임계값 (높을수록 특징점 적음)
+     * @param {number} maxFeatures 최대 특징점 수
+     */
+    setDetectorParams(fastThreshold, maxFeatures) {
+        if (!this.vo) return;
+        this.config = { ...this.config, fastThreshold, maxFeatures };
+
+        // configure가 카메라 파라미터도 덮어쓰므로 마지막 값으로 복원
+        const cam = this.cameraParams || {
+            fx: this.config.focalLength, fy: this.config.focalLength, cx: this.config.cx, cy: this.config.cy
+        };
+        this.vo.configure(fastThreshold, maxFeatures, cam.fx, cam.cx, cam.cy);
+        this.vo.setCameraParams(cam.fx, cam.fy, cam.cx, cam.cy);
+    }
+
     /**
      * 비디오 해상도에 맞게 카메라 파라미터 자동 설정
      * @param {number} width 비디오 너비
@@ -129,18 +159,55 @@ export class VisualOdometry {
         console.log('[VO] 카메라 자동 설정:', { fx, fy, cx, cy });
     }
 
+    /**
+     * 카메라 내부 파라미터 사용 (보정값 또는 기기 프로필, null이면 시야각 추정으로 되돌림)
+     * 처리 해상도(방향 포함)에 맞춰 스케일해서 적용한다
+     * @param {Object|null} intrinsics CameraIntrinsics 형식
+     */
+    setIntrinsics(intrinsics) {
+        this.intrinsics = intrinsics || null;
+        if (this.frameSize) {
+            this.configureCamera(this.frameSize.width, this.frameSize.height);
+        }
+    }
+
+    /**
+     * 처리 해상도 기준으로 카메라 파라미터 설정
+     * 보정값이 있고 가로세로 비율이 맞으면 보정값, 아니면 시야각 추정
+     */
+    configureCamera(width, height) {
+        const scaled = fitIntrinsics(this.intrinsics, width, height);
+        if (!scaled) {
+            if (this.intrinsics) {
+                console.warn('[VO] 보정 해상도와 비율이 달라 보정값을 쓰지 않음:',
+                    `${this.intrinsics.width}x${this.intrinsics.height}`, '→', `${width}x${height}`);
+            }
+            this.autoConfigureCamera(width, height);
+            return;
+        }
+
+        this.setCameraParams(scaled.fx, scaled.fy, scaled.cx, scaled.cy);
+        console.log('[VO] 보정된 카메라 파라미터 적용:', { fx: scaled.fx, fy: scaled.fy, cx: scaled.cx, cy: scaled.cy });
+    }
+
     /**
      * 프레임 처리
-     * @param {ImageData} imageData Canvas ImageData 객체
+     * @param {Object|ImageData} frame FrameSource 프레임 또는 Canvas ImageData
      * @returns {Object} 처리 결과
      */
-    processFrame(imageData) {
+    processFrame(frame) {
         if (!this.vo || !this.initialized) {
             console.warn('[VO] 초기화되지 않음');
             return null;
         }
 
-        const { width, height, data } = imageData;
+        const { width, height, data } = frameRGBA(frame);
+
+        // 처리 해상도가 바뀌면 카메라 파라미터도 그 해상도 기준으로
+        if (!this.frameSize || this.frameSize.width !== width || this.frameSize.height !== height) {
+            this.frameSize = { width, height };
+            this.configureCamera(width, height);
+        }
 
         // C++ 처리
         const success = this.vo.processFrame(width, height, data);
@@ -198,38 +265,25 @@ export class VisualOdometry {
 
     /**
      * 비디오에서 직접 프레임 처리
+     * 다른 추적기와 프레임을 공유하려면 FrameSource를 구독해 processFrame을 쓴다
+     *
      * @param {HTMLVideoElement} video 비디오 엘리먼트
-     * @returns {Object} 처리 결과
+     * @returns {Object} 처리 결과 (새 프레임이 없으면 마지막 결과)
      */
     processVideo(video) {
         if (!video || video.videoWidth === 0) {
             return null;
         }
 
-        // Canvas가 없으면 생성
-        if (!this.canvas) {
-            this.canvas = document.createElement('canvas');
-            this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
+        if (!this.frameSource || this.frameSource.video !== video) {
+            if (this.frameSource) this.frameSource.destroy();
+            this.frameSource = new FrameSource(video);
         }
 
-        // Canvas 크기 설정
-        if (this.canvas.width !== video.videoWidth ||
-            this.canvas.height !== video.videoHeight) {
-            this.canvas.width = video.videoWidth;
-            this.canvas.height = video.videoHeight;
-
-            // 카메라 파라미터 자동 설정
-            this.autoConfigureCamera(video.videoWidth, video.videoHeight);
-        }
+        const frame = this.frameSource.capture();
+        if (!frame) return this.lastResult;
 
-        // 비디오 프레임을 Canvas에 그리기
-        this.ctx.drawImage(video, 0, 0);
-
-        // ImageData 추출
-        const imageData = this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height);
-
-        // 처리
-        return this.processFrame(imageData);
+        return this.processFrame(frame);
     }
 
     /**
@@ -398,8 +452,11 @@ export class VisualOdometry {
             this.vo.delete();
             this.vo = null;
         }
-        this.canvas = null;
-        this.ctx = null;
+        if (this.frameSource) {
+            this.frameSource.destroy();
+            this.frameSource = null;
+        }
+        this.frameSize = null;
         this.initialized = false;
         console.log('[VO] 정리 완료');
     }
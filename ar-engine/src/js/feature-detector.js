@@ -1,7 +1,10 @@
+import { FrameSource } from './FrameSource.js';
+
 export class FeatureDetector {
     constructor() {
         this.orb = null;
         this.lastFeatures = [];
+        this.frameSource = null;  // 비디오를 직접 받았을 때 사용
     }
 
     init() {
@@ -20,35 +23,22 @@ export class FeatureDetector {
         }
     }
 
-    detect(video) {
-        if (!this.orb || !video) return [];
-        
-        // 비디오 준비 상태 확인
-        if (!video.videoWidth || !video.videoHeight) {
-            return [];
-        }
-
-        try {
-            // Canvas 생성 및 비디오 프레임 캡처
-            const canvas = document.createElement('canvas');
-            canvas.width = video.videoWidth;
-            canvas.height = video.videoHeight;
-            
-            const ctx = canvas.getContext('2d');
-            ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+    // source: FrameSource 프레임 또는 비디오 엘리먼트
+    detect(source) {
+        if (!this.orb || !source) return [];
 
-            // Canvas ImageData를 OpenCV Mat으로 변환
-            const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-            const src = cv.matFromImageData(imageData);
+        const frame = source instanceof HTMLVideoElement ? this.captureVideo(source) : source;
+        if (!frame) return this.lastFeatures;
 
-            // 그레이스케일 변환
-            const gray = new cv.Mat();
-            cv.cvtColor(src, gray, cv.COLOR_RGBA2GRAY);
+        try {
+            // FrameSource의 그레이스케일을 그대로 OpenCV Mat으로
+            const gray = cv.matFromArray(frame.height, frame.width, cv.CV_8UC1, frame.gray);
 
             // Feature 검출
             const keypoints = new cv.KeyPointVector();
             const descriptors = new cv.Mat();
-            this.orb.detectAndCompute(gray, new cv.Mat(), keypoints, descriptors);
+            const mask = new cv.Mat();
+            this.orb.detectAndCompute(gray, mask, keypoints, descriptors);
 
             // KeyPoint를 배열로 변환
             const features = [];
@@ -65,8 +55,8 @@ export class FeatureDetector {
             this.lastFeatures = features;
 
             // 메모리 해제
-            src.delete();
             gray.delete();
+            mask.delete();
             keypoints.delete();
             descriptors.delete();
 
@@ -78,6 +68,14 @@ export class FeatureDetector {
         }
     }
 
+    captureVideo(video) {
+        if (!this.frameSource || this.frameSource.video !== video) {
+            if (this.frameSource) this.frameSource.destroy();
+            this.frameSource = new FrameSource(video);
+        }
+        return this.frameSource.capture();
+    }
+
     getLastFeatures() {
         return this.lastFeatures;
     }
@@ -86,5 +84,9 @@ export class FeatureDetector {
         if (this.orb) {
             this.orb.delete();
         }
+        if (this.frameSource) {
+            this.frameSource.destroy();
+            this.frameSource = null;
+        }
     }
 }
\ No newline at end of file
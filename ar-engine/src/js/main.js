@@ -13,14 +13,54 @@
 
 import * as THREE from 'three';
 import { CameraPoseManager, ARObjectPlacer } from './CameraPoseManager.js';
+import { SensorFusion } from './SensorFusion.js';
+import { ContentManifest } from './ContentManifest.js';
+import { ChromaKeyCalibrator } from './ChromaKeyCalibrator.js';
+import { ARVideoObject } from './ARVideoObject.js';
+import { GestureController } from './GestureController.js';
+import { ContextMenu } from './ContextMenu.js';
+import { VideoPlaylist } from './VideoPlaylist.js';
+import { SessionStore } from './SessionStore.js';
+import { EventEmitter } from './EventEmitter.js';
+import { AR_EVENTS } from './AREvents.js';
+import { PluginRegistry } from './PluginRegistry.js';
+import { FrameSource } from './FrameSource.js';
+import { createVisualTracker } from './TrackingWorker.js';
+import { TrackingStateMachine, TRACKING_STATES, getTrackingGuidance } from './TrackingState.js';
+import { ProcessingBudget } from './ProcessingBudget.js';
+import { SessionRecorder } from './SessionRecorder.js';
+import { SessionPlayer } from './SessionPlayer.js';
+import { ScaleEstimator } from './ScaleEstimator.js';
+import { CameraCalibrationWizard } from './CameraCalibrationWizard.js';
+import { PoseFilterPanel } from './PoseFilterPanel.js';
+import { AnchorManager } from './AnchorManager.js';
+import { CameraTrajectory } from './CameraTrajectory.js';
+import { TrajectoryView } from './TrajectoryView.js';
+import { saveCalibration } from './CameraIntrinsics.js';
+import { getCameraKey, readDeviceModel, resolveCameraIntrinsics } from './CameraProfiles.js';
+
+// 동시에 배치할 수 있는 영상 오브젝트 수
+const MAX_AR_OBJECTS = 4;
+
+// 방향 센서 값을 이 시간(ms) 안에 못 받으면 센서 없음으로 본다
+const SENSOR_TIMEOUT = 3000;
 
-// Visual Odometry는 동적 로드 (Wasm 빌드 후 사용 가능)
-let VisualOdometry = null;
-
-class ARApp {
+/**
+ * ARApp 클래스
+ *
+ * 외부 연동은 window.arApp 하나로 한다.
+ * - 이벤트 구독: arApp.on('videoChanged', handler) (이벤트 목록은 AREvents.js)
+ * - 플러그인: arApp.registerPlugin(plugin) (형식은 PluginRegistry.js)
+ *   main.js보다 먼저 로드되는 스크립트는 window.arPlugins 배열에 넣어두면 생성 시 등록된다.
+ */
+class ARApp extends EventEmitter {
     constructor() {
+        super(AR_EVENTS);
+
         // === Layer 1: Background ===
         this.video = null;
+        this.frameSource = null;         // 카메라 프레임 공유 (추적기/플러그인이 구독)
+        this.unsubscribeSLAM = null;
 
         // === Layer 2: Virtual ===
         this.scene = null;
@@ -28,35 +68,63 @@ class ARApp {
         this.renderer = null;
 
         // === SLAM / Pose ===
-        this.visualOdometry = null;      // Wasm Visual Odometry
+        this.visualTracker = null;       // Wasm Visual Odometry (워커 또는 메인 스레드 폴백)
         this.cameraPoseManager = null;   // Three.js 카메라 매니저
         this.objectPlacer = null;        // AR 객체 배치 헬퍼
+        this.poseFilterPanel = null;     // 포즈 필터 디버그 패널 (?posefilter)
+        this.anchors = null;             // 앵커 (월드 좌표계가 바뀌어도 콘텐츠 자리 유지)
+        this.trajectoryView = null;      // 카메라 궤적 표시 (?trajectory)
 
         // === AR Objects ===
-        this.cubes = [];
         this.originCube = null;          // 바닥 원점의 빨간 큐브
         this.floorGrid = null;           // 바닥 그리드
         this.axesHelper = null;          // 축 헬퍼
 
-        // === HUD 오브젝트 (화면에 붙어다니는 영상) ===
-        this.hudCube = null;             // 화면에 고정된 메시
-        this.hudCubeBaseScale = 1.0;     // 핀치 기준 스케일
-        this.hudVideo = null;            // webm 비디오 엘리먼트
-        this.hudVideoTexture = null;     // VideoTexture
-        this.currentVideoSrc = 'greetgang.mp4'; // 현재 영상 소스
+        // === 영상 오브젝트 (크로마키 캐릭터, 여러 개 동시 배치) ===
+        this.arObjects = [];             // ARVideoObject 목록 (배치 순서)
+        this.retiringObjects = [];       // 사라지는 중인 오브젝트 (치우기/영상 전환, 페이드 후 정리)
+        this.activeObject = null;        // 드래그/핀치 대상 (선택된 오브젝트)
+        this.currentVideoSrc = 'greetgang.mp4'; // 새로 배치할 영상 소스
+        this.currentEntry = null;        // 선택된 영상의 매니페스트 항목
+
+        // === 사운드 ===
+        this.audioListener = null;       // THREE.AudioListener (카메라에 부착, Web Audio 미지원 시 null)
+        this.audioMuted = false;         // 전역 음소거 (영상 교체 후에도 유지)
+
+        // === 콘텐츠 매니페스트 ===
+        this.contentManifest = new ContentManifest();
+
+        // === 세션 저장/복원 (새로고침 후 배치 유지) ===
+        this.sessionStore = new SessionStore(() => this.captureSession());
 
-        // === 제스처 상태 ===
+        // === 재생 목록 (키오스크 자동 재생) ===
+        this.playlist = new VideoPlaylist();
+        this.playlistObject = null;      // 재생 목록을 재생 중인 오브젝트
+
+        // === 크로마키 보정 ===
+        this.chromaCalibrator = new ChromaKeyCalibrator();
+        this.raycaster = new THREE.Raycaster();
+
+        // === 카메라 내부 파라미터 보정 ===
+        this.cameraCalibrationWizard = new CameraCalibrationWizard();
+        this.cameraIntrinsics = null;    // 적용 중인 내부 파라미터 (영상 해상도 기준, 없으면 시야각 추정)
+        this.intrinsicsSource = 'fov';   // 'calibration' | 'profile' | 'fov'
+        this.deviceModel = null;         // 카메라 프로필 조회용 기종
+
+        // === 제스처 ===
+        this.gestureController = null;  // 터치/마우스 → 제스처 해석
+        this.contextMenu = new ContextMenu();  // 길게 누르기 메뉴
         this.gesture = {
-            isDragging: false,
-            isPinching: false,
             // 드래그 상태
             dragStartX: 0,
             dragStartY: 0,
             objStartX: 0,
             objStartY: 0,
-            // 핀치 상태
-            pinchStartDist: 0,
+            objStartZ: 0,
+            startedOnObject: false,  // 터치 시작 지점에 오브젝트가 있었는지
+            // 핀치/비틀기 상태
             pinchStartScale: 1.0,
+            rotateStartAngle: 0,
         };
 
         // === Sensor (폴백용) ===
@@ -64,16 +132,43 @@ class ARApp {
         this.initialOrientation = null;
         this.useGyroscope = false;
 
+        // 하이브리드 모드: 센서 방향 + VO 포즈 퓨전 (이벤트는 ARApp이 전달)
+        this.sensorFusion = new SensorFusion();
+
+        // 단안 VO 이동량 → 미터 (가속도계와 비교해 추정)
+        this.scaleEstimator = new ScaleEstimator();
+
         // === 모드 ===
         this.trackingMode = 'sensor';    // 'sensor' | 'slam' | 'hybrid'
+        this.placementMode = 'hud';      // 'hud' (화면 고정) | 'world' (공간 고정)
 
         // === State ===
         this.isRunning = false;
         this.isReady = false;
 
-        // === 프레임 처리용 Canvas ===
-        this.processCanvas = null;
-        this.processCtx = null;
+        // === 추적 상태 ===
+        this.trackingState = new TrackingStateMachine();
+        this.trackingState.onChange = change => this.onTrackingStateChange(change);
+        this.trackingResult = null;      // 최근 VO 결과
+        this.trackingResultTime = 0;
+        this.frameBrightness = null;     // 최근 추적 프레임 평균 밝기
+        this.rotationRate = 0;           // 자이로 각속도 크기 (deg/s)
+        this.sensorWaitStart = null;     // 센서 대기 시작 시각 (null이면 대기 전)
+
+        // === 처리 예산 (저사양 기기에서 렌더 FPS 유지) ===
+        this.processingBudget = new ProcessingBudget({ targetFps: 30 });
+        this.processingBudget.onChange = level => this.applyProcessingLevel(level);
+
+        // === 세션 기록/재생 (오프라인 디버깅) ===
+        this.sessionRecorder = null;     // 기록 중인 SessionRecorder
+        this.sessionPlayer = null;       // 재생 중인 SessionPlayer (라이브 카메라/센서/제스처 대신)
+        this.replayReturnMode = null;    // 재생이 끝나면 돌아갈 추적 모드
+        this.gestureHandlers = null;     // 제스처 이름 → 핸들러 (재생 시 직접 호출)
+
+        // === 플러그인 ===
+        this.plugins = new PluginRegistry((error, context) => this.reportError(error, context));
+        this.frameCount = 0;
+        this.lastFrameTime = 0;
 
         console.log('[AR] 3-Layer AR System 초기화');
     }
@@ -89,35 +184,65 @@ class ARApp {
 
         try {
             // Step 1: Layer 1 - 카메라 비디오 초기화 (이미 권한 승인됨)
-            window.updateLoadingProgress(30, '카메라 연결 중...');
+            this.reportProgress(30, '카메라 연결 중...');
             await this.initBackgroundLayer();
 
             // Step 2: Layer 2 - Three.js 가상 레이어 초기화
-            window.updateLoadingProgress(60, '3D 엔진 초기화...');
+            this.reportProgress(60, '3D 엔진 초기화...');
             this.initVirtualLayer();
 
+            // 카메라 내부 파라미터: 현장 보정값 → 기기 프로필 → 시야각 추정
+            // (세로/가로 전환 등으로 영상 크기가 바뀌면 다시 고른다)
+            this.deviceModel = await readDeviceModel();
+            this.updateCameraIntrinsics();
+            this.video.addEventListener('resize', () => this.updateCameraIntrinsics());
+
+            // 씬/카메라가 준비되었으므로 대기 중인 플러그인 초기화
+            this.plugins.initAll(this.getPluginContext());
+
             // Step 3: 센서 리스너 등록 (권한은 이미 승인됨)
-            window.updateLoadingProgress(80, '센서 연결 중...');
+            this.reportProgress(80, '센서 연결 중...');
             this.initSensors();
 
-            // Step 4: 이벤트 설정
-            window.updateLoadingProgress(90, '이벤트 설정...');
+            // Step 4: 콘텐츠 매니페스트 로드
+            this.reportProgress(85, '콘텐츠 불러오는 중...');
+            await this.loadContentManifest();
+
+            // Step 5: 이벤트 설정
+            this.reportProgress(90, '이벤트 설정...');
             this.setupEvents();
 
+            // Step 6: 이전 세션 설정 복원 (추적 모드, 보정값 등)
+            const session = this.sessionStore.load();
+            if (session) {
+                this.applySessionSettings(session);
+            }
+
             // 완료
-            window.updateLoadingProgress(100, '완료!');
+            this.reportProgress(100, '완료!');
             this.isRunning = true;
             this.isReady = true;
 
             setTimeout(() => {
-                window.hideLoadingScreen();
-                // 초기 HUD 큐브 자동 배치
-                this.placeCube();
+                this.callPageHook('hideLoadingScreen');
+                // 키오스크 설정이면 재생 목록 시작, 아니면 이전 배치 복원 (없으면 초기 HUD 큐브 배치)
+                if (this.shouldAutoStartPlaylist()) {
+                    this.startPlaylist();
+                } else if (!this.restoreSessionObjects(session)) {
+                    this.placeCube();
+                }
                 // 안내 오버레이 표시 (터치 시 사라짐)
-                if (window.showInstruction) window.showInstruction();
+                this.callPageHook('showInstruction');
                 console.log('========================================');
                 console.log('          AR 준비 완료!');
                 console.log('========================================');
+                this.emit('ready', { app: this });
+
+                // ?replay=<세션 파일 URL>: 기록된 세션 재생 (데스크탑 디버깅)
+                const replayUrl = new URLSearchParams(window.location.search).get('replay');
+                if (replayUrl) {
+                    this.startReplay(replayUrl);
+                }
             }, 500);
 
             // 렌더 루프 시작
@@ -126,6 +251,224 @@ class ARApp {
         } catch (e) {
             console.error('[AR] 초기화 실패:', e);
             this.updateStatus('초기화 실패: ' + e.message);
+            this.reportError(e, 'init');
+        }
+    }
+
+    /**
+     * 초기화 진행률 알림 (이벤트 + index.html의 로딩 화면)
+     */
+    reportProgress(percent, message) {
+        this.emit('loadingProgress', { percent, message });
+        this.callPageHook('updateLoadingProgress', percent, message);
+    }
+
+    /**
+     * index.html이 정의한 전역 함수 호출 (없으면 무시)
+     * 로딩 화면 등이 없는 페이지에 임베드해도 동작하도록
+     */
+    callPageHook(name, ...args) {
+        const hook = window[name];
+        if (typeof hook === 'function') {
+            hook(...args);
+        }
+    }
+
+    /**
+     * 오류 이벤트 발행
+     * @param {Error} error
+     * @param {string} context 발생 위치
+     */
+    reportError(error, context) {
+        this.emit('error', { error, context });
+    }
+
+    /**
+     * 플러그인 등록
+     * 앱이 이미 초기화되었으면 바로 init, 아니면 씬 준비 후 init된다
+     *
+     * @param {Object} plugin { name, init(context), update(frame, context), destroy(context) }
+     * @returns {Function} 등록 해제 함수
+     */
+    registerPlugin(plugin) {
+        return this.plugins.register(plugin);
+    }
+
+    /**
+     * 플러그인에 넘기는 앱 자원
+     */
+    getPluginContext() {
+        return {
+            app: this,
+            THREE,
+            scene: this.scene,
+            camera: this.camera,
+            renderer: this.renderer,
+            frameSource: this.frameSource,
+            cameraPoseManager: this.cameraPoseManager,
+            objectPlacer: this.objectPlacer,
+            anchors: this.anchors
+        };
+    }
+
+    /**
+     * 현재 세션 상태 (SessionStore 저장용)
+     */
+    captureSession() {
+        return {
+            currentVideo: this.currentVideoSrc,
+            trackingMode: this.trackingMode,
+            placementMode: this.placementMode,
+            audioMuted: this.audioMuted,
+            objects: this.arObjects.map(obj => ({
+                video: obj.entry.src,
+                placementMode: obj.placementMode,
+                position: obj.mesh.position.toArray(),
+                scale: obj.baseScale,
+                rotation: obj.rotation,
+                muted: obj.muted,
+                active: obj === this.activeObject
+            })),
+            chroma: this.chromaCalibrator.exportAll()
+        };
+    }
+
+    /**
+     * 세션 변경 저장 예약 (연속 변경은 묶어서 저장)
+     */
+    saveSession() {
+        // 세션 재생 중의 배치는 저장하지 않음
+        if (!this.isRunning || this.sessionPlayer) return;
+        this.sessionStore.scheduleSave();
+    }
+
+    /**
+     * 저장된 세션의 설정값 적용 (오브젝트 배치 전)
+     */
+    applySessionSettings(session) {
+        this.chromaCalibrator.importMissing(session.chroma);
+
+        if (session.currentVideo) {
+            this.currentVideoSrc = session.currentVideo;
+        }
+        if (session.placementMode === 'hud' || session.placementMode === 'world') {
+            this.placementMode = session.placementMode;
+        }
+        if (session.audioMuted) {
+            this.setAudioMuted(true);
+        }
+        if (['sensor', 'slam', 'hybrid'].includes(session.trackingMode) &&
+            session.trackingMode !== this.trackingMode) {
+            this.setTrackingMode(session.trackingMode);
+        }
+
+        console.log('[Session] 설정 복원:', session.trackingMode, session.currentVideo);
+    }
+
+    /**
+     * 저장된 세션의 오브젝트 배치 복원
+     * @returns {boolean} 복원한 오브젝트가 있는지
+     */
+    restoreSessionObjects(session) {
+        if (!session || !Array.isArray(session.objects)) return false;
+
+        let active = null;
+        session.objects.slice(-MAX_AR_OBJECTS).forEach((saved) => {
+            if (!saved || !saved.video) return;
+
+            const entry = this.contentManifest.getEntry(saved.video);
+            const obj = this.createVideoObject(entry, false);
+            obj.placementMode = saved.placementMode === 'world' ? 'world' : 'hud';
+            this.attachObject(obj);
+
+            if (Array.isArray(saved.position) && saved.position.length === 3) {
+                obj.mesh.position.fromArray(saved.position);
+            }
+            obj.setScale(saved.scale || 1.0);
+            obj.setRotation(saved.rotation || 0);
+            if (entry.audio.enabled && saved.muted === true) {
+                obj.setMuted(true);
+            }
+
+            this.arObjects.push(obj);
+            if (saved.active) active = obj;
+            this.emit('objectPlaced', { object: obj, entry, restored: true });
+        });
+
+        if (this.arObjects.length === 0) return false;
+
+        this.selectObject(active || this.arObjects[this.arObjects.length - 1], false);
+        console.log('[Session] 배치 복원:', `${this.arObjects.length}개`);
+        return true;
+    }
+
+    /**
+     * 배치 전체 초기화: 모든 오브젝트와 저장된 배치를 지우고 기본 영상 하나를 다시 배치
+     * (크로마키 보정값과 추적 모드는 유지)
+     */
+    resetLayout() {
+        this.clearObjects();
+        this.sessionStore.clear();
+
+        const defaultEntry = this.contentManifest.getDefaultEntry();
+        if (defaultEntry) {
+            this.currentVideoSrc = defaultEntry.src;
+        }
+        this.placementMode = 'hud';
+        this.updatePlacementToggle();
+
+        this.placeCube();
+        this.showNotification('배치를 초기화했습니다', 2000);
+        console.log('[Session] 배치 초기화');
+    }
+
+    /**
+     * 콘텐츠 매니페스트 로드 및 영상 선택 버튼 구성
+     */
+    async loadContentManifest() {
+        const loaded = await this.contentManifest.load();
+
+        const defaultEntry = this.contentManifest.getDefaultEntry();
+        if (defaultEntry) {
+            this.currentVideoSrc = defaultEntry.src;
+        }
+
+        this.playlist.setData(this.contentManifest.playlist);
+
+        if (loaded) {
+            this.renderVideoSelector();
+        }
+    }
+
+    /**
+     * 매니페스트 항목으로 영상 선택 버튼 재구성
+     */
+    renderVideoSelector() {
+        const selector = document.getElementById('video-selector');
+        if (!selector) return;
+
+        const currentEntry = this.contentManifest.getEntry(this.currentVideoSrc);
+        selector.innerHTML = '';
+
+        this.contentManifest.getEntries().forEach((entry) => {
+            const btn = document.createElement('button');
+            btn.className = 'video-btn';
+            btn.dataset.video = entry.id;
+            btn.textContent = entry.label;
+            if (currentEntry && entry.id === currentEntry.id) {
+                btn.classList.add('active');
+            }
+            selector.appendChild(btn);
+        });
+
+        // 재생 목록 버튼
+        if (!this.playlist.isEmpty) {
+            const btn = document.createElement('button');
+            btn.className = 'video-btn';
+            btn.dataset.playlist = '';
+            btn.textContent = '▶';
+            btn.title = '재생 목록';
+            selector.appendChild(btn);
         }
     }
 
@@ -141,6 +484,9 @@ class ARApp {
             throw new Error('video-background 엘리먼트 없음');
         }
 
+        // 추적용 프레임 크기는 처리 예산 단계를 따른다
+        this.frameSource = new FrameSource(this.video, { scale: this.processingBudget.level.scale });
+
         // 권한이 이미 승인되어 cameraStream이 존재하는 경우
         if (window.cameraStream) {
             console.log('[Layer1] 기존 카메라 스트림 사용');
@@ -207,6 +553,9 @@ class ARApp {
         this.camera.position.set(0, 0, 0);
         this.scene.add(this.camera); // 카메라 자식 오브젝트 렌더링을 위해 씬에 추가
 
+        // 공간 음향 리스너 (카메라 위치/방향 = 듣는 위치/방향)
+        this.initAudioListener();
+
         // Renderer - 투명 배경 필수!
         this.renderer = new THREE.WebGLRenderer({
             antialias: true,
@@ -235,7 +584,26 @@ class ARApp {
 
         // === CameraPoseManager 초기화 ===
         this.cameraPoseManager = new CameraPoseManager(this.camera);
-        this.cameraPoseManager.setSmoothing(true, 0.2);  // 부드러운 움직임
+        const poseFilter = PoseFilterPanel.load();    // 디버그 패널에서 저장한 필터/예측, 없으면 기본값
+        if (poseFilter) {
+            this.cameraPoseManager.setPoseFilter(poseFilter.type, poseFilter.params);
+            if (poseFilter.prediction) this.cameraPoseManager.setPrediction(poseFilter.prediction);
+        }
+        this.poseFilterPanel = new PoseFilterPanel(this.cameraPoseManager);
+
+        // === 앵커: 포즈 리셋/재위치 인식으로 월드가 바뀌면 다시 표현 ===
+        this.anchors = new AnchorManager(this.scene);
+        this.cameraPoseManager.onWorldFrameChange = (transform, reason) => this.onWorldFrameChange(transform, reason);
+
+        // === 카메라 궤적 표시 (디버깅용, 버튼으로 끔 / 씬 / 작은 창) ===
+        this.trajectoryView = new TrajectoryView(this.scene, this.cameraPoseManager.trajectory);
+
+        // ?height=<m>: 첫 추적 프레임에서 카메라의 바닥 위 높이 (없으면 손에 든 높이 추정값)
+        const height = parseFloat(new URLSearchParams(window.location.search).get('height'));
+        if (Number.isFinite(height)) {
+            this.cameraPoseManager.setCameraHeight(height);
+        }
+        this.sensorFusion.setOrigin(this.cameraPoseManager.getOrigin());
 
         // === ARObjectPlacer 초기화 ===
         this.objectPlacer = new ARObjectPlacer(this.scene, this.camera);
@@ -245,6 +613,59 @@ class ARApp {
         console.log('[Layer2] Three.js 준비 완료');
     }
 
+    /**
+     * Web Audio 리스너 생성
+     * 영상 사운드는 ARVideoObject.attachAudio로 이 리스너에 연결된다
+     */
+    initAudioListener() {
+        try {
+            this.audioListener = new THREE.AudioListener();
+            this.camera.add(this.audioListener);
+            console.log('[Audio] AudioListener 준비 (상태:', this.audioListener.context.state + ')');
+        } catch (e) {
+            console.warn('[Audio] Web Audio 사용 불가 (영상 사운드 직접 재생):', e.message);
+            this.audioListener = null;
+        }
+    }
+
+    /**
+     * 자동재생 정책으로 멈춘 AudioContext 재개 (사용자 제스처 안에서 호출)
+     */
+    resumeAudio() {
+        const context = this.audioListener?.context;
+        if (context && context.state === 'suspended') {
+            context.resume().catch(e => console.warn('[Audio] 재개 실패:', e.message));
+        }
+    }
+
+    /**
+     * 전역 음소거 (모든 영상, 이후 배치/교체되는 영상 포함)
+     * @param {boolean} muted
+     */
+    setAudioMuted(muted) {
+        this.audioMuted = muted;
+        this.resumeAudio();
+
+        if (this.audioListener) {
+            this.audioListener.setMasterVolume(muted ? 0 : 1);
+        }
+        [...this.arObjects, ...this.retiringObjects].forEach(obj => obj.setGlobalMuted(muted));
+
+        this.updateAudioButton();
+        this.saveSession();
+        console.log('[Audio] 전역 음소거:', muted);
+    }
+
+    /**
+     * 음소거 버튼 표시 갱신
+     */
+    updateAudioButton() {
+        const btn = document.getElementById('audio-mute-btn');
+        if (!btn) return;
+        btn.textContent = this.audioMuted ? '🔇' : '🔊';
+        btn.classList.toggle('muted', this.audioMuted);
+    }
+
     /**
      * 바닥 원점에 빨간 큐브 배치
      */
@@ -290,18 +711,40 @@ class ARApp {
         }
 
         // DeviceOrientation 리스너 등록 (iOS/Android 공통)
-        window.addEventListener('deviceorientation', (e) => this.onDeviceOrientation(e), true);
+        this.sensorWaitStart = this.now();
+        window.addEventListener('deviceorientation', (e) => this.onLiveSensorEvent(e), true);
         console.log('[Sensor] DeviceOrientation 리스너 등록됨');
 
         // DeviceMotion 리스너도 등록 (가속도계)
-        window.addEventListener('devicemotion', (e) => this.onDeviceMotion(e), true);
+        window.addEventListener('devicemotion', (e) => this.onLiveSensorEvent(e), true);
         console.log('[Sensor] DeviceMotion 리스너 등록됨');
     }
 
+    /**
+     * 실제 센서 이벤트: 세션 재생 중에는 무시하고, 기록 중이면 함께 기록
+     */
+    onLiveSensorEvent(event) {
+        if (this.sessionPlayer) return;
+        if (this.sessionRecorder) this.sessionRecorder.recordSensor(event);
+
+        if (event.type === 'devicemotion') {
+            this.onDeviceMotion(event);
+        } else {
+            this.onDeviceOrientation(event);
+        }
+    }
+
     /**
      * DeviceMotion 이벤트 핸들러 (가속도계)
      */
     onDeviceMotion(event) {
+        this.sensorFusion.onDeviceMotion(event);
+        this.scaleEstimator.addMotion(event);
+        if (this.cameraPoseManager) {
+            this.cameraPoseManager.updateGravity(event);
+            this.cameraPoseManager.posePredictor.addMotion(event);
+        }
+
         // 가속도 데이터 (나중에 SLAM에서 사용)
         if (event.acceleration) {
             this.acceleration = {
@@ -310,6 +753,12 @@ class ARApp {
                 z: event.acceleration.z || 0
             };
         }
+
+        // 각속도 (추적 상태의 '너무 빠른 움직임' 판단용)
+        if (event.rotationRate) {
+            const { alpha, beta, gamma } = event.rotationRate;
+            this.rotationRate = Math.hypot(alpha || 0, beta || 0, gamma || 0);
+        }
     }
 
     /**
@@ -318,6 +767,8 @@ class ARApp {
     onDeviceOrientation(event) {
         if (event.alpha === null) return;
 
+        this.sensorFusion.onDeviceOrientation(event);
+
         this.deviceOrientation = {
             alpha: event.alpha,
             beta: event.beta,
@@ -332,7 +783,7 @@ class ARApp {
     }
 
     /**
-     * 이벤트 설정 (드래그 + 핀치 제스처)
+     * 이벤트 설정 (드래그 / 핀치·비틀기 / 길게 누르기 / 튕기기 제스처)
      */
     setupEvents() {
         console.log('[Event] 이벤트 설정');
@@ -343,120 +794,45 @@ class ARApp {
             return;
         }
 
-        // 더블탭으로 큐브 배치/제거
-        let lastTap = 0;
-
-        // === 터치 이벤트 (모바일) ===
-        touchArea.addEventListener('touchstart', (e) => {
-            e.preventDefault();
-
-            if (e.touches.length === 1 && this.hudCube) {
-                // 한 손가락: 드래그 시작
-                this.gesture.isDragging = true;
-                this.gesture.isPinching = false;
-                this.gesture.dragStartX = e.touches[0].clientX;
-                this.gesture.dragStartY = e.touches[0].clientY;
-                this.gesture.objStartX = this.hudCube.position.x;
-                this.gesture.objStartY = this.hudCube.position.y;
-            } else if (e.touches.length === 2 && this.hudCube) {
-                // 두 손가락: 핀치 시작
-                this.gesture.isDragging = false;
-                this.gesture.isPinching = true;
-                this.gesture.pinchStartDist = this.getTouchDistance(e.touches);
-                this.gesture.pinchStartScale = this.hudCubeBaseScale;
-            }
-        }, { passive: false });
-
-        touchArea.addEventListener('touchmove', (e) => {
-            e.preventDefault();
-            if (!this.hudCube) return;
-
-            if (this.gesture.isDragging && e.touches.length === 1) {
-                // 드래그: 화면 좌표 → 카메라 로컬 좌표
-                const dx = e.touches[0].clientX - this.gesture.dragStartX;
-                const dy = e.touches[0].clientY - this.gesture.dragStartY;
-
-                // 화면 픽셀을 3D 로컬 좌표로 변환
-                const scale = this.screenPixelToLocal();
-                this.hudCube.position.x = this.gesture.objStartX + dx * scale;
-                this.hudCube.position.y = this.gesture.objStartY - dy * scale; // Y축 반전
-            } else if (this.gesture.isPinching && e.touches.length === 2) {
-                // 핀치: 거리 비율로 스케일 조절
-                const dist = this.getTouchDistance(e.touches);
-                const ratio = dist / this.gesture.pinchStartDist;
-                const newScale = Math.max(0.3, Math.min(20.0, this.gesture.pinchStartScale * ratio));
-
-                this.hudCubeBaseScale = newScale;
-                this.hudCube.scale.set(newScale, newScale, newScale);
-            }
-        }, { passive: false });
-
-        touchArea.addEventListener('touchend', (e) => {
-            if (e.touches.length === 0) {
-                // 모든 손가락 뗌
-                if (this.gesture.isDragging && !this.gesture.isPinching) {
-                    // 드래그 거리가 매우 짧으면 탭으로 간주
-                    const dx = Math.abs((e.changedTouches[0]?.clientX || 0) - this.gesture.dragStartX);
-                    const dy = Math.abs((e.changedTouches[0]?.clientY || 0) - this.gesture.dragStartY);
-                    if (dx < 10 && dy < 10) {
-                        const now = Date.now();
-                        if (now - lastTap < 300) {
-                            // 더블탭: 큐브 배치
-                            this.placeCube();
-                        }
-                        lastTap = now;
-                    }
+        // === 제스처 (터치 + 마우스/휠) ===
+        this.gestureHandlers = {
+            onPointerDown: (x, y, pointerType) => this.onGesturePointerDown(x, y, pointerType),
+            onDragStart: (x, y) => this.beginObjectDrag(x, y),
+            onDragMove: (dx, dy) => this.dragActiveObject(dx, dy),
+            onDragEnd: () => this.saveSession(),
+            onTransformStart: () => this.beginObjectTransform(),
+            onTransform: ({ scale, rotation }) => this.transformActiveObject(scale, rotation),
+            onTransformEnd: () => this.saveSession(),
+            onDoubleTap: (x, y) => {
+                // 빈 곳 더블탭/더블클릭: 영상 추가 배치
+                if (this.chromaCalibrator.active) return;
+                if (!this.pickObjectAt(x, y)) {
+                    this.placeCube();
+                }
+            },
+            onWheelScale: (factor) => {
+                // 마우스 휠: 스케일 조절 (데스크탑에서 핀치 대체)
+                const obj = this.activeObject;
+                if (!obj) return;
+                obj.setScale(Math.max(0.3, Math.min(5.0, obj.baseScale * factor)));
+                this.saveSession();
+            },
+            onWheelRotate: (delta) => {
+                // Shift+휠: 회전 (데스크탑에서 비틀기 대체)
+                const obj = this.activeObject;
+                if (!obj) return;
+                obj.setRotation(obj.rotation + delta);
+                this.saveSession();
+            },
+            onLongPress: (x, y) => this.openObjectMenu(x, y),
+            onFlick: ({ vx, vy }) => {
+                // 오브젝트를 잡고 튕긴 경우에만 치우기 (빈 곳 스와이프는 무시)
+                if (this.gesture.startedOnObject && this.activeObject) {
+                    this.dismissObject(this.activeObject, vx, vy);
                 }
-                this.gesture.isDragging = false;
-                this.gesture.isPinching = false;
-            } else if (e.touches.length === 1) {
-                // 핀치 → 드래그로 전환
-                this.gesture.isPinching = false;
-                this.gesture.isDragging = true;
-                this.gesture.dragStartX = e.touches[0].clientX;
-                this.gesture.dragStartY = e.touches[0].clientY;
-                this.gesture.objStartX = this.hudCube ? this.hudCube.position.x : 0;
-                this.gesture.objStartY = this.hudCube ? this.hudCube.position.y : 0;
-            }
-        });
-
-        // === 마우스 이벤트 (데스크탑) ===
-        let mouseDown = false;
-        touchArea.addEventListener('mousedown', (e) => {
-            if (!this.hudCube) {
-                this.placeCube();
-                return;
             }
-            mouseDown = true;
-            this.gesture.dragStartX = e.clientX;
-            this.gesture.dragStartY = e.clientY;
-            this.gesture.objStartX = this.hudCube.position.x;
-            this.gesture.objStartY = this.hudCube.position.y;
-        });
-
-        touchArea.addEventListener('mousemove', (e) => {
-            if (!mouseDown || !this.hudCube) return;
-
-            const dx = e.clientX - this.gesture.dragStartX;
-            const dy = e.clientY - this.gesture.dragStartY;
-            const scale = this.screenPixelToLocal();
-
-            this.hudCube.position.x = this.gesture.objStartX + dx * scale;
-            this.hudCube.position.y = this.gesture.objStartY - dy * scale;
-        });
-
-        touchArea.addEventListener('mouseup', () => { mouseDown = false; });
-        touchArea.addEventListener('mouseleave', () => { mouseDown = false; });
-
-        // 마우스 휠: 스케일 조절 (데스크탑에서 핀치 대체)
-        touchArea.addEventListener('wheel', (e) => {
-            if (!this.hudCube) return;
-            e.preventDefault();
-
-            const delta = e.deltaY > 0 ? 0.9 : 1.1;
-            this.hudCubeBaseScale = Math.max(0.3, Math.min(5.0, this.hudCubeBaseScale * delta));
-            this.hudCube.scale.set(this.hudCubeBaseScale, this.hudCubeBaseScale, this.hudCubeBaseScale);
-        }, { passive: false });
+        };
+        this.gestureController = new GestureController(touchArea, this.wrapGestureHandlers(this.gestureHandlers));
 
         // 카메라 전환 버튼
         const switchBtn = document.getElementById('camera-switch');
@@ -464,322 +840,1343 @@ class ARApp {
             switchBtn.addEventListener('click', () => this.switchCamera());
         }
 
-        // 리사이즈
-        window.addEventListener('resize', () => this.onResize());
-
-        console.log('[Event] 제스처 이벤트 설정 완료 (드래그/핀치/휠)');
-    }
-
-    /**
-     * 두 터치 포인트 사이 거리 계산
-     */
-    getTouchDistance(touches) {
-        const dx = touches[0].clientX - touches[1].clientX;
-        const dy = touches[0].clientY - touches[1].clientY;
-        return Math.sqrt(dx * dx + dy * dy);
-    }
-
-    /**
-     * 화면 1px을 카메라 로컬 좌표 단위로 변환
-     * (카메라 앞 1.5m 거리에서의 비율)
-     */
-    screenPixelToLocal() {
-        const distance = 1.5; // hudCube의 z 거리
-        const fovRad = THREE.MathUtils.degToRad(this.camera.fov);
-        const screenHeight = window.innerHeight;
-        // 카메라 시야각 기반 변환: 1px = 얼마의 3D 단위인지
-        return (2 * distance * Math.tan(fovRad / 2)) / screenHeight;
-    }
-
-    /**
-     * HUD 영상 배치 (화면에 고정, 드래그/핀치 가능)
-     * 크로마키(초록색) 배경 제거 셰이더 적용
-     * @param {string} videoSrc - 재생할 영상 파일명 (옵션)
-     */
-    placeCube(videoSrc = null) {
-        if (!this.isReady) {
-            console.log('[AR] 아직 준비 안됨');
-            return;
+        // 배치 모드 전환 버튼 (화면 고정 ↔ 공간 고정)
+        const placementBtn = document.getElementById('placement-toggle');
+        if (placementBtn) {
+            placementBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.setPlacementMode(this.placementMode === 'hud' ? 'world' : 'hud');
+            });
         }
-
-        // 영상 소스 업데이트
-        if (videoSrc) {
-            this.currentVideoSrc = videoSrc;
-        }
-
-        // 기존 HUD 오브젝트 정리
-        this.cleanupHud();
-
-        console.log('[AR] ===== HUD 영상 배치 (크로마키) =====');
-        console.log('[AR] 영상 소스:', this.currentVideoSrc);
-
-        // 비디오 엘리먼트 생성
-        this.hudVideo = document.createElement('video');
-        this.hudVideo.loop = true;
-        // 2번 영상(singgang2.mp4)만 사운드 재생
-        this.hudVideo.muted = !this.currentVideoSrc.includes('singgang2');
-        this.hudVideo.playsInline = true;
-        this.hudVideo.setAttribute('playsinline', '');
-        this.hudVideo.setAttribute('webkit-playsinline', '');
-        this.hudVideo.crossOrigin = 'anonymous';
-        this.hudVideo.preload = 'auto';
-        this.hudVideo.src = this.currentVideoSrc;
-        
-        // 사운드가 있는 영상의 경우 볼륨 설정 및 안내창 표시
-        if (!this.hudVideo.muted) {
-            this.hudVideo.volume = 0.8;
-            console.log('[AR] 사운드 활성화 (볼륨: 80%)');
-            this.showNotification('2번째는 음악이 나옵니다', 3000);
-        }
-
-        // 비디오 로드 및 재생
-        this.hudVideo.load();
-        
-        this.hudVideo.addEventListener('loadeddata', () => {
-            console.log('[AR] 비디오 로드 완료, 재생 시작');
-            this.hudVideo.play().catch(e => {
-                console.warn('[AR] 자동재생 실패:', e.message);
+        this.updatePlacementToggle();
+
+        // 전역 음소거 버튼
+        const muteBtn = document.getElementById('audio-mute-btn');
+        if (muteBtn) {
+            muteBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.setAudioMuted(!this.audioMuted);
             });
-        }, { once: true });
-
-        // VideoTexture 생성
-        this.hudVideoTexture = new THREE.VideoTexture(this.hudVideo);
-        this.hudVideoTexture.colorSpace = THREE.SRGBColorSpace;
-        this.hudVideoTexture.minFilter = THREE.LinearFilter;
-        this.hudVideoTexture.magFilter = THREE.LinearFilter;
-
-        // 크로마키 제거 + 검은 줄 크롭 셰이더 머티리얼
-        const material = new THREE.ShaderMaterial({
-            uniforms: {
-                videoTexture: { value: this.hudVideoTexture },
-                keyColor: { value: new THREE.Color(0.0, 1.0, 0.0) }, // 초록
-                similarity: { value: 0.4 },  // 색상 허용 범위
-                smoothness: { value: 0.1 },  // 경계 부드러움
-                cropTop: { value: 0.0 },     // 상단 크롭 비율 (기본값)
-                cropBottom: { value: 0.0 },  // 하단 크롭 비율 (기본값)
-            },
-            vertexShader: `
-                varying vec2 vUv;
-                void main() {
-                    vUv = uv;
-                    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+        }
+        this.updateAudioButton();
+
+        // 선택된 오브젝트 삭제 버튼
+        const deleteBtn = document.getElementById('delete-object-btn');
+        if (deleteBtn) {
+            deleteBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                if (this.activeObject) {
+                    this.removeObject(this.activeObject);
                 }
-            `,
-            fragmentShader: `
-                uniform sampler2D videoTexture;
-                uniform vec3 keyColor;
-                uniform float similarity;
-                uniform float smoothness;
-                uniform float cropTop;
-                uniform float cropBottom;
-                varying vec2 vUv;
-
-                vec2 RGBtoUV(vec3 rgb) {
-                    return vec2(
-                        rgb.r * -0.169 + rgb.g * -0.331 + rgb.b * 0.5 + 0.5,
-                        rgb.r * 0.5 + rgb.g * -0.419 + rgb.b * -0.081 + 0.5
-                    );
+            });
+        }
+        this.updateDeleteButton();
+
+        // 크로마키 보정 버튼 (운영자용, URL에 ?calibrate 가 있을 때만 표시)
+        const calibrateBtn = document.getElementById('chroma-calibrate-btn');
+        if (calibrateBtn) {
+            if (new URLSearchParams(window.location.search).has('calibrate')) {
+                calibrateBtn.classList.add('visible');
+            }
+            calibrateBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                if (this.chromaCalibrator.active) {
+                    this.chromaCalibrator.cancel();
+                } else {
+                    this.startChromaCalibration();
                 }
+            });
+        }
 
-                void main() {
-                    // UV 좌표 조정 (상단/하단 크롭)
-                    vec2 croppedUV = vUv;
-                    float cropRange = 1.0 - cropTop - cropBottom;
-                    croppedUV.y = cropBottom + vUv.y * cropRange;
-                    
-                    vec4 texColor = texture2D(videoTexture, croppedUV);
+        // 카메라 내부 파라미터 보정 버튼 (운영자용, ?calibrate 일 때만 표시)
+        const cameraCalibrateBtn = document.getElementById('camera-calibrate-btn');
+        if (cameraCalibrateBtn) {
+            if (new URLSearchParams(window.location.search).has('calibrate')) {
+                cameraCalibrateBtn.classList.add('visible');
+            }
+            cameraCalibrateBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                if (this.cameraCalibrationWizard.active) {
+                    this.cameraCalibrationWizard.close();
+                } else {
+                    this.startCameraCalibration();
+                }
+            });
+        }
+        this.cameraCalibrationWizard.onApply = intrinsics => this.saveCameraCalibration(intrinsics);
 
-                    vec2 chromaVec = RGBtoUV(texColor.rgb) - RGBtoUV(keyColor);
-                    float chromaDist = sqrt(dot(chromaVec, chromaVec));
+        // 포즈 필터 패널 버튼 (디버깅용, URL에 ?posefilter 가 있을 때만 표시)
+        const poseFilterBtn = document.getElementById('pose-filter-btn');
+        if (poseFilterBtn) {
+            if (new URLSearchParams(window.location.search).has('posefilter')) {
+                poseFilterBtn.classList.add('visible');
+            }
+            poseFilterBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                if (this.poseFilterPanel) this.poseFilterPanel.toggle();
+            });
+        }
 
-                    float alpha = smoothstep(similarity, similarity + smoothness, chromaDist);
+        // 카메라 궤적 표시/내보내기 버튼 (디버깅용, URL에 ?trajectory 가 있을 때만 표시)
+        const trajectoryBtn = document.getElementById('trajectory-btn');
+        const trajectoryExportBtn = document.getElementById('trajectory-export-btn');
+        if (trajectoryBtn && trajectoryExportBtn) {
+            if (new URLSearchParams(window.location.search).has('trajectory')) {
+                trajectoryBtn.classList.add('visible');
+                trajectoryExportBtn.classList.add('visible');
+            }
+            trajectoryBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                if (this.trajectoryView) this.trajectoryView.cycleMode();
+            });
+            trajectoryExportBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const rect = trajectoryExportBtn.getBoundingClientRect();
+                this.contextMenu.open(rect.left, rect.bottom, [
+                    { label: 'TUM 내보내기', onSelect: () => this.exportTrajectory('tum') },
+                    { label: 'KITTI 내보내기', onSelect: () => this.exportTrajectory('kitti') }
+                ]);
+            });
+        }
 
-                    gl_FragColor = vec4(texColor.rgb, texColor.a * alpha);
+        // 세션 기록/재생 버튼 (디버깅용, URL에 ?session 이 있을 때만 표시)
+        const recordSessionBtn = document.getElementById('session-record-btn');
+        const replaySessionBtn = document.getElementById('session-replay-btn');
+        if (recordSessionBtn && replaySessionBtn) {
+            if (new URLSearchParams(window.location.search).has('session')) {
+                recordSessionBtn.classList.add('visible');
+                replaySessionBtn.classList.add('visible');
+            }
+            recordSessionBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                if (this.sessionRecorder) {
+                    this.stopSessionRecording();
+                } else {
+                    this.startSessionRecording();
                 }
-            `,
-            transparent: true,
-            side: THREE.DoubleSide,
-        });
+            });
+            replaySessionBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.pickReplayFile();
+            });
+        }
+
+        // 크로마키 보정 종료 시 보정값을 세션에도 반영
+        this.chromaCalibrator.onClose = () => this.saveSession();
 
-        // 평면 지오메트리 (기본 1:1 비율, 영상 로드 후 조정)
-        const geometry = new THREE.PlaneGeometry(2.0, 2.0);
-        this.hudCube = new THREE.Mesh(geometry, material);
-        
-        // 2번 영상(singgang2.mp4)은 상단/하단 검은 줄 크롭
-        if (this.currentVideoSrc.includes('singgang2')) {
-            material.uniforms.cropTop.value = 0.03;    // 상단 3% 크롭
-            material.uniforms.cropBottom.value = 0.03; // 하단 3% 크롭
-            console.log('[AR] 검은 줄 크롭 적용 (상단/하단 3%)');
-        }
-
-        // 카메라의 자식으로 추가 → 화면에 고정
-        this.hudCube.position.set(0, 0, -1.5);
-        this.hudCubeBaseScale = 1.0;
-        this.hudCube.scale.set(1, 1, 1);
-
-        this.camera.add(this.hudCube);
-
-        // 영상 메타데이터 로드 후 비율 조정
-        this.hudVideo.addEventListener('loadedmetadata', () => {
-            let aspect = this.hudVideo.videoWidth / this.hudVideo.videoHeight;
-            
-            // 2번 영상(singgang2.mp4)은 1080x1920 세로 영상
-            // 크롭으로 인해 가로가 눌려 보이므로 보정
-            if (this.currentVideoSrc.includes('singgang2')) {
-                // 크롭된 비율 계산 (상하단 3%씩 제거 = 94% 높이)
-                const cropFactor = 1.0 - 0.03 - 0.03; // 0.94
-                // 실제 표시 비율 조정 (약간 넓게)
-                aspect = aspect * 1.15; // 15% 넓게 보정
-                console.log('[AR] 2번 영상 비율 보정:', aspect);
+        // 페이지가 숨겨지면 바로 저장 (iOS는 사진 촬영 후 탭을 종료할 수 있음)
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden' && this.isRunning && !this.sessionPlayer) {
+                this.sessionStore.saveNow();
             }
-            
-            const height = 2.0;
-            const width = height * aspect;
-            this.hudCube.geometry.dispose();
-            this.hudCube.geometry = new THREE.PlaneGeometry(width, height);
-            console.log('[AR] 영상 크기:', this.hudVideo.videoWidth, 'x', this.hudVideo.videoHeight, '| 비율:', aspect.toFixed(2));
         });
+        window.addEventListener('pagehide', () => {
+            if (this.isRunning && !this.sessionPlayer) this.sessionStore.saveNow();
+        });
+
+        // 리사이즈
+        window.addEventListener('resize', () => this.onResize());
 
-        console.log('[AR] HUD 영상 배치됨 (크로마키 제거)');
+        console.log('[Event] 제스처 이벤트 설정 완료 (드래그/핀치/회전/메뉴/튕기기/휠)');
+    }
+
+    /**
+     * 제스처 핸들러 감싸기: 기록 중이면 호출을 기록하고, 세션 재생 중에는 실제 입력을 무시한다
+     * (재생은 this.gestureHandlers를 직접 호출)
+     */
+    wrapGestureHandlers(handlers) {
+        const wrapped = {};
+        Object.entries(handlers).forEach(([name, handler]) => {
+            wrapped[name] = (...args) => {
+                if (this.sessionPlayer) return false;
+                if (this.sessionRecorder) this.sessionRecorder.recordGesture(name, args);
+                return handler(...args);
+            };
+        });
+        return wrapped;
     }
 
     /**
-     * HUD 오브젝트 정리
+     * 포인터 누름 처리: 오브젝트 선택
+     * false를 반환하면 이번 입력은 제스처로 해석하지 않는다
      */
-    cleanupHud() {
-        if (this.hudCube) {
-            this.camera.remove(this.hudCube);
-            this.hudCube.geometry.dispose();
-            this.hudCube.material.dispose();
-            this.hudCube = null;
+    onGesturePointerDown(x, y, pointerType) {
+        this.resumeAudio();
+
+        // 메뉴가 열려 있으면 바깥 터치는 메뉴 닫기만
+        if (this.contextMenu.isOpen) {
+            this.contextMenu.close();
+            return false;
         }
-        if (this.hudVideoTexture) {
-            this.hudVideoTexture.dispose();
-            this.hudVideoTexture = null;
+
+        // 크로마키 보정 중: 탭 = 키 색상 샘플링
+        if (this.chromaCalibrator.active) {
+            this.sampleChromaKeyAt(x, y);
+            return false;
         }
-        if (this.hudVideo) {
-            this.hudVideo.pause();
-            this.hudVideo.src = '';
-            this.hudVideo = null;
+
+        // 데스크탑: 아무것도 없으면 클릭으로 바로 배치
+        if (pointerType === 'mouse' && this.arObjects.length === 0) {
+            this.placeCube();
+            return false;
         }
+
+        // 탭한 오브젝트 선택 (빈 곳이면 선택 유지)
+        const picked = this.pickObjectAt(x, y);
+        this.gesture.startedOnObject = !!picked;
+        if (picked) this.selectObject(picked);
+        return true;
     }
 
     /**
-     * 카메라 전환
+     * 드래그 시작 시 기준 좌표 저장 (선택된 오브젝트 기준)
      */
-    async switchCamera() {
-        // window.switchCamera 사용 (index.html에서 정의)
-        if (window.switchCamera && typeof window.switchCamera === 'function') {
-            await window.switchCamera();
-
-            // 비디오 엘리먼트 업데이트
-            if (window.cameraStream && this.video) {
-                this.video.srcObject = window.cameraStream;
-            }
+    beginObjectDrag(x, y) {
+        this.gesture.dragStartX = x;
+        this.gesture.dragStartY = y;
+        if (this.activeObject) {
+            const { position } = this.activeObject.mesh;
+            this.gesture.objStartX = position.x;
+            this.gesture.objStartY = position.y;
+            this.gesture.objStartZ = position.z;
         }
     }
 
     /**
-     * 리사이즈 핸들러
+     * 두 손가락 제스처 시작 시 기준 스케일/회전 저장
      */
-    onResize() {
-        const width = window.innerWidth;
-        const height = window.innerHeight;
-
-        this.camera.aspect = width / height;
-        this.camera.updateProjectionMatrix();
-        this.renderer.setSize(width, height);
+    beginObjectTransform() {
+        if (!this.activeObject) return;
+        this.gesture.pinchStartScale = this.activeObject.baseScale;
+        this.gesture.rotateStartAngle = this.activeObject.rotation;
     }
 
     /**
-     * 상태 표시 업데이트
+     * 핀치 배율 / 비틀기 각도를 선택된 오브젝트에 적용
+     * - HUD: 시선 축 기준 회전
+     * - 공간 고정: Y축 기준 회전
      */
-    updateStatus(text) {
-        const el = document.getElementById('status');
-        if (el) el.textContent = text;
+    transformActiveObject(scaleRatio, rotation) {
+        const obj = this.activeObject;
+        if (!obj) return;
+
+        const newScale = Math.max(0.3, Math.min(20.0, this.gesture.pinchStartScale * scaleRatio));
+        obj.setScale(newScale);
+        obj.setRotation(this.gesture.rotateStartAngle + rotation);
     }
 
     /**
-     * 메인 렌더 루프 (Layer 3: Compositing)
+     * 드래그 이동량(px)만큼 선택된 오브젝트 이동
+     * - HUD 모드: 카메라 로컬 X/Y 평면에서 이동
+     * - 공간 모드: 바닥과 평행하게 이동 (좌우 = 카메라 오른쪽, 위아래 = 앞뒤)
      */
-    animate() {
-        if (!this.isRunning) return;
-        requestAnimationFrame(() => this.animate());
+    dragActiveObject(dx, dy) {
+        const obj = this.activeObject;
+        if (!obj) return;
 
-        // === SLAM 처리 (Wasm Visual Odometry) ===
-        if (this.trackingMode === 'slam' || this.trackingMode === 'hybrid') {
-            this.processSLAM();
+        if (obj.placementMode === 'hud') {
+            const scale = this.screenPixelToLocal();
+            obj.mesh.position.x = this.gesture.objStartX + dx * scale;
+            obj.mesh.position.y = this.gesture.objStartY - dy * scale; // Y축 반전
+            return;
         }
 
-        // === 카메라 업데이트 ===
-        if (this.trackingMode === 'sensor' || this.trackingMode === 'hybrid') {
+        const camPos = new THREE.Vector3();
+        const camQuat = new THREE.Quaternion();
+        this.camera.getWorldPosition(camPos);
+        this.camera.getWorldQuaternion(camQuat);
+
+        // 카메라 축을 바닥 평면에 투영
+        const right = new THREE.Vector3(1, 0, 0).applyQuaternion(camQuat).setY(0).normalize();
+        const forward = new THREE.Vector3(0, 0, -1).applyQuaternion(camQuat).setY(0).normalize();
+
+        const start = new THREE.Vector3(
+            this.gesture.objStartX,
+            this.gesture.objStartY,
+            this.gesture.objStartZ
+        );
+        const scale = this.screenPixelToLocal(camPos.distanceTo(start));
+
+        obj.mesh.position.copy(start)
+            .addScaledVector(right, dx * scale)
+            .addScaledVector(forward, -dy * scale); // 위로 드래그 = 멀어짐
+    }
+
+    /**
+     * 화면 1px을 카메라 로컬 좌표 단위로 변환
+     * @param {number} distance 카메라로부터의 거리 (기본: HUD 거리 1.5m)
+     */
+    screenPixelToLocal(distance = 1.5) {
+        const fovRad = THREE.MathUtils.degToRad(this.camera.fov);
+        const screenHeight = window.innerHeight;
+        // 카메라 시야각 기반 변환: 1px = 얼마의 3D 단위인지
+        return (2 * distance * Math.tan(fovRad / 2)) / screenHeight;
+    }
+
+    /**
+     * 화면 좌표 아래에 있는 AR 오브젝트 찾기 (가장 가까운 것)
+     * @returns {ARVideoObject|null}
+     */
+    pickObjectAt(clientX, clientY) {
+        if (this.arObjects.length === 0) return null;
+
+        const ndc = new THREE.Vector2(
+            (clientX / window.innerWidth) * 2 - 1,
+            -(clientY / window.innerHeight) * 2 + 1
+        );
+        this.raycaster.setFromCamera(ndc, this.camera);
+
+        const meshes = this.arObjects.map(obj => obj.mesh);
+        const hits = this.raycaster.intersectObjects(meshes, false);
+        if (hits.length === 0) return null;
+
+        // 거리가 같으면 (HUD 오브젝트끼리) 위에 그려진 것 우선
+        hits.sort((a, b) => (Math.abs(a.distance - b.distance) < 1e-3) ?
+            b.object.renderOrder - a.object.renderOrder :
+            a.distance - b.distance);
+
+        return hits[0].object.userData.arObject;
+    }
+
+    /**
+     * 오브젝트 선택 (드래그/핀치/삭제 대상)
+     * @param {ARVideoObject|null} obj
+     * @param {boolean} highlight 선택 테두리 표시 여부 (재생 목록 자동 전환 시 끔)
+     */
+    selectObject(obj, highlight = true) {
+        if (this.activeObject === obj) return;
+
+        this.activeObject = obj;
+
+        if (obj) {
+            if (highlight) obj.flashHighlight();
+            this.currentEntry = obj.entry;
+            this.currentVideoSrc = obj.entry.src;
+            this.placementMode = obj.placementMode;
+        }
+
+        this.updateVideoSelector();
+        this.updatePlacementToggle();
+        this.updateDeleteButton();
+        this.saveSession();
+    }
+
+    /**
+     * 거리순 그리기 순서 지정 (먼 것부터)
+     * 투명 평면은 깊이를 기록하지 않으므로 이 순서가 곧 겹침 순서가 된다.
+     * 거리가 같은 HUD 오브젝트는 선택된 것이 위에 그려진다.
+     */
+    updateRenderOrder() {
+        if (this.arObjects.length === 0) return;
+
+        const camPos = new THREE.Vector3();
+        this.camera.getWorldPosition(camPos);
+
+        const worldPos = new THREE.Vector3();
+        const sorted = this.arObjects.map(obj => ({
+            obj,
+            distance: obj.mesh.getWorldPosition(worldPos).distanceTo(camPos)
+        }));
+
+        sorted.sort((a, b) => {
+            if (Math.abs(a.distance - b.distance) < 1e-3) {
+                return (a.obj === this.activeObject) - (b.obj === this.activeObject);
+            }
+            return b.distance - a.distance;
+        });
+
+        sorted.forEach(({ obj }, i) => {
+            obj.mesh.renderOrder = i;
+        });
+    }
+
+    /**
+     * 영상 배치 (드래그/핀치 가능)
+     * 크로마키(초록색) 배경 제거 셰이더 적용
+     * 영상별 설정은 콘텐츠 매니페스트에서 읽는다
+     * 기존 오브젝트는 유지되며 최대 MAX_AR_OBJECTS 개까지 동시에 배치된다
+     * @param {string} videoSrc - 재생할 영상의 매니페스트 ID 또는 파일명 (옵션)
+     * @returns {ARVideoObject|null}
+     */
+    placeCube(videoSrc = null) {
+        if (!this.isReady) {
+            console.log('[AR] 아직 준비 안됨');
+            return null;
+        }
+
+        const entry = this.contentManifest.getEntry(videoSrc || this.currentVideoSrc);
+
+        // 개수 제한: 가장 오래된 오브젝트 제거
+        if (this.arObjects.length >= MAX_AR_OBJECTS) {
+            console.log('[AR] 최대 개수 초과 - 가장 오래된 오브젝트 제거');
+            this.removeObject(this.arObjects[0]);
+        }
+
+        console.log('[AR] ===== 영상 배치 (크로마키) =====');
+        console.log('[AR] 영상 소스:', entry.src, `(${entry.id})`);
+
+        const obj = this.createVideoObject(entry);
+        obj.placementMode = this.placementMode;
+        this.attachObject(obj);
+
+        this.arObjects.push(obj);
+        this.selectObject(obj);
+
+        this.saveSession();
+        this.emit('objectPlaced', { object: obj, entry, restored: false });
+        console.log('[AR] 영상 배치됨:', `#${obj.id}`, `(총 ${this.arObjects.length}개)`);
+        return obj;
+    }
+
+    /**
+     * 매니페스트 항목으로 영상 오브젝트 생성
+     * (현장에서 보정해 저장한 크로마키 값이 있으면 매니페스트 값보다 우선)
+     * @param {Object} entry 매니페스트 항목
+     * @param {boolean} showIntro 영상별 안내 문구 표시 여부 (세션 복원 시 끔)
+     */
+    createVideoObject(entry, showIntro = true) {
+        const chromaKey = {
+            ...entry.chromaKey,
+            ...this.chromaCalibrator.load(entry.id)
+        };
+        const obj = new ARVideoObject(entry, chromaKey);
+        obj.attachAudio(this.audioListener);
+        obj.setGlobalMuted(this.audioMuted);
+
+        // 영상별 안내창 표시
+        if (showIntro && entry.introMessage) {
+            this.showNotification(entry.introMessage, 3000);
+        }
+
+        return obj;
+    }
+
+    /**
+     * 선택된 오브젝트의 영상 교체 (위치/크기 유지)
+     * 선택된 오브젝트가 없으면 새로 배치
+     * 재생 목록이 재생 중인 오브젝트를 직접 바꾸면 재생 목록은 중지된다
+     * @param {string} videoSrc - 매니페스트 ID 또는 파일명
+     * @param {Object} options - { transition: 'crossfade'|'fade'|'cut', duration(ms) }
+     */
+    changeVideo(videoSrc, options = {}) {
+        const entry = this.contentManifest.getEntry(videoSrc);
+        const prev = this.activeObject;
+
+        if (!prev) {
+            this.placeCube(entry.id);
+            return;
+        }
+
+        // 이미 같은 영상이면 무시
+        if (prev.entry.src === entry.src) {
+            console.log('[AR] 이미 재생 중인 영상');
+            return;
+        }
+
+        if (prev === this.playlistObject) {
+            this.stopPlaylist();
+        }
+
+        this.replaceObjectVideo(prev, entry, options);
+    }
+
+    /**
+     * 오브젝트를 다른 영상의 새 오브젝트로 교체 (위치/크기/회전/배치 모드 유지)
+     * - cut: 즉시 교체
+     * - crossfade: 새 영상이 준비되면 이전 영상과 겹쳐서 전환
+     * - fade: 이전 영상이 투명해진 뒤 새 영상이 나타남
+     *
+     * @param {ARVideoObject} prev 교체할 오브젝트
+     * @param {Object} entry 새 영상의 매니페스트 항목
+     * @param {Object} options { transition, duration(ms), highlight }
+     * @returns {ARVideoObject} 새 오브젝트
+     */
+    replaceObjectVideo(prev, entry, { transition = 'cut', duration = 0, highlight = true } = {}) {
+        const obj = this.createVideoObject(entry);
+        obj.placementMode = prev.placementMode;
+        obj.setScale(prev.baseScale);
+        obj.setRotation(prev.rotation);
+        obj.mesh.position.copy(prev.mesh.position);
+        obj.mesh.rotation.copy(prev.mesh.rotation);
+        prev.mesh.parent.add(obj.mesh);
+
+        const wasActive = this.activeObject === prev;
+        this.arObjects[this.arObjects.indexOf(prev)] = obj;
+        if (wasActive) this.activeObject = null;
+
+        if (transition === 'cut' || duration <= 0) {
+            this.disposeObject(prev);
+        } else {
+            // 이전 오브젝트는 페이드아웃이 끝날 때까지 계속 재생
+            this.retiringObjects.push(prev);
+            obj.setOpacity(0);
+            obj.whenReady(() => {
+                if (!obj.mesh || !prev.mesh) return;
+                if (transition === 'crossfade') {
+                    prev.fadeTo(0, duration);
+                    obj.fadeTo(1, duration);
+                } else {
+                    prev.fadeTo(0, duration / 2);
+                    obj.fadeTo(1, duration / 2, duration / 2);
+                }
+            });
+        }
+
+        if (wasActive) this.selectObject(obj, highlight);
+
+        this.saveSession();
+        this.emit('videoChanged', { object: obj, previous: prev, entry, transition });
+        console.log('[AR] 영상 교체:', `#${prev.id} → #${obj.id}`, `(${transition})`);
+        return obj;
+    }
+
+    /**
+     * 키오스크 자동 재생 여부 (매니페스트 autoStart 또는 URL ?playlist)
+     */
+    shouldAutoStartPlaylist() {
+        if (this.playlist.isEmpty) return false;
+        return this.playlist.autoStart || new URLSearchParams(window.location.search).has('playlist');
+    }
+
+    /**
+     * 재생 목록 시작 (선택된 오브젝트에서 재생, 없으면 새로 배치)
+     */
+    startPlaylist() {
+        const item = this.playlist.start();
+        if (!item) {
+            console.log('[Playlist] 재생 목록 없음');
+            return;
+        }
+
+        console.log('[Playlist] 재생 시작');
+        this.playPlaylistItem(item);
+    }
+
+    /**
+     * 재생 목록 중지 (현재 클립은 매니페스트의 반복 설정으로 계속 재생)
+     */
+    stopPlaylist() {
+        if (!this.playlist.active) return;
+
+        this.playlist.stop();
+
+        const obj = this.playlistObject;
+        this.playlistObject = null;
+        if (obj && obj.video) {
+            obj.video.loop = obj.entry.loop;
+            if (obj.video.ended && obj.video.loop) {
+                obj.video.play().catch(() => {});
+            }
+        }
+
+        this.updateVideoSelector();
+        console.log('[Playlist] 재생 중지');
+    }
+
+    /**
+     * 재생 목록 켜기/끄기
+     */
+    togglePlaylist() {
+        if (this.playlist.active) {
+            this.stopPlaylist();
+        } else {
+            this.startPlaylist();
+        }
+    }
+
+    /**
+     * 재생 목록 항목 재생 (이전 클립 오브젝트의 배치를 이어받음)
+     */
+    playPlaylistItem(item) {
+        const entry = this.contentManifest.getEntry(item.video);
+        const prev = this.arObjects.includes(this.playlistObject) ? this.playlistObject : this.activeObject;
+
+        let obj;
+        if (!prev) {
+            obj = this.placeCube(entry.id);
+        } else if (prev.entry.src === entry.src) {
+            // 같은 영상이 이어지면 처음부터 다시 재생
+            obj = prev;
+            obj.video.currentTime = 0;
+            obj.video.play().catch(() => {});
+        } else {
+            obj = this.replaceObjectVideo(prev, entry, { ...item, highlight: false });
+        }
+
+        if (!obj) {
+            this.stopPlaylist();
+            return;
+        }
+
+        obj.video.loop = item.loop;
+        obj.video.addEventListener('ended', () => this.onPlaylistClipEnded(obj), { once: true });
+        this.playlistObject = obj;
+        this.updateVideoSelector();
+
+        console.log('[Playlist] 재생:', entry.id, `(${this.playlist.index + 1}/${this.playlist.items.length})`);
+    }
+
+    /**
+     * 클립 재생 종료 → 다음 클립으로 전환
+     */
+    onPlaylistClipEnded(obj) {
+        if (!this.playlist.active || obj !== this.playlistObject) return;
+
+        const next = this.playlist.next();
+        if (!next) {
+            this.stopPlaylist();
+            return;
+        }
+        this.playPlaylistItem(next);
+    }
+
+    /**
+     * 오브젝트의 배치 모드에 맞게 부착
+     * - hud: 카메라의 자식 → 화면에 고정
+     * - world: 씬에 추가 → 현실 공간에 고정, Y축 빌보드
+     */
+    attachObject(obj) {
+        const mesh = obj.mesh;
+
+        mesh.removeFromParent();
+        mesh.rotation.set(0, 0, 0);
+
+        if (obj.placementMode === 'hud') {
+            mesh.position.set(0, 0, -1.5);
+            obj.setRotation(obj.rotation);
+            this.camera.add(mesh);
+            return;
+        }
+
+        // 카메라 앞 1.5m에 배치
+        this.objectPlacer.placeInFrontOfCamera(mesh, 1.5);
+
+        // 바닥(y=0) 위에 세움 (센서 모드도 카메라가 바닥 위 눈높이에 있다)
+        const { x, z } = mesh.position;
+        this.objectPlacer.placeOnFloor(mesh, x, z);
+
+        this.objectPlacer.billboardY(mesh, -obj.rotation);
+    }
+
+    /**
+     * 배치 모드 변경 (선택된 오브젝트 + 이후 배치할 오브젝트)
+     * @param {'hud'|'world'} mode
+     */
+    setPlacementMode(mode) {
+        if (mode !== 'hud' && mode !== 'world') {
+            console.warn('[AR] 알 수 없는 배치 모드:', mode);
+            return;
+        }
+
+        this.placementMode = mode;
+
+        const obj = this.activeObject;
+        if (obj && obj.placementMode !== mode) {
+            obj.placementMode = mode;
+            this.attachObject(obj);
+        }
+
+        this.updatePlacementToggle();
+
+        this.saveSession();
+        console.log('[AR] 배치 모드:', mode === 'hud' ? '화면 고정' : '공간 고정');
+    }
+
+    /**
+     * 배치 모드 버튼 표시 갱신
+     */
+    updatePlacementToggle() {
+        const btn = document.getElementById('placement-toggle');
+        if (!btn) return;
+        btn.textContent = this.placementMode === 'hud' ? '화면' : '공간';
+        btn.classList.toggle('world', this.placementMode === 'world');
+    }
+
+    /**
+     * 영상 선택 버튼의 활성 표시를 선택된 오브젝트에 맞춤
+     */
+    updateVideoSelector() {
+        const entry = this.activeObject ? this.activeObject.entry : null;
+        document.querySelectorAll('.video-btn').forEach((btn) => {
+            if (btn.dataset.playlist !== undefined) {
+                btn.classList.toggle('active', this.playlist.active);
+                return;
+            }
+            const matches = entry && (btn.dataset.video === entry.id || btn.dataset.video === entry.src);
+            btn.classList.toggle('active', !!matches);
+        });
+    }
+
+    /**
+     * 삭제 버튼 표시 갱신 (선택된 오브젝트가 있을 때만)
+     */
+    updateDeleteButton() {
+        const btn = document.getElementById('delete-object-btn');
+        if (!btn) return;
+        btn.classList.toggle('visible', !!this.activeObject);
+    }
+
+    /**
+     * 크로마키 보정 모드 시작 (선택된 오브젝트 대상)
+     */
+    startChromaCalibration() {
+        const obj = this.activeObject;
+        if (!obj) {
+            console.log('[AR] 보정할 영상 없음');
+            return;
+        }
+        if (obj.alphaMode !== 'chroma') {
+            this.showNotification('알파 영상은 키 보정이 필요 없습니다', 2000);
+            return;
+        }
+
+        this.chromaCalibrator.start({
+            entryId: obj.entry.id,
+            material: obj.mesh.material,
+            video: obj.video,
+            crop: obj.entry.crop,
+            defaults: obj.entry.chromaKey
+        });
+    }
+
+    /**
+     * 카메라 내부 파라미터 보정 시작 (체커보드)
+     */
+    startCameraCalibration() {
+        if (!this.video || this.video.videoWidth === 0) {
+            this.showNotification('카메라가 준비되지 않았습니다', 2000);
+            return;
+        }
+        if (this.sessionPlayer) {
+            this.showNotification('세션 재생 중에는 보정할 수 없습니다', 2000);
+            return;
+        }
+        this.cameraCalibrationWizard.start(this.video, { cameraLabel: this.getCameraLabel() });
+    }
+
+    /**
+     * 현재 카메라 트랙 이름 (보정값이 어느 카메라 것인지 구분)
+     */
+    getCameraLabel() {
+        const stream = this.video && this.video.srcObject;
+        const track = stream && stream.getVideoTracks ? stream.getVideoTracks()[0] : null;
+        return track ? track.label : '';
+    }
+
+    /**
+     * 카메라 프로필/보정값 조회 키 (기기 + 카메라)
+     */
+    getCameraKey() {
+        return getCameraKey({ model: this.deviceModel ?? undefined, label: this.getCameraLabel() });
+    }
+
+    /**
+     * 현재 카메라와 영상 해상도에 맞는 내부 파라미터 적용
+     * 다른 카메라(전면 카메라 등)의 보정값은 키가 달라 쓰이지 않는다
+     */
+    updateCameraIntrinsics() {
+        if (!this.video || this.video.videoWidth === 0) return;
+
+        const key = this.getCameraKey();
+        const { intrinsics, source, profileId } =
+            resolveCameraIntrinsics(key, this.video.videoWidth, this.video.videoHeight);
+
+        const current = this.cameraIntrinsics;
+        if (source === this.intrinsicsSource && intrinsics && current &&
+            intrinsics.width === current.width && intrinsics.height === current.height &&
+            intrinsics.fx === current.fx) {
+            return;
+        }
+
+        this.intrinsicsSource = source;
+        this.setCameraIntrinsics(intrinsics);
+        console.log('[AR] 카메라 내부 파라미터:', source, profileId || '', key.id,
+            intrinsics ? `fx ${intrinsics.fx.toFixed(1)}` : '');
+    }
+
+    /**
+     * 내부 파라미터 적용 (추적기 + Three.js 투영)
+     * @param {Object|null} intrinsics CameraIntrinsics 형식 (null이면 시야각 추정)
+     */
+    setCameraIntrinsics(intrinsics) {
+        if (!intrinsics && !this.cameraIntrinsics) return;
+
+        this.cameraIntrinsics = intrinsics;
+        if (this.visualTracker) {
+            this.visualTracker.setIntrinsics(intrinsics);
+        }
+        if (intrinsics) {
+            const { fx, fy, cx, cy, width, height } = intrinsics;
+            this.cameraPoseManager.syncCameraIntrinsics(fx, fy, cx, cy, width, height);
+        } else {
+            this.cameraPoseManager.clearCameraIntrinsics();
+        }
+    }
+
+    /**
+     * 보정 마법사 결과를 현재 카메라의 보정값으로 저장 후 적용
+     */
+    saveCameraCalibration(intrinsics) {
+        saveCalibration(this.getCameraKey().id, intrinsics);
+        this.updateCameraIntrinsics();
+        this.showNotification(`카메라 보정 적용 (오차 ${intrinsics.rms.toFixed(2)}px)`, 2000);
+    }
+
+    /**
+     * 현재 카메라의 보정값 삭제 (기기 프로필 또는 시야각 추정으로)
+     */
+    clearCameraCalibration() {
+        saveCalibration(this.getCameraKey().id, null);
+        this.updateCameraIntrinsics();
+    }
+
+    /**
+     * 화면 좌표가 선택된 영상 평면에 닿으면 그 위치의 색상을 키 색상으로 샘플링
+     */
+    sampleChromaKeyAt(clientX, clientY) {
+        if (!this.activeObject) return;
+
+        const ndc = new THREE.Vector2(
+            (clientX / window.innerWidth) * 2 - 1,
+            -(clientY / window.innerHeight) * 2 + 1
+        );
+        this.raycaster.setFromCamera(ndc, this.camera);
+
+        const hit = this.raycaster.intersectObject(this.activeObject.mesh, false)[0];
+        if (hit && hit.uv) {
+            this.chromaCalibrator.sampleAt(hit.uv);
+        }
+    }
+
+    /**
+     * 오브젝트 삭제
+     * @param {ARVideoObject} obj
+     */
+    removeObject(obj) {
+        const index = this.arObjects.indexOf(obj);
+        if (index === -1) return;
+
+        if (obj === this.playlistObject) {
+            this.stopPlaylist();
+        }
+
+        this.arObjects.splice(index, 1);
+        this.disposeObject(obj);
+
+        if (this.activeObject === obj) {
+            this.activeObject = null;
+            // 남은 오브젝트 중 마지막 것을 선택
+            this.selectObject(this.arObjects[this.arObjects.length - 1] || null);
+        }
+
+        this.saveSession();
+        console.log('[AR] 오브젝트 삭제:', `#${obj.id}`, `(남은 ${this.arObjects.length}개)`);
+    }
+
+    /**
+     * 튕겨서 치우기: 날아가며 사라지는 애니메이션 후 삭제
+     * @param {ARVideoObject} obj
+     * @param {number} vx 화면 속도 (px/ms)
+     * @param {number} vy 화면 속도 (px/ms)
+     */
+    dismissObject(obj, vx, vy) {
+        const index = this.arObjects.indexOf(obj);
+        if (index === -1) return;
+
+        if (obj === this.playlistObject) {
+            this.stopPlaylist();
+        }
+
+        // 선택/피킹 대상에서 바로 빠지도록 목록에서 먼저 제거
+        this.arObjects.splice(index, 1);
+        this.retiringObjects.push(obj);
+        obj.startDismiss(this.screenVelocityToLocal(obj, vx, vy));
+
+        if (this.activeObject === obj) {
+            this.activeObject = null;
+            this.selectObject(this.arObjects[this.arObjects.length - 1] || null);
+        }
+
+        this.saveSession();
+        console.log('[AR] 오브젝트 치우기:', `#${obj.id}`, `(남은 ${this.arObjects.length}개)`);
+    }
+
+    /**
+     * 화면 속도(px/ms)를 오브젝트 부모 좌표계 속도(단위/초)로 변환
+     * - HUD: 부모가 카메라이므로 카메라 로컬 X/Y
+     * - 공간 고정: 카메라의 오른쪽/위 방향 (월드 좌표)
+     */
+    screenVelocityToLocal(obj, vx, vy) {
+        const camPos = new THREE.Vector3();
+        this.camera.getWorldPosition(camPos);
+
+        const distance = obj.mesh.getWorldPosition(new THREE.Vector3()).distanceTo(camPos);
+        const k = this.screenPixelToLocal(distance) * 1000;
+
+        if (obj.placementMode === 'hud') {
+            return new THREE.Vector3(vx * k, -vy * k, 0);
+        }
+
+        const camQuat = new THREE.Quaternion();
+        this.camera.getWorldQuaternion(camQuat);
+        const right = new THREE.Vector3(1, 0, 0).applyQuaternion(camQuat);
+        const up = new THREE.Vector3(0, 1, 0).applyQuaternion(camQuat);
+
+        return right.multiplyScalar(vx * k).addScaledVector(up, -vy * k);
+    }
+
+    /**
+     * 오브젝트 초기화: 크기/회전을 되돌리고 카메라 앞에 다시 배치
+     */
+    resetObject(obj) {
+        obj.setScale(1.0);
+        obj.rotation = 0;
+        this.attachObject(obj);
+        obj.flashHighlight();
+        this.saveSession();
+        console.log('[AR] 오브젝트 초기화:', `#${obj.id}`);
+    }
+
+    /**
+     * 길게 누른 위치의 오브젝트 메뉴 열기 (초기화 / 음소거 / 영상 바꾸기 / 삭제)
+     * 빈 곳을 길게 누르면 배치 전체 초기화 메뉴
+     */
+    openObjectMenu(x, y) {
+        if (this.chromaCalibrator.active) return;
+
+        const obj = this.pickObjectAt(x, y);
+        if (!obj) {
+            this.contextMenu.open(x, y, [
+                { label: '배치 전체 초기화', danger: true, onSelect: () => this.resetLayout() }
+            ]);
+            return;
+        }
+        this.selectObject(obj);
+
+        const items = [
+            { label: '초기화', onSelect: () => this.resetObject(obj) }
+        ];
+
+        if (obj.entry.audio.enabled) {
+            items.push({
+                label: obj.muted ? '소리 켜기' : '음소거',
+                onSelect: () => {
+                    this.resumeAudio();
+                    obj.setMuted(!obj.muted);
+                    this.saveSession();
+                }
+            });
+        }
+
+        // 영상 바꾸기: 매니페스트의 다른 영상 목록
+        const others = this.contentManifest.getEntries().filter(entry => entry.src !== obj.entry.src);
+        if (others.length > 0) {
+            items.push({
+                label: '영상 바꾸기',
+                items: others.map(entry => ({
+                    label: entry.label,
+                    onSelect: () => {
+                        this.selectObject(obj);
+                        this.changeVideo(entry.id);
+                    }
+                }))
+            });
+        }
+
+        items.push({ label: '삭제', danger: true, onSelect: () => this.removeObject(obj) });
+
+        this.contextMenu.open(x, y, items);
+    }
+
+    /**
+     * 모든 오브젝트 삭제
+     */
+    clearObjects() {
+        this.stopPlaylist();
+        this.contextMenu.close();
+        this.arObjects.forEach(obj => this.disposeObject(obj));
+        this.arObjects = [];
+        this.retiringObjects.forEach(obj => this.disposeObject(obj));
+        this.retiringObjects = [];
+        this.selectObject(null);
+    }
+
+    /**
+     * 오브젝트 자원 정리
+     */
+    disposeObject(obj) {
+        // 보정 중인 머티리얼이 사라지면 보정 취소
+        if (this.chromaCalibrator.active && this.chromaCalibrator.material === obj.mesh.material) {
+            this.chromaCalibrator.cancel();
+        }
+        obj.dispose();
+    }
+
+    /**
+     * 카메라 전환
+     */
+    async switchCamera() {
+        // window.switchCamera 사용 (index.html에서 정의)
+        if (window.switchCamera && typeof window.switchCamera === 'function') {
+            await window.switchCamera();
+
+            // 비디오 엘리먼트 업데이트
+            if (window.cameraStream && this.video) {
+                this.video.srcObject = window.cameraStream;
+            }
+
+            // 카메라가 바뀌었으므로 내부 파라미터도 다시 고른다
+            if (this.cameraCalibrationWizard.active) {
+                this.cameraCalibrationWizard.close();
+            }
+            this.updateCameraIntrinsics();
+        }
+    }
+
+    /**
+     * 리사이즈 핸들러
+     */
+    onResize() {
+        const width = window.innerWidth;
+        const height = window.innerHeight;
+
+        // 보정값이 있으면 주점 오프셋까지 화면 크기에 맞춰 다시 계산
+        this.cameraPoseManager.updateProjection(width, height);
+        this.renderer.setSize(width, height);
+    }
+
+    /**
+     * 상태 표시 업데이트 (빈 문자열이면 숨김)
+     */
+    updateStatus(text) {
+        const el = document.getElementById('status');
+        if (!el) return;
+        el.textContent = text;
+        el.classList.toggle('visible', !!text);
+    }
+
+    /**
+     * 메인 렌더 루프 (Layer 3: Compositing)
+     * @param {number} timestamp requestAnimationFrame 시각
+     */
+    animate(timestamp = performance.now()) {
+        if (!this.isRunning) return;
+        requestAnimationFrame(t => this.animate(t));
+
+        const now = performance.now();
+        const frame = {
+            time: now,
+            delta: this.lastFrameTime ? now - this.lastFrameTime : 0,
+            frame: this.frameCount++
+        };
+        this.lastFrameTime = now;
+
+        // === 세션 재생: 재생 시계까지 기록된 프레임/센서/제스처 전달 ===
+        if (this.sessionPlayer) {
+            this.sessionPlayer.update(frame.delta);
+        }
+
+        // === 카메라 프레임 캡처 → 구독자 (SLAM 등) ===
+        this.frameSource.update();
+
+        // === 카메라 업데이트 (추적 시각은 재생 중이면 재생 시계) ===
+        const trackingNow = this.now();
+        if (this.trackingMode === 'hybrid') {
+            this.updateCameraHybrid(trackingNow);
+        } else if (this.trackingMode === 'sensor') {
             this.updateCameraFromSensor();
         }
 
-        // === HUD 영상 텍스처 갱신 ===
-        if (this.hudVideoTexture) {
-            this.hudVideoTexture.needsUpdate = true;
+        // === 표시 시각 예측: 마지막 포즈를 이 프레임이 화면에 나올 시각까지 외삽 ===
+        // rAF 시각 (재생 중이면 재생 시계로 옮김) + 측정한 표시 지연
+        const predictor = this.cameraPoseManager.posePredictor;
+        predictor.recordFrame(timestamp);
+        const frameStart = this.sessionPlayer ? trackingNow - (now - timestamp) : timestamp;
+        const displayTime = frameStart + predictor.displayLatency;
+        this.cameraPoseManager.updateDisplayPose(displayTime);
+
+        this.updateTrackingState(trackingNow);
+
+        // === 영상 오브젝트 갱신 ===
+        this.arObjects.forEach((obj) => {
+            // 공간 고정 모드: 캐릭터가 카메라를 바라보도록
+            if (obj.placementMode === 'world') {
+                this.objectPlacer.billboardY(obj.mesh, -obj.rotation);
+            }
+            obj.update(now);
+        });
+        this.updateRenderOrder();
+
+        // 사라지는 중인 오브젝트: 페이드아웃이 끝나면 정리
+        if (this.retiringObjects.length > 0) {
+            this.retiringObjects = this.retiringObjects.filter((obj) => {
+                if (obj.placementMode === 'world') {
+                    this.objectPlacer.billboardY(obj.mesh, -obj.rotation);
+                }
+                obj.update(now);
+                if (!obj.isHidden) return true;
+                this.disposeObject(obj);
+                return false;
+            });
+        }
+
+        // === 처리 예산: 영상 추적 중일 때만 렌더 시간을 반영 (재생 중에는 고정) ===
+        if (this.isVisionTrackingActive() && !this.sessionPlayer) {
+            this.processingBudget.recordRenderFrame(frame.delta, now);
         }
 
+        // === 플러그인 / 프레임 이벤트 ===
+        this.plugins.update(frame);
+        this.emit('frame', frame);
+
         // === Layer 3: 렌더링 (합성) ===
+        this.trajectoryView.update(this.camera);
         this.renderer.render(this.scene, this.camera);
+        this.trajectoryView.renderInset(this.renderer);
     }
 
     /**
-     * SLAM 처리 (Wasm Visual Odometry)
+     * 추적 상태 머신 갱신 (변화는 onTrackingStateChange로)
      */
-    processSLAM() {
-        if (!this.visualOdometry || !this.video) return;
+    updateTrackingState(now) {
+        this.trackingState.update({
+            mode: this.trackingMode,
+            trackerReady: !!(this.visualTracker && this.visualTracker.ready),
+            result: this.trackingResult,
+            resultTime: this.trackingResultTime,
+            brightness: this.frameBrightness,
+            sensorAvailable: !!this.initialOrientation,
+            sensorTimedOut: (!this.sessionPlayer && window.sensorPermissionGranted === false) ||
+                (this.sensorWaitStart !== null && now - this.sensorWaitStart > SENSOR_TIMEOUT),
+            rotationRate: this.rotationRate
+        }, now);
+    }
 
-        // Canvas가 없으면 생성
-        if (!this.processCanvas) {
-            this.processCanvas = document.createElement('canvas');
-            this.processCtx = this.processCanvas.getContext('2d', { willReadFrequently: true });
+    /**
+     * 추적 상태 전환: 안내 문구 표시 + trackingStateChanged
+     */
+    onTrackingStateChange({ state, previous, reason }) {
+        this.updateStatus(getTrackingGuidance(state, reason));
+
+        // 월드 앵커는 추적 상태를 따른다 (타깃 앵커는 감지기가 알림)
+        if (this.anchors) {
+            if (state === TRACKING_STATES.LOST || state === TRACKING_STATES.RELOCALIZING) {
+                this.anchors.markTrackingLost();
+            } else if (this.trackingState.isTracking) {
+                this.anchors.markTrackingRestored();
+            }
         }
 
-        // 비디오 크기 확인
-        if (this.video.videoWidth === 0) return;
+        this.emit('trackingStateChanged', {
+            state,
+            previous,
+            reason,
+            mode: this.trackingMode,
+            tracking: this.trackingState.isTracking
+        });
+    }
+
+    /**
+     * 현재 추적 상태
+     * @returns {{state: string, reason: string|null}}
+     */
+    getTrackingState() {
+        return { state: this.trackingState.state, reason: this.trackingState.reason };
+    }
 
-        // Canvas 크기 조정 (처리 속도를 위해 축소 가능)
-        const scale = 0.5;  // 50% 크기로 처리
-        const w = Math.floor(this.video.videoWidth * scale);
-        const h = Math.floor(this.video.videoHeight * scale);
+    /**
+     * 영상 추적기가 준비되어 동작 중인지
+     */
+    isVisionTrackingActive() {
+        return !!(this.visualTracker && this.visualTracker.ready) &&
+            (this.trackingMode === 'slam' || this.trackingMode === 'hybrid');
+    }
 
-        if (this.processCanvas.width !== w || this.processCanvas.height !== h) {
-            this.processCanvas.width = w;
-            this.processCanvas.height = h;
+    /**
+     * 처리 예산 단계 적용 (처리 해상도 + 특징점 검출 설정)
+     */
+    applyProcessingLevel(level) {
+        if (this.frameSource) {
+            this.frameSource.setScale(level.scale);
         }
+        if (this.visualTracker) {
+            this.visualTracker.setDetectorParams(level.fastThreshold, level.maxFeatures);
+        }
+    }
+
+    /**
+     * 디버그 정보 (추적 상태, 포즈, 처리 예산)
+     */
+    getDebugInfo() {
+        const tracker = this.visualTracker;
+        return {
+            trackingMode: this.trackingMode,
+            tracking: this.getTrackingState(),
+            pose: this.cameraPoseManager ? this.cameraPoseManager.getDebugInfo() : null,
+            tracker: tracker ? {
+                kind: tracker.kind,
+                ready: tracker.ready,
+                droppedFrames: tracker.droppedFrames,
+                featureCount: this.trackingResult ? this.trackingResult.featureCount : 0
+            } : null,
+            budget: this.processingBudget.getDebugInfo(),
+            metricScale: this.scaleEstimator.getDebugInfo(),
+            anchors: this.anchors ? this.anchors.getDebugInfo() : null,
+            intrinsics: {
+                source: this.intrinsicsSource,
+                camera: this.video ? this.getCameraKey().id : null,
+                ...this.cameraIntrinsics
+            },
+            session: {
+                recording: this.sessionRecorder ? this.sessionRecorder.duration : null,
+                replay: this.sessionPlayer ? this.sessionPlayer.getDebugInfo() : null
+            }
+        };
+    }
 
-        // 비디오 프레임 추출
-        this.processCtx.drawImage(this.video, 0, 0, w, h);
-        const imageData = this.processCtx.getImageData(0, 0, w, h);
+    /**
+     * SLAM 처리 (Wasm Visual Odometry)
+     * FrameSource 구독자: 새 카메라 프레임마다 추적기에 넘긴다.
+     * 워커가 이전 프레임을 처리 중이면 이 프레임은 버려진다 (렌더링은 마지막 포즈로 계속).
+     *
+     * @param {Object} frame FrameSource 프레임
+     */
+    processSLAM(frame) {
+        if (!this.visualTracker) return;
+        if (this.trackingMode !== 'slam' && this.trackingMode !== 'hybrid') return;
 
-        // Wasm VO 처리
-        const result = this.visualOdometry.processFrame(w, h, imageData.data);
+        // 처리 예산 단계에 따라 프레임 건너뛰기 (재생 중에는 기록된 프레임을 모두 처리)
+        if (!this.sessionPlayer && !this.processingBudget.shouldProcess()) return;
 
-        if (result && result.tracking) {
-            // View Matrix를 Three.js 카메라에 적용
-            this.cameraPoseManager.applyViewMatrix(result.viewMatrix, true);
-
-            // 상태 업데이트
-            const info = this.cameraPoseManager.getDebugInfo();
-            this.updateStatus(
-                `추적중 | 특징점: ${result.featureCount} | ` +
-                `위치: (${info.position.x}, ${info.position.y}, ${info.position.z})`
+        this.visualTracker.submit(frame);
+    }
+
+    /**
+     * 추적 결과 적용 (워커 메시지 또는 폴백 추적기에서 호출)
+     * 상태 판단은 다음 렌더 프레임의 updateTrackingState에서 한다
+     *
+     * @param {Object|null} result VisualOdometry.processFrame 결과
+     * @param {Object} info { id, timestamp, brightness }
+     */
+    onTrackingResult(result, info = {}) {
+        if (this.trackingMode !== 'slam' && this.trackingMode !== 'hybrid') return;
+
+        if (this.sessionRecorder) this.sessionRecorder.recordTracking(result, info);
+
+        this.trackingResult = result;
+        this.trackingResultTime = this.now();
+        if (info.brightness !== undefined) this.frameBrightness = info.brightness;
+        if (result) {
+            this.processingBudget.recordProcessing(
+                result.processingTimeMs,
+                this.trackingResultTime - info.timestamp
             );
         }
+
+        const useFusion = this.trackingMode === 'hybrid' && this.sensorFusion.vio.hasDevice;
+
+        if (result && result.tracking) {
+            let applied;
+            if (useFusion) {
+                // 하이브리드: VO 포즈는 센서 드리프트 보정 + 위치로만 쓰고, 카메라는 렌더 루프에서
+                applied = this.fuseVisualPose(result, info);
+            } else {
+                // View Matrix를 Three.js 카메라에 적용
+                applied = this.cameraPoseManager.applyViewMatrix(result.viewMatrix, true, info.timestamp);
+            }
+            if (applied) this.updateMetricScale(info);
+        } else if (this.cameraPoseManager.isTracking) {
+            // 하이브리드도 기록: 다시 추적될 때 재위치 인식 판단 (fuseVisualPose)
+            this.cameraPoseManager.markLost();
+        }
     }
 
     /**
-     * 센서 기반 카메라 업데이트 (폴백/하이브리드용)
+     * VO 포즈를 센서 퓨전에 전달 (하이브리드)
+     * @returns {boolean} 유효한 포즈였는지
      */
-    updateCameraFromSensor() {
-        if (!this.initialOrientation) return;
+    fuseVisualPose(result, info) {
+        const pose = new THREE.Matrix4();
+        if (!this.cameraPoseManager.viewMatrixToPose(result.viewMatrix, true, pose)) return false;
+
+        const position = new THREE.Vector3();
+        const quaternion = new THREE.Quaternion();
+        pose.decompose(position, quaternion, new THREE.Vector3());
+
+        // 추적 끊김 뒤 첫 포즈: VO 월드가 바뀌었으면 퓨전 정렬을 새 VO 월드 기준으로 다시 잡는다
+        const poseManager = this.cameraPoseManager;
+        const relocalized = poseManager.checkRelocalization(this.sensorFusion.alignVisualPose(pose));
+        if (relocalized) this.sensorFusion.resetVIO();
+
+        this.sensorFusion.updateFromVO(position, quaternion, {
+            timestamp: info.timestamp,
+            confidence: result.pose ? result.pose.confidence : 1
+        });
 
-        // SLAM이 추적 중이면 센서는 보조로만 사용
-        if (this.trackingMode === 'hybrid' && this.cameraPoseManager?.isTracking) {
-            return;
+        if (relocalized) {
+            // 다시 잡은 퓨전 월드의 카메라 포즈 기준으로 콘텐츠/앵커를 옮김
+            const fused = this.sensorFusion.predict(info.timestamp);
+            const fusedPose = new THREE.Matrix4().compose(fused.position, fused.quaternion, new THREE.Vector3(1, 1, 1));
+            poseManager.applyWorldChange(fusedPose.multiply(poseManager.lastPose.clone().invert()), 'relocalization');
+        }
+        return true;
+    }
+
+    /**
+     * 방금 적용한 VO 포즈(스케일 전)로 미터 스케일 추정을 다듬고,
+     * 믿을 만해지면 다음 포즈부터 카메라 이동량에 반영
+     */
+    updateMetricScale(info) {
+        const position = new THREE.Vector3();
+        const quaternion = new THREE.Quaternion();
+        this.cameraPoseManager.visualPose.decompose(position, quaternion, new THREE.Vector3());
+
+        const estimator = this.scaleEstimator;
+        if (!estimator.addVisualPose(position, quaternion, info.timestamp) || !estimator.reliable) return;
+
+        const previous = this.cameraPoseManager.metricScale;
+        if (Math.abs(estimator.scale / previous - 1) < 0.01) return;
+
+        // 첫 카메라 위치(VO 원점)를 중심으로 월드가 커지거나 줄어든다
+        // 퓨전 월드는 VO 월드를 정렬 회전만큼 돌린 것이라 중심도 같이 돌린다
+        const poseManager = this.cameraPoseManager;
+        const fusionCenter = new THREE.Vector3().setFromMatrixPosition(this.sensorFusion.alignVisualPose(poseManager.worldFrame));
+        this.sensorFusion.rescalePosition(estimator.scale / previous, fusionCenter);
+        if (this.trackingMode === 'hybrid') {
+            poseManager.rescaleWorld(estimator.scale, fusionCenter);
+        } else {
+            poseManager.rescaleWorld(estimator.scale);
         }
+        console.log('[AR] 미터 스케일:', estimator.scale.toFixed(4), `(신뢰도 ${estimator.confidence.toFixed(2)})`);
+        this.emit('metricScaleChanged', {
+            scale: estimator.scale,
+            previous,
+            confidence: estimator.confidence
+        });
+    }
+
+    /**
+     * 하이브리드 카메라 업데이트 (매 렌더 프레임)
+     * 회전은 센서로 디스플레이 주기마다, 위치/드리프트 보정은 최근 VO로
+     * VO가 잠깐 끊겨도 센서 예측으로 이어가므로 콘텐츠가 튀지 않는다
+     */
+    updateCameraHybrid(now) {
+        const prediction = this.sensorFusion.predict(now);
+        if (!prediction) return;  // 센서 없음: VO 결과가 직접 카메라를 움직인다
+
+        this.cameraPoseManager.applyFusedPose(
+            prediction.position,
+            prediction.quaternion,
+            prediction.visionFresh,
+            prediction.time
+        );
+    }
+
+    /**
+     * 센서 기반 카메라 업데이트 (sensor 모드)
+     */
+    updateCameraFromSensor() {
+        if (!this.initialOrientation) return;
 
         // CameraPoseManager를 통해 적용
         if (this.cameraPoseManager) {
@@ -808,34 +2205,53 @@ class ARApp {
 
     /**
      * Visual Odometry 초기화 (비동기)
+     * @param {Object} options { local: 워커 대신 메인 스레드 (세션 재생용),
+     *        mode: 초기화 후 추적 모드 ('slam' | 'hybrid', 기본 'hybrid',
+     *        초기화 중 모드가 바뀌었으면 바뀐 모드 유지) }
+     * @returns {Promise<boolean>} 추적기를 쓰게 됐는지
      */
-    async initVisualOdometry() {
+    async initVisualOdometry(options = {}) {
+        // 초기화 중 중복 호출 방지를 위해 먼저 할당
+        const tracker = createVisualTracker({ engine: 'vo', local: options.local });
+        const modeAtStart = this.trackingMode;
+        this.visualTracker = tracker;
+        tracker.onResult = (result, info) => this.onTrackingResult(result, info);
+        tracker.onError = e => this.reportError(e, 'visualOdometry');
+
         try {
-            // 동적 임포트 (Wasm 빌드 후 사용 가능)
-            const voModule = await import('./VisualOdometry.js');
-            VisualOdometry = voModule.VisualOdometry;
-
-            this.visualOdometry = new VisualOdometry();
-            await this.visualOdometry.init({
-                fastThreshold: 20,
-                maxFeatures: 300
+            // Wasm 빌드가 없으면 실패
+            const level = this.processingBudget.level;
+            await tracker.init({
+                fastThreshold: level.fastThreshold,
+                maxFeatures: level.maxFeatures
             });
+            if (this.visualTracker !== tracker) return false;  // 초기화 중 앱 종료
 
-            // 카메라 파라미터 동기화
-            if (this.video && this.video.videoWidth > 0) {
-                this.visualOdometry.autoConfigureCamera(
-                    this.video.videoWidth,
-                    this.video.videoHeight
-                );
+            // 카메라 파라미터는 첫 프레임의 처리 해상도 기준으로 VO가 맞춘다
+            // (보정값이나 기기 프로필이 있으면 그 해상도로 스케일해서)
+            if (this.cameraIntrinsics) {
+                tracker.setIntrinsics(this.cameraIntrinsics);
+            }
+            // 초기화 중 사용자가 모드를 바꿨으면 그 선택을 따른다 (센서 모드면 추적기는 필요 없음)
+            if (this.trackingMode !== modeAtStart && this.trackingMode === 'sensor') {
+                this.releaseVisualTracker();
+                console.log('[AR] Visual Odometry 초기화 완료, 센서 모드라 해제');
+                return false;
             }
+            this.unsubscribeSLAM = this.frameSource.subscribe(frame => this.processSLAM(frame));
 
-            this.trackingMode = 'hybrid';  // SLAM + 센서 하이브리드
-            console.log('[AR] Visual Odometry 초기화 완료');
+            if (this.trackingMode === modeAtStart) {
+                this.changeTrackingMode(options.mode || 'hybrid');  // 기본: SLAM + 센서 하이브리드
+            }
+            console.log('[AR] Visual Odometry 초기화 완료:', tracker.kind);
             return true;
 
         } catch (e) {
             console.warn('[AR] Visual Odometry 로드 실패 (센서 모드로 폴백):', e.message);
-            this.trackingMode = 'sensor';
+            tracker.destroy();
+            if (this.visualTracker === tracker) this.visualTracker = null;
+            this.reportError(e, 'visualOdometry');
+            this.changeTrackingMode('sensor');
             return false;
         }
     }
@@ -845,44 +2261,402 @@ class ARApp {
      * @param {'sensor'|'slam'|'hybrid'} mode
      */
     setTrackingMode(mode) {
-        this.trackingMode = mode;
+        this.changeTrackingMode(mode);
+        this.saveSession();
         console.log('[AR] 추적 모드:', mode);
 
         if (mode === 'slam' || mode === 'hybrid') {
-            if (!this.visualOdometry) {
-                this.initVisualOdometry();
+            if (!this.visualTracker) {
+                this.initVisualOdometry({ mode });
             }
         }
     }
 
     /**
-     * 포즈 리셋 (현재 위치를 원점으로)
+     * 추적 모드 값 변경 + trackingModeChanged 알림
+     */
+    changeTrackingMode(mode) {
+        const previous = this.trackingMode;
+        if (previous === mode) return;
+
+        this.trackingMode = mode;
+        this.emit('trackingModeChanged', { mode, previous });
+    }
+
+    /**
+     * 포즈 리셋 (현재 위치 아래 바닥을 원점으로, 축은 중력 기준으로 다시 잡음)
+     * 콘텐츠와 앵커는 다음 추적 포즈에서 새 월드로 옮겨진다 (onWorldFrameChange)
+     *
+     * @param {Object} options { reexpress: false면 옮기지 않음 (세션 재생 시작 등 콘텐츠를 새로 놓을 때) }
      */
-    resetPose() {
+    resetPose({ reexpress = true } = {}) {
         if (this.cameraPoseManager) {
-            this.cameraPoseManager.reset();
+            // 센서 모드에서는 마지막 추적 포즈가 지금 카메라와 무관하므로 옮기지 않는다
+            this.cameraPoseManager.reset({ reexpress: reexpress && this.trackingMode !== 'sensor' });
         }
-        if (this.visualOdometry) {
-            this.visualOdometry.reset();
+        if (this.visualTracker) {
+            this.visualTracker.reset();
         }
+        this.trackingState.reset();
+        this.sensorFusion.resetVIO();
+
+        // 새 VO 맵은 단위가 다르므로 스케일도 처음부터
+        this.scaleEstimator.reset();
+        if (this.cameraPoseManager) {
+            this.cameraPoseManager.setMetricScale(1);
+        }
+        this.trackingResult = null;
         this.initialOrientation = null;
         console.log('[AR] 포즈 리셋됨');
     }
 
+    /**
+     * 앵커 생성 (외부 연동용, AnchorManager.js)
+     * @param {THREE.Matrix4|Object} pose 월드 좌표 포즈 ({ position, quaternion } 또는 Matrix4)
+     * @returns {Anchor} anchor.id, anchor.object (콘텐츠를 붙일 Object3D), 'updated' / 'lost' 이벤트
+     */
+    createAnchor(pose) {
+        return this.anchors.createAnchor(pose);
+    }
+
+    /**
+     * 앵커 제거 (붙어 있던 콘텐츠도 씬에서 빠진다)
+     */
+    removeAnchor(id) {
+        return this.anchors.removeAnchor(id);
+    }
+
+    /**
+     * 월드 좌표계 변경 (포즈 리셋 / 재위치 인식 / 미터 스케일 갱신): 앵커와 공간 고정 오브젝트를 새 좌표로
+     * 스케일 갱신은 위치만 옮기고 오브젝트 크기(m)는 그대로 둔다
+     * @param {THREE.Matrix4} transform 이전 월드 → 새 월드
+     * @param {'reset'|'relocalization'|'scale'} reason
+     */
+    onWorldFrameChange(transform, reason) {
+        this.anchors.applyWorldTransform(transform, reason);
+
+        [...this.arObjects, ...this.retiringObjects].forEach((obj) => {
+            if (obj.placementMode === 'world') {
+                obj.mesh.position.applyMatrix4(transform);
+            }
+        });
+        this.saveSession();
+        console.log('[AR] 월드 좌표계 변경:', reason);
+    }
+
+    /**
+     * 카메라의 바닥 위 높이 지정 (m, 외부 연동용)
+     * 다음 추적 프레임부터 월드 y = 0이 이 높이만큼 아래 바닥이 된다
+     */
+    setCameraHeight(height) {
+        if (this.cameraPoseManager) {
+            this.cameraPoseManager.setCameraHeight(height);
+            this.sensorFusion.setOrigin(this.cameraPoseManager.getOrigin());
+        }
+    }
+
+    /**
+     * 영상 추적기 해제 (프레임 구독 포함)
+     */
+    releaseVisualTracker() {
+        if (this.unsubscribeSLAM) {
+            this.unsubscribeSLAM();
+            this.unsubscribeSLAM = null;
+        }
+        if (this.visualTracker) {
+            this.visualTracker.destroy();
+            this.visualTracker = null;
+        }
+    }
+
+    /**
+     * 추적용 현재 시각 (ms)
+     * 세션 재생 중에는 재생 시계 (기록 시작부터의 ms), 아니면 performance.now()
+     */
+    now() {
+        return this.sessionPlayer ? this.sessionPlayer.time : performance.now();
+    }
+
+    /**
+     * 센서/추적 상태를 처음부터 (세션 재생 시작·종료 시 시계 기준이 바뀌므로)
+     */
+    resetSensorState() {
+        // 이전 시계의 마지막 포즈로 새로 놓을 콘텐츠를 옮기지 않도록
+        this.resetPose({ reexpress: false });
+        this.sensorFusion = new SensorFusion();
+        this.sensorFusion.setOrigin(this.cameraPoseManager.getOrigin());
+        this.scaleEstimator = new ScaleEstimator();
+        this.deviceOrientation = { alpha: 0, beta: 0, gamma: 0 };
+        this.rotationRate = 0;
+        this.frameBrightness = null;
+        this.trackingResultTime = 0;
+        this.sensorWaitStart = this.now();
+        this.cameraPoseManager.trajectory.clear();
+    }
+
+    /**
+     * 카메라 궤적 파일로 내보내기 (드리프트 평가용)
+     * 실시간 기록은 유닉스 시각, 세션 재생은 기록 시작 기준 시각
+     *
+     * @param {'tum'|'kitti'} format
+     */
+    exportTrajectory(format) {
+        const trajectory = this.cameraPoseManager.trajectory;
+        if (trajectory.length === 0) {
+            this.showNotification('기록된 궤적이 없습니다', 2000);
+            return;
+        }
+
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        if (format === 'kitti') {
+            CameraTrajectory.download(trajectory.toKITTI(), `trajectory-${stamp}.kitti.txt`);
+        } else {
+            const timeOffset = this.sessionPlayer ? 0 : performance.timeOrigin;
+            CameraTrajectory.download(trajectory.toTUM(timeOffset), `trajectory-${stamp}.tum.txt`);
+        }
+        console.log('[AR] 궤적 내보내기:', format, trajectory.length);
+    }
+
+    // ==================== 세션 기록/재생 ====================
+
+    /**
+     * 세션 기록 시작 (카메라 프레임 + 센서 + 추적 결과 + 제스처)
+     * @param {Object} options SessionRecorder 옵션
+     * @returns {boolean} 시작했는지
+     */
+    startSessionRecording(options = {}) {
+        if (this.sessionRecorder || this.sessionPlayer || !this.frameSource) return false;
+
+        const recorder = new SessionRecorder(options);
+        recorder.onLimit = () => this.stopSessionRecording();
+        recorder.start(this.frameSource, {
+            trackingMode: this.trackingMode,
+            settings: this.captureSession(),
+            camera: { width: this.video.videoWidth, height: this.video.videoHeight }
+        });
+        this.sessionRecorder = recorder;
+
+        this.updateSessionButtons();
+        this.showNotification('세션 기록 시작', 1500);
+        return true;
+    }
+
+    /**
+     * 세션 기록 종료
+     * @param {boolean} download 파일로 내려받을지
+     * @returns {Promise<Object|null>} 기록된 세션
+     */
+    async stopSessionRecording(download = true) {
+        const recorder = this.sessionRecorder;
+        if (!recorder) return null;
+        this.sessionRecorder = null;
+        this.updateSessionButtons();
+
+        const session = await recorder.stop();
+        if (download) {
+            SessionRecorder.download(session);
+            this.showNotification(`세션 기록 저장 (${(session.duration / 1000).toFixed(1)}초)`, 2000);
+        }
+        return session;
+    }
+
+    /**
+     * 세션 파일 선택 후 재생
+     */
+    pickReplayFile() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = 'application/json,.json';
+        input.addEventListener('change', () => {
+            if (input.files && input.files[0]) {
+                this.startReplay(input.files[0]);
+            }
+        });
+        input.click();
+    }
+
+    /**
+     * 기록된 세션 재생 시작 (라이브 카메라/센서/제스처 대신)
+     * @param {File|string|Object} source 세션 파일, URL 또는 세션 객체
+     * @param {Object} options { tracker: 'recorded'|'live', speed }
+     * @returns {Promise<boolean>} 시작했는지
+     */
+    async startReplay(source, options = {}) {
+        if (this.sessionRecorder) await this.stopSessionRecording(false);
+        if (this.sessionPlayer) this.stopReplay();
+
+        let player;
+        try {
+            player = await SessionPlayer.load(source, options);
+        } catch (e) {
+            console.warn('[Replay] 세션 로드 실패:', e.message);
+            this.reportError(e, 'replay');
+            this.showNotification('세션 파일을 열 수 없습니다', 2000);
+            return false;
+        }
+
+        this.stopPlaylist();
+        // 예약된 저장을 지금 배치로 끝냄 (재생이 오브젝트를 바꾼 뒤에 저장되지 않게)
+        if (this.isRunning) this.sessionStore.saveNow();
+        this.replayReturnMode = this.trackingMode;
+        this.sessionPlayer = player;
+        this.frameSource.setExternal(true);
+        this.video.style.visibility = 'hidden';
+
+        // 추적기: 기록된 결과를 그대로 쓰거나, 기록된 프레임을 메인 스레드에서 다시 처리
+        this.releaseVisualTracker();
+        const mode = ['sensor', 'slam', 'hybrid'].includes(player.session.trackingMode)
+            ? player.session.trackingMode
+            : 'sensor';
+        if (mode !== 'sensor') {
+            if (player.trackerMode === 'live') {
+                await this.initVisualOdometry({ local: true, mode });
+            } else {
+                this.visualTracker = player.tracker;
+                player.tracker.onResult = (result, info) => this.onTrackingResult(result, info);
+                this.unsubscribeSLAM = this.frameSource.subscribe(frame => this.processSLAM(frame));
+            }
+            if (this.sessionPlayer !== player) return false;  // 초기화 중 재생 종료
+        }
+        this.changeTrackingMode(this.visualTracker ? mode : 'sensor');
+
+        player.onRestart = session => this.onReplayRestart(session);
+        player.onFrame = (image, event) => this.frameSource.pushFrame(image, {
+            id: event.id,
+            timestamp: event.t,
+            sourceWidth: event.sourceWidth,
+            sourceHeight: event.sourceHeight
+        });
+        player.onSensor = (event) => {
+            if (event.type === 'devicemotion') {
+                this.onDeviceMotion(event);
+            } else {
+                this.onDeviceOrientation(event);
+            }
+        };
+        player.onGesture = (name, args) => {
+            const handler = this.gestureHandlers && this.gestureHandlers[name];
+            if (handler) handler(...args);
+        };
+        player.onClose = () => this.stopReplay();
+
+        player.attach(document.getElementById('canvas-container'));
+        player.restart();
+        player.play();
+        this.updateSessionButtons();
+        return true;
+    }
+
+    /**
+     * 재생을 처음부터: 앱 상태를 기록 시작 시점으로
+     */
+    onReplayRestart(session) {
+        this.resetSensorState();
+        this.clearObjects();
+
+        // 추적 모드는 재생 시작 시 정했으므로 배치/보정값만
+        const settings = session.settings || null;
+        if (settings) {
+            this.applySessionSettings({ ...settings, trackingMode: this.trackingMode });
+        }
+        if (!this.restoreSessionObjects(settings)) {
+            this.placeCube();
+        }
+    }
+
+    /**
+     * 재생 종료 → 라이브 카메라/센서로 복귀 (저장된 배치 복원)
+     */
+    stopReplay() {
+        const player = this.sessionPlayer;
+        if (!player) return;
+
+        this.releaseVisualTracker();
+        player.destroy();
+        this.sessionPlayer = null;
+        this.frameSource.setExternal(false);
+        this.video.style.visibility = '';
+
+        this.resetSensorState();
+        this.clearObjects();
+        const session = this.sessionStore.load();
+        if (session) {
+            this.applySessionSettings({ ...session, trackingMode: this.trackingMode });
+        }
+        if (!this.restoreSessionObjects(session)) {
+            this.placeCube();
+        }
+
+        // 영상 추적은 라이브 추적기로 다시 시작
+        const mode = this.replayReturnMode || 'sensor';
+        this.replayReturnMode = null;
+        this.changeTrackingMode('sensor');
+        if (mode !== 'sensor') {
+            this.setTrackingMode(mode);
+        }
+
+        this.updateSessionButtons();
+        console.log('[Replay] 재생 종료');
+    }
+
+    /**
+     * 세션 기록/재생 버튼 표시 갱신
+     */
+    updateSessionButtons() {
+        const recordBtn = document.getElementById('session-record-btn');
+        if (recordBtn) {
+            recordBtn.textContent = this.sessionRecorder ? '기록 중지' : '기록';
+            recordBtn.classList.toggle('recording', !!this.sessionRecorder);
+        }
+        const replayBtn = document.getElementById('session-replay-btn');
+        if (replayBtn) {
+            replayBtn.disabled = !!this.sessionPlayer;
+        }
+    }
+
     /**
      * 정리
      */
     destroy() {
+        // 정리 과정의 변경이 저장되지 않도록 먼저 저장하고 중지
+        if (this.isRunning && !this.sessionPlayer) {
+            this.sessionStore.saveNow();
+        }
         this.isRunning = false;
-        this.cleanupHud();
+        this.plugins.destroyAll();
+        this.clearObjects();
+        if (this.gestureController) {
+            this.gestureController.destroy();
+        }
         if (this.video && this.video.srcObject) {
             this.video.srcObject.getTracks().forEach(t => t.stop());
         }
         if (this.renderer) {
             this.renderer.dispose();
         }
-        if (this.visualOdometry) {
-            this.visualOdometry.destroy();
+        if (this.sessionPlayer) {
+            this.sessionPlayer.destroy();
+            this.sessionPlayer = null;
+        }
+        if (this.sessionRecorder) {
+            this.sessionRecorder.stop();
+            this.sessionRecorder = null;
+        }
+        if (this.cameraCalibrationWizard.active) {
+            this.cameraCalibrationWizard.close();
+        }
+        if (this.poseFilterPanel && this.poseFilterPanel.active) {
+            this.poseFilterPanel.close();
+        }
+        if (this.anchors) {
+            this.anchors.clear();
+        }
+        if (this.trajectoryView) {
+            this.trajectoryView.dispose();
+        }
+        this.releaseVisualTracker();
+        if (this.frameSource) {
+            this.frameSource.destroy();
         }
         console.log('[AR] 종료');
     }
@@ -953,35 +2727,14 @@ class ARApp {
 // AR 앱 인스턴스 생성
 const app = new ARApp();
 
-// 전역 노출
+// 전역 노출 (외부 연동은 이 객체의 메서드/이벤트/플러그인으로)
 window.arApp = app;
 window.addEventListener('beforeunload', () => app.destroy());
 
-// 추가 전역 함수
-window.resetARPose = () => app.resetPose();
-window.setARTrackingMode = (mode) => app.setTrackingMode(mode);
-
-// 영상 전환 함수 (개선 버전)
-window.changeARVideo = (videoSrc) => {
-    console.log('[AR] 영상 전환 요청:', videoSrc);
-    
-    // 이미 같은 영상이면 무시
-    if (app.currentVideoSrc === videoSrc) {
-        console.log('[AR] 이미 재생 중인 영상');
-        return;
-    }
-    
-    // 현재 영상 정리
-    app.cleanupHud();
-    
-    // 영상 소스 변경
-    app.currentVideoSrc = videoSrc;
-    
-    // 새 영상 배치
-    app.placeCube();
-    
-    console.log('[AR] 영상 전환 완료:', videoSrc);
-};
+// main.js보다 먼저 로드된 플러그인 등록 (이후 push도 바로 등록)
+const pendingPlugins = Array.isArray(window.arPlugins) ? window.arPlugins : [];
+pendingPlugins.forEach(plugin => app.registerPlugin(plugin));
+window.arPlugins = { push: (...plugins) => plugins.forEach(plugin => app.registerPlugin(plugin)) };
 
 /**
  * 권한 승인 후 앱 시작
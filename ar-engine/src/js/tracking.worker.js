@@ -0,0 +1,101 @@
+/**
+ * tracking.worker.js
+ *
+ * 영상 추적 전용 워커
+ *
+ * 메인 스레드가 전송한 ImageBitmap을 OffscreenCanvas로 읽어
+ * VisualOdometry (또는 AREngine SLAM)를 돌리고 결과를 메시지로 돌려준다.
+ * 메인 스레드 쪽 인터페이스는 TrackingWorker.js 참고.
+ *
+ * 메시지 (메인 → 워커):
+ * - { type: 'init', engine: 'vo'|'slam', config }
+ * - { type: 'frame', frame: { id, timestamp, width, height, scale, ... }, bitmap }
+ * - { type: 'setCameraParams', fx, fy, cx, cy }
+ * - { type: 'setIntrinsics', intrinsics }   (CameraIntrinsics 형식, null이면 시야각 추정)
+ * - { type: 'setDetectorParams', fastThreshold, maxFeatures }
+ * - { type: 'reset' }
+ *
+ * 메시지 (워커 → 메인):
+ * - { type: 'ready' }
+ * - { type: 'result', frameId, timestamp, brightness, result }   (프레임마다 한 번, 실패 시 result = null)
+ * - { type: 'error', message }
+ */
+
+import { toGrayscale, meanBrightness } from './FrameSource.js';
+import { createTrackerEngine } from './TrackerEngine.js';
+
+let tracker = null;      // TrackerEngine.js 인터페이스
+let canvas = null;
+let ctx = null;
+let gray = null;
+
+/**
+ * 전송받은 ImageBitmap → 공통 프레임 형식 (FrameSource.js)
+ */
+function readFrame(info, bitmap) {
+    const { width, height } = info;
+    if (!canvas) {
+        canvas = new OffscreenCanvas(width, height);
+        ctx = canvas.getContext('2d', { willReadFrequently: true });
+    }
+    if (canvas.width !== width || canvas.height !== height) {
+        canvas.width = width;
+        canvas.height = height;
+    }
+
+    ctx.drawImage(bitmap, 0, 0, width, height);
+    bitmap.close();
+
+    const imageData = ctx.getImageData(0, 0, width, height);
+    gray = toGrayscale(imageData, gray);
+    return { ...info, imageData, gray };
+}
+
+async function handleMessage(message) {
+    switch (message.type) {
+        case 'init':
+            tracker = await createTrackerEngine(message.engine, message.config);
+            self.postMessage({ type: 'ready' });
+            break;
+
+        case 'frame': {
+            if (!tracker) {
+                message.bitmap.close();
+                return;
+            }
+            const frame = readFrame(message.frame, message.bitmap);
+            const result = tracker.processFrame(frame);
+            self.postMessage({
+                type: 'result',
+                frameId: frame.id,
+                timestamp: frame.timestamp,
+                brightness: meanBrightness(frame.gray),
+                result
+            });
+            break;
+        }
+
+        case 'setCameraParams':
+            if (tracker) tracker.setCameraParams(message.fx, message.fy, message.cx, message.cy);
+            break;
+
+        case 'setIntrinsics':
+            if (tracker) tracker.setIntrinsics(message.intrinsics);
+            break;
+
+        case 'setDetectorParams':
+            if (tracker) tracker.setDetectorParams(message.fastThreshold, message.maxFeatures);
+            break;
+
+        case 'reset':
+            if (tracker) tracker.reset();
+            break;
+    }
+}
+
+self.onmessage = (event) => {
+    handleMessage(event.data).catch((e) => {
+        console.error('[TrackWorker] 오류:', e);
+        self.postMessage({ type: 'error', message: e.message || String(e) });
+    });
+};
@@ -47,6 +47,11 @@ module.exports = {
                     to: 'wasm/ar-math.wasm',
                     noErrorOnMissing: true
                 },
+                {
+                    from: 'public/content-manifest.json',
+                    to: 'content-manifest.json',
+                    noErrorOnMissing: true
+                },
                 {
                     from: 'public/test-math.html',
                     to: 'test-math.html',